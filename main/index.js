@@ -6,6 +6,8 @@ const { registerAllHandlers } = require('./ipc/index')
 const { registerManualHandlers } = require('./ipc/manual')
 const workspaceService = require('./services/workspace-service')
 const logService = require('./services/log-service')
+const cliCassette = require('./services/cli-cassette')
+const cliService = require('./services/cli-service')
 
 // Disable GPU hardware acceleration to prevent silent renderer crashes on
 // systems with incompatible GPU drivers (common on Windows 11 with Electron 28).
@@ -183,6 +185,22 @@ app.whenReady().then(async () => {
     })
   }
 
+  // Record / replay of model calls: --cli-mode=record|replay [--cli-cassette=<name|path>]
+  // (falls back to SKILL_MANAGER_CLI_MODE / SKILL_MANAGER_CLI_CASSETTE)
+  const cliModeArg     = process.argv.find(a => a.startsWith('--cli-mode='))
+  const cliCassetteArg = process.argv.find(a => a.startsWith('--cli-cassette='))
+  try {
+    cliCassette.configure({
+      mode:     cliModeArg ? cliModeArg.slice('--cli-mode='.length) : undefined,
+      cassette: cliCassetteArg ? cliCassetteArg.slice('--cli-cassette='.length) : undefined,
+    })
+  } catch (e) {
+    logService.error('main', 'Invalid --cli-mode, using normal CLI calls', { error: e.message })
+  }
+  if (cliCassette.getMode() !== 'off') {
+    logService.info('main', `CLI ${cliCassette.getMode()} mode active`, cliCassette.getStatus())
+  }
+
   try {
     logService.info('main', 'Workspace initialized', { path: workspaceService.paths.workspace() })
   } catch (e) {
@@ -198,6 +216,12 @@ app.whenReady().then(async () => {
   })
 })
 
+// Kill in-flight CLI processes (and their children) so nothing outlives the app
+app.on('before-quit', () => {
+  const { cancelled } = cliService.cancelAll()
+  if (cancelled > 0) logService.info('main', 'Cancelled in-flight CLI calls on quit', { cancelled })
+})
+
 // Write "Session ended" before the process exits
 app.on('will-quit', () => {
   logService.info('main', 'App shutting down')
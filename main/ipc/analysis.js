@@ -24,4 +24,8 @@ module.exports = function registerAnalysisHandlers(mainWindow) {
   ipcMain.handle('analysis:exportReport', wrapHandler(async ({ projectId, format, destPath }) => {
     return analysisService.exportReport(projectId, { format, destPath })
   }))
+
+  ipcMain.handle('analysis:stats', wrapHandler(async ({ projectId, ...opts }) => {
+    return analysisService.getStats(projectId, opts)
+  }))
 }
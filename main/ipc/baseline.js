@@ -29,6 +29,14 @@ module.exports = function registerBaselineHandlers(mainWindow) {
     return baselineService.deleteCase(baselineId, currentVersion, caseId)
   }))
 
+  ipcMain.handle('baseline:categoryWeights:set', wrapHandler(async ({ baselineId, currentVersion, weights }) => {
+    return baselineService.setCategoryWeights(baselineId, currentVersion, weights)
+  }))
+
+  ipcMain.handle('baseline:rubric:set', wrapHandler(async ({ baselineId, rubricId }) => {
+    return baselineService.setRubric(baselineId, rubricId)
+  }))
+
   ipcMain.handle('baseline:autoTag:trigger', wrapHandler(async ({ baselineId }) => {
     const { taskId, runTag } = await baselineService.triggerAutoTag(baselineId, 'user')
     runTag().then(result => {
@@ -50,7 +58,7 @@ module.exports = function registerBaselineHandlers(mainWindow) {
 
   ipcMain.handle('baseline:autoTag:triggerBatch', wrapHandler(async ({ baselineIds }) => {
     const batchId = `batch_${Date.now()}`
-    baselineService.triggerAutoTagBatch(baselineIds).then(({ results }) => {
+    baselineService.triggerAutoTagBatch(baselineIds).then(({ results, stopReason, budget }) => {
       for (const res of results) {
         if (mainWindow && !mainWindow.isDestroyed()) {
           mainWindow.webContents.send('autoTag:progress:update', {
@@ -67,6 +75,9 @@ module.exports = function registerBaselineHandlers(mainWindow) {
           })
         }
       }
+      if (stopReason === 'budget_exceeded' && mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('budget:exceeded', { scope: 'autoTag', targetType: 'baseline', batchId, ...budget })
+      }
     }).catch(() => {})
     return { batchId, totalCount: baselineIds.length }
   }))
@@ -3,7 +3,9 @@
 /**
  * ipc/cli.js — IPC handlers for CLI module (Module 4).
  *
- * Handles: cli:checkAvailable, cli:getConfig, cli:updateConfig,
+ * Handles: cli:checkAvailable, cli:diagnose, cli:getConfig, cli:updateConfig, cli:backend:list,
+ *          cli:queue:get, cli:cache:inspect, cli:cache:clear, cli:cassette:status,
+ *          cli:circuit:get, cli:circuit:reset, cli:cancel, cli:profile:list,
  *          cli:session:list, cli:session:close, cli:session:export
  */
 
@@ -12,6 +14,7 @@ const { wrapHandler } = require('./helpers')
 const fileService = require('../services/file-service')
 const workspaceService = require('../services/workspace-service')
 const cliService = require('../services/cli-service')
+const cliDoctor = require('../services/cli-doctor')
 const sessionService = require('../services/session-service')
 const cliEvents = require('../services/cli-events')
 
@@ -22,6 +25,10 @@ module.exports = function registerCliHandlers(mainWindow) {
     return cliService.checkAvailable()
   }))
 
+  ipcMain.handle('cli:diagnose', wrapHandler(async ({ live, pings } = {}) => {
+    return cliDoctor.diagnose({ live, pings })
+  }))
+
   ipcMain.handle('cli:getConfig', wrapHandler(async () => {
     return fileService.readJson(workspaceService.paths.cliConfig())
   }))
@@ -38,6 +45,43 @@ module.exports = function registerCliHandlers(mainWindow) {
     return { updated: true }
   }))
 
+  ipcMain.handle('cli:backend:list', wrapHandler(async () => {
+    const cfg = fileService.readJson(workspaceService.paths.cliConfig()) || {}
+    return { backends: cliService.listBackends(), active: cfg.backend || 'claude-cli' }
+  }))
+
+  ipcMain.handle('cli:queue:get', wrapHandler(async () => {
+    return cliService.getQueueSnapshot()
+  }))
+
+  ipcMain.handle('cli:cache:inspect', wrapHandler(async ({ limit } = {}) => {
+    return cliService.inspectCache(limit)
+  }))
+
+  ipcMain.handle('cli:cache:clear', wrapHandler(async ({ olderThanDays } = {}) => {
+    return cliService.clearCache({ olderThanDays })
+  }))
+
+  ipcMain.handle('cli:cassette:status', wrapHandler(async () => {
+    return cliService.getCassetteStatus()
+  }))
+
+  ipcMain.handle('cli:circuit:get', wrapHandler(async () => {
+    return cliService.getCircuitState()
+  }))
+
+  ipcMain.handle('cli:circuit:reset', wrapHandler(async () => {
+    return cliService.resetCircuit()
+  }))
+
+  ipcMain.handle('cli:cancel', wrapHandler(async ({ projectId, jobId } = {}) => {
+    return cliService.cancel({ projectId, jobId })
+  }))
+
+  ipcMain.handle('cli:profile:list', wrapHandler(async () => {
+    return cliService.listProfiles()
+  }))
+
   // ─── Session Management ─────────────────────────────────────────────────
 
   ipcMain.handle('cli:session:list', wrapHandler(async () => {
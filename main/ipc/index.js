@@ -12,6 +12,8 @@ const registerRecomposeHandlers  = require('./recompose')
 const registerIterationHandlers  = require('./iteration')
 const registerTraceHandlers      = require('./trace')
 const registerLeaderboardHandlers = require('./leaderboard')
+const registerRubricHandlers     = require('./rubric')
+const registerReviewHandlers     = require('./review')
 
 /**
  * Register all IPC handlers.
@@ -30,6 +32,8 @@ function registerAllHandlers(mainWindow) {
   registerIterationHandlers(mainWindow)
   registerTraceHandlers(mainWindow)
   registerLeaderboardHandlers(mainWindow)
+  registerRubricHandlers(mainWindow)
+  registerReviewHandlers(mainWindow)
 }
 
 module.exports = { registerAllHandlers }
@@ -24,6 +24,7 @@ module.exports = function registerIterationHandlers(mainWindow) {
       {
         onRoundComplete: (data) => send('iteration:round:completed', data),
         onAllComplete:   (data) => send('iteration:round:completed', { ...data, type: 'all_complete' }),
+        onBudgetExceeded: (data) => send('budget:exceeded', { scope: 'iteration', ...data }),
       },
     )
   }))
@@ -15,8 +15,13 @@ module.exports = function registerLeaderboardHandlers(_mainWindow) {
     leaderboardService.getTestSummaries(),
   ))
 
+  // Per-skill score spread across models (which skills depend on a particular model)
+  ipcMain.handle('leaderboard:modelDependence', wrapHandler(async (opts) =>
+    leaderboardService.getModelDependence(opts || {}),
+  ))
+
   // Export current filtered results to CSV or JSON
-  ipcMain.handle('leaderboard:export', wrapHandler(async ({ baselineId, skillId, format } = {}) =>
-    leaderboardService.exportLeaderboard({ baselineId, skillId, format }),
+  ipcMain.handle('leaderboard:export', wrapHandler(async ({ baselineId, skillId, model, format } = {}) =>
+    leaderboardService.exportLeaderboard({ baselineId, skillId, model, format }),
   ))
 }
@@ -17,6 +17,10 @@ module.exports = function registerProjectHandlers(mainWindow) {
     return projectService.getProject(projectId)
   }))
 
+  ipcMain.handle('project:getUsage', wrapHandler(async ({ projectId }) => {
+    return projectService.getUsage(projectId)
+  }))
+
   ipcMain.handle('project:export', wrapHandler(async ({ projectId, destPath }) => {
     return projectService.exportProject(projectId, destPath)
   }))
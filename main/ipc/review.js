@@ -0,0 +1,37 @@
+'use strict'
+
+const { ipcMain } = require('electron')
+const { wrapHandler } = require('./helpers')
+const reviewService = require('../services/review-service')
+
+module.exports = function registerReviewHandlers() {
+  // Mark a result as needing review
+  ipcMain.handle('review:flag', wrapHandler(async ({ projectId, ...opts }) =>
+    reviewService.flagResult(projectId, opts),
+  ))
+
+  // Accept a flagged result as scored
+  ipcMain.handle('review:accept', wrapHandler(async ({ projectId, ...opts }) =>
+    reviewService.acceptResult(projectId, opts),
+  ))
+
+  // Override dimension scores (comment required)
+  ipcMain.handle('review:override', wrapHandler(async ({ projectId, ...opts }) =>
+    reviewService.overrideScores(projectId, opts),
+  ))
+
+  // Restore the judge's scores
+  ipcMain.handle('review:revert', wrapHandler(async ({ projectId, ...opts }) =>
+    reviewService.revertOverride(projectId, opts),
+  ))
+
+  // Review queue: flagged / overridden / all reviewed results
+  ipcMain.handle('review:queue', wrapHandler(async ({ projectId, status }) =>
+    reviewService.listQueue(projectId, { status }),
+  ))
+
+  // Audit trail of review actions
+  ipcMain.handle('review:log', wrapHandler(async ({ projectId, skillId, caseId }) =>
+    reviewService.getAuditLog(projectId, { skillId, caseId }),
+  ))
+}
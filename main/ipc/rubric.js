@@ -0,0 +1,23 @@
+'use strict'
+
+const { ipcMain } = require('electron')
+const { wrapHandler } = require('./helpers')
+const rubricService = require('../services/rubric-service')
+
+module.exports = function registerRubricHandlers() {
+  ipcMain.handle('rubric:list', wrapHandler(async () => {
+    return rubricService.listRubrics()
+  }))
+
+  ipcMain.handle('rubric:get', wrapHandler(async ({ rubricId }) => {
+    return rubricService.getRubric(rubricId)
+  }))
+
+  ipcMain.handle('rubric:save', wrapHandler(async ({ rubric }) => {
+    return rubricService.saveRubric(rubric)
+  }))
+
+  ipcMain.handle('rubric:delete', wrapHandler(async ({ rubricId }) => {
+    return rubricService.deleteRubric(rubricId)
+  }))
+}
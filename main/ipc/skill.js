@@ -68,7 +68,7 @@ module.exports = function registerSkillHandlers(mainWindow) {
     const batchId = `batch_${Date.now()}`
     const totalCount = skillIds.length
     // Run async in background
-    skillService.triggerAutoTagBatch(skillIds).then(({ results }) => {
+    skillService.triggerAutoTagBatch(skillIds).then(({ results, stopReason, budget }) => {
       for (const res of results) {
         if (mainWindow && !mainWindow.isDestroyed()) {
           mainWindow.webContents.send('autoTag:progress:update', {
@@ -85,6 +85,9 @@ module.exports = function registerSkillHandlers(mainWindow) {
           })
         }
       }
+      if (stopReason === 'budget_exceeded' && mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('budget:exceeded', { scope: 'autoTag', targetType: 'skill', batchId, ...budget })
+      }
     }).catch(() => {})
     return { batchId, totalCount }
   }))
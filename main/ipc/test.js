@@ -3,16 +3,26 @@
 const { ipcMain } = require('electron')
 const { wrapHandler } = require('./helpers')
 const testService = require('../services/test-service')
+const refreshService = require('../services/refresh-service')
 
 module.exports = function registerTestHandlers(mainWindow) {
   function onProgress(data) {
     if (mainWindow && !mainWindow.isDestroyed()) {
       mainWindow.webContents.send('test:progress:update', data)
+      if (data.stopReason === 'budget_exceeded') {
+        mainWindow.webContents.send('budget:exceeded', { scope: 'test', projectId: data.projectId, ...data.budget })
+      }
+    }
+  }
+
+  function onStream(data) {
+    if (mainWindow && !mainWindow.isDestroyed()) {
+      mainWindow.webContents.send('test:case:stream', data)
     }
   }
 
   ipcMain.handle('test:start', wrapHandler(async ({ projectId }) => {
-    return testService.startTest(projectId, { onProgress })
+    return testService.startTest(projectId, { onProgress, onStream })
   }))
 
   ipcMain.handle('test:pause', wrapHandler(async ({ projectId }) => {
@@ -20,7 +30,7 @@ module.exports = function registerTestHandlers(mainWindow) {
   }))
 
   ipcMain.handle('test:resume', wrapHandler(async ({ projectId }) => {
-    return testService.resumeTest(projectId, { onProgress })
+    return testService.resumeTest(projectId, { onProgress, onStream })
   }))
 
   ipcMain.handle('test:stop', wrapHandler(async ({ projectId }) => {
@@ -35,8 +45,18 @@ module.exports = function registerTestHandlers(mainWindow) {
     return testService.getResults(args.projectId, args)
   }))
 
-  ipcMain.handle('test:retryCase', wrapHandler(async ({ projectId, skillId, caseId }) => {
-    return testService.retryCase(projectId, skillId, caseId, { onProgress })
+  ipcMain.handle('test:retryCase', wrapHandler(async ({ projectId, skillId, caseId, model }) => {
+    return testService.retryCase(projectId, skillId, caseId, { model, onProgress, onStream })
+  }))
+
+  // Compare tested skill/baseline versions with the library (no changes)
+  ipcMain.handle('test:refreshPlan', wrapHandler(async ({ projectId }) => {
+    return refreshService.planRefresh(projectId)
+  }))
+
+  // Re-copy updated assets and re-run only the affected tasks
+  ipcMain.handle('test:refresh', wrapHandler(async ({ projectId }) => {
+    return refreshService.refreshProject(projectId, { onProgress, onStream })
   }))
 
   ipcMain.handle('test:exportResults', wrapHandler(async ({ projectId, format, destPath }) => {
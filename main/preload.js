@@ -14,18 +14,26 @@ const INVOKE_CHANNELS = [
   'baseline:case:add', 'baseline:case:update', 'baseline:case:delete',
   'baseline:autoTag:trigger', 'baseline:autoTag:triggerBatch', 'baseline:autoTag:review',
   'baseline:version:list', 'baseline:version:diff', 'baseline:version:rollback',
+  'baseline:rubric:set', 'baseline:categoryWeights:set',
 
-  'project:create', 'project:list', 'project:get', 'project:export', 'project:delete', 'project:clone',
+  'rubric:list', 'rubric:get', 'rubric:save', 'rubric:delete',
 
-  'cli:checkAvailable', 'cli:getConfig', 'cli:updateConfig',
+  'project:create', 'project:list', 'project:get', 'project:getUsage', 'project:export', 'project:delete', 'project:clone',
+
+  'cli:checkAvailable', 'cli:diagnose', 'cli:getConfig', 'cli:updateConfig', 'cli:backend:list', 'cli:queue:get',
+  'cli:cache:inspect', 'cli:cache:clear', 'cli:cassette:status', 'cli:circuit:get', 'cli:circuit:reset',
+  'cli:cancel', 'cli:profile:list',
   'cli:session:list', 'cli:session:close', 'cli:session:export',
 
   'context:getStatus', 'context:compress', 'context:updateConfig',
 
   'test:start', 'test:pause', 'test:resume', 'test:stop',
   'test:getProgress', 'test:getResults', 'test:retryCase', 'test:exportResults',
+  'test:refreshPlan', 'test:refresh',
+
+  'review:flag', 'review:accept', 'review:override', 'review:revert', 'review:queue', 'review:log',
 
-  'analysis:run', 'analysis:getReport', 'analysis:exportReport',
+  'analysis:run', 'analysis:getReport', 'analysis:exportReport', 'analysis:stats',
 
   'recompose:execute', 'recompose:save',
 
@@ -35,6 +43,7 @@ const INVOKE_CHANNELS = [
   'trace:getProjectEnv', 'trace:compareEnvs',
 
   'leaderboard:query', 'leaderboard:getTestSummaries', 'leaderboard:export',
+  'leaderboard:modelDependence',
 
   'workspace:init', 'workspace:saveTemplate', 'workspace:backup', 'search:global', 'log:query',
 
@@ -45,11 +54,13 @@ const INVOKE_CHANNELS = [
 const EVENT_CHANNELS = [
   'autoTag:progress:update',
   'test:progress:update',
+  'test:case:stream',
   'analysis:completed',
   'recompose:completed',
   'iteration:round:completed',
   'context:warning',
   'cli:status:change',
+  'budget:exceeded',
 ]
 
 contextBridge.exposeInMainWorld('api', {
@@ -99,6 +110,16 @@ contextBridge.exposeInMainWorld('api', {
       diff:     (args) => ipcRenderer.invoke('baseline:version:diff', args),
       rollback: (args) => ipcRenderer.invoke('baseline:version:rollback', args),
     },
+    setRubric: (args) => ipcRenderer.invoke('baseline:rubric:set', args),
+    setCategoryWeights: (args) => ipcRenderer.invoke('baseline:categoryWeights:set', args),
+  },
+
+  // Scoring rubrics
+  rubric: {
+    list:   (args) => ipcRenderer.invoke('rubric:list', args),
+    get:    (args) => ipcRenderer.invoke('rubric:get', args),
+    save:   (args) => ipcRenderer.invoke('rubric:save', args),
+    delete: (args) => ipcRenderer.invoke('rubric:delete', args),
   },
 
   // Project module
@@ -106,6 +127,7 @@ contextBridge.exposeInMainWorld('api', {
     create: (args) => ipcRenderer.invoke('project:create', args),
     list:   (args) => ipcRenderer.invoke('project:list', args),
     get:    (args) => ipcRenderer.invoke('project:get', args),
+    getUsage: (args) => ipcRenderer.invoke('project:getUsage', args),
     export: (args) => ipcRenderer.invoke('project:export', args),
     delete: (args) => ipcRenderer.invoke('project:delete', args),
     clone:  (args) => ipcRenderer.invoke('project:clone', args),
@@ -114,8 +136,22 @@ contextBridge.exposeInMainWorld('api', {
   // CLI module
   cli: {
     checkAvailable: (args) => ipcRenderer.invoke('cli:checkAvailable', args),
+    diagnose:       (args) => ipcRenderer.invoke('cli:diagnose', args),
     getConfig:      (args) => ipcRenderer.invoke('cli:getConfig', args),
     updateConfig:   (args) => ipcRenderer.invoke('cli:updateConfig', args),
+    listBackends:   ()     => ipcRenderer.invoke('cli:backend:list'),
+    getQueue:       ()     => ipcRenderer.invoke('cli:queue:get'),
+    cassetteStatus: ()     => ipcRenderer.invoke('cli:cassette:status'),
+    cancel:         (args) => ipcRenderer.invoke('cli:cancel', args),
+    listProfiles:   ()     => ipcRenderer.invoke('cli:profile:list'),
+    circuit: {
+      get:   () => ipcRenderer.invoke('cli:circuit:get'),
+      reset: () => ipcRenderer.invoke('cli:circuit:reset'),
+    },
+    cache: {
+      inspect: (args) => ipcRenderer.invoke('cli:cache:inspect', args),
+      clear:   (args) => ipcRenderer.invoke('cli:cache:clear', args),
+    },
     session: {
       list:   (args) => ipcRenderer.invoke('cli:session:list', args),
       close:  (args) => ipcRenderer.invoke('cli:session:close', args),
@@ -153,6 +189,18 @@ contextBridge.exposeInMainWorld('api', {
     getResults:    (args) => ipcRenderer.invoke('test:getResults', args),
     retryCase:     (args) => ipcRenderer.invoke('test:retryCase', args),
     exportResults: (args) => ipcRenderer.invoke('test:exportResults', args),
+    refreshPlan:   (args) => ipcRenderer.invoke('test:refreshPlan', args),
+    refresh:       (args) => ipcRenderer.invoke('test:refresh', args),
+  },
+
+  // Human review of judged results
+  review: {
+    flag:     (args) => ipcRenderer.invoke('review:flag', args),
+    accept:   (args) => ipcRenderer.invoke('review:accept', args),
+    override: (args) => ipcRenderer.invoke('review:override', args),
+    revert:   (args) => ipcRenderer.invoke('review:revert', args),
+    queue:    (args) => ipcRenderer.invoke('review:queue', args),
+    log:      (args) => ipcRenderer.invoke('review:log', args),
   },
 
   // Analysis module (Module 7)
@@ -160,6 +208,7 @@ contextBridge.exposeInMainWorld('api', {
     run:          (args) => ipcRenderer.invoke('analysis:run', args),
     getReport:    (args) => ipcRenderer.invoke('analysis:getReport', args),
     exportReport: (args) => ipcRenderer.invoke('analysis:exportReport', args),
+    stats:        (args) => ipcRenderer.invoke('analysis:stats', args),
   },
 
   // Recompose module (Module 8)
@@ -195,6 +244,7 @@ contextBridge.exposeInMainWorld('api', {
     query:            (args) => ipcRenderer.invoke('leaderboard:query', args),
     getTestSummaries: ()     => ipcRenderer.invoke('leaderboard:getTestSummaries'),
     export:           (args) => ipcRenderer.invoke('leaderboard:export', args),
+    modelDependence:  (args) => ipcRenderer.invoke('leaderboard:modelDependence', args),
   },
 
   /**
@@ -7,7 +7,13 @@
  * prompt, calls the CLI, parses the structured JSON output, and writes
  * analysis_report.json to the project directory.
  *
- * Exports: runAnalysis, getReport, exportReport
+ * computeStats compares every pair of ranked entries (skills, or skill-model
+ * pairs in matrix projects) on the cases both scored: win / tie / loss counts,
+ * sign test, Wilcoxon signed-rank and paired bootstrap, with Holm-adjusted
+ * p-values. The result goes into the prompt and the report as `statistics`,
+ * so a best skill is not declared on noise.
+ *
+ * Exports: runAnalysis, getReport, exportReport, getStats, computeStats
  */
 
 const path = require('path')
@@ -15,7 +21,11 @@ const { v4: uuidv4 } = require('uuid')
 const fileService      = require('./file-service')
 const workspaceService = require('./workspace-service')
 const cliService       = require('./cli-service')
+const testService      = require('./test-service')
 const logService       = require('./log-service')
+const usageService     = require('./usage-service')
+const rubricService    = require('./rubric-service')
+const statsService     = require('./stats-service')
 
 // ─── Analysis Prompt Template ───────────────────────────────────────────────
 
@@ -34,11 +44,17 @@ const ANALYSIS_PROMPT = `你是一位专业的代码生成 Prompt 工程师。
 【各维度得分明细】
 {dimension_scores_table}
 
+【分基线 / 分类别表现】
+{category_breakdown}
+
 【典型用例对比（得分差异最大的3条用例）】
 {top_diff_cases}
 
+【配对显著性检验（共同用例，Holm 校正）】
+{significance}
+
 【分析要求】
-1. 判断综合表现最优的 Skill（best_skill_id）
+1. 判断综合表现最优的 Skill（best_skill_id）；若与其他 Skill 的差异不显著，请在 issues 中说明结论的不确定性
 2. 识别每个评分维度的领先 Skill（dimension_leaders）
 3. 从 Skill 提示词中提取至少3个具体的优势片段（advantage_segments），
    每个片段需标注：所属 Skill、片段类型、原文内容、表现突出的维度及理由
@@ -53,12 +69,7 @@ const ANALYSIS_PROMPT = `你是一位专业的代码生成 Prompt 工程师。
   "best_skill_id": "skill的UUID",
   "best_skill_name": "Skill名称",
   "dimension_leaders": {
-    "functional_correctness": "skill的UUID",
-    "robustness": "skill的UUID",
-    "readability": "skill的UUID",
-    "conciseness": "skill的UUID",
-    "complexity_control": "skill的UUID",
-    "format_compliance": "skill的UUID"
+{dimension_leaders_format}
   },
   "advantage_segments": [
     {
@@ -96,29 +107,205 @@ function _getGlobalConfig() {
     || { cli_path: 'claude', default_model: 'claude-opus-4-6', default_timeout_seconds: 60 }
 }
 
-const DIMS = [
-  'functional_correctness', 'robustness', 'readability',
-  'conciseness', 'complexity_control', 'format_compliance',
-]
-const DIM_LABELS = {
-  functional_correctness: '功能正确性(30)',
-  robustness:             '健壮性(20)',
-  readability:            '可读性(15)',
-  conciseness:            '简洁性(15)',
-  complexity_control:     '复杂度控制(10)',
-  format_compliance:      '格式规范(10)',
+// ─── Paired statistics ──────────────────────────────────────────────────────
+
+const STAT_METHODS = ['wilcoxon', 'sign', 'bootstrap']
+
+/**
+ * Pairwise paired comparison of a project's entries on their shared cases.
+ *
+ * @param {string} projectPath
+ * @param {object} config — project config.json
+ * @param {object} [opts]
+ * @param {string} [opts.metric]     — 'total' (default) or a rubric dimension key
+ * @param {string} [opts.baselineId] — only cases of this baseline
+ * @param {string} [opts.method]     — test deciding `significant`: wilcoxon (default) | sign | bootstrap
+ * @param {number} [opts.alpha]      — level for the Holm-adjusted p-value, default 0.05
+ * @param {number} [opts.tieMargin]  — |difference| ≤ tieMargin counts as a tie, default 0
+ * @param {number} [opts.iterations] — bootstrap resamples, default 2000
+ * @returns {object} see schema.md §6.1 `statistics`
+ */
+function computeStats(projectPath, config, opts = {}) {
+  const rubric     = rubricService.projectRubric(config)
+  const metric     = opts.metric || 'total'
+  const method     = opts.method || 'wilcoxon'
+  const alpha      = opts.alpha != null ? Number(opts.alpha) : 0.05
+  const tieMargin  = opts.tieMargin != null ? Number(opts.tieMargin) : 0
+  const iterations = opts.iterations != null ? Number(opts.iterations) : 2000
+  if (metric !== 'total' && !rubricService.dimensionKeys(rubric).includes(metric)) {
+    throw { code: 'INVALID_PARAMS', message: `Unknown metric: ${metric} (total or a rubric dimension)` }
+  }
+  if (!STAT_METHODS.includes(method)) {
+    throw { code: 'INVALID_PARAMS', message: `Unknown method: ${method} (expected ${STAT_METHODS.join(' | ')})` }
+  }
+  if (!(alpha > 0 && alpha < 1)) throw { code: 'INVALID_PARAMS', message: 'alpha must be between 0 and 1' }
+  if (!(tieMargin >= 0)) throw { code: 'INVALID_PARAMS', message: 'tieMargin must be >= 0' }
+  if (!Number.isInteger(iterations) || iterations < 100 || iterations > 100000) {
+    throw { code: 'INVALID_PARAMS', message: 'iterations must be an integer from 100 to 100000' }
+  }
+
+  // One entry per skill, or per skill-model pair in matrix projects
+  const matrixProject = testService.projectModels(config).length > 1
+  const entries = []
+  for (const skillRef of (config.skills || [])) {
+    for (const { model, dir } of testService.resultDirs(projectPath, config, skillRef)) {
+      const scores = {}
+      for (const file of fileService.listFiles(dir)) {
+        if (!file.endsWith('.json')) continue
+        const rec = fileService.readJson(path.join(dir, file))
+        if (!rec || rec.status !== 'completed' || !rec.scores || typeof rec.scores[metric] !== 'number') continue
+        if (opts.baselineId && rec.baseline_id !== opts.baselineId) continue
+        scores[rec.case_id] = rec.scores[metric]
+      }
+      const values = Object.values(scores)
+      entries.push({
+        key:        matrixProject ? `${skillRef.ref_id}@${model}` : skillRef.ref_id,
+        skill_id:   skillRef.ref_id,
+        skill_name: skillRef.name,
+        model,
+        n_cases:    values.length,
+        mean:       values.length ? Math.round(statsService.mean(values) * 100) / 100 : null,
+        scores,
+      })
+    }
+  }
+  entries.sort((a, b) => (b.mean ?? -Infinity) - (a.mean ?? -Infinity))
+
+  const comparisons = []
+  for (let i = 0; i < entries.length; i++) {
+    for (let j = i + 1; j < entries.length; j++) {
+      const a = entries[i]
+      const b = entries[j]
+      const shared = Object.keys(a.scores).filter(c => c in b.scores).sort()
+      const diffs  = shared.map(c => a.scores[c] - b.scores[c])
+      const tested = diffs.map(d => (Math.abs(d) <= tieMargin ? 0 : d))
+      const sign   = statsService.signTest(tested)
+      const wil    = statsService.wilcoxonSignedRank(tested)
+      const boot   = statsService.pairedBootstrap(diffs, { iterations })
+      comparisons.push({
+        a:         a.key,
+        b:         b.key,
+        n_shared:  shared.length,
+        mean_diff: boot.mean_diff,
+        wins:      sign.wins,
+        ties:      sign.ties,
+        losses:    sign.losses,
+        sign_test: { p_value: sign.p_value },
+        wilcoxon:  { w_plus: wil.w_plus, w_minus: wil.w_minus, exact: wil.exact, p_value: wil.p_value },
+        bootstrap: { ci95: boot.ci95, p_value: boot.p_value },
+      })
+    }
+  }
+
+  // Holm over all pairs, separately per test; pairs without shared cases are not tested
+  const adjusted = {
+    sign:      statsService.holmAdjust(comparisons.map(c => (c.n_shared ? c.sign_test.p_value : null))),
+    wilcoxon:  statsService.holmAdjust(comparisons.map(c => (c.n_shared ? c.wilcoxon.p_value : null))),
+    bootstrap: statsService.holmAdjust(comparisons.map(c => (c.n_shared ? c.bootstrap.p_value : null))),
+  }
+  comparisons.forEach((c, k) => {
+    c.p_adjusted  = { sign: adjusted.sign[k], wilcoxon: adjusted.wilcoxon[k], bootstrap: adjusted.bootstrap[k] }
+    c.significant = c.p_adjusted[method] != null && c.p_adjusted[method] < alpha
+    c.winner      = c.significant && c.mean_diff !== 0 ? (c.mean_diff > 0 ? c.a : c.b) : null
+  })
+
+  // Row perspective: matrix[row][col] = row's wins / ties / losses against col
+  const matrix = Object.fromEntries(entries.map(e => [e.key, {}]))
+  for (const c of comparisons) {
+    const cell = { p_adjusted: c.p_adjusted[method], significant: c.significant, n_shared: c.n_shared }
+    matrix[c.a][c.b] = { wins: c.wins, ties: c.ties, losses: c.losses, ...cell }
+    matrix[c.b][c.a] = { wins: c.losses, ties: c.ties, losses: c.wins, ...cell }
+  }
+
+  const top = entries.find(e => e.n_cases > 0)
+  const leader = top
+    ? {
+        key: top.key,
+        // Separated only when the top entry beats every other scored entry significantly
+        separated: entries.filter(e => e !== top && e.n_cases > 0)
+          .every(e => comparisons.some(c => c.winner === top.key && (c.a === e.key || c.b === e.key))),
+      }
+    : null
+
+  return {
+    generated_at: new Date().toISOString(),
+    metric,
+    baseline_id:  opts.baselineId || null,
+    method,
+    correction:   'holm',
+    alpha,
+    tie_margin:   tieMargin,
+    iterations,
+    entries:      entries.map(({ scores, ...e }) => e),
+    comparisons,
+    matrix,
+    leader,
+  }
+}
+
+/** Prompt lines for the significance block: comparisons with the leader first, at most 20. */
+function _significanceText(statistics) {
+  if (!statistics || statistics.comparisons.length === 0) return '无可比较的 Skill'
+  const names = Object.fromEntries(statistics.entries.map(e =>
+    [e.key, e.key.includes('@') ? `${e.skill_name} @${e.model}` : e.skill_name]))
+  const leaderKey = statistics.leader && statistics.leader.key
+  const ordered = [...statistics.comparisons].sort((x, y) =>
+    Number(y.a === leaderKey || y.b === leaderKey) - Number(x.a === leaderKey || x.b === leaderKey))
+  const lines = ordered.slice(0, 20).map(c => {
+    const diff = c.mean_diff == null ? 'N/A' : (c.mean_diff > 0 ? `+${c.mean_diff}` : String(c.mean_diff))
+    const p = c.p_adjusted[statistics.method]
+    return `- ${names[c.a]} vs ${names[c.b]}：共同用例 ${c.n_shared} 条，均分差 ${diff}，` +
+      `胜/平/负 ${c.wins}/${c.ties}/${c.losses}，${statistics.method} 校正后 p=${p == null ? 'N/A' : p}` +
+      `，${c.significant ? '显著' : '不显著'}`
+  })
+  if (statistics.leader && !statistics.leader.separated) {
+    lines.push(`注意：${names[statistics.leader.key]} 未显著优于所有其他 Skill，领先可能来自随机波动。`)
+  }
+  return lines.join('\n')
+}
+
+/**
+ * Prompt lines for the breakdown block: per baseline, then per category, each
+ * pair's avg score and pass rate. Lets the model see that a skill leads on
+ * one category and falls behind on another.
+ */
+function _breakdownText(summary, pairName) {
+  const baselines = summary.baselines || []
+  const ranking = summary.ranking || []
+  if (baselines.length === 0 || !ranking.some(r => Array.isArray(r.baselines))) return '无分类数据'
+  const pct = v => v == null ? 'N/A' : `${Math.round(v * 100)}%`
+  const lines = [`（通过：总分 ≥ ${summary.pass_threshold}）`]
+  for (const b of baselines) {
+    lines.push(`基线 ${b.baseline_name || b.baseline_id}（${b.total_cases} 条）：`)
+    const levels = [['全部', x => x], ...Object.keys(b.categories || {}).map(cat =>
+      [`${cat}（${b.categories[cat]} 条）`, x => (x.categories || []).find(c => c.category === cat)])]
+    for (const [label, pick] of levels) {
+      const cells = ranking.map(r => {
+        const mine = (r.baselines || []).find(x => x.baseline_id === b.baseline_id)
+        const lv = mine && pick(mine)
+        return lv ? `${pairName(r)} ${lv.avg_score}（通过 ${pct(lv.pass_rate)}）` : `${pairName(r)} N/A`
+      })
+      lines.push(`  - ${label}：${cells.join('；')}`)
+    }
+  }
+  return lines.join('\n')
 }
 
 /**
  * Build the analysis prompt string from project test data.
+ * statistics defaults to computeStats with its default options.
  */
-function buildAnalysisPrompt(projectPath, config) {
+function buildAnalysisPrompt(projectPath, config, statistics = computeStats(projectPath, config)) {
   const summary = fileService.readJson(path.join(projectPath, 'results', 'summary.json'))
   if (!summary) throw { code: 'NO_RESULTS', message: 'Test summary not found. Run tests first.' }
 
-  const baselineName = (config.baselines && config.baselines[0]) ? config.baselines[0].name : 'unknown'
+  const rubric       = rubricService.projectRubric(config)
+  const baselineName = (config.baselines || []).map(b => b.name).join('、') || 'unknown'
   const totalCases   = summary.total_cases || 0
   const ranking      = summary.ranking || []
+  // Model-matrix projects rank skill-model pairs — label each pair with its model
+  const multiModel   = (summary.models || []).length > 1
+  const pairName     = r => multiModel ? `${r.skill_name} @${r.model}` : r.skill_name
 
   // Build iteration context block (only injected when original_skill_ids is set)
   const originalIds = new Set(config.original_skill_ids || [])
@@ -152,34 +339,39 @@ function buildAnalysisPrompt(projectPath, config) {
     const roleTag = originalIds.size > 0
       ? (originalIds.has(r.skill_id) ? '（原始）' : '（迭代候选）')
       : ''
-    return `- ${r.skill_name}${roleTag}（ID: ${r.skill_id}）：平均总分 ${r.avg_score}，` +
+    return `- ${pairName(r)}${roleTag}（ID: ${r.skill_id}）：平均总分 ${r.avg_score}，` +
+      (summary.weighted && r.weighted_avg_score != null ? `加权平均 ${r.weighted_avg_score}，` : '') +
       `完成 ${r.completed_cases}/${totalCases} 条` +
       (r.failed_cases > 0 ? `（${r.failed_cases}条失败）` : '')
   }).join('\n')
 
   // Dimension table
-  const header = `维度\t${ranking.map(r => r.skill_name).join('\t')}`
-  const rows = DIMS.map(dim => {
+  const header = `维度\t${ranking.map(pairName).join('\t')}`
+  const rows = rubric.dimensions.map(dim => {
     const vals = ranking.map(r =>
-      (r.score_breakdown && r.score_breakdown[dim] != null)
-        ? r.score_breakdown[dim].toFixed(1)
+      (r.score_breakdown && r.score_breakdown[dim.key] != null)
+        ? r.score_breakdown[dim.key].toFixed(1)
         : '0.0'
     )
-    return `${DIM_LABELS[dim]}\t${vals.join('\t')}`
+    return `${dim.label}(${dim.max})\t${vals.join('\t')}`
   })
   const dimTable = [header, ...rows].join('\n')
 
-  // Top diff cases (greatest score spread across skills)
+  // Top diff cases (greatest score spread across skills; a skill's score is its mean over models)
   const caseScores = {} // case_id → { skillId → total }
   for (const skillRef of (config.skills || [])) {
-    const skillDir = path.basename(skillRef.local_path)
-    const resultDir = path.join(projectPath, 'results', skillDir)
-    for (const file of fileService.listFiles(resultDir)) {
-      if (!file.endsWith('.json')) continue
-      const rec = fileService.readJson(path.join(resultDir, file))
-      if (!rec || !rec.scores) continue
-      if (!caseScores[rec.case_id]) caseScores[rec.case_id] = {}
-      caseScores[rec.case_id][skillRef.ref_id] = rec.scores.total
+    const totals = {} // case_id → [total per model]
+    for (const { dir: resultDir } of testService.resultDirs(projectPath, config, skillRef)) {
+      for (const file of fileService.listFiles(resultDir)) {
+        if (!file.endsWith('.json')) continue
+        const rec = fileService.readJson(path.join(resultDir, file))
+        if (!rec || !rec.scores) continue
+        ;(totals[rec.case_id] = totals[rec.case_id] || []).push(rec.scores.total)
+      }
+    }
+    for (const [caseId, vals] of Object.entries(totals)) {
+      if (!caseScores[caseId]) caseScores[caseId] = {}
+      caseScores[caseId][skillRef.ref_id] = Math.round(vals.reduce((a, b) => a + b, 0) / vals.length * 10) / 10
     }
   }
 
@@ -202,14 +394,19 @@ function buildAnalysisPrompt(projectPath, config) {
       }).join('\n\n')
     : '无足够数据对比'
 
+  const leadersFormat = rubric.dimensions.map(d => `    "${d.key}": "skill的UUID"`).join(',\n')
+
   return ANALYSIS_PROMPT
+    .replace('{dimension_leaders_format}', leadersFormat)
     .replace('{baseline_name}',          baselineName)
     .replace('{case_count}',             String(totalCases))
     .replace('{iteration_context}',      iterationContext)
     .replace('{skills_content}',         skillContents.join('\n\n---\n\n'))
     .replace('{skills_score_summary}',   scoreSummary)
     .replace('{dimension_scores_table}', dimTable)
+    .replace('{category_breakdown}',     _breakdownText(summary, pairName))
     .replace('{top_diff_cases}',         topDiffText)
+    .replace('{significance}',           _significanceText(statistics))
 }
 
 /**
@@ -217,13 +414,21 @@ function buildAnalysisPrompt(projectPath, config) {
  */
 async function _doRunAnalysis(projectId, projectPath, config, taskId, onComplete) {
   try {
-    const globalCfg = _getGlobalConfig()
-    const prompt    = buildAnalysisPrompt(projectPath, config)
+    const globalCfg  = _getGlobalConfig()
+    const statistics = computeStats(projectPath, config)
+    const prompt     = buildAnalysisPrompt(projectPath, config, statistics)
 
     const cliResult = await cliService.invokeCli(prompt, {
       model:     globalCfg.default_model || 'claude-opus-4-6',
       workingDir: path.join(projectPath, '.claude'),
       timeoutMs: 60000,
+      backend:   config && config.cli_config ? config.cli_config.backend : undefined,
+      priority:  'high',
+      projectId,
+      cachePolicy: config && config.cli_config ? config.cli_config.cache_policy : undefined,
+      jobLabel:  'analysis',
+      retry:     { maxRetries: config && config.cli_config ? config.cli_config.retry_count : undefined },
+      profile:   (config && config.cli_config && config.cli_config.analysis_profile) || undefined,
     })
 
     const parsed = cliService.parseStructuredOutput(cliResult.result || '')
@@ -236,10 +441,13 @@ async function _doRunAnalysis(projectId, projectPath, config, taskId, onComplete
       dimension_leaders:  parsed.dimension_leaders || {},
       advantage_segments: parsed.advantage_segments || [],
       issues:             parsed.issues || [],
+      statistics,
+      usage:              cliResult.usage || null,
     }
 
     fileService.writeJson(path.join(projectPath, 'analysis_report.json'), report)
-    logService.info('analysis-service', 'Analysis completed', { projectId })
+    usageService.recordUsage(projectPath, 'analysis', report.usage)
+    logService.info('analysis-service', 'Analysis completed', { projectId, usage: report.usage })
 
     if (onComplete) onComplete({ projectId, taskId, status: 'completed' })
   } catch (err) {
@@ -284,6 +492,20 @@ function getReport(projectId) {
   return report
 }
 
+/**
+ * Paired significance statistics for a project's current results
+ * (computed on demand, not stored). Options as for computeStats.
+ */
+function getStats(projectId, opts = {}) {
+  const found = _findProjectDir(projectId)
+  if (!found) throw { code: 'NOT_FOUND', message: `Project not found: ${projectId}` }
+
+  const config = fileService.readJson(path.join(found.fullPath, 'config.json'))
+  if (!config) throw { code: 'NOT_FOUND', message: 'Project config missing' }
+
+  return computeStats(found.fullPath, config, opts)
+}
+
 /**
  * Export the analysis report to a file (json or md).
  */
@@ -319,6 +541,17 @@ function _toMarkdown(report) {
   for (const issue of (report.issues || [])) {
     lines.push(`- **${issue.skill_name}** (${issue.dimension}): ${issue.description}`)
   }
+  const stats = report.statistics
+  if (stats && stats.comparisons.length > 0) {
+    const names = Object.fromEntries(stats.entries.map(e => [e.key, e.key.includes('@') ? `${e.skill_name} @${e.model}` : e.skill_name]))
+    lines.push(``, `## 配对显著性检验`, ``,
+      `指标 ${stats.metric}，${stats.method} 检验，Holm 校正，α=${stats.alpha}`, ``,
+      `| A | B | 共同用例 | 均分差 | 胜/平/负 | 校正后 p | 显著 |`,
+      `|---|---|---|---|---|---|---|`)
+    for (const c of stats.comparisons) {
+      lines.push(`| ${names[c.a]} | ${names[c.b]} | ${c.n_shared} | ${c.mean_diff ?? '—'} | ${c.wins}/${c.ties}/${c.losses} | ${c.p_adjusted[stats.method] ?? '—'} | ${c.significant ? '是' : '否'} |`)
+    }
+  }
   return lines.join('\n')
 }
 
@@ -326,5 +559,8 @@ module.exports = {
   runAnalysis,
   getReport,
   exportReport,
+  getStats,
+  computeStats,
+  STAT_METHODS,
   buildAnalysisPrompt,   // exported for testing
 }
@@ -0,0 +1,270 @@
+'use strict'
+
+/**
+ * assertion-service.js — Deterministic per-case checks evaluated locally.
+ *
+ * A baseline case may carry `assertions`, each checked against the model
+ * output before (and independently of) the LLM judge:
+ *
+ *   { type: 'contains',     value, case_sensitive? }
+ *   { type: 'not_contains', value, case_sensitive? }
+ *   { type: 'regex',        pattern, flags? }
+ *   { type: 'equals',       value, trim? }          exact match (trimmed by default)
+ *   { type: 'json',         schema? }               output (or its ```json block) parses; optional JSON Schema
+ *   { type: 'max_length',   value }                 characters
+ *   { type: 'code_block',   language? }             fenced block, optionally in the given language
+ *
+ * Every assertion may also set:
+ *   description — shown instead of the generated one
+ *   gate: true  — a failure zeroes the score; the judge is not called
+ *   cap: n      — a failure caps scores.total at n
+ *
+ * The JSON Schema support is a dependency-free subset: type, enum, const,
+ * properties, required, additionalProperties, items, min/max(Length|Items),
+ * minimum/maximum, exclusiveMinimum/exclusiveMaximum, pattern, anyOf / oneOf / allOf / not.
+ */
+
+const TYPES = ['contains', 'not_contains', 'regex', 'equals', 'json', 'max_length', 'code_block']
+
+const LANGUAGE_ALIASES = {
+  py: 'python', python3: 'python',
+  js: 'javascript', node: 'javascript', jsx: 'javascript',
+  ts: 'typescript', tsx: 'typescript',
+  sh: 'bash', shell: 'bash', zsh: 'bash',
+  yml: 'yaml',
+  'c++': 'cpp', cc: 'cpp',
+  golang: 'go',
+  rs: 'rust',
+}
+
+function _lang(name) {
+  const l = String(name || '').trim().toLowerCase()
+  return LANGUAGE_ALIASES[l] || l
+}
+
+// ─── Validation ─────────────────────────────────────────────────────────────
+
+/**
+ * Validate a case's assertions and return them normalized (unknown keys kept).
+ * Throws INVALID_PARAMS on the first malformed entry.
+ * @param {Array<object>} assertions
+ * @param {string} [caseId] — for error messages
+ */
+function validateAssertions(assertions, caseId = '') {
+  if (assertions == null) return []
+  const where = caseId ? `Case ${caseId}: ` : ''
+  if (!Array.isArray(assertions)) throw { code: 'INVALID_PARAMS', message: `${where}assertions must be an array` }
+
+  return assertions.map((a, i) => {
+    const bad = (msg) => { throw { code: 'INVALID_PARAMS', message: `${where}assertion #${i + 1}: ${msg}` } }
+    if (!a || typeof a !== 'object') bad('must be an object')
+    if (!TYPES.includes(a.type)) bad(`unknown type ${a.type} (expected ${TYPES.join(' | ')})`)
+
+    if (['contains', 'not_contains', 'equals'].includes(a.type) && typeof a.value !== 'string') bad('value must be a string')
+    if (a.type === 'regex') {
+      if (typeof a.pattern !== 'string') bad('pattern must be a string')
+      try { new RegExp(a.pattern, a.flags || '') } catch (e) { bad(`invalid regex: ${e.message}`) }
+    }
+    if (a.type === 'max_length' && !(Number.isFinite(a.value) && a.value >= 0)) bad('value must be a non-negative number')
+    if (a.type === 'json' && a.schema != null && (typeof a.schema !== 'object' || Array.isArray(a.schema))) bad('schema must be an object')
+    if (a.cap != null && !(Number.isFinite(a.cap) && a.cap >= 0)) bad('cap must be a non-negative number')
+    return { ...a }
+  })
+}
+
+// ─── JSON Schema subset ─────────────────────────────────────────────────────
+
+function _typeOf(v) {
+  if (v === null) return 'null'
+  if (Array.isArray(v)) return 'array'
+  return typeof v
+}
+
+function _matchesType(v, type) {
+  if (type === 'integer') return Number.isInteger(v)
+  if (type === 'number') return typeof v === 'number' && Number.isFinite(v)
+  return _typeOf(v) === type
+}
+
+/**
+ * Validate value against schema. Returns a list of "path: problem" strings.
+ */
+function validateSchema(value, schema, at = '$') {
+  if (schema === true || schema == null) return []
+  if (schema === false) return [`${at}: not allowed`]
+  const errors = []
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type]
+    if (!types.some(t => _matchesType(value, t))) {
+      return [`${at}: expected ${types.join(' | ')}, got ${_typeOf(value)}`]
+    }
+  }
+  if (schema.enum && !schema.enum.some(e => JSON.stringify(e) === JSON.stringify(value))) {
+    errors.push(`${at}: must be one of ${JSON.stringify(schema.enum)}`)
+  }
+  if ('const' in schema && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    errors.push(`${at}: must equal ${JSON.stringify(schema.const)}`)
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength != null && value.length < schema.minLength) errors.push(`${at}: shorter than ${schema.minLength}`)
+    if (schema.maxLength != null && value.length > schema.maxLength) errors.push(`${at}: longer than ${schema.maxLength}`)
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push(`${at}: does not match ${schema.pattern}`)
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum != null && value < schema.minimum) errors.push(`${at}: below minimum ${schema.minimum}`)
+    if (schema.maximum != null && value > schema.maximum) errors.push(`${at}: above maximum ${schema.maximum}`)
+    if (schema.exclusiveMinimum != null && value <= schema.exclusiveMinimum) errors.push(`${at}: must be > ${schema.exclusiveMinimum}`)
+    if (schema.exclusiveMaximum != null && value >= schema.exclusiveMaximum) errors.push(`${at}: must be < ${schema.exclusiveMaximum}`)
+  }
+  if (Array.isArray(value)) {
+    if (schema.minItems != null && value.length < schema.minItems) errors.push(`${at}: fewer than ${schema.minItems} items`)
+    if (schema.maxItems != null && value.length > schema.maxItems) errors.push(`${at}: more than ${schema.maxItems} items`)
+    if (schema.items) value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${at}[${i}]`)))
+  }
+  if (_typeOf(value) === 'object') {
+    for (const key of (schema.required || [])) {
+      if (!(key in value)) errors.push(`${at}: missing required property "${key}"`)
+    }
+    const props = schema.properties || {}
+    for (const [key, v] of Object.entries(value)) {
+      if (key in props) errors.push(...validateSchema(v, props[key], `${at}.${key}`))
+      else if (schema.additionalProperties === false) errors.push(`${at}: unexpected property "${key}"`)
+      else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        errors.push(...validateSchema(v, schema.additionalProperties, `${at}.${key}`))
+      }
+    }
+  }
+
+  if (schema.allOf) schema.allOf.forEach(s => errors.push(...validateSchema(value, s, at)))
+  if (schema.anyOf && !schema.anyOf.some(s => validateSchema(value, s, at).length === 0)) {
+    errors.push(`${at}: does not match any of anyOf`)
+  }
+  if (schema.oneOf && schema.oneOf.filter(s => validateSchema(value, s, at).length === 0).length !== 1) {
+    errors.push(`${at}: must match exactly one of oneOf`)
+  }
+  if (schema.not && validateSchema(value, schema.not, at).length === 0) errors.push(`${at}: must not match "not" schema`)
+  return errors
+}
+
+// ─── Evaluation ─────────────────────────────────────────────────────────────
+
+/** Parse the output as JSON, or the first ```json / ``` fenced block. */
+function _parseJson(output) {
+  try { return { ok: true, value: JSON.parse(output.trim()) } } catch (_) {}
+  const block = output.match(/```(?:json)?[^\n]*\n([\s\S]*?)```/i)
+  if (block) {
+    try { return { ok: true, value: JSON.parse(block[1].trim()) } } catch (_) {}
+  }
+  return { ok: false }
+}
+
+/** Info-string languages of every fenced code block in the output. */
+function _codeBlockLanguages(output) {
+  const langs = []
+  const re = /^\s*(```|~~~)\s*([^\s`]*)[^\n]*\n[\s\S]*?^\s*\1/gm
+  let m
+  while ((m = re.exec(output)) !== null) langs.push(_lang(m[2]))
+  return langs
+}
+
+function _describe(a) {
+  if (a.description) return a.description
+  switch (a.type) {
+    case 'contains':     return `contains "${a.value}"`
+    case 'not_contains': return `does not contain "${a.value}"`
+    case 'regex':        return `matches /${a.pattern}/${a.flags || ''}`
+    case 'equals':       return 'equals the expected text'
+    case 'json':         return a.schema ? 'is JSON matching the schema' : 'is valid JSON'
+    case 'max_length':   return `at most ${a.value} characters`
+    case 'code_block':   return a.language ? `has a ${a.language} code block` : 'has a code block'
+    default:             return a.type
+  }
+}
+
+function _check(a, output) {
+  const fold = (s) => a.case_sensitive ? s : s.toLowerCase()
+  switch (a.type) {
+    case 'contains':
+      return fold(output).includes(fold(a.value)) ? null : `"${a.value}" not found`
+    case 'not_contains':
+      return fold(output).includes(fold(a.value)) ? `"${a.value}" found` : null
+    case 'regex':
+      return new RegExp(a.pattern, a.flags || '').test(output) ? null : 'no match'
+    case 'equals': {
+      const trim = a.trim !== false
+      return (trim ? output.trim() === a.value.trim() : output === a.value) ? null : 'output differs'
+    }
+    case 'json': {
+      const parsed = _parseJson(output)
+      if (!parsed.ok) return 'output is not valid JSON'
+      if (!a.schema) return null
+      const errors = validateSchema(parsed.value, a.schema)
+      return errors.length ? errors.slice(0, 5).join('; ') : null
+    }
+    case 'max_length':
+      return output.length <= a.value ? null : `${output.length} characters`
+    case 'code_block': {
+      const langs = _codeBlockLanguages(output)
+      if (langs.length === 0) return 'no fenced code block'
+      if (a.language && !langs.includes(_lang(a.language))) {
+        return `no ${a.language} block (found: ${langs.map(l => l || 'untagged').join(', ')})`
+      }
+      return null
+    }
+    default:
+      return `unknown assertion type ${a.type}`
+  }
+}
+
+/**
+ * Evaluate assertions against an output.
+ * @returns {{ results: Array<{ index, type, description, passed, message, gate, cap }>,
+ *   passed: number, failed: number, total: number, gated: boolean, cap: number|null }}
+ *   cap is the lowest cap among failed assertions (0 when a gate failed), else null.
+ */
+function evaluate(assertions, output) {
+  const text = String(output || '')
+  const results = (assertions || []).map((a, index) => {
+    let message
+    try { message = _check(a, text) } catch (e) { message = `check error: ${e.message}` }
+    return {
+      index,
+      type:        a.type,
+      description: _describe(a),
+      passed:      message === null,
+      message:     message || '',
+      gate:        !!a.gate,
+      cap:         a.gate ? 0 : (a.cap != null ? a.cap : null),
+    }
+  })
+  const failed = results.filter(r => !r.passed)
+  const caps = failed.map(r => r.cap).filter(c => c != null)
+  return {
+    results,
+    passed: results.length - failed.length,
+    failed: failed.length,
+    total:  results.length,
+    gated:  failed.some(r => r.gate),
+    cap:    caps.length ? Math.min(...caps) : null,
+  }
+}
+
+/**
+ * Apply an evaluation's cap to judge scores. Returns new scores with
+ * `uncapped_total` when the total was lowered; scores without a total pass through.
+ */
+function applyCap(scores, evaluation) {
+  if (!scores || scores.total == null || !evaluation || evaluation.cap == null) return scores
+  if (scores.total <= evaluation.cap) return scores
+  return { ...scores, total: evaluation.cap, uncapped_total: scores.total }
+}
+
+module.exports = {
+  TYPES,
+  validateAssertions,
+  validateSchema,
+  evaluate,
+  applyCap,
+}
@@ -13,6 +13,11 @@ const versionService = require('./version-service')
 const tagService = require('./tag-service')
 const logService = require('./log-service')
 const cliLiteService = require('./cli-lite-service')
+const budgetService = require('./budget-service')
+const assertionService = require('./assertion-service')
+const sandboxService = require('./sandbox-service')
+const rubricService = require('./rubric-service')
+const conversationService = require('./conversation-service')
 
 // ─── Path helpers ─────────────────────────────────────────────────────────────
 
@@ -32,6 +37,48 @@ function findBaselineDir(baselineId) {
   return candidates[0] || null
 }
 
+/**
+ * Multi-turn fields of a case being imported or added (see
+ * conversation-service.js). With turns, `input` is the first turn.
+ */
+function _conversationFields(c, caseId) {
+  const scope = c.judge_scope != null
+    ? { judge_scope: conversationService.validateJudgeScope(c.judge_scope, caseId) }
+    : {}
+  if (c.turns == null) return scope
+  const turns = conversationService.validateTurns(c.turns, caseId)
+  return { input: turns[0], turns, ...scope }
+}
+
+function _positiveNumber(value, field, caseId) {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+    throw { code: 'INVALID_PARAMS', message: `${caseId ? `Case ${caseId}: ` : ''}${field} must be a positive number` }
+  }
+  return value
+}
+
+/** Optional scoring weight and execution timeout of a case. */
+function _weightFields(c, caseId) {
+  return {
+    ...(c.weight != null ? { weight: _positiveNumber(c.weight, 'weight', caseId) } : {}),
+    ...(c.timeout_seconds != null ? { timeout_seconds: _positiveNumber(c.timeout_seconds, 'timeout_seconds', caseId) } : {}),
+  }
+}
+
+/**
+ * Validate category weights ({ <category>: positive number }); null and {}
+ * clear them.
+ */
+function _validateCategoryWeights(weights) {
+  if (weights == null) return null
+  if (typeof weights !== 'object' || Array.isArray(weights)) {
+    throw { code: 'INVALID_PARAMS', message: 'category_weights must be an object' }
+  }
+  const entries = Object.entries(weights)
+  for (const [category, w] of entries) _positiveNumber(w, `category_weights.${category}`)
+  return entries.length ? { ...weights } : null
+}
+
 // ─── Core CRUD ────────────────────────────────────────────────────────────────
 
 /**
@@ -42,6 +89,8 @@ async function importBaseline({ importType, meta, cases: manualCases, filePath,
   if (!meta.name) throw { code: 'INVALID_PARAMS', message: 'name is required' }
   if (!meta.purpose) throw { code: 'INVALID_PARAMS', message: 'purpose is required' }
   if (!meta.provider) throw { code: 'INVALID_PARAMS', message: 'provider is required' }
+  if (meta.rubric_id) rubricService.getRubric(meta.rubric_id)
+  const categoryWeights = _validateCategoryWeights(meta.category_weights)
 
   const baselineId = uuidv4()
   const version = 'v1'
@@ -98,6 +147,10 @@ async function importBaseline({ importType, meta, cases: manualCases, filePath,
       input: c.input || '',
       expected_output: c.expected_output || '',
       description: c.description || '',
+      ...(c.assertions != null ? { assertions: assertionService.validateAssertions(c.assertions, caseId) } : {}),
+      ...(c.tests != null ? { tests: sandboxService.validateCaseTests(c.tests, caseId) } : {}),
+      ..._conversationFields(c, caseId),
+      ..._weightFields(c, caseId),
       created_at: c.created_at || now,
       updated_at: c.updated_at || now,
     })
@@ -123,6 +176,8 @@ async function importBaseline({ importType, meta, cases: manualCases, filePath,
     version,
     version_count: 1,
     case_count: cases.length,
+    rubric_id: meta.rubric_id || null,
+    ...(categoryWeights ? { category_weights: categoryWeights } : {}),
     status: 'active',
     created_at: now,
     updated_at: now,
@@ -194,6 +249,10 @@ function addCases(baselineId, currentVersion, newCases) {
       input: c.input || '',
       expected_output: c.expected_output || '',
       description: c.description || '',
+      ...(c.assertions != null ? { assertions: assertionService.validateAssertions(c.assertions, caseId) } : {}),
+      ...(c.tests != null ? { tests: sandboxService.validateCaseTests(c.tests, caseId) } : {}),
+      ..._conversationFields(c, caseId),
+      ..._weightFields(c, caseId),
       created_at: now,
       updated_at: now,
     }
@@ -238,6 +297,27 @@ function updateCase(baselineId, currentVersion, caseId, changes) {
   const caseItem = casesData.cases.find(c => c.id === caseId)
   if (!caseItem) throw { code: 'NOT_FOUND', message: `Case not found: ${caseId}` }
 
+  if (changes.assertions !== undefined) {
+    changes = { ...changes, assertions: assertionService.validateAssertions(changes.assertions, caseId) }
+  }
+  if (changes.tests !== undefined) {
+    changes = { ...changes, tests: sandboxService.validateCaseTests(changes.tests, caseId) }
+  }
+  if (changes.turns !== undefined) {
+    // null / [] turns the case back into a single prompt
+    const turns = changes.turns == null || (Array.isArray(changes.turns) && changes.turns.length === 0)
+      ? []
+      : conversationService.validateTurns(changes.turns, caseId)
+    changes = { ...changes, turns, ...(turns.length ? { input: turns[0] } : {}) }
+  }
+  for (const field of ['weight', 'timeout_seconds']) {
+    // null clears the value: the category weight / project timeout apply again
+    if (changes[field] != null) changes = { ...changes, ..._weightFields({ [field]: changes[field] }, caseId) }
+  }
+  if (changes.judge_scope !== undefined) {
+    changes = { ...changes, judge_scope: conversationService.validateJudgeScope(changes.judge_scope, caseId) }
+  }
+
   const now = new Date().toISOString()
   const changedFields = []
   const diff = {}
@@ -268,6 +348,66 @@ function updateCase(baselineId, currentVersion, caseId, changes) {
   return { newVersion }
 }
 
+/**
+ * Set the scoring rubric of a baseline (null → built-in code_quality).
+ * Does not create a version: cases are unchanged, and projects keep the
+ * rubric they were created with.
+ */
+function setRubric(baselineId, rubricId) {
+  const found = findBaselineDir(baselineId)
+  if (!found) throw { code: 'NOT_FOUND', message: `Baseline not found: ${baselineId}` }
+  if (rubricId) rubricService.getRubric(rubricId)
+
+  const metaPath = path.join(found.fullPath, 'meta.json')
+  const meta = fileService.readJson(metaPath)
+  meta.rubric_id = rubricId || null
+  meta.updated_at = new Date().toISOString()
+  fileService.writeJson(metaPath, meta)
+
+  logService.info('baseline-service', 'Rubric set', { baselineId, rubricId: meta.rubric_id })
+  return { rubricId: meta.rubric_id }
+}
+
+/**
+ * Set the per-category scoring weights of a baseline ({ boundary: 3, … };
+ * null or {} → every category weighs 1). Creates new version: the weights
+ * change how projects aggregate their scores.
+ */
+function setCategoryWeights(baselineId, currentVersion, weights) {
+  const found = findBaselineDir(baselineId)
+  if (!found) throw { code: 'NOT_FOUND', message: `Baseline not found: ${baselineId}` }
+
+  const metaPath = path.join(found.fullPath, 'meta.json')
+  const meta = fileService.readJson(metaPath)
+  if (meta.version !== currentVersion) {
+    throw { code: 'INVALID_PARAMS', message: `Version conflict: expected ${meta.version}, got ${currentVersion}` }
+  }
+  const next = _validateCategoryWeights(weights)
+  const before = meta.category_weights || null
+  if (JSON.stringify(before) === JSON.stringify(next)) return { newVersion: meta.version }
+
+  const now = new Date().toISOString()
+  const newVersion = versionService.incrementVersion(meta.version)
+  versionService.writeDiff(found.fullPath, meta.version, newVersion, ['category_weights'], {
+    category_weights: { before, after: next },
+  })
+
+  const casesPath = path.join(found.fullPath, 'cases.json')
+  const casesData = fileService.readJson(casesPath)
+  casesData.version = newVersion
+  fileService.writeJson(casesPath, casesData)
+
+  if (next) meta.category_weights = next
+  else delete meta.category_weights
+  meta.version = newVersion
+  meta.version_count = (meta.version_count || 1) + 1
+  meta.updated_at = now
+  fileService.writeJson(metaPath, meta)
+
+  logService.info('baseline-service', 'Category weights set', { baselineId, weights: next, newVersion })
+  return { newVersion }
+}
+
 /**
  * Delete a case. Creates new version.
  */
@@ -365,7 +505,7 @@ async function triggerAutoTag(baselineId, triggeredBy = 'user') {
     }
 
     logService.info('baseline-service', `Auto-tag ${status}`, { baselineId, taskId })
-    return { taskId, status, parsedTags, logRecord }
+    return { taskId, status, parsedTags, logRecord, usage: logRecord.usage }
   }
 
   return { taskId, runTag }
@@ -505,23 +645,45 @@ function getDiff(baselineId, fromVersion, toVersion) {
 
 /**
  * Batch auto-tag multiple baselines sequentially.
+ *
+ * Stops early when the global budget (cli/config.json `budget`) is reached:
+ * remaining items are reported as 'skipped' and stopReason is 'budget_exceeded'.
  */
 async function triggerAutoTagBatch(baselineIds) {
   const batchId = `batch_${Date.now()}`
   const results = []
+  const budget  = budgetService.createTracker(budgetService.globalLimits())
+  let budgetExceeded = null
+  budget.start()
 
   for (const baselineId of baselineIds) {
+    if (!budgetExceeded) budgetExceeded = budget.check()
+    if (budgetExceeded) {
+      results.push({ baselineId, taskId: null, status: 'skipped', error: 'budget_exceeded' })
+      continue
+    }
     try {
       const { taskId, runTag } = await triggerAutoTag(baselineId, 'batch')
       const result = await runTag()
+      budget.add(result.usage)
       results.push({ baselineId, taskId, ...result })
     } catch (err) {
+      // Calls made before the failure still count towards the budget
+      if (err && err.usage) budget.add(err.usage)
       results.push({ baselineId, taskId: null, status: 'failed', error: err.message || String(err) })
       logService.error('baseline-service', `Batch auto-tag failed for ${baselineId}`, { error: err })
     }
   }
 
-  return { batchId, results }
+  budget.stop()
+  if (budgetExceeded) {
+    logService.warn('baseline-service', 'Batch auto-tag stopped: budget exceeded', {
+      batchId, limit: budgetExceeded.limit, limitValue: budgetExceeded.limit_value, actual: budgetExceeded.actual,
+      skipped: results.filter(r => r.status === 'skipped').length,
+    })
+    return { batchId, results, stopReason: 'budget_exceeded', budget: budgetExceeded }
+  }
+  return { batchId, results, stopReason: null, budget: null }
 }
 
 /**
@@ -569,6 +731,8 @@ module.exports = {
   addCases,
   updateCase,
   deleteCase,
+  setCategoryWeights,
+  setRubric,
   addTag,
   removeTag,
   triggerAutoTag,
@@ -0,0 +1,148 @@
+'use strict'
+
+/**
+ * budget-service.js — Hard limits on model spend for long-running jobs.
+ *
+ * Limits (null / missing = unlimited):
+ *   max_calls         — number of model calls
+ *   max_tokens        — input + output tokens (cache tokens excluded)
+ *   max_cost_usd      — estimated cost reported by the backend
+ *   max_wall_seconds  — wall-clock time the job has spent running (pauses excluded)
+ *
+ * They are read field by field from the project config.json `budget` block,
+ * falling back to cli/config.json `budget`. Auto-tag batches are not tied to a
+ * project and use the global block only.
+ *
+ * Callers create one tracker per run (test run, iteration, auto-tag batch),
+ * feed it each call's normalized usage and call check() before starting more
+ * work. On the first exceeded limit the caller pauses through its own
+ * checkpoint logic and records stop_reason 'budget_exceeded'.
+ */
+
+const fileService = require('./file-service')
+const workspaceService = require('./workspace-service')
+const usageService = require('./usage-service')
+
+const LIMIT_FIELDS = ['max_calls', 'max_tokens', 'max_cost_usd', 'max_wall_seconds']
+
+const LIMIT_LABELS = {
+  max_calls:        '调用次数',
+  max_tokens:       'Token 数',
+  max_cost_usd:     '估算费用 (USD)',
+  max_wall_seconds: '运行时长 (秒)',
+}
+
+function _limitValue(v) {
+  const n = Number(v)
+  return v != null && v !== '' && Number.isFinite(n) && n > 0 ? n : null
+}
+
+/**
+ * Merge project and global budget blocks into effective limits.
+ * @param {object} [projectBudget] — project config.json `budget`
+ * @param {object} [globalBudget]  — cli/config.json `budget`
+ * @returns {{ max_calls, max_tokens, max_cost_usd, max_wall_seconds }} each a positive number or null
+ */
+function resolveLimits(projectBudget, globalBudget) {
+  const limits = {}
+  for (const f of LIMIT_FIELDS) {
+    const own = _limitValue(projectBudget && projectBudget[f])
+    limits[f] = own != null ? own : _limitValue(globalBudget && globalBudget[f])
+  }
+  return limits
+}
+
+function _globalBudget() {
+  const cfg = fileService.readJson(workspaceService.paths.cliConfig())
+  return (cfg && cfg.budget) || null
+}
+
+/**
+ * Effective limits for a project run (project config.json → cli/config.json).
+ */
+function limitsForProject(projectConfig) {
+  return resolveLimits(projectConfig && projectConfig.budget, _globalBudget())
+}
+
+/**
+ * Effective limits for work not tied to a project (auto-tag batches).
+ */
+function globalLimits() {
+  return resolveLimits(null, _globalBudget())
+}
+
+function hasLimits(limits) {
+  return LIMIT_FIELDS.some(f => limits && limits[f] != null)
+}
+
+/**
+ * Create a run tracker.
+ * Wall time only accumulates between start() and stop(), so a paused test run
+ * does not burn its time budget while waiting to be resumed.
+ */
+function createTracker(limits) {
+  let _limits = limits || resolveLimits()
+  let _used = usageService.emptyUsage()
+  let _elapsedMs = 0
+  let _segmentStart = null
+
+  function elapsedMs() {
+    return _elapsedMs + (_segmentStart != null ? Date.now() - _segmentStart : 0)
+  }
+
+  function _actual(field) {
+    switch (field) {
+      case 'max_calls':        return _used.calls
+      case 'max_tokens':       return _used.input_tokens + _used.output_tokens
+      case 'max_cost_usd':     return _used.cost_usd
+      case 'max_wall_seconds': return Math.round(elapsedMs() / 1000)
+      default:                 return 0
+    }
+  }
+
+  return {
+    /** Replace the limits (e.g. re-read from config on resume). */
+    setLimits(next) { _limits = next },
+    /** Add one call's normalized usage. */
+    add(usage) { usageService.addUsage(_used, usage) },
+    /** Replace the consumed usage wholesale (for callers that measure via usage.json). */
+    setUsed(usage) { _used = { ...usageService.emptyUsage(), ...usage } },
+    start() { if (_segmentStart == null) _segmentStart = Date.now() },
+    stop() {
+      if (_segmentStart != null) {
+        _elapsedMs += Date.now() - _segmentStart
+        _segmentStart = null
+      }
+    },
+    elapsedMs,
+
+    /**
+     * First limit that has been reached, or null.
+     * @returns {{ limit: string, limit_value: number, actual: number, message: string } | null}
+     */
+    check() {
+      for (const f of LIMIT_FIELDS) {
+        const max = _limits[f]
+        if (max == null) continue
+        const actual = _actual(f)
+        if (actual >= max) {
+          return { limit: f, limit_value: max, actual, message: `已达到预算上限：${LIMIT_LABELS[f]} ${actual} / ${max}` }
+        }
+      }
+      return null
+    },
+
+    snapshot() {
+      return { limits: { ..._limits }, used: { ..._used }, elapsed_seconds: Math.round(elapsedMs() / 1000) }
+    },
+  }
+}
+
+module.exports = {
+  LIMIT_FIELDS,
+  resolveLimits,
+  limitsForProject,
+  globalLimits,
+  hasLimits,
+  createTracker,
+}
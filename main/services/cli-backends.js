@@ -0,0 +1,240 @@
+'use strict'
+
+/**
+ * cli-backends.js — Model backend adapter registry.
+ *
+ * Every model call goes through cli-service.invokeCli, which resolves a backend
+ * by name and delegates to its adapter. All adapters share one contract:
+ *
+ *   invoke(prompt, options, backendCfg) → Promise<{ result, duration_ms, is_error, ...extra }>
+ *
+ * and reject with the same error codes as the Claude CLI path
+ * (CLI_TIMEOUT, RATE_LIMITED, CLI_NOT_AVAILABLE, CLI_EXECUTION_ERROR, CLI_OUTPUT_PARSE_ERROR),
+ * so callers never need to know which runner produced a result.
+ *
+ * options.signal (AbortSignal) is set by invokeCli; adapters stop work when it
+ * aborts and reject with signal.reason (CLI_CANCELLED).
+ *
+ * Built-in adapters registered here:
+ *   'openai-http' — OpenAI-compatible /chat/completions endpoint (llama.cpp, vLLM, ...)
+ *   'mock'        — deterministic canned responses, no network or process spawn
+ *
+ * The 'claude-cli' adapter is registered by cli-service.js (it owns the spawn logic).
+ */
+
+const crypto = require('crypto')
+const logService = require('./log-service')
+
+const DEFAULT_BACKEND = 'claude-cli'
+
+// Backend settings that never change an answer and must not leak into keys
+const UNKEYED_SETTINGS = ['api_key']
+
+const _adapters = new Map()
+
+// ─── Registry ───────────────────────────────────────────────────────────────
+
+/**
+ * Register (or replace) a backend adapter.
+ * @param {string} name
+ * @param {{ invoke: Function, description?: string, streaming?: boolean }} adapter
+ *   streaming — adapter forwards incremental output to options.onStream itself
+ */
+function registerBackend(name, adapter) {
+  if (!name || !adapter || typeof adapter.invoke !== 'function') {
+    throw { code: 'INVALID_PARAMS', message: 'Backend adapter must have a name and an invoke() function' }
+  }
+  _adapters.set(name, adapter)
+}
+
+/**
+ * Look up an adapter by name. Throws BACKEND_NOT_FOUND for unknown names.
+ */
+function getBackend(name) {
+  const adapter = _adapters.get(name || DEFAULT_BACKEND)
+  if (!adapter) throw { code: 'BACKEND_NOT_FOUND', message: `Unknown model backend: ${name}` }
+  return adapter
+}
+
+/**
+ * List registered backends for the settings UI.
+ * @returns {{ name: string, description: string }[]}
+ */
+function listBackends() {
+  return [..._adapters.entries()].map(([name, a]) => ({ name, description: a.description || '' }))
+}
+
+/**
+ * Pick the backend name for a call: explicit option → global config → default.
+ */
+function resolveBackendName(options, cfg) {
+  return (options && options.backend) || (cfg && cfg.backend) || DEFAULT_BACKEND
+}
+
+/**
+ * Hash of a backend's cli/config.json settings (endpoint, model map, sampling
+ * parameters, mock rules, …) for the response cache and cassette keys, so a
+ * changed endpoint or temperature does not serve answers recorded under the
+ * old one. The API key is left out. Returns null when the backend has no
+ * settings, which keeps keys of unconfigured backends unchanged.
+ */
+function configDigest(backendName, cfg) {
+  const settings = { ...(((cfg && cfg.backends) || {})[backendName] || {}) }
+  UNKEYED_SETTINGS.forEach(k => { delete settings[k] })
+  const keys = Object.keys(settings).sort()
+  if (keys.length === 0) return null
+  const material = JSON.stringify(keys.map(k => [k, settings[k]]))
+  return crypto.createHash('sha256').update(material).digest('hex').slice(0, 16)
+}
+
+// ─── openai-http adapter ────────────────────────────────────────────────────
+
+/**
+ * Call an OpenAI-compatible chat completions endpoint.
+ *
+ * backendCfg: { base_url, api_key?, model?, model_map?, temperature?, max_tokens? }
+ */
+async function _invokeOpenAiHttp(prompt, options, backendCfg = {}) {
+  const baseUrl = (backendCfg.base_url || 'http://127.0.0.1:8080/v1').replace(/\/+$/, '')
+  const modelMap = backendCfg.model_map || {}
+  const model = modelMap[options.model] || backendCfg.model || options.model
+
+  const messages = []
+  if (options.systemPrompt) messages.push({ role: 'system', content: options.systemPrompt })
+  messages.push({ role: 'user', content: prompt })
+
+  const body = { model, messages, stream: false }
+  if (backendCfg.temperature != null) body.temperature = backendCfg.temperature
+  if (backendCfg.max_tokens != null)  body.max_tokens  = backendCfg.max_tokens
+
+  const headers = { 'Content-Type': 'application/json' }
+  if (backendCfg.api_key) headers.Authorization = `Bearer ${backendCfg.api_key}`
+
+  const controller = new AbortController()
+  const timer = setTimeout(() => controller.abort(), options.timeoutMs)
+  const onCancel = () => controller.abort()
+  if (options.signal) options.signal.addEventListener('abort', onCancel, { once: true })
+  const startMs = Date.now()
+
+  logService.info('cli-backends', 'openai-http start', { baseUrl, model, promptLen: prompt.length })
+
+  let res
+  let text
+  try {
+    res = await fetch(`${baseUrl}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body),
+      signal: controller.signal,
+    })
+    text = await res.text()
+  } catch (err) {
+    if (err && err.name === 'AbortError' && options.signal && options.signal.aborted) throw options.signal.reason
+    if (err && err.name === 'AbortError') {
+      logService.warn('cli-backends', 'openai-http timeout', { baseUrl, model, timeoutMs: options.timeoutMs })
+      throw { code: 'CLI_TIMEOUT' }
+    }
+    const cause = (err && err.cause && err.cause.code) || (err && err.code)
+    if (cause === 'ECONNREFUSED' || cause === 'ENOTFOUND') {
+      logService.error('cli-backends', 'openai-http endpoint unreachable', { baseUrl, cause })
+      throw { code: 'CLI_NOT_AVAILABLE', message: `Endpoint unreachable: ${baseUrl}` }
+    }
+    logService.error('cli-backends', 'openai-http request error', { baseUrl, errMsg: err && err.message })
+    throw { code: 'CLI_EXECUTION_ERROR', message: (err && err.message) || String(err) }
+  } finally {
+    clearTimeout(timer)
+    if (options.signal) options.signal.removeEventListener('abort', onCancel)
+  }
+
+  if (res.status === 429) {
+    const retryAfter = res.headers && res.headers.get ? res.headers.get('retry-after') : null
+    const stderr = retryAfter ? `HTTP 429 rate limit; Retry-After: ${retryAfter}\n${text}` : `HTTP 429 rate limit\n${text}`
+    logService.warn('cli-backends', 'openai-http rate-limited', { baseUrl, model })
+    throw { code: 'RATE_LIMITED', stderr, exitCode: 429 }
+  }
+  if (!res.ok) {
+    logService.error('cli-backends', 'openai-http HTTP error', { baseUrl, status: res.status, body: text.slice(0, 300) })
+    throw { code: 'CLI_EXECUTION_ERROR', stderr: text, exitCode: res.status }
+  }
+
+  let parsed
+  try {
+    parsed = JSON.parse(text)
+  } catch (_) {
+    throw { code: 'CLI_OUTPUT_PARSE_ERROR', raw: text }
+  }
+
+  const choice = (parsed.choices || [])[0]
+  if (!choice || !choice.message) throw { code: 'CLI_OUTPUT_PARSE_ERROR', raw: text }
+
+  return {
+    type:        'result',
+    is_error:    false,
+    result:      choice.message.content || '',
+    duration_ms: Date.now() - startMs,
+    session_id:  parsed.id || null,
+    usage:       parsed.usage || null,
+  }
+}
+
+// ─── mock adapter ───────────────────────────────────────────────────────────
+
+/**
+ * Deterministic mock backend — same prompt always yields the same result.
+ *
+ * backendCfg: {
+ *   rules?: [{ match: string (regex, tested against system prompt + prompt), result: string, is_error?: boolean }],
+ *   default_result?: string,
+ *   latency_ms?: number,
+ * }
+ */
+async function _invokeMock(prompt, options, backendCfg = {}) {
+  const latency = backendCfg.latency_ms || 0
+  if (latency > 0) {
+    await new Promise((resolve, reject) => {
+      const signal = options.signal
+      const onAbort = () => { clearTimeout(timer); reject(signal.reason) }
+      const timer = setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort)
+        resolve()
+      }, latency)
+      if (signal) signal.addEventListener('abort', onAbort, { once: true })
+    })
+  }
+
+  const haystack = `${options.systemPrompt || ''}\n${prompt}`
+  const rule = (backendCfg.rules || []).find(r => {
+    try { return new RegExp(r.match).test(haystack) } catch (_) { return false }
+  })
+
+  const result = rule
+    ? rule.result
+    : (backendCfg.default_result != null ? backendCfg.default_result : `[mock:${options.model}] ${prompt.slice(0, 200)}`)
+
+  return {
+    type:        'result',
+    is_error:    !!(rule && rule.is_error),
+    result,
+    duration_ms: latency,
+    session_id:  null,
+  }
+}
+
+registerBackend('openai-http', {
+  description: 'OpenAI-compatible HTTP endpoint (llama.cpp / vLLM / ...)',
+  invoke: _invokeOpenAiHttp,
+})
+
+registerBackend('mock', {
+  description: 'Deterministic mock responses (no model calls)',
+  invoke: _invokeMock,
+})
+
+module.exports = {
+  DEFAULT_BACKEND,
+  registerBackend,
+  getBackend,
+  listBackends,
+  resolveBackendName,
+  configDigest,
+}
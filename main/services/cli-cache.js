@@ -0,0 +1,199 @@
+'use strict'
+
+/**
+ * cli-cache.js — Content-addressed cache for invokeCli results.
+ *
+ * Entries live in workspace/cli/cache/<sha256>.json. The key hashes everything
+ * that determines the model's answer: backend and its settings, model, system
+ * prompt, prompt and extra CLI flags. Working directory and timeouts are deliberately excluded so
+ * cloned projects and re-runs hit the same entries.
+ *
+ * Policies (per call, see resolvePolicy):
+ *   'off'        — bypass the cache entirely
+ *   'read-write' — serve hits; store successful results on miss
+ *   'read-only'  — serve hits; never write (replay an existing cache without growing it)
+ *
+ * Eviction: entries older than ttl_days count as misses and are deleted on
+ * lookup; after each write the least-recently-used entries (file mtime, bumped
+ * on every hit) are removed until the directory fits in max_size_mb.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const fileService = require('./file-service')
+const workspaceService = require('./workspace-service')
+const logService = require('./log-service')
+
+const POLICIES = ['off', 'read-write', 'read-only']
+const DEFAULTS = { policy: 'off', ttl_days: 30, max_size_mb: 200 }
+
+function _settings(cacheCfg) {
+  return { ...DEFAULTS, ...(cacheCfg || {}) }
+}
+
+function _entryPath(key) {
+  return path.join(workspaceService.paths.cliCache(), `${key}.json`)
+}
+
+/**
+ * Pick the effective policy: explicit per-call option → global cli/config.json cache.policy.
+ * Unknown values are treated as 'off'.
+ */
+function resolvePolicy(optionPolicy, cacheCfg) {
+  const policy = optionPolicy || _settings(cacheCfg).policy
+  return POLICIES.includes(policy) ? policy : 'off'
+}
+
+/**
+ * Hash the answer-determining inputs of a call. callOptions.contextDigest
+ * stands in for working-dir files the CLI reads (e.g. a natively installed
+ * skill), callOptions.backendDigest for the backend's settings
+ * (cliBackends.configDigest); each only enters the key when set, so other
+ * keys are unchanged.
+ * A non-zero callOptions.sampleIndex (repeated sampling) keys each sample separately,
+ * and a non-zero judgeIndex each member of a judge panel.
+ */
+function computeKey(prompt, callOptions, backendName) {
+  const material = JSON.stringify({
+    backend:      backendName,
+    model:        callOptions.model || null,
+    systemPrompt: callOptions.systemPrompt || null,
+    prompt,
+    extraFlags:   callOptions.extraFlags || [],
+    ...(callOptions.contextDigest ? { contextDigest: callOptions.contextDigest } : {}),
+    ...(callOptions.backendDigest ? { backendDigest: callOptions.backendDigest } : {}),
+    ...(callOptions.sampleIndex ? { sample: callOptions.sampleIndex } : {}),
+    ...(callOptions.judgeIndex ? { judge: callOptions.judgeIndex } : {}),
+  })
+  return crypto.createHash('sha256').update(material).digest('hex')
+}
+
+/**
+ * Return the cached response for key, or null on miss / expiry.
+ */
+function get(key, cacheCfg) {
+  const filePath = _entryPath(key)
+  let entry
+  try {
+    entry = fileService.readJson(filePath)
+  } catch (_) {
+    entry = null   // corrupt entry — treat as miss, overwritten on next write
+  }
+  if (!entry || !entry.response) return null
+
+  const ttlMs = _settings(cacheCfg).ttl_days * 24 * 3600 * 1000
+  if (ttlMs > 0 && Date.now() - new Date(entry.created_at).getTime() > ttlMs) {
+    try { fs.unlinkSync(filePath) } catch (_) {}
+    return null
+  }
+
+  // Bump mtime so size eviction is least-recently-used
+  const now = new Date()
+  try { fs.utimesSync(filePath, now, now) } catch (_) {}
+  return entry.response
+}
+
+/**
+ * Store a successful response, then enforce the size limit.
+ */
+function set(key, response, meta, cacheCfg) {
+  fileService.writeJson(_entryPath(key), {
+    key,
+    created_at:  new Date().toISOString(),
+    backend:     meta.backend,
+    model:       meta.model,
+    prompt_head: String(meta.prompt || '').slice(0, 200),
+    response,
+  })
+  _evictToSize(_settings(cacheCfg).max_size_mb)
+}
+
+function _listEntries() {
+  const dir = workspaceService.paths.cliCache()
+  return fileService.listFiles(dir)
+    .filter(f => f.endsWith('.json'))
+    .map(f => {
+      const filePath = path.join(dir, f)
+      try {
+        const st = fs.statSync(filePath)
+        return { key: f.slice(0, -5), filePath, size: st.size, mtimeMs: st.mtimeMs }
+      } catch (_) {
+        return null
+      }
+    })
+    .filter(Boolean)
+}
+
+function _evictToSize(maxSizeMb) {
+  const limit = maxSizeMb * 1024 * 1024
+  if (!(limit > 0)) return
+  const entries = _listEntries()
+  let total = entries.reduce((sum, e) => sum + e.size, 0)
+  if (total <= limit) return
+
+  entries.sort((a, b) => a.mtimeMs - b.mtimeMs)
+  let removed = 0
+  for (const e of entries) {
+    if (total <= limit) break
+    try { fs.unlinkSync(e.filePath) } catch (_) { continue }
+    total -= e.size
+    removed++
+  }
+  logService.info('cli-cache', 'evicted entries over size limit', { removed, maxSizeMb })
+}
+
+/**
+ * Summarise the cache for the inspector (cli:cache:inspect).
+ * @param {number} [limit=50] — number of most recently used entries to include
+ */
+function inspect(cacheCfg, limit = 50) {
+  const settings = _settings(cacheCfg)
+  const entries  = _listEntries().sort((a, b) => b.mtimeMs - a.mtimeMs)
+  const recent = entries.slice(0, limit).map(e => {
+    let entry = null
+    try { entry = fileService.readJson(e.filePath) } catch (_) {}
+    return {
+      key:          e.key,
+      size:         e.size,
+      lastUsedAt:   new Date(e.mtimeMs).toISOString(),
+      createdAt:    entry ? entry.created_at : null,
+      backend:      entry ? entry.backend : null,
+      model:        entry ? entry.model : null,
+      promptHead:   entry ? entry.prompt_head : '',
+    }
+  })
+  return {
+    policy:     resolvePolicy(null, cacheCfg),
+    ttlDays:    settings.ttl_days,
+    maxSizeMb:  settings.max_size_mb,
+    entryCount: entries.length,
+    totalBytes: entries.reduce((sum, e) => sum + e.size, 0),
+    recent,
+  }
+}
+
+/**
+ * Delete cache entries. With olderThanDays, only entries not used within that window.
+ * @returns {{ removed: number }}
+ */
+function clear({ olderThanDays } = {}) {
+  const cutoff = olderThanDays != null ? Date.now() - olderThanDays * 24 * 3600 * 1000 : Infinity
+  let removed = 0
+  for (const e of _listEntries()) {
+    if (e.mtimeMs >= cutoff) continue
+    try { fs.unlinkSync(e.filePath); removed++ } catch (_) {}
+  }
+  logService.info('cli-cache', 'cache cleared', { removed, olderThanDays })
+  return { removed }
+}
+
+module.exports = {
+  POLICIES,
+  resolvePolicy,
+  computeKey,
+  get,
+  set,
+  inspect,
+  clear,
+}
@@ -0,0 +1,257 @@
+'use strict'
+
+/**
+ * cli-cassette.js — Record / replay of model calls for offline, deterministic runs.
+ *
+ * Modes:
+ *   'off'    — normal operation (default)
+ *   'record' — every invokeCli / invokeCliResume call runs for real and its
+ *              prompt, arguments, model, working dir and response (or error)
+ *              are written to the cassette
+ *   'replay' — calls are served from the cassette; no backend is contacted and
+ *              a call with no recorded response fails with CASSETTE_MISS
+ *
+ * Selection (first match wins):
+ *   1. configure() — main/index.js passes `--cli-mode=<mode>` / `--cli-cassette=<name>`
+ *   2. env SKILL_MANAGER_CLI_MODE / SKILL_MANAGER_CLI_CASSETTE
+ *
+ * Cassettes live in workspace/cli/cassettes/<name>.json. Entries are matched on
+ * the same answer-determining inputs as the response cache (backend and its
+ * settings, model, system prompt, prompt, extra flags, context digest) plus
+ * call kind and resumed session id.
+ * Working dir is recorded but not matched, so cassettes replay on any machine.
+ * Identical calls are served in recorded order; a call made more often than
+ * it was recorded fails with CASSETTE_MISS, since the flow has diverged.
+ */
+
+const path = require('path')
+const crypto = require('crypto')
+const fileService = require('./file-service')
+const workspaceService = require('./workspace-service')
+const logService = require('./log-service')
+
+const MODES = ['off', 'record', 'replay']
+const ENV_MODE = 'SKILL_MANAGER_CLI_MODE'
+const ENV_CASSETTE = 'SKILL_MANAGER_CLI_CASSETTE'
+const DEFAULT_CASSETTE = 'default'
+const CASSETTE_VERSION = 1
+
+let _mode = null          // set by configure(); null → read env
+let _name = null
+let _cassette = null      // loaded cassette data (lazy)
+let _loadedPath = null
+const _cursor = new Map() // key → number of times served / recorded in this process
+
+// ─── Mode selection ─────────────────────────────────────────────────────────
+
+/**
+ * Select mode and cassette explicitly (launch arguments). Unknown modes throw.
+ * @param {{ mode?: 'off'|'record'|'replay', cassette?: string }} opts
+ */
+function configure({ mode, cassette } = {}) {
+  if (mode != null && !MODES.includes(mode)) {
+    throw { code: 'INVALID_PARAMS', message: `Unknown CLI mode: ${mode} (expected ${MODES.join(' | ')})` }
+  }
+  if (mode != null) _mode = mode
+  if (cassette != null) _name = cassette
+  _cassette = null
+  _loadedPath = null
+  _cursor.clear()
+}
+
+function getMode() {
+  const mode = _mode || process.env[ENV_MODE] || 'off'
+  return MODES.includes(mode) ? mode : 'off'
+}
+
+function getCassetteName() {
+  return _name || process.env[ENV_CASSETTE] || DEFAULT_CASSETTE
+}
+
+function cassettePath() {
+  const name = getCassetteName()
+  // Absolute / relative file paths are allowed; bare names resolve into the workspace
+  if (name.endsWith('.json') || name.includes('/') || name.includes('\\')) return path.resolve(name)
+  return path.join(workspaceService.paths.cliCassettes(), `${name}.json`)
+}
+
+// ─── Storage ────────────────────────────────────────────────────────────────
+
+function _load() {
+  const filePath = cassettePath()
+  if (_cassette && _loadedPath === filePath) return _cassette
+  _cassette = fileService.readJson(filePath) || {
+    version:     CASSETTE_VERSION,
+    created_at:  new Date().toISOString(),
+    updated_at:  null,
+    cli_version: null,
+    entries:     [],
+  }
+  _loadedPath = filePath
+  return _cassette
+}
+
+function _save() {
+  _cassette.updated_at = new Date().toISOString()
+  fileService.writeJson(_loadedPath, _cassette)
+}
+
+/**
+ * Hash the inputs a recorded response is matched on.
+ */
+function computeKey(kind, prompt, callOptions, backendName, sessionId) {
+  const material = JSON.stringify({
+    kind,
+    backend:      backendName,
+    model:        callOptions.model || null,
+    systemPrompt: callOptions.systemPrompt || null,
+    prompt,
+    extraFlags:   callOptions.extraFlags || [],
+    sessionId:    sessionId || null,
+    ...(callOptions.contextDigest ? { contextDigest: callOptions.contextDigest } : {}),
+    ...(callOptions.backendDigest ? { backendDigest: callOptions.backendDigest } : {}),
+  })
+  return crypto.createHash('sha256').update(material).digest('hex')
+}
+
+function _clone(value) {
+  return value == null ? value : JSON.parse(JSON.stringify(value))
+}
+
+// ─── Record / replay ────────────────────────────────────────────────────────
+
+/**
+ * Run a real call and record its outcome. Errors are recorded too (so failure
+ * paths replay) and rethrown unchanged.
+ *
+ * @param {'invoke'|'resume'} kind
+ * @param {() => Promise<object>} run — the real backend call
+ */
+async function recordCall(kind, prompt, callOptions, backendName, run, sessionId) {
+  let response = null
+  let error = null
+  try {
+    response = await run()
+    return response
+  } catch (err) {
+    error = err
+    throw err
+  } finally {
+    // A user cancellation says nothing about the call — leave the cassette untouched
+    if (!(error && error.code === 'CLI_CANCELLED')) _recordEntry(kind, prompt, callOptions, backendName, sessionId, response, error)
+  }
+}
+
+/** Store one outcome as the n-th recording of its key. */
+function _recordEntry(kind, prompt, callOptions, backendName, sessionId, response, error) {
+  const key = computeKey(kind, prompt, callOptions, backendName, sessionId)
+  const cassette = _load()
+  const occurrence = _cursor.get(key) || 0
+  _cursor.set(key, occurrence + 1)
+
+  const entry = {
+    key,
+    kind,
+    backend:     backendName,
+    model:       callOptions.model || null,
+    working_dir: callOptions.workingDir || null,
+    args: {
+      systemPrompt: callOptions.systemPrompt || null,
+      extraFlags:   callOptions.extraFlags || [],
+      timeoutMs:    callOptions.timeoutMs || null,
+      sessionId:    sessionId || null,
+    },
+    prompt,
+    response:    error ? null : _clone(response),
+    error:       error ? _clone(error instanceof Error ? { message: error.message } : error) : null,
+    recorded_at: new Date().toISOString(),
+  }
+
+  // Re-recording replaces the n-th occurrence of the same call instead of growing the cassette
+  const sameKey = cassette.entries.filter(e => e.key === key)
+  if (occurrence < sameKey.length) cassette.entries[cassette.entries.indexOf(sameKey[occurrence])] = entry
+  else cassette.entries.push(entry)
+
+  try {
+    _save()
+  } catch (saveErr) {
+    logService.error('cli-cassette', 'failed to write cassette', { path: _loadedPath, errMsg: saveErr.message })
+  }
+}
+
+/**
+ * Serve a call from the cassette. Resolves with the recorded response, rejects
+ * with the recorded error, or rejects with CASSETTE_MISS — also once every
+ * recording of the call has been served.
+ */
+async function replayCall(kind, prompt, callOptions, backendName, sessionId) {
+  const key = computeKey(kind, prompt, callOptions, backendName, sessionId)
+  const matches = _load().entries.filter(e => e.key === key)
+
+  if (matches.length === 0) {
+    const message = `Replay miss: no recorded ${kind} call in cassette "${getCassetteName()}" ` +
+      `(backend=${backendName}, model=${callOptions.model}, key=${key.slice(0, 12)}, prompt="${String(prompt).slice(0, 80)}")`
+    logService.error('cli-cassette', 'replay miss', {
+      cassette: cassettePath(), kind, backend: backendName, model: callOptions.model, key,
+      promptHead: String(prompt).slice(0, 200),
+    })
+    throw { code: 'CASSETTE_MISS', message }
+  }
+
+  const served = _cursor.get(key) || 0
+  if (served >= matches.length) {
+    // The flow makes this call more often than it did while recording
+    const message = `Replay miss: ${kind} call #${served + 1} in cassette "${getCassetteName()}" ` +
+      `was recorded only ${matches.length} time(s) (key=${key.slice(0, 12)}, prompt="${String(prompt).slice(0, 80)}")`
+    logService.error('cli-cassette', 'replay exhausted', {
+      cassette: cassettePath(), kind, backend: backendName, model: callOptions.model, key, recorded: matches.length,
+    })
+    throw { code: 'CASSETTE_MISS', message }
+  }
+  _cursor.set(key, served + 1)
+  const entry = matches[served]
+  if (entry.error) throw _clone(entry.error)
+  return _clone(entry.response)
+}
+
+/** Remember the CLI version in the cassette while recording. */
+function noteCliVersion(version) {
+  const cassette = _load()
+  if (cassette.cli_version === version) return
+  cassette.cli_version = version
+  try { _save() } catch (_) {}
+}
+
+/** CLI version stored in the cassette (replay mode reports this instead of spawning the CLI). */
+function getRecordedCliVersion() {
+  return _load().cli_version || 'replay'
+}
+
+/**
+ * Status for the settings UI / diagnostics.
+ */
+function getStatus() {
+  const mode = getMode()
+  return {
+    mode,
+    cassette:   getCassetteName(),
+    path:       cassettePath(),
+    entryCount: mode === 'off' ? null : _load().entries.length,
+  }
+}
+
+module.exports = {
+  MODES,
+  ENV_MODE,
+  ENV_CASSETTE,
+  configure,
+  getMode,
+  getCassetteName,
+  cassettePath,
+  computeKey,
+  recordCall,
+  replayCall,
+  noteCliVersion,
+  getRecordedCliVersion,
+  getStatus,
+}
@@ -0,0 +1,303 @@
+'use strict'
+
+/**
+ * cli-doctor.js — Environment diagnostics for the Claude CLI (cli:diagnose).
+ *
+ * checkAvailable() only runs `--version`; diagnose() walks through everything
+ * a model call depends on and reports each check with a suggested fix:
+ *
+ *   binary        — cli_path resolves to an executable (PATH / PATHEXT lookup)
+ *   version       — CLI version within the supported range
+ *   claudecode    — CLAUDECODE set in the app's environment (nested-session guard)
+ *   working_dirs  — workspace directories the CLI and services write to are writable
+ *   auth          — a trivial prompt succeeds (logged in / API key valid)
+ *   model         — the configured default_model is accepted
+ *   latency       — median wall time over a few pings with the default model
+ *
+ * The last three send real prompts; pass { live: false } for a quick offline
+ * report (used at startup when the CLI is unavailable). Live checks are skipped
+ * in record / replay mode so cassettes are not touched.
+ *
+ * Supported range: cli/config.json supported_cli_versions { min, max } over
+ * SUPPORTED_VERSIONS; max null means no upper bound.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const fileService = require('./file-service')
+const workspaceService = require('./workspace-service')
+const logService = require('./log-service')
+const cliService = require('./cli-service')
+const cliCassette = require('./cli-cassette')
+
+const SUPPORTED_VERSIONS = { min: '1.0.0', max: null }
+const PING_PROMPT = 'Respond with exactly one word: pong'
+const PING_TIMEOUT_MS = 60000
+const DEFAULT_PINGS = 3
+
+const AUTH_ERROR_RE = /not logged in|please run \/login|\/login|unauthori[sz]ed|\b401\b|invalid api key|authentication|oauth token|credit balance/i
+const MODEL_ERROR_RE = /model\b[\s\S]{0,80}(not found|not available|invalid|does not exist|unknown|not supported|\b404\b)|(invalid|unknown)\s+model/i
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+function _check(id, label, status, message, extra = {}) {
+  return { id, label, status, message, ...extra }
+}
+
+/**
+ * Resolve cli_path the way spawn would: paths are taken as-is, bare names are
+ * looked up on PATH (with PATHEXT extensions on Windows). Returns null when no
+ * executable file is found.
+ */
+function resolveBinary(cliPath) {
+  const isWin = process.platform === 'win32'
+  const exts = isWin ? ['', ...(process.env.PATHEXT || '.EXE;.CMD;.BAT;.COM').split(';').filter(Boolean)] : ['']
+  const candidates = (path.isAbsolute(cliPath) || /[\\/]/.test(cliPath))
+    ? exts.map(ext => path.resolve(cliPath + ext))
+    : (process.env.PATH || '').split(path.delimiter).filter(Boolean)
+        .flatMap(dir => exts.map(ext => path.join(dir, cliPath + ext)))
+
+  for (const file of candidates) {
+    try {
+      if (!fs.statSync(file).isFile()) continue
+      if (!isWin) fs.accessSync(file, fs.constants.X_OK)
+      return file
+    } catch (_) { /* not here */ }
+  }
+  return null
+}
+
+/** Compare dotted versions numerically: <0, 0 or >0. */
+function compareVersions(a, b) {
+  const pa = String(a).split('.').map(n => parseInt(n, 10) || 0)
+  const pb = String(b).split('.').map(n => parseInt(n, 10) || 0)
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const diff = (pa[i] || 0) - (pb[i] || 0)
+    if (diff !== 0) return diff
+  }
+  return 0
+}
+
+function _median(values) {
+  const sorted = [...values].sort((a, b) => a - b)
+  const mid = Math.floor(sorted.length / 2)
+  return sorted.length % 2 ? sorted[mid] : Math.round((sorted[mid - 1] + sorted[mid]) / 2)
+}
+
+function _errorText(err) {
+  if (!err) return ''
+  return [err.code, err.message, err.stderr, err.result].filter(Boolean).join(' ').slice(0, 500)
+}
+
+function _ping(model) {
+  return cliService.invokeCli(PING_PROMPT, {
+    model,
+    backend:     'claude-cli',
+    timeoutMs:   PING_TIMEOUT_MS,
+    cachePolicy: 'off',
+    priority:    'interactive',
+    jobLabel:    `cli doctor ping @${model}`,
+  })
+}
+
+// ─── Checks ─────────────────────────────────────────────────────────────────
+
+function _checkBinary(cliPath) {
+  const resolved = resolveBinary(cliPath)
+  if (resolved) return _check('binary', 'CLI binary', 'pass', `Found ${resolved}`, { detail: { cliPath, resolved } })
+  return _check('binary', 'CLI binary', 'fail', `"${cliPath}" was not found or is not executable`, {
+    detail: { cliPath, resolved: null },
+    fix:    'Install Claude Code (npm install -g @anthropic-ai/claude-code) or set cli_path in cli/config.json to the full path of the claude executable',
+  })
+}
+
+async function _checkVersion(cfg) {
+  const range = { ...SUPPORTED_VERSIONS, ...(cfg.supported_cli_versions || {}) }
+  const version = await cliService.getCliVersion()
+  const detail = { version, min: range.min, max: range.max }
+  if (version === 'unknown') {
+    return _check('version', 'CLI version', 'fail', '`--version` did not report a version', {
+      detail, fix: 'Run `claude --version` in a terminal; reinstall Claude Code if it fails',
+    })
+  }
+  if (range.min && compareVersions(version, range.min) < 0) {
+    return _check('version', 'CLI version', 'fail', `Version ${version} is older than the supported minimum ${range.min}`, {
+      detail, fix: 'Update Claude Code: npm install -g @anthropic-ai/claude-code@latest (or `claude update`)',
+    })
+  }
+  if (range.max && compareVersions(version, range.max) > 0) {
+    return _check('version', 'CLI version', 'warn', `Version ${version} is newer than the tested maximum ${range.max}`, {
+      detail, fix: 'Output formats may have changed; run a small test project, then raise supported_cli_versions.max',
+    })
+  }
+  return _check('version', 'CLI version', 'pass', `Version ${version}`, { detail })
+}
+
+function _checkClaudeCode() {
+  if (!process.env.CLAUDECODE) return _check('claudecode', 'CLAUDECODE environment', 'pass', 'Not set')
+  return _check('claudecode', 'CLAUDECODE environment', 'warn',
+    'CLAUDECODE is set: the app was started from inside a Claude Code session. Spawned calls strip it, but scripts and terminals started from here are refused as nested sessions', {
+      fix: 'Start the app from a normal terminal, or unset CLAUDECODE before running scripts/validate-cli.js',
+    })
+}
+
+function _checkWorkingDirs() {
+  const dirs = {
+    workspace:    workspaceService.paths.workspace(),
+    temp_session: workspaceService.paths.cliTempSession(),
+    projects:     workspaceService.paths.projects(),
+    cache:        workspaceService.paths.cliCache(),
+    logs:         workspaceService.paths.logs(),
+  }
+  const failed = []
+  for (const [name, dir] of Object.entries(dirs)) {
+    const probe = path.join(dir, `.doctor_${process.pid}_${Date.now()}`)
+    try {
+      fileService.ensureDir(dir)
+      fs.writeFileSync(probe, 'ok')
+      fs.unlinkSync(probe)
+    } catch (e) {
+      failed.push({ name, dir, error: e.code || e.message })
+    }
+  }
+  if (failed.length === 0) {
+    return _check('working_dirs', 'Working directories', 'pass', `${Object.keys(dirs).length} directories writable`, { detail: { dirs } })
+  }
+  return _check('working_dirs', 'Working directories', 'fail',
+    `Not writable: ${failed.map(f => `${f.name} (${f.error})`).join(', ')}`, {
+      detail: { dirs, failed },
+      fix:    `Check permissions / free space for ${failed[0].dir}, or start the app with --workspace=<writable path>`,
+    })
+}
+
+async function _checkAuth() {
+  try {
+    await _ping('haiku')
+    return _check('auth', 'Authentication', 'pass', 'A test prompt was answered')
+  } catch (err) {
+    const text = _errorText(err)
+    if (AUTH_ERROR_RE.test(text)) {
+      return _check('auth', 'Authentication', 'fail', 'The CLI is not authenticated', {
+        detail: { errCode: err && err.code, error: text },
+        fix:    'Run `claude` in a terminal and complete /login, or set ANTHROPIC_API_KEY for the app',
+      })
+    }
+    if (err && err.code === 'CLI_TIMEOUT') {
+      return _check('auth', 'Authentication', 'fail', `No answer within ${PING_TIMEOUT_MS / 1000}s`, {
+        detail: { errCode: err.code },
+        fix:    'Check network access / proxy settings (HTTPS_PROXY) and run `claude -p "hi"` in a terminal',
+      })
+    }
+    return _check('auth', 'Authentication', 'fail', `Test prompt failed: ${text || 'unknown error'}`, {
+      detail: { errCode: err && err.code, error: text },
+      fix:    'Run `claude -p "hi"` in a terminal to see the full error',
+    })
+  }
+}
+
+/** Model acceptance and latency share the same pings with the default model. */
+async function _checkModelAndLatency(model, pings) {
+  const durations = []
+  for (let i = 0; i < pings; i++) {
+    const started = Date.now()
+    try {
+      await _ping(model)
+      durations.push(Date.now() - started)
+    } catch (err) {
+      const text = _errorText(err)
+      const modelCheck = MODEL_ERROR_RE.test(text)
+        ? _check('model', 'Default model', 'fail', `Model "${model}" was rejected`, {
+            detail: { model, error: text },
+            fix:    'Set default_model in cli/config.json to a model your account can use (e.g. sonnet, opus)',
+          })
+        : _check('model', 'Default model', durations.length ? 'warn' : 'fail', `Call with "${model}" failed: ${text || 'unknown error'}`, {
+            detail: { model, error: text },
+            fix:    'Run `claude -p "hi" --model ' + model + '` in a terminal to see the full error',
+          })
+      const latencyCheck = durations.length
+        ? _check('latency', 'Latency', 'warn', `Median ${_median(durations)} ms over ${durations.length} of ${pings} pings`, { detail: { durations } })
+        : _check('latency', 'Latency', 'skip', 'No successful ping')
+      return [modelCheck, latencyCheck]
+    }
+  }
+  const median = _median(durations)
+  return [
+    _check('model', 'Default model', 'pass', `Model "${model}" accepted`, { detail: { model } }),
+    _check('latency', 'Latency', median > PING_TIMEOUT_MS / 2 ? 'warn' : 'pass', `Median ${median} ms over ${pings} pings`, {
+      detail: { durations, median_ms: median },
+      ...(median > PING_TIMEOUT_MS / 2 ? { fix: 'Calls are slow; raise timeout_seconds for projects or lower scheduler.max_concurrency' } : {}),
+    }),
+  ]
+}
+
+// ─── Report ─────────────────────────────────────────────────────────────────
+
+/**
+ * Run the diagnostics.
+ * @param {object} [opts]
+ * @param {boolean} [opts.live=true] — send test prompts (auth, model, latency)
+ * @param {number} [opts.pings=3]    — latency pings with the default model (1-10)
+ * @returns {Promise<{ ok: boolean, checked_at: string, platform: string, cli_mode: string,
+ *   checks: Array<{ id, label, status: 'pass'|'warn'|'fail'|'skip', message, detail?, fix? }>,
+ *   counts: { pass: number, warn: number, fail: number, skip: number } }>}
+ */
+async function diagnose({ live = true, pings = DEFAULT_PINGS } = {}) {
+  const cfg = cliService.getCliConfig()
+  const cliPath = cfg.cli_path || 'claude'
+  const model = cfg.default_model || 'claude-opus-4-6'
+  const pingCount = Math.min(10, Math.max(1, parseInt(pings, 10) || DEFAULT_PINGS))
+  const cliMode = cliCassette.getMode()
+  const checks = []
+
+  const binary = _checkBinary(cliPath)
+  checks.push(binary)
+  checks.push(binary.status === 'fail'
+    ? _check('version', 'CLI version', 'skip', 'CLI binary not found')
+    : await _checkVersion(cfg))
+  checks.push(_checkClaudeCode())
+  checks.push(_checkWorkingDirs())
+
+  const skipLive = (reason) => {
+    for (const [id, label] of [['auth', 'Authentication'], ['model', 'Default model'], ['latency', 'Latency']]) {
+      checks.push(_check(id, label, 'skip', reason))
+    }
+  }
+  if (!live) {
+    skipLive('Live checks not requested')
+  } else if (cliMode !== 'off') {
+    skipLive(`CLI ${cliMode} mode — live checks would touch the cassette`)
+  } else if (binary.status === 'fail') {
+    skipLive('CLI binary not found')
+  } else {
+    const auth = await _checkAuth()
+    checks.push(auth)
+    if (auth.status === 'fail') {
+      checks.push(_check('model', 'Default model', 'skip', 'Authentication failed'))
+      checks.push(_check('latency', 'Latency', 'skip', 'Authentication failed'))
+    } else {
+      checks.push(...await _checkModelAndLatency(model, pingCount))
+    }
+  }
+
+  const counts = { pass: 0, warn: 0, fail: 0, skip: 0 }
+  for (const c of checks) counts[c.status]++
+  const report = {
+    ok:         counts.fail === 0,
+    checked_at: new Date().toISOString(),
+    platform:   process.platform,
+    cli_mode:   cliMode,
+    checks,
+    counts,
+  }
+  logService.info('cli-doctor', 'diagnose finished', {
+    live, counts, failed: checks.filter(c => c.status === 'fail').map(c => c.id),
+  })
+  return report
+}
+
+module.exports = {
+  SUPPORTED_VERSIONS,
+  resolveBinary,
+  compareVersions,
+  diagnose,
+}
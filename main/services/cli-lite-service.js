@@ -72,6 +72,7 @@ ${skillContent}
   let parsedTags = []
   let errorMsg = null
   let durationMs = 0
+  let usage = null
 
   logService.info('cli-lite-service', 'autoTagSkill start', { skillId, triggeredBy, contentLen: skillContent.length })
 
@@ -80,8 +81,12 @@ ${skillContent}
       model: cfg.default_model,
       timeoutMs: 60000,
       workingDir: workspaceService.paths.cliTempSession(),
+      priority: 'interactive',
+      jobLabel: `auto-tag skill ${skillId}`,
+      retry: {},
     })
     rawOutput = result.result || ''
+    usage = result.usage || null
     durationMs = result.duration_ms || (Date.now() - startMs)
     const parsed = parseStructuredOutput(rawOutput)
     if (Array.isArray(parsed.tags)) {
@@ -96,6 +101,8 @@ ${skillContent}
     durationMs = Date.now() - startMs
     rawOutput = err.raw || err.stderr || err.message || String(err)
     errorMsg = err.code || String(err)
+    // Failed calls are still billed (retries, unparseable output)
+    usage = usage || err.usage || null
     logService.error('cli-lite-service', 'autoTagSkill failed', { skillId, errCode: err.code, errMsg: errorMsg, durationMs })
   }
 
@@ -113,6 +120,7 @@ ${skillContent}
     raw_output: rawOutput,
     parsed_tags: parsedTags.map(v => ({ value: v })),
     error: errorMsg,
+    usage,
   }
 
   return { logRecord, parsedTags, status }
@@ -154,6 +162,7 @@ ${casesSummary}
   let parsedTags = []
   let errorMsg = null
   let durationMs = 0
+  let usage = null
 
   logService.info('cli-lite-service', 'autoTagBaseline start', { baselineId, triggeredBy })
 
@@ -162,8 +171,12 @@ ${casesSummary}
       model: cfg.default_model,
       timeoutMs: 60000,
       workingDir: workspaceService.paths.cliTempSession(),
+      priority: 'interactive',
+      jobLabel: `auto-tag baseline ${baselineId}`,
+      retry: {},
     })
     rawOutput = result.result || ''
+    usage = result.usage || null
     durationMs = result.duration_ms || (Date.now() - startMs)
     const parsed = parseStructuredOutput(rawOutput)
     if (Array.isArray(parsed.tags)) {
@@ -178,6 +191,8 @@ ${casesSummary}
     durationMs = Date.now() - startMs
     rawOutput = err.raw || err.stderr || err.message || String(err)
     errorMsg = err.code || String(err)
+    // Failed calls are still billed (retries, unparseable output)
+    usage = usage || err.usage || null
     logService.error('cli-lite-service', 'autoTagBaseline failed', { baselineId, errCode: err.code, errMsg: errorMsg, durationMs })
   }
 
@@ -196,6 +211,7 @@ ${casesSummary}
     raw_output: rawOutput,
     parsed_tags: parsedTags.map(v => ({ value: v })),
     error: errorMsg,
+    usage,
   }
 
   return { logRecord, parsedTags, status }
@@ -253,21 +269,24 @@ ${taskDescription}
       model: useModel,
       timeoutMs: 60000,
       workingDir: workspaceService.paths.cliTempSession(),
+      priority: 'interactive',
+      jobLabel: 'generate baseline cases',
     })
   } catch (err) {
     const errCode   = (err && err.code)    || 'CLI_ERROR'
     const errMsg    = (err && err.message) || ''
     const errDetail = [errCode, errMsg].filter(Boolean).join(': ') || String(err)
     logService.error('cli-lite-service', 'generateBaselineCases CLI call failed', { errCode, errMsg, model: useModel })
-    throw { code: errCode, message: `generateBaselineCases: ${errDetail}` }
+    throw { code: errCode, message: `generateBaselineCases: ${errDetail}`, usage: (err && err.usage) || null }
   }
 
   const rawOutput = result.result || ''
-  const parsed = parseStructuredOutput(rawOutput)
+  let parsed = null
+  try { parsed = parseStructuredOutput(rawOutput) } catch (_) {}
 
-  if (!Array.isArray(parsed.cases)) {
+  if (!parsed || !Array.isArray(parsed.cases)) {
     logService.error('cli-lite-service', 'generateBaselineCases output parse failed', { rawHead: rawOutput.slice(0, 300) })
-    throw { code: 'OUTPUT_PARSE_FAILED', raw: rawOutput }
+    throw { code: 'OUTPUT_PARSE_FAILED', raw: rawOutput, usage: result.usage || null }
   }
 
   logService.info('cli-lite-service', 'generateBaselineCases completed', { caseCount: parsed.cases.length, model: useModel })
@@ -316,6 +335,8 @@ ${existingPurposes.map((p, i) => `${i + 1}. ${p}`).join('\n')}
       model: cfg.default_model,
       timeoutMs: 15000,
       workingDir: workspaceService.paths.cliTempSession(),
+      priority: 'interactive',
+      jobLabel: 'purpose merge suggestion',
     })
     const rawOutput = result.result || ''
     const durationMs = result.duration_ms || (Date.now() - startMs)
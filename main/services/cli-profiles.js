@@ -0,0 +1,113 @@
+'use strict'
+
+/**
+ * cli-profiles.js — Named invocation profiles for the Claude CLI.
+ *
+ * A profile fixes what a spawned CLI may do:
+ *   allowed_tools / disallowed_tools — tool names or patterns (e.g. "Bash(git:*)")
+ *   mcp_config        — MCP server config file; relative paths resolve against workspace/cli/
+ *   strict_mcp_config — only use servers from mcp_config, ignore user / project MCP settings
+ *   max_turns         — cap on agentic turns per call
+ *   permission_mode   — default | acceptEdits | plan | bypassPermissions
+ *   extra_args        — appended verbatim
+ *
+ * Profiles live in cli/config.json `profiles` (name → profile). A call picks
+ * one with invokeCli(prompt, { profile }); without one, `default_profile` is
+ * used, and with neither the CLI runs as before (all tools, permissions
+ * skipped). Per-call extraFlags (project cli_config.extra_flags) follow the
+ * profile's arguments.
+ *
+ * Only the claude-cli backend understands these arguments; other backends
+ * ignore them.
+ */
+
+const path = require('path')
+const workspaceService = require('./workspace-service')
+
+const PERMISSION_MODES = ['default', 'acceptEdits', 'plan', 'bypassPermissions']
+
+/**
+ * Look up a profile by name. Falls back to cfg.default_profile when name is
+ * empty; returns null when neither is set.
+ * @param {string} [name]
+ * @param {object} cfg — full CLI config
+ */
+function getProfile(name, cfg) {
+  const profileName = name || (cfg && cfg.default_profile) || null
+  if (!profileName) return null
+  const profile = ((cfg && cfg.profiles) || {})[profileName]
+  if (!profile) throw { code: 'PROFILE_NOT_FOUND', message: `Invocation profile not found: ${profileName}` }
+  if (profile.permission_mode && !PERMISSION_MODES.includes(profile.permission_mode)) {
+    throw {
+      code: 'INVALID_PARAMS',
+      message: `Profile ${profileName}: unknown permission_mode ${profile.permission_mode} (expected ${PERMISSION_MODES.join(' | ')})`,
+    }
+  }
+  return { name: profileName, ...profile }
+}
+
+function _list(value) {
+  if (Array.isArray(value)) return value.map(v => String(v).trim()).filter(Boolean)
+  return value ? String(value).split(',').map(v => v.trim()).filter(Boolean) : []
+}
+
+/**
+ * CLI arguments for a profile followed by per-call extra flags.
+ * bypassPermissions adds nothing: it is what the adapter does by default.
+ * @param {object|null} profile — from getProfile()
+ * @param {string[]} [extraFlags]
+ */
+function buildArgs(profile, extraFlags) {
+  const args = []
+  if (profile) {
+    if (profile.permission_mode && profile.permission_mode !== 'bypassPermissions') {
+      args.push('--permission-mode', profile.permission_mode)
+    }
+    const allowed    = _list(profile.allowed_tools)
+    const disallowed = _list(profile.disallowed_tools)
+    if (allowed.length)    args.push('--allowedTools', allowed.join(','))
+    if (disallowed.length) args.push('--disallowedTools', disallowed.join(','))
+    if (profile.mcp_config) {
+      args.push('--mcp-config', path.resolve(path.dirname(workspaceService.paths.cliConfig()), profile.mcp_config))
+      if (profile.strict_mcp_config) args.push('--strict-mcp-config')
+    }
+    if (profile.max_turns > 0) args.push('--max-turns', String(Math.floor(profile.max_turns)))
+    args.push(..._list(profile.extra_args))
+  }
+  args.push(...(extraFlags || []).map(String))
+  return args
+}
+
+/**
+ * Resolve options.profile / options.extraFlags into the final argument list.
+ * @returns {string[]}
+ */
+function resolveArgs(options, cfg) {
+  return buildArgs(getProfile(options && options.profile, cfg), options && options.extraFlags)
+}
+
+/**
+ * True when args already choose a permission mode (the adapter then does not
+ * add --dangerously-skip-permissions).
+ */
+function setsPermissionMode(args) {
+  return (args || []).some(a => a === '--permission-mode' || a === '--dangerously-skip-permissions')
+}
+
+/**
+ * Profiles for the settings UI / project form.
+ * @returns {{ profiles: Array<object>, defaultProfile: string|null }}
+ */
+function listProfiles(cfg) {
+  const profiles = Object.entries((cfg && cfg.profiles) || {}).map(([name, p]) => ({ name, ...p }))
+  return { profiles, defaultProfile: (cfg && cfg.default_profile) || null }
+}
+
+module.exports = {
+  PERMISSION_MODES,
+  getProfile,
+  buildArgs,
+  resolveArgs,
+  setsPermissionMode,
+  listProfiles,
+}
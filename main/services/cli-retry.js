@@ -0,0 +1,305 @@
+'use strict'
+
+/**
+ * cli-retry.js — Retry policy and circuit breaker for model calls.
+ *
+ * invokeCli(prompt, { retry: { maxRetries } }) runs each attempt through run()
+ * here. Between attempts it waits:
+ *   - the Retry-After hint found in the error's stderr / message, if any
+ *   - otherwise base_delay_ms × 2^attempt, capped at max_delay_ms, ± jitter
+ *   - RATE_LIMITED without a hint waits at least rate_limit_delay_ms
+ *
+ * Per-error-code rules decide whether a code is retried at all (e.g. a missing
+ * CLI binary never is) and may override max_retries / base_delay_ms per code.
+ *
+ * Circuit breaker (shared by every retrying call): after failure_threshold
+ * consecutive transport failures it opens and every retrying call waits —
+ * pausing all runs — until cooldown_seconds have passed. One probe call is then
+ * let through; success closes the circuit, failure re-opens it. State changes
+ * are emitted as cli-events 'status:change' (→ renderer cli:status:change).
+ *
+ * Settings: cli/config.json → retry, circuit_breaker (see DEFAULTS).
+ */
+
+const cliEvents = require('./cli-events')
+const logService = require('./log-service')
+
+const DEFAULTS = {
+  retry: {
+    base_delay_ms:       2000,
+    max_delay_ms:        60000,
+    jitter:              0.2,       // ± fraction of the computed delay
+    rate_limit_delay_ms: 30000,
+    rules: {
+      CLI_NOT_AVAILABLE: { retry: false },
+      BACKEND_NOT_FOUND: { retry: false },
+      CASSETTE_MISS:     { retry: false },
+      INVALID_PARAMS:    { retry: false },
+      PROFILE_NOT_FOUND: { retry: false },
+      CLI_CANCELLED:     { retry: false },
+      CLI_OUTPUT_PARSE_ERROR: { max_retries: 1 },
+    },
+  },
+  circuit_breaker: {
+    failure_threshold: 5,
+    cooldown_seconds:  60,
+  },
+}
+
+// Failures that say something about the backend's health (not about one prompt)
+const TRANSPORT_CODES = new Set(['CLI_NOT_AVAILABLE', 'CLI_TIMEOUT', 'RATE_LIMITED', 'CLI_EXECUTION_ERROR'])
+
+// ─── Policy ─────────────────────────────────────────────────────────────────
+
+/**
+ * Merge cli/config.json retry settings over DEFAULTS. Rules merge per code.
+ * @param {object} cfg — full CLI config
+ */
+function resolvePolicy(cfg) {
+  const user = (cfg && cfg.retry) || {}
+  return {
+    ...DEFAULTS.retry,
+    ...user,
+    max_retries: user.max_retries != null ? user.max_retries : (cfg && cfg.default_retry_count != null ? cfg.default_retry_count : 2),
+    rules: { ...DEFAULTS.retry.rules, ...(user.rules || {}) },
+  }
+}
+
+function _rule(policy, code) {
+  return (policy.rules && policy.rules[code]) || {}
+}
+
+/**
+ * Parse a Retry-After hint from an error (stderr, message or raw output).
+ * Understands "Retry-After: 12", "retry after 12 seconds", "retry in 500ms"
+ * and HTTP-date values. Returns milliseconds or null.
+ */
+function parseRetryAfter(err) {
+  const text = [err && err.stderr, err && err.message, err && err.raw].filter(Boolean).join('\n')
+  if (!text) return null
+
+  const header = text.match(/retry-after:\s*([^\r\n]+)/i)
+  if (header) {
+    const value = header[1].trim()
+    if (/^\d+(\.\d+)?$/.test(value)) return Math.round(parseFloat(value) * 1000)
+    const date = Date.parse(value)
+    if (!Number.isNaN(date)) return Math.max(0, date - Date.now())
+  }
+
+  const phrase = text.match(/retry(?:ing)?\s+(?:after|in)\s+(\d+(?:\.\d+)?)\s*(ms|milliseconds?|s|sec|seconds?)?\b/i)
+  if (phrase) {
+    const n = parseFloat(phrase[1])
+    return Math.round(/^m/i.test(phrase[2] || '') ? n : n * 1000)
+  }
+  return null
+}
+
+/**
+ * Delay before retry number `attempt` (0-based) for this error.
+ * @param {function} [random=Math.random] — injectable for tests
+ */
+function computeDelay(attempt, err, policy, random = Math.random) {
+  const code = err && err.code
+  const hint = parseRetryAfter(err)
+  if (hint != null) return hint
+
+  const rule = _rule(policy, code)
+  const base = rule.base_delay_ms != null ? rule.base_delay_ms : policy.base_delay_ms
+  let delay = Math.min(base * Math.pow(2, attempt), policy.max_delay_ms)
+  if (code === 'RATE_LIMITED') delay = Math.max(delay, policy.rate_limit_delay_ms)
+
+  const jitter = policy.jitter || 0
+  delay = delay * (1 - jitter + random() * 2 * jitter)
+  return Math.max(0, Math.round(delay))
+}
+
+function shouldRetry(err, attempt, maxRetries, policy) {
+  const rule = _rule(policy, err && err.code)
+  if (rule.retry === false) return false
+  const limit = rule.max_retries != null ? Math.min(rule.max_retries, maxRetries) : maxRetries
+  return attempt < limit
+}
+
+// ─── Circuit breaker ────────────────────────────────────────────────────────
+
+const _breaker = {
+  state:      'closed',   // 'closed' | 'open' | 'half_open'
+  failures:   0,
+  openedAt:   null,
+  cooldownMs: DEFAULTS.circuit_breaker.cooldown_seconds * 1000,
+  threshold:  DEFAULTS.circuit_breaker.failure_threshold,
+  probing:    false,
+}
+let _waiters = []
+let _cooldownTimer = null
+
+function configureBreaker(breakerCfg) {
+  const c = { ...DEFAULTS.circuit_breaker, ...(breakerCfg || {}) }
+  _breaker.threshold  = c.failure_threshold > 0 ? c.failure_threshold : 0   // 0 = disabled
+  _breaker.cooldownMs = Math.max(0, c.cooldown_seconds * 1000)
+}
+
+function _wake() {
+  const waiters = _waiters
+  _waiters = []
+  waiters.forEach(resolve => resolve())
+}
+
+function _setState(state) {
+  if (_breaker.state === state) return
+  _breaker.state = state
+  if (state === 'open') {
+    _breaker.openedAt = Date.now()
+    clearTimeout(_cooldownTimer)
+    _cooldownTimer = setTimeout(_wake, _breaker.cooldownMs)
+    if (_cooldownTimer.unref) _cooldownTimer.unref()
+    logService.warn('cli-retry', 'circuit opened — pausing model calls', {
+      failures: _breaker.failures, cooldownMs: _breaker.cooldownMs,
+    })
+    cliEvents.emit('status:change', {
+      available: false,
+      reason:    `连续 ${_breaker.failures} 次调用失败，已暂停所有运行，${Math.round(_breaker.cooldownMs / 1000)} 秒后重试`,
+      circuit:   getCircuitState(),
+    })
+  } else if (state === 'closed') {
+    clearTimeout(_cooldownTimer)
+    _breaker.openedAt = null
+    logService.info('cli-retry', 'circuit closed — model calls resumed')
+    cliEvents.emit('status:change', { available: true, circuit: getCircuitState() })
+    _wake()
+  }
+}
+
+/**
+ * Wait until a call may proceed. While open, callers wait for the cooldown;
+ * afterwards exactly one probe proceeds and the rest wait for its outcome.
+ * Resolves true for the probe call; rejects with signal.reason once aborted.
+ */
+async function _acquire(signal) {
+  for (;;) {
+    if (signal && signal.aborted) throw signal.reason
+    if (_breaker.state === 'closed') return false
+    if (_breaker.state === 'open' && Date.now() - _breaker.openedAt >= _breaker.cooldownMs) {
+      _breaker.state = 'half_open'
+    }
+    if (_breaker.state === 'half_open' && !_breaker.probing) {
+      _breaker.probing = true
+      return true
+    }
+    await new Promise((resolve, reject) => {
+      const onAbort = () => {
+        _waiters = _waiters.filter(w => w !== waiter)
+        reject(signal.reason)
+      }
+      const waiter = () => {
+        if (signal) signal.removeEventListener('abort', onAbort)
+        resolve()
+      }
+      _waiters.push(waiter)
+      if (signal) signal.addEventListener('abort', onAbort, { once: true })
+    })
+  }
+}
+
+function _onSuccess(probe) {
+  _breaker.failures = 0
+  if (probe) _breaker.probing = false
+  _setState('closed')
+}
+
+function _onFailure(err, probe) {
+  if (probe) _breaker.probing = false
+  if (!TRANSPORT_CODES.has(err && err.code)) {
+    if (probe) _wake()   // inconclusive probe — let the next waiter try
+    return
+  }
+  _breaker.failures++
+  // A failed probe re-opens immediately; calls already in flight when the
+  // circuit opened do not extend the cooldown.
+  if (probe || (_breaker.state === 'closed' && _breaker.threshold > 0 && _breaker.failures >= _breaker.threshold)) {
+    _setState('open')
+  }
+}
+
+function getCircuitState() {
+  return {
+    state:     _breaker.state,
+    failures:  _breaker.failures,
+    threshold: _breaker.threshold,
+    retryAt:   _breaker.state === 'open' ? new Date(_breaker.openedAt + _breaker.cooldownMs).toISOString() : null,
+  }
+}
+
+/** Close the circuit manually (e.g. after the user fixed their network). */
+function resetCircuit() {
+  _breaker.failures = 0
+  _breaker.probing = false
+  _setState('closed')
+  return getCircuitState()
+}
+
+// ─── Runner ─────────────────────────────────────────────────────────────────
+
+/**
+ * Run attempt() under the retry policy and circuit breaker.
+ *
+ * @param {() => Promise<any>} attempt
+ * @param {object} cfg — full CLI config (retry / circuit_breaker / default_retry_count)
+ * @param {object} [opts]
+ * @param {number} [opts.maxRetries]  — per-call override (e.g. project cli_config.retry_count)
+ * @param {string} [opts.label]       — for logs
+ * @param {boolean} [opts.noDelay]    — skip waiting (replay mode) and bypass the breaker
+ * @param {AbortSignal} [opts.signal] — stop retrying once aborted; rejects with signal.reason
+ */
+async function run(attempt, cfg, opts = {}) {
+  const policy = resolvePolicy(cfg)
+  const maxRetries = opts.maxRetries != null ? opts.maxRetries : policy.max_retries
+  if (!opts.noDelay) configureBreaker(cfg && cfg.circuit_breaker)
+
+  const signal = opts.signal
+  for (let n = 0; ; n++) {
+    if (signal && signal.aborted) throw signal.reason
+    const probe = opts.noDelay ? false : await _acquire(signal)
+    try {
+      const result = await attempt()
+      if (!opts.noDelay) _onSuccess(probe)
+      return result
+    } catch (err) {
+      if (!opts.noDelay) _onFailure(err, probe)
+      if (!shouldRetry(err, n, maxRetries, policy)) {
+        if (n > 0) {
+          logService.error('cli-retry', 'giving up after retries', { label: opts.label, attempts: n + 1, errCode: err && err.code })
+        }
+        throw err
+      }
+      const delay = opts.noDelay ? 0 : computeDelay(n, err, policy)
+      logService.warn('cli-retry', `retry ${n + 1}/${maxRetries} in ${delay}ms`, {
+        label: opts.label, errCode: err && err.code,
+      })
+      if (delay > 0) await _sleep(delay, signal)
+    }
+  }
+}
+
+/** setTimeout as a promise; an abort ends the wait early. */
+function _sleep(ms, signal) {
+  return new Promise(resolve => {
+    const onAbort = () => { clearTimeout(timer); resolve() }
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener('abort', onAbort)
+      resolve()
+    }, ms)
+    if (signal) signal.addEventListener('abort', onAbort, { once: true })
+  })
+}
+
+module.exports = {
+  DEFAULTS,
+  resolvePolicy,
+  parseRetryAfter,
+  computeDelay,
+  shouldRetry,
+  run,
+  getCircuitState,
+  resetCircuit,
+}
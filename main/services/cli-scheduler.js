@@ -0,0 +1,196 @@
+'use strict'
+
+/**
+ * cli-scheduler.js — Global job scheduler for model calls.
+ *
+ * Every invokeCli / invokeCliResume call is submitted here before its backend
+ * adapter runs, so the whole app shares one concurrency budget no matter how
+ * many projects, auto-tag batches or iteration rounds are active.
+ *
+ * Dispatch order:
+ *   1. priority class — lower rank first (interactive > high > normal > bulk)
+ *   2. fair share    — within a class, the project with the fewest running jobs
+ *                      goes next; ties go to the project served least recently
+ *   3. FIFO          — within a project, submission order
+ *
+ * Limits come from cli/config.json → scheduler.max_concurrency (default 3).
+ *
+ * A job submitted with meta.signal is dropped from the queue when the signal
+ * aborts before dispatch; its promise rejects with signal.reason.
+ */
+
+const logService = require('./log-service')
+
+const PRIORITIES = {
+  interactive: 0,   // user is waiting on the result (auto-tag, purpose suggestion)
+  high:        1,   // single-shot project actions (analysis, recompose)
+  normal:      2,
+  bulk:        3,   // comparative test executions and scoring
+}
+
+const DEFAULT_MAX_CONCURRENCY = 3
+const GLOBAL_KEY = '_global'   // fair-share bucket for calls without a projectId
+
+let _maxConcurrency = DEFAULT_MAX_CONCURRENCY
+let _nextId = 1
+const _queue   = []
+const _running = new Map()        // jobId → job
+const _lastServed = new Map()     // projectKey → timestamp of last dispatch
+const _stats = { completed: 0, failed: 0 }
+
+function _rank(priority) {
+  if (typeof priority === 'number') return priority
+  return PRIORITIES[priority] != null ? PRIORITIES[priority] : PRIORITIES.normal
+}
+
+function _runningCount(projectKey) {
+  let n = 0
+  for (const job of _running.values()) if (job.projectKey === projectKey) n++
+  return n
+}
+
+/**
+ * Pick the next job to run (see dispatch order above) and remove it from the queue.
+ */
+function _takeNext() {
+  const bestRank = Math.min(..._queue.map(j => j.rank))
+  let chosenIdx = -1
+  let chosenLoad = Infinity
+  let chosenServed = Infinity
+  const seen = new Set()
+
+  for (let i = 0; i < _queue.length; i++) {
+    const job = _queue[i]
+    if (job.rank !== bestRank || seen.has(job.projectKey)) continue
+    seen.add(job.projectKey)   // first job per project = its FIFO head
+    const load   = _runningCount(job.projectKey)
+    const served = _lastServed.get(job.projectKey) || 0
+    if (load < chosenLoad || (load === chosenLoad && served < chosenServed)) {
+      chosenIdx = i
+      chosenLoad = load
+      chosenServed = served
+    }
+  }
+  return _queue.splice(chosenIdx, 1)[0]
+}
+
+function _dispatch() {
+  while (_queue.length > 0 && _running.size < _maxConcurrency) {
+    const job = _takeNext()
+    // Dispatched: the running call handles the abort itself (and long-lived signals don't pile up listeners)
+    if (job.detach) job.detach()
+    job.startedAt = Date.now()
+    _running.set(job.id, job)
+    _lastServed.set(job.projectKey, job.startedAt)
+
+    const waitMs = job.startedAt - job.enqueuedAt
+    if (waitMs > 1000) {
+      logService.info('cli-scheduler', 'job dispatched after queue wait', {
+        jobId: job.id, label: job.label, priority: job.priority, projectId: job.projectId, waitMs,
+      })
+    }
+
+    Promise.resolve()
+      .then(job.run)
+      .then(
+        (value) => { _stats.completed++; _finish(job); job.resolve(value) },
+        (err)   => { _stats.failed++;    _finish(job); job.reject(err) },
+      )
+  }
+}
+
+function _finish(job) {
+  _running.delete(job.id)
+  _dispatch()
+}
+
+// ─── Public API ─────────────────────────────────────────────────────────────
+
+/**
+ * Apply scheduler settings from cli/config.json. Raising the limit dispatches
+ * waiting jobs immediately; lowering it lets running jobs drain.
+ * @param {{ max_concurrency?: number }} [schedulerCfg]
+ */
+function configure(schedulerCfg) {
+  const n = schedulerCfg && parseInt(schedulerCfg.max_concurrency, 10)
+  _maxConcurrency = n > 0 ? n : DEFAULT_MAX_CONCURRENCY
+  _dispatch()
+}
+
+/**
+ * Submit a job. Resolves/rejects with run()'s outcome once it has been
+ * dispatched and finished.
+ *
+ * @param {() => Promise<any>} run
+ * @param {object} [meta]
+ * @param {'interactive'|'high'|'normal'|'bulk'|number} [meta.priority='normal']
+ * @param {string} [meta.projectId] — fair-share bucket; omitted → shared global bucket
+ * @param {string} [meta.label]     — human-readable description for the queue view
+ * @param {AbortSignal} [meta.signal] — cancels the job while it is still queued
+ * @returns {Promise<any>}
+ */
+function schedule(run, meta = {}) {
+  return new Promise((resolve, reject) => {
+    const signal = meta.signal
+    if (signal && signal.aborted) { reject(signal.reason); return }
+
+    const job = {
+      id:         `job_${_nextId++}`,
+      label:      meta.label || 'cli call',
+      priority:   meta.priority || 'normal',
+      rank:       _rank(meta.priority),
+      projectId:  meta.projectId || null,
+      projectKey: meta.projectId || GLOBAL_KEY,
+      enqueuedAt: Date.now(),
+      startedAt:  null,
+      run,
+      resolve,
+      reject,
+      detach:     null,   // removes the abort listener once the job leaves the queue
+    }
+    _queue.push(job)
+
+    if (signal) {
+      const onAbort = () => {
+        const idx = _queue.indexOf(job)
+        if (idx === -1) return
+        _queue.splice(idx, 1)
+        logService.info('cli-scheduler', 'queued job cancelled', { jobId: job.id, label: job.label, projectId: job.projectId })
+        reject(signal.reason)
+      }
+      signal.addEventListener('abort', onAbort, { once: true })
+      job.detach = () => signal.removeEventListener('abort', onAbort)
+    }
+    _dispatch()
+  })
+}
+
+/**
+ * Snapshot of the scheduler for the queue view (cli:queue:get).
+ */
+function getSnapshot() {
+  const now = Date.now()
+  const view = (job) => ({
+    id:         job.id,
+    label:      job.label,
+    priority:   job.priority,
+    projectId:  job.projectId,
+    enqueuedAt: new Date(job.enqueuedAt).toISOString(),
+    startedAt:  job.startedAt ? new Date(job.startedAt).toISOString() : null,
+    waitMs:     (job.startedAt || now) - job.enqueuedAt,
+  })
+  return {
+    maxConcurrency: _maxConcurrency,
+    running:        [..._running.values()].map(view),
+    queued:         [..._queue].sort((a, b) => a.rank - b.rank).map(view),
+    stats:          { ..._stats },
+  }
+}
+
+module.exports = {
+  PRIORITIES,
+  DEFAULT_MAX_CONCURRENCY,
+  configure,
+  schedule,
+  getSnapshot,
+}
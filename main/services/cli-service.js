@@ -4,12 +4,20 @@
  * cli-service.js — Full CLI execution engine (Phase 2).
  *
  * Provides:
- *   invokeCli(prompt, options)          — single-shot print mode
+ *   invokeCli(prompt, options)          — single-shot call via the selected backend adapter
  *   invokeCliResume(prompt, sessionId, options) — resume existing session
- *   invokeWithRetry(prompt, options, maxRetries) — retry wrapper
+ *   invokeWithRetry(prompt, options, maxRetries) — invokeCli under the retry policy (cli-retry.js)
  *   checkAvailable()                    — detect CLI availability
  *   getCliVersion()                     — read version string
  *   parseStructuredOutput(rawResult)    — multi-strategy JSON extraction
+ *   createStreamJsonParser(onText)      — incremental stream-json event parser
+ *   getQueueSnapshot()                  — running/queued jobs from the global scheduler
+ *   inspectCache() / clearCache(opts)   — response cache inspector (workspace/cli/cache)
+ *   getCassetteStatus()                 — record/replay mode and cassette (see cli-cassette.js)
+ *   getCircuitState() / resetCircuit()  — circuit breaker shared by retrying calls
+ *   cancel({ projectId, jobId }) / cancelAll() — kill in-flight calls and drop queued ones
+ *   listProfiles()                      — invocation profiles (see cli-profiles.js)
+ *   getCliConfig()                      — cli/config.json with built-in fallbacks
  */
 
 const { spawn } = require('child_process')
@@ -17,6 +25,13 @@ const fileService = require('./file-service')
 const workspaceService = require('./workspace-service')
 const logService = require('./log-service')
 const cliEvents = require('./cli-events')
+const cliBackends = require('./cli-backends')
+const cliScheduler = require('./cli-scheduler')
+const cliCache = require('./cli-cache')
+const usageService = require('./usage-service')
+const cliCassette = require('./cli-cassette')
+const cliRetry = require('./cli-retry')
+const cliProfiles = require('./cli-profiles')
 
 // On Windows, npm-global CLIs are installed as .cmd files.
 // Node.js spawn without a shell does NOT resolve PATHEXT (.cmd, .bat), so
@@ -24,9 +39,16 @@ const cliEvents = require('./cli-events')
 // cmd.exe, exactly as if the user typed 'claude' at the prompt.
 const SPAWN_SHELL = process.platform === 'win32'
 
+// On POSIX each CLI child leads its own process group so cancellation can kill
+// the whole tree (the CLI spawns tool subprocesses of its own).
+const SPAWN_DETACHED = !SPAWN_SHELL
+
 // Last known CLI availability (for change-detection events)
 let _lastKnownAvailable = null
 
+// In-flight invokeCli / invokeCliResume calls: { controller, projectId, jobId, label }
+const _activeCalls = new Set()
+
 // ─── Config ────────────────────────────────────────────────────────────────
 
 function getCliConfig() {
@@ -39,16 +61,99 @@ function getCliConfig() {
   }
 }
 
+// ─── Cancellation ──────────────────────────────────────────────────────────
+
+function _trackCall(options, label) {
+  const call = {
+    controller: new AbortController(),
+    projectId:  options.projectId || null,
+    jobId:      options.jobId || null,
+    label,
+  }
+  _activeCalls.add(call)
+  return call
+}
+
+function _abort(call) {
+  if (call.controller.signal.aborted) return false
+  call.controller.abort({ code: 'CLI_CANCELLED', message: `Cancelled: ${call.label}` })
+  return true
+}
+
+/**
+ * Cancel every in-flight or queued call tagged with projectId and/or jobId
+ * (invokeCli options). Running CLI processes are killed with their process
+ * tree; the callers' promises reject with CLI_CANCELLED.
+ *
+ * @param {{ projectId?: string, jobId?: string }} filter
+ * @returns {{ cancelled: number }}
+ */
+function cancel({ projectId, jobId } = {}) {
+  if (!projectId && !jobId) throw { code: 'INVALID_PARAMS', message: 'cancel requires projectId or jobId' }
+  let cancelled = 0
+  for (const call of _activeCalls) {
+    if (projectId && call.projectId !== projectId) continue
+    if (jobId && call.jobId !== jobId) continue
+    if (_abort(call)) cancelled++
+  }
+  if (cancelled > 0) logService.info('cli-service', 'calls cancelled', { projectId, jobId, cancelled })
+  return { cancelled }
+}
+
+/** Cancel every in-flight and queued call (app quit). */
+function cancelAll() {
+  let cancelled = 0
+  for (const call of _activeCalls) if (_abort(call)) cancelled++
+  if (cancelled > 0) logService.info('cli-service', 'all calls cancelled', { cancelled })
+  return { cancelled }
+}
+
+/**
+ * Kill a spawned CLI and everything it started.
+ * Windows: taskkill /T (the shell:true spawn puts cmd.exe between us and claude).
+ * POSIX: signal the process group created by the detached spawn.
+ */
+function _killTree(proc) {
+  if (proc.pid && process.platform === 'win32') {
+    try {
+      spawn('taskkill', ['/pid', String(proc.pid), '/T', '/F']).on('error', (err) => {
+        // taskkill missing or not runnable: at least end the direct child
+        logService.warn('cli-service', 'taskkill failed', { pid: proc.pid, error: err.message })
+        try { proc.kill('SIGTERM') } catch (_) {}
+      })
+    } catch (_) {}
+    return
+  }
+  if (proc.pid && SPAWN_DETACHED) {
+    try { process.kill(-proc.pid, 'SIGTERM'); return } catch (_) {}
+  }
+  try { proc.kill('SIGTERM') } catch (_) {}
+}
+
+/**
+ * Kill proc's tree when signal aborts and hand signal.reason to onCancel.
+ * Returns a function that detaches the listener.
+ */
+function _bindCancel(signal, proc, onCancel) {
+  if (!signal) return () => {}
+  const onAbort = () => { _killTree(proc); onCancel(signal.reason) }
+  signal.addEventListener('abort', onAbort, { once: true })
+  return () => signal.removeEventListener('abort', onAbort)
+}
+
 // ─── Version / Availability ────────────────────────────────────────────────
 
 /**
  * Get CLI version string (e.g. "1.2.0"). Returns "unknown" on failure.
  */
 async function getCliVersion() {
+  const mode = cliCassette.getMode()
+  if (mode === 'replay') return cliCassette.getRecordedCliVersion()
+
   const cfg = getCliConfig()
   const cliPath = cfg.cli_path || 'claude'
 
-  return new Promise((resolve) => {
+  const version = await new Promise((resolve) => {
     const proc = spawn(cliPath, ['--version'], { shell: SPAWN_SHELL })
     let out = ''
     proc.stdout.on('data', d => { out += d })
@@ -59,6 +164,8 @@ async function getCliVersion() {
     })
     proc.on('error', () => resolve('unknown'))
   })
+  if (mode === 'record' && version !== 'unknown') cliCassette.noteCliVersion(version)
+  return version
 }
 
 /**
@@ -72,7 +179,7 @@ async function checkAvailable() {
       _lastKnownAvailable = available
       cliEvents.emit('status:change', { available, cliVersion: available ? version : undefined })
     }
-    return { available, cliVersion: available ? version : undefined }
+    return { available, cliVersion: available ? version : undefined, cliMode: cliCassette.getMode() }
   } catch (e) {
     if (_lastKnownAvailable !== false) {
       _lastKnownAvailable = false
@@ -107,38 +214,100 @@ function parseStructuredOutput(rawResult) {
   throw { code: 'OUTPUT_PARSE_FAILED', raw: rawResult }
 }
 
-// ─── Core invokeCli ────────────────────────────────────────────────────────
+/**
+ * Incremental parser for `--output-format stream-json` (newline-delimited JSON).
+ * Feed raw stdout chunks with push(); partial lines are buffered until complete.
+ *
+ * onText(text) receives incremental assistant text: token deltas when the CLI
+ * emits partial messages, otherwise whole assistant messages.
+ * finish() flushes the buffer and returns the final `type:'result'` event (or null).
+ */
+function createStreamJsonParser(onText) {
+  let buffer = ''
+  let resultEvent = null
+  let sawDelta = false
+
+  function handleLine(line) {
+    if (!line.trim()) return
+    let evt
+    try { evt = JSON.parse(line) } catch (_) { return }  // ignore non-JSON noise lines
+
+    if (evt.type === 'result') {
+      resultEvent = evt
+    } else if (evt.type === 'stream_event' && evt.event && evt.event.type === 'content_block_delta') {
+      const delta = evt.event.delta || {}
+      if (delta.type === 'text_delta' && delta.text) {
+        sawDelta = true
+        onText(delta.text)
+      }
+    } else if (evt.type === 'assistant' && !sawDelta && evt.message) {
+      const text = (evt.message.content || [])
+        .filter(c => c.type === 'text' && c.text)
+        .map(c => c.text)
+        .join('')
+      if (text) onText(text)
+    }
+  }
+
+  return {
+    push(chunk) {
+      buffer += chunk
+      let idx
+      while ((idx = buffer.indexOf('\n')) >= 0) {
+        handleLine(buffer.slice(0, idx))
+        buffer = buffer.slice(idx + 1)
+      }
+    },
+    finish() {
+      handleLine(buffer)
+      buffer = ''
+      return resultEvent
+    },
+  }
+}
+
+// ─── claude-cli backend ─────────────────────────────────────────────────────
 
 /**
- * Execute a single CLI call in print mode.
+ * Spawn the Claude CLI in print mode and parse its JSON result.
+ * Registered as the 'claude-cli' backend adapter; options.model and
+ * options.timeoutMs are already resolved by invokeCli.
  *
- * @param {string} prompt
- * @param {object} options
- * @param {string} [options.model]
- * @param {string} [options.systemPrompt]
- * @param {string} [options.workingDir]
- * @param {number} [options.timeoutMs]
- * @returns {Promise<CliResult>}
+ * When options.onStream is set, runs with `--output-format stream-json` and
+ * forwards assistant text as it arrives; the resolved value is the final
+ * `result` event, which has the same shape as the plain JSON output.
+ *
+ * options.extraFlags holds the resolved profile arguments (cli-profiles.js).
+ * Permissions are skipped unless they choose a permission mode themselves.
  */
-function invokeCli(prompt, options = {}) {
+function _invokeClaudeCli(prompt, options) {
   return new Promise((resolve, reject) => {
     const cfg = getCliConfig()
-    const model = options.model || cfg.default_model
-    const timeoutMs = options.timeoutMs || cfg.default_timeout_seconds * 1000
+    const model = options.model
+    const timeoutMs = options.timeoutMs
     const cliPath = cfg.cli_path || 'claude'
 
     // Note: prompt is sent via stdin, NOT as a positional arg.
     // This avoids the Windows CreateProcess command-line length limit (~32 KB)
     // and handles all special chars / newlines safely.
+    const streaming = typeof options.onStream === 'function'
+    const extraFlags = options.extraFlags || []
     const args = [
       '--print',
-      '--output-format', 'json',
+      '--output-format', streaming ? 'stream-json' : 'json',
       '--model', model,
-      '--dangerously-skip-permissions',  // required: non-TTY Electron spawn cannot respond to permission prompts
     ]
+    if (!cliProfiles.setsPermissionMode(extraFlags)) {
+      args.push('--dangerously-skip-permissions')  // required: non-TTY Electron spawn cannot respond to permission prompts
+    }
+    if (streaming) {
+      // stream-json requires --verbose in print mode; partial messages give token-level deltas
+      args.push('--verbose', '--include-partial-messages')
+    }
     if (options.systemPrompt) {
       args.push('--system-prompt', options.systemPrompt)
     }
+    args.push(...extraFlags)
 
     // Strip CLAUDECODE to allow spawning claude from within a Claude Code session
     // (Claude Code sets CLAUDECODE in its own env; child processes that inherit it
@@ -150,10 +319,12 @@ function invokeCli(prompt, options = {}) {
       cwd: options.workingDir || workspaceService.paths.cliTempSession(),
       env: spawnEnv,
       shell: SPAWN_SHELL,
+      detached: SPAWN_DETACHED,
     })
 
     logService.info('cli-service', 'invokeCli start', {
       model,
+      profileArgs: extraFlags.length > 0 ? extraFlags : undefined,
       promptLen: prompt.length,
       workingDir: options.workingDir || workspaceService.paths.cliTempSession(),
     })
@@ -172,6 +343,7 @@ function invokeCli(prompt, options = {}) {
       if (!settled) {
         settled = true
         clearTimeout(timer)
+        unbindCancel()
         fn()
       }
     }
@@ -179,10 +351,29 @@ function invokeCli(prompt, options = {}) {
     // Manual timeout — fires, kills process, then waits for close event
     const timer = setTimeout(() => {
       timedOut = true
-      try { proc.kill('SIGTERM') } catch (_) {}
+      _killTree(proc)
     }, timeoutMs)
 
-    proc.stdout.on('data', d => { stdout += d })
+    // Cancellation settles immediately; the killed process's close event is ignored
+    const unbindCancel = _bindCancel(options.signal, proc, reason => {
+      logService.info('cli-service', 'invokeCli cancelled', { model, pid: proc.pid })
+      settle(() => reject(reason))
+    })
+
+    const streamParser = streaming
+      ? createStreamJsonParser(text => {
+          try { options.onStream({ type: 'text', text }) } catch (_) {}  // listener errors must not break the call
+        })
+      : null
+
+    // Decode as UTF-8 across chunk boundaries: a multi-byte character split
+    // between two chunks would otherwise turn into replacement characters
+    proc.stdout.setEncoding('utf8')
+    proc.stderr.setEncoding('utf8')
+    proc.stdout.on('data', d => {
+      stdout += d
+      if (streamParser) streamParser.push(d)
+    })
     proc.stderr.on('data', d => { stderr += d })
 
     proc.on('close', (code) => {
@@ -202,15 +393,18 @@ function invokeCli(prompt, options = {}) {
           }
           return
         }
-        try {
-          const parsed = JSON.parse(stdout)
-          if (parsed.is_error) {
-            logService.error('cli-service', 'invokeCli model error', { model, result: String(parsed.result).slice(0, 200) })
-            reject({ code: 'CLI_MODEL_ERROR', message: parsed.result })
+        if (streamParser) {
+          const resultEvent = streamParser.finish()
+          if (resultEvent) {
+            resolve(resultEvent)
           } else {
-            logService.info('cli-service', 'invokeCli success', { model, duration_ms: parsed.duration_ms, resultLen: (parsed.result || '').length })
-            resolve(parsed)
+            logService.error('cli-service', 'invokeCli stream ended without result event', { model, rawLen: stdout.length, rawTail: stdout.slice(-200) })
+            reject({ code: 'CLI_OUTPUT_PARSE_ERROR', raw: stdout })
           }
+          return
+        }
+        try {
+          resolve(JSON.parse(stdout))
         } catch (_) {
           logService.error('cli-service', 'invokeCli output parse error', { model, rawLen: stdout.length, rawHead: stdout.slice(0, 200) })
           reject({ code: 'CLI_OUTPUT_PARSE_ERROR', raw: stdout })
@@ -236,6 +430,169 @@ function invokeCli(prompt, options = {}) {
   })
 }
 
+cliBackends.registerBackend('claude-cli', {
+  description: 'Claude Code CLI (claude --print)',
+  streaming:   true,
+  invoke:      _invokeClaudeCli,
+})
+
+// ─── Core invokeCli ────────────────────────────────────────────────────────
+
+/**
+ * Execute a single model call through the selected backend adapter.
+ * Backend resolution: options.backend → cli/config.json `backend` → 'claude-cli'.
+ * Every backend resolves to the same { result, duration_ms, is_error } shape;
+ * an is_error result is rejected here as CLI_MODEL_ERROR.
+ *
+ * The returned `usage` is normalized by usage-service (input/output/cache tokens
+ * and cost_usd) regardless of backend.
+ *
+ * Cache hits (cli-cache.js) return immediately without a model call and carry
+ * `from_cache: true` with zero usage. Misses are queued on the global scheduler (cli-scheduler.js)
+ * and only run once a concurrency slot is free.
+ *
+ * With options.retry, each attempt (queue slot + backend call) runs under the
+ * retry policy and circuit breaker in cli-retry.js. Without it a failure is
+ * returned to the caller as-is. usage.calls counts the backend attempts; a
+ * failed call rejects with err.usage = { calls: attempts } so budgets see it.
+ *
+ * Calls are tracked by projectId / jobId until they settle; cancel() aborts
+ * them (queued, waiting to retry or running) with CLI_CANCELLED.
+ *
+ * options.profile names an invocation profile from cli/config.json (tools,
+ * MCP config, max turns, permission mode); its arguments plus
+ * options.extraFlags become callOptions.extraFlags, which are part of the
+ * cache and cassette keys (as are the backend's settings, minus the API
+ * key). An unknown profile rejects with PROFILE_NOT_FOUND.
+ *
+ * @param {string} prompt
+ * @param {object} options
+ * @param {string} [options.model]
+ * @param {string} [options.systemPrompt]
+ * @param {string} [options.workingDir]
+ * @param {number} [options.timeoutMs]
+ * @param {string} [options.backend]   — registered backend name (see cli-backends.js)
+ * @param {Function} [options.onStream] — receives { type: 'text', text } as output arrives.
+ *   Backends without native streaming deliver the whole result as one event.
+ * @param {string} [options.priority]  — scheduler class: interactive | high | normal | bulk
+ * @param {string} [options.projectId] — fair-share bucket for the scheduler; also a cancel() key
+ * @param {string} [options.jobId]     — caller-defined cancel() key (e.g. an iteration id)
+ * @param {string} [options.jobLabel]  — description shown in the queue view
+ * @param {string} [options.cachePolicy] — off | read-write | read-only; default cli/config.json cache.policy
+ * @param {object} [options.retry]     — enable retries; { maxRetries } overrides cli/config.json retry.max_retries
+ * @param {string} [options.profile]   — invocation profile name; default cli/config.json default_profile
+ * @param {string[]} [options.extraFlags] — extra CLI arguments after the profile's
+ * @param {string} [options.contextDigest] — hash of working-dir files the answer depends on
+ *   (e.g. a skill installed under .claude/skills/); part of the cache and cassette keys
+ * @param {number} [options.sampleIndex] — repeated-sampling index; non-zero values get their
+ *   own response-cache entry (cassettes already keep repeated calls apart by occurrence)
+ * @param {number} [options.judgeIndex] — judge-panel member; non-zero values get their own
+ *   response-cache entry, so a model listed twice is really asked twice
+ * @returns {Promise<CliResult>}
+ */
+async function invokeCli(prompt, options = {}) {
+  const cfg = getCliConfig()
+  const backendName = cliBackends.resolveBackendName(options, cfg)
+  const adapter = cliBackends.getBackend(backendName)
+  const callOptions = {
+    ...options,
+    model:      options.model || cfg.default_model,
+    timeoutMs:  options.timeoutMs || cfg.default_timeout_seconds * 1000,
+    extraFlags: cliProfiles.resolveArgs(options, cfg),
+    backendDigest: cliBackends.configDigest(backendName, cfg),
+  }
+
+  // Record/replay bypasses the response cache: the cassette must see (or serve) every call
+  const cassetteMode = cliCassette.getMode()
+  const cachePolicy = cassetteMode === 'off' ? cliCache.resolvePolicy(options.cachePolicy, cfg.cache) : 'off'
+  const cacheKey = cachePolicy !== 'off' ? cliCache.computeKey(prompt, callOptions, backendName) : null
+  if (cacheKey) {
+    const hit = cliCache.get(cacheKey, cfg.cache)
+    if (hit) {
+      logService.info('cli-service', 'invokeCli cache hit', { backend: backendName, model: callOptions.model, key: cacheKey.slice(0, 12) })
+      if (options.onStream && hit.result) {
+        try { options.onStream({ type: 'text', text: hit.result }) } catch (_) {}
+      }
+      return { ...hit, usage: { ...usageService.emptyUsage() }, from_cache: true }
+    }
+  }
+
+  const label = options.jobLabel || `${backendName}:${callOptions.model}`
+  const streamedLive = adapter.streaming && cassetteMode !== 'replay'
+  const call = _trackCall(options, label)
+  const signal = call.controller.signal
+  callOptions.signal = signal
+
+  let attempts = 0
+  async function attempt() {
+    let result
+    if (cassetteMode === 'replay') {
+      attempts++
+      result = await cliCassette.replayCall('invoke', prompt, callOptions, backendName)
+    } else {
+      const runAdapter = () => {
+        if (signal.aborted) return Promise.reject(signal.reason)
+        attempts++
+        return adapter.invoke(prompt, callOptions, (cfg.backends || {})[backendName] || {})
+      }
+      cliScheduler.configure(cfg.scheduler)
+      result = await cliScheduler.schedule(
+        cassetteMode === 'record'
+          ? () => cliCassette.recordCall('invoke', prompt, callOptions, backendName, runAdapter)
+          : runAdapter,
+        { priority: options.priority, projectId: options.projectId, label, signal },
+      )
+    }
+    if (result.is_error) {
+      logService.error('cli-service', 'invokeCli model error', { backend: backendName, model: callOptions.model, result: String(result.result).slice(0, 200) })
+      throw { code: 'CLI_MODEL_ERROR', message: result.result }
+    }
+    return result
+  }
+
+  let parsed
+  try {
+    parsed = options.retry
+      ? await cliRetry.run(attempt, cfg, { maxRetries: options.retry.maxRetries, label, noDelay: cassetteMode === 'replay', signal })
+      : await attempt()
+  } catch (err) {
+    throw _withAttemptUsage(err, attempts)
+  } finally {
+    _activeCalls.delete(call)
+  }
+
+  if (options.onStream && !streamedLive && parsed.result) {
+    try { options.onStream({ type: 'text', text: parsed.result }) } catch (_) {}
+  }
+
+  parsed.usage = { ...usageService.normalizeUsage(parsed), calls: attempts }
+  logService.info('cli-service', 'invokeCli success', {
+    backend: backendName, model: callOptions.model, duration_ms: parsed.duration_ms,
+    resultLen: (parsed.result || '').length,
+    inputTokens: parsed.usage.input_tokens, outputTokens: parsed.usage.output_tokens, costUsd: parsed.usage.cost_usd,
+  })
+
+  if (cacheKey && cachePolicy === 'read-write') {
+    try {
+      cliCache.set(cacheKey, parsed, { backend: backendName, model: callOptions.model, prompt }, cfg.cache)
+    } catch (err) {
+      logService.warn('cli-service', 'cache write failed (non-fatal)', { errMsg: err.message })
+    }
+  }
+  return parsed
+}
+
+/**
+ * Every backend attempt counts as a call for budgets, including failed ones
+ * and retries. A rejected call carries them as err.usage (no tokens).
+ */
+function _withAttemptUsage(err, attempts) {
+  if (attempts > 0 && err && typeof err === 'object' && !err.usage) {
+    err.usage = { ...usageService.emptyUsage(), calls: attempts }
+  }
+  return err
+}
+
 // ─── invokeCliResume ────────────────────────────────────────────────────────
 
 /**
@@ -246,16 +603,75 @@ function invokeCli(prompt, options = {}) {
  * @param {object} options
  * @param {string} [options.workingDir]
  * @param {number} [options.timeoutMs]
+ * @param {string} [options.model]        — defaults to the session's model
+ * @param {string} [options.systemPrompt] — not kept by the session; pass it again on every turn
+ * @param {string} [options.priority]  — scheduler class (see invokeCli)
+ * @param {string} [options.projectId] — fair-share bucket for the scheduler; also a cancel() key
+ * @param {string} [options.jobId]     — cancel() key (see invokeCli)
+ * @param {object} [options.retry]     — retry policy (see invokeCli)
+ * @param {string} [options.profile]   — invocation profile (see invokeCli)
+ * @param {string[]} [options.extraFlags]
  * @returns {Promise<CliResult>}
  */
 function invokeCliResume(prompt, sessionId, options = {}) {
+  const cfg = getCliConfig()
+  let extraFlags
+  try {
+    extraFlags = cliProfiles.resolveArgs(options, cfg)
+  } catch (err) {
+    return Promise.reject(err)
+  }
+  options = { ...options, extraFlags, backendDigest: cliBackends.configDigest('claude-cli', cfg) }
+  const cassetteMode = cliCassette.getMode()
+  const label = options.jobLabel || `resume:${sessionId}`
+  const call = _trackCall(options, label)
+  const signal = call.controller.signal
+  let attempts = 0
+  const runResume = () => {
+    if (signal.aborted) return Promise.reject(signal.reason)
+    attempts++
+    return _resumeClaudeCli(prompt, sessionId, { ...options, signal }, cfg)
+  }
+
+  function attempt() {
+    if (cassetteMode === 'replay') {
+      attempts++
+      return cliCassette.replayCall('resume', prompt, options, 'claude-cli', sessionId)
+    }
+    cliScheduler.configure(cfg.scheduler)
+    return cliScheduler.schedule(
+      cassetteMode === 'record'
+        ? () => cliCassette.recordCall('resume', prompt, options, 'claude-cli', runResume, sessionId)
+        : runResume,
+      { priority: options.priority, projectId: options.projectId, label, signal },
+    )
+  }
+
+  const pending = options.retry
+    ? cliRetry.run(attempt, cfg, { maxRetries: options.retry.maxRetries, label, noDelay: cassetteMode === 'replay', signal })
+    : attempt()
+  return pending.then(parsed => {
+    _activeCalls.delete(call)
+    parsed.usage = { ...usageService.normalizeUsage(parsed), calls: attempts }
+    return parsed
+  }, err => {
+    _activeCalls.delete(call)
+    throw _withAttemptUsage(err, attempts)
+  })
+}
+
+function _resumeClaudeCli(prompt, sessionId, options, cfg) {
   return new Promise((resolve, reject) => {
-    const cfg = getCliConfig()
     const timeoutMs = options.timeoutMs || cfg.default_timeout_seconds * 1000
     const cliPath = cfg.cli_path || 'claude'
 
     // Prompt sent via stdin (same reason as invokeCli: Windows arg-length safety)
-    const args = ['--resume', sessionId, '--print', '--output-format', 'json', '--dangerously-skip-permissions']
+    const extraFlags = options.extraFlags || []
+    const args = ['--resume', sessionId, '--print', '--output-format', 'json']
+    if (options.model) args.push('--model', options.model)
+    if (!cliProfiles.setsPermissionMode(extraFlags)) args.push('--dangerously-skip-permissions')
+    if (options.systemPrompt) args.push('--system-prompt', options.systemPrompt)
+    args.push(...extraFlags)
 
     const spawnEnv = Object.assign({}, process.env)
     delete spawnEnv.CLAUDECODE
@@ -264,6 +680,7 @@ function invokeCliResume(prompt, sessionId, options = {}) {
       cwd: options.workingDir || workspaceService.paths.cliTempSession(),
       env: spawnEnv,
       shell: SPAWN_SHELL,
+      detached: SPAWN_DETACHED,
     })
 
     proc.stdin.on('error', () => {})
@@ -275,14 +692,18 @@ function invokeCliResume(prompt, sessionId, options = {}) {
     let settled = false
 
     function settle(fn) {
-      if (!settled) { settled = true; clearTimeout(timer); fn() }
+      if (!settled) { settled = true; clearTimeout(timer); unbindCancel(); fn() }
     }
 
     const timer = setTimeout(() => {
-      try { proc.kill('SIGTERM') } catch (_) {}
+      _killTree(proc)
       settle(() => reject({ code: 'CLI_TIMEOUT' }))
     }, timeoutMs)
 
+    const unbindCancel = _bindCancel(options.signal, proc, reason => settle(() => reject(reason)))
+
+    proc.stdout.setEncoding('utf8')
+    proc.stderr.setEncoding('utf8')
     proc.stdout.on('data', d => { stdout += d })
     proc.stderr.on('data', d => { stderr += d })
 
@@ -312,49 +733,37 @@ function invokeCliResume(prompt, sessionId, options = {}) {
 // ─── invokeWithRetry ────────────────────────────────────────────────────────
 
 /**
- * Invoke CLI with automatic retry. Rate-limited errors wait 30s before retry.
+ * Invoke CLI under the retry policy (backoff, Retry-After, circuit breaker).
+ * Shorthand for invokeCli(prompt, { ...options, retry: { maxRetries } }).
  *
  * @param {string} prompt
  * @param {object} options — passed to invokeCli
- * @param {number} [maxRetries] — overrides config default
+ * @param {number} [maxRetries] — overrides cli/config.json retry.max_retries
  * @returns {Promise<CliResult>}
  */
-async function invokeWithRetry(prompt, options = {}, maxRetries) {
-  const cfg = getCliConfig()
-  const retries = maxRetries !== undefined ? maxRetries : cfg.default_retry_count
-
-  let lastError
-  for (let attempt = 0; attempt <= retries; attempt++) {
-    try {
-      return await invokeCli(prompt, options)
-    } catch (err) {
-      lastError = err
-      if (err.code === 'RATE_LIMITED' && attempt < retries) {
-        logService.warn('cli-service', `Rate-limited, waiting 30s before retry ${attempt + 1}/${retries}`, { model: options.model })
-        await _sleep(30000)
-        continue
-      }
-      if (attempt < retries) {
-        logService.warn('cli-service', `Retrying attempt ${attempt + 1}/${retries}`, { errCode: err.code })
-        continue
-      }
-    }
-  }
-  logService.error('cli-service', 'invokeWithRetry exhausted all retries', { errCode: lastError && lastError.code })
-  throw lastError
-}
-
-function _sleep(ms) {
-  return new Promise(resolve => setTimeout(resolve, ms))
+function invokeWithRetry(prompt, options = {}, maxRetries) {
+  return invokeCli(prompt, { ...options, retry: { ...(options.retry || {}), maxRetries } })
 }
 
 // ─── Exports ───────────────────────────────────────────────────────────────
 
 module.exports = {
+  getCliConfig,
   getCliVersion,
   checkAvailable,
   invokeCli,
   invokeCliResume,
   invokeWithRetry,
   parseStructuredOutput,
+  createStreamJsonParser,
+  listBackends: cliBackends.listBackends,
+  getQueueSnapshot: cliScheduler.getSnapshot,
+  inspectCache: (limit) => cliCache.inspect(getCliConfig().cache, limit),
+  clearCache:   cliCache.clear,
+  getCassetteStatus: cliCassette.getStatus,
+  getCircuitState:  cliRetry.getCircuitState,
+  resetCircuit:     cliRetry.resetCircuit,
+  listProfiles:     () => cliProfiles.listProfiles(getCliConfig()),
+  cancel,
+  cancelAll,
 }
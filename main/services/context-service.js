@@ -146,6 +146,9 @@ async function compressContext(sessionId, opts = {}) {
       {
         workingDir: opts.workingDir || workspaceService.paths.cliTempSession(),
         timeoutMs: 60000,
+        priority:  'high',
+        projectId: session.projectId,
+        jobLabel:  'context compression',
       }
     )
     const compressedText = result.result || ''
@@ -0,0 +1,90 @@
+'use strict'
+
+/**
+ * conversation-service.js — Multi-turn baseline cases.
+ *
+ * A case may carry `turns`: the user messages of a conversation, sent in
+ * order. The first one starts a CLI session (it is also the case `input`);
+ * every later one continues it through `--resume` (claude-cli only), so the
+ * skill is judged on how it handles follow-ups. The result record stores the
+ * whole exchange as `transcript`:
+ *
+ *   [{ turn: 1, input, output, duration_ms }, …]
+ *
+ * and `actual_output` is the final reply, which is what assertions and case
+ * tests check. `judge_scope` picks what the judge scores:
+ *
+ *   'final'        — the final reply, with the earlier turns as context (default)
+ *   'conversation' — every reply of the conversation
+ */
+
+const JUDGE_SCOPES = ['final', 'conversation']
+
+// ─── Validation ─────────────────────────────────────────────────────────────
+
+/**
+ * Validate a case's turns and return them trimmed.
+ * Throws INVALID_PARAMS when they are not at least two non-empty strings.
+ * @param {string[]} turns
+ * @param {string} [caseId] — for error messages
+ */
+function validateTurns(turns, caseId = '') {
+  const where = caseId ? `Case ${caseId}: ` : ''
+  if (!Array.isArray(turns)) throw { code: 'INVALID_PARAMS', message: `${where}turns must be an array` }
+  if (turns.length < 2) throw { code: 'INVALID_PARAMS', message: `${where}turns needs at least two messages` }
+  return turns.map((t, i) => {
+    if (typeof t !== 'string' || !t.trim()) {
+      throw { code: 'INVALID_PARAMS', message: `${where}turn #${i + 1} must be a non-empty string` }
+    }
+    return t.trim()
+  })
+}
+
+function validateJudgeScope(scope, caseId = '') {
+  if (!JUDGE_SCOPES.includes(scope)) {
+    const where = caseId ? `Case ${caseId}: ` : ''
+    throw { code: 'INVALID_PARAMS', message: `${where}unknown judge_scope ${scope} (expected ${JUDGE_SCOPES.join(' | ')})` }
+  }
+  return scope
+}
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+/** True when the case is a conversation rather than a single prompt. */
+function isMultiTurn(caseItem) {
+  return !!caseItem && Array.isArray(caseItem.turns) && caseItem.turns.length > 1
+}
+
+/** Plain-text rendering of transcript entries for the judge. */
+function formatTranscript(transcript, { withFinalReply = true } = {}) {
+  return transcript.map((t, i) => {
+    const parts = [`[第 ${t.turn} 轮 · 用户]\n${t.input}`]
+    if (withFinalReply || i < transcript.length - 1) parts.push(`[第 ${t.turn} 轮 · 助手]\n${t.output}`)
+    return parts.join('\n\n')
+  }).join('\n\n')
+}
+
+/**
+ * The { input, expected_output, actual_output } the judge sees for a
+ * conversation, according to the case's judge_scope.
+ */
+function judgeSample(caseItem, transcript) {
+  const scope = caseItem.judge_scope || 'final'
+  const last = transcript[transcript.length - 1]
+  return {
+    input: scope === 'conversation'
+      ? transcript.map(t => `${t.turn}. ${t.input}`).join('\n')
+      : formatTranscript(transcript, { withFinalReply: false }),
+    expected_output: caseItem.expected_output,
+    actual_output:   scope === 'conversation' ? formatTranscript(transcript) : (last ? last.output : ''),
+  }
+}
+
+module.exports = {
+  JUDGE_SCOPES,
+  validateTurns,
+  validateJudgeScope,
+  isMultiTurn,
+  formatTranscript,
+  judgeSample,
+}
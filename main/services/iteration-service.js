@@ -6,7 +6,8 @@
  * Orchestrates multi-round cycles of recompose → test → analyze.
  * Each round generates a new Skill version, tests it, analyzes results,
  * then re-recomposes for the next round. Writes round configs and a final
- * iteration_report.json. Supports pause/stop via in-memory state.
+ * iteration_report.json. Supports pause/stop via in-memory state; stop also
+ * kills the round in progress (its test run and any analysis / recompose call).
  *
  * Exports: startIteration, pauseIteration, stopIteration, getProgress, getIterationReport
  */
@@ -16,10 +17,13 @@ const { v4: uuidv4 } = require('uuid')
 const fileService      = require('./file-service')
 const workspaceService = require('./workspace-service')
 const logService       = require('./log-service')
+const usageService     = require('./usage-service')
+const budgetService    = require('./budget-service')
+const rubricService    = require('./rubric-service')
 
 // ─── In-memory state ─────────────────────────────────────────────────────────
 
-const _states           = new Map() // iterationId → { paused, stopped }
+const _states           = new Map() // iterationId → { paused, stopped, finished }
 const _projectToIter    = new Map() // projectId   → iterationId
 
 // ─── Helpers ──────────────────────────────────────────────────────────────────
@@ -111,22 +115,19 @@ function _detectPlateauLevel(rounds, threshold, consecutiveLimit) {
 }
 
 /**
- * Find the dimension with the lowest avg score across recent rounds.
- * Used by DIMENSION_FOCUS strategy.
+ * Find the dimension with the lowest avg score (relative to its max) in the
+ * latest round. Used by DIMENSION_FOCUS strategy.
  */
-function _findWeakestDimension(rounds) {
-  if (rounds.length === 0) return 'functional_correctness'
+function _findWeakestDimension(rounds, rubric = rubricService.CODE_QUALITY) {
+  const dims = rubric.dimensions
+  if (rounds.length === 0) return dims[0].key
   const latest = rounds[rounds.length - 1].score_breakdown || {}
-  const maxValues = {
-    functional_correctness: 30, robustness: 20, readability: 15,
-    conciseness: 15, complexity_control: 10, format_compliance: 10,
-  }
-  let weakest = 'functional_correctness'
+  let weakest = dims[0].key
   let lowestRatio = Infinity
-  for (const [dim, max] of Object.entries(maxValues)) {
-    const score = latest[dim] != null ? latest[dim] : 0
+  for (const { key, max } of dims) {
+    const score = latest[key] != null ? latest[key] : 0
     const ratio = score / max
-    if (ratio < lowestRatio) { lowestRatio = ratio; weakest = dim }
+    if (ratio < lowestRatio) { lowestRatio = ratio; weakest = key }
   }
   return weakest
 }
@@ -140,7 +141,7 @@ function _findWeakestDimension(rounds) {
  * candidateSkillId = the iteration candidate's ref_id from project config
  * (the non-original skill that was tested this round).
  */
-async function _doOneRound(projectId, projectPath, round, currentSkillId, retentionRules) {
+async function _doOneRound(projectId, projectPath, round, currentSkillId, retentionRules, budgetGuard) {
   const roundDir = path.join(projectPath, 'iterations', `round_${round}`)
   fileService.ensureDir(roundDir)
 
@@ -158,9 +159,11 @@ async function _doOneRound(projectId, projectPath, round, currentSkillId, retent
   const testService = require('./test-service')
   await new Promise((resolve, reject) => {
     testService.startTest(projectId, {
+      budgetGuard,
       onProgress: (data) => {
         if (data.projectStatus === 'completed')   resolve(data)
         if (data.projectStatus === 'interrupted') reject(new Error('Test interrupted'))
+        if (data.stopReason === 'budget_exceeded') reject({ code: 'BUDGET_EXCEEDED', budget: data.budget })
       },
     }).catch(reject)
   })
@@ -207,7 +210,7 @@ async function _doOneRound(projectId, projectPath, round, currentSkillId, retent
  * Returns { skillId, strategy, avgScore, scoreBreakdown } for exploration_log.
  */
 async function _doBeamCandidate(projectId, projectPath, round, candidateNum,
-  strategy, focusDimension, params, scoreHistory) {
+  strategy, focusDimension, params, scoreHistory, budgetGuard) {
   const recomposeService = require('./recompose-service')
 
   const recompResult = await new Promise((resolve, reject) => {
@@ -239,9 +242,11 @@ async function _doBeamCandidate(projectId, projectPath, round, candidateNum,
   const testService = require('./test-service')
   await new Promise((resolve, reject) => {
     testService.startTest(projectId, {
+      budgetGuard,
       onProgress: (data) => {
         if (data.projectStatus === 'completed')   resolve(data)
         if (data.projectStatus === 'interrupted') reject(new Error('Test interrupted'))
+        if (data.stopReason === 'budget_exceeded') reject({ code: 'BUDGET_EXCEEDED', budget: data.budget })
       },
     }).catch(reject)
   })
@@ -266,7 +271,8 @@ async function _doBeamCandidate(projectId, projectPath, round, candidateNum,
 /**
  * Main iteration loop — runs in the background via setImmediate.
  */
-async function _doIteration(projectId, projectPath, config, params, iterationId, onRoundComplete, onAllComplete) {
+async function _doIteration(projectId, projectPath, config, params, iterationId,
+  { onRoundComplete, onAllComplete, onBudgetExceeded } = {}) {
   const {
     recomposedSkillId,
     maxRounds               = 3,
@@ -291,14 +297,32 @@ async function _doIteration(projectId, projectPath, config, params, iterationId,
   let currentSkillId  = recomposedSkillId
   let stopReason      = 'max_rounds'
   const state         = _states.get(iterationId) || {}
+  const startedAt     = new Date().toISOString()
+  const roundUsages   = []        // [{ round, usage }] — test + analysis + beam calls per round
+
+  // Budget covers the whole run: usage = growth of usage.json since start.
+  // The guard is also handed to each test run so it pauses mid-round at a checkpoint.
+  const iterUsageBefore = usageService.readUsage(projectPath).totals
+  const budget          = budgetService.createTracker(budgetService.limitsForProject(config))
+  let budgetExceeded    = null
+  const budgetGuard = () => {
+    budget.setUsed(usageService.diffUsage(usageService.readUsage(projectPath).totals, iterUsageBefore))
+    return budget.check()
+  }
+  budget.start()
 
   for (let round = 1; round <= maxRounds; round++) {
     if (state.stopped) { stopReason = 'manual'; break }
     if (state.paused)  { stopReason = 'paused';  break }
+    budgetExceeded = budgetGuard()
+    if (budgetExceeded) { stopReason = 'budget_exceeded'; break }
+
+    // Round usage = growth of the project usage.json totals while this round runs
+    const usageBefore = usageService.readUsage(projectPath).totals
 
     try {
       const { avgScore, scoreBreakdown } = await _doOneRound(
-        projectId, projectPath, round, currentSkillId, retentionRules,
+        projectId, projectPath, round, currentSkillId, retentionRules, budgetGuard,
       )
 
       const scoreDelta    = rounds.length > 0 ? avgScore - rounds[rounds.length - 1].avg_score : null
@@ -333,7 +357,7 @@ async function _doIteration(projectId, projectPath, config, params, iterationId,
       // Between rounds: beam recompose
       if (round < maxRounds && !state.stopped && !state.paused) {
         const strategies     = _selectStrategies(round, plateauLevel, beamWidth)
-        const focusDimension = _findWeakestDimension(rounds)
+        const focusDimension = _findWeakestDimension(rounds, rubricService.projectRubric(config))
         const scoreHistory   = rounds.map(r => ({
           round:           r.round,
           strategy:        r.strategy || 'GREEDY',
@@ -357,12 +381,15 @@ async function _doIteration(projectId, projectPath, config, params, iterationId,
           if (state.stopped || state.paused) break
           const strategy = strategies[ci]
 
+          budgetExceeded = budgetGuard()
+          if (budgetExceeded) throw { code: 'BUDGET_EXCEEDED', budget: budgetExceeded }
+
           try {
             const candResult = await _doBeamCandidate(
               projectId, projectPath, round, ci + 1,
               strategy, focusDimension,
               { retentionRules, selectedSegmentIds },
-              scoreHistory,
+              scoreHistory, budgetGuard,
             )
 
             logRound.candidates.push(candResult)
@@ -376,6 +403,7 @@ async function _doIteration(projectId, projectPath, config, params, iterationId,
               projectId, skillId: candResult.skill_id, avgScore: candResult.avg_score,
             })
           } catch (err) {
+            if (err && err.code === 'BUDGET_EXCEEDED') throw err
             logService.warn('iteration-service', `Beam candidate ${strategy} failed`, {
               projectId, err: String(err),
             })
@@ -403,12 +431,37 @@ async function _doIteration(projectId, projectPath, config, params, iterationId,
         explorationLog.rounds.push(logRound)
       }
     } catch (err) {
+      if (err && err.code === 'BUDGET_EXCEEDED') {
+        budgetExceeded = err.budget
+        stopReason = 'budget_exceeded'
+        break
+      }
+      if (state.stopped) {
+        // stopIteration killed the round's calls mid-flight
+        _markRoundCancelled(projectPath, round)
+        stopReason = 'manual'
+        break
+      }
       logService.warn('iteration-service', `Round ${round} failed`, { projectId, err: String(err) })
       stopReason = 'error'
       break
+    } finally {
+      const roundUsage = usageService.diffUsage(usageService.readUsage(projectPath).totals, usageBefore)
+      roundUsages.push({ round, usage: roundUsage })
+      const entry = rounds.find(r => r.round === round)
+      if (entry) entry.usage = roundUsage
     }
   }
 
+  budget.stop()
+  if (budgetExceeded) {
+    logService.warn('iteration-service', 'Iteration stopped: budget exceeded', {
+      projectId, iterationId, limit: budgetExceeded.limit,
+      limitValue: budgetExceeded.limit_value, actual: budgetExceeded.actual,
+    })
+    if (onBudgetExceeded) onBudgetExceeded({ projectId, iterationId, ...budgetExceeded })
+  }
+
   // Update best_ever
   const best = rounds.length > 0
     ? rounds.reduce((a, b) => b.avg_score > a.avg_score ? b : a)
@@ -426,6 +479,14 @@ async function _doIteration(projectId, projectPath, config, params, iterationId,
   fileService.ensureDir(iterDir)
   fileService.writeJson(path.join(iterDir, 'exploration_log.json'), explorationLog)
 
+  const usageEntry = usageService.recordIteration(projectPath, {
+    iteration_id: iterationId,
+    started_at:   startedAt,
+    completed_at: new Date().toISOString(),
+    stop_reason:  stopReason,
+    rounds:       roundUsages,
+  })
+
   const report = {
     project_id:      projectId,
     generated_at:    new Date().toISOString(),
@@ -436,6 +497,8 @@ async function _doIteration(projectId, projectPath, config, params, iterationId,
     best_skill_id:   best.skill_id,
     best_skill_name: best.skill_name || `迭代Skill-v${best.round}`,
     best_avg_score:  best.avg_score,
+    total_usage:     usageEntry.totals,
+    budget_exceeded: budgetExceeded,
     rounds,
   }
 
@@ -443,11 +506,22 @@ async function _doIteration(projectId, projectPath, config, params, iterationId,
   logService.info('iteration-service', 'Iteration completed', {
     projectId, totalRounds: rounds.length, stopReason,
     bestScore: best.avg_score, bestRound: best.round,
+    costUsd: usageEntry.totals.cost_usd, calls: usageEntry.totals.calls,
   })
 
+  state.finished = true
   if (onAllComplete) onAllComplete({ projectId, iterationId, status: 'completed', report })
 }
 
+function _markRoundCancelled(projectPath, round) {
+  const roundCfgPath = path.join(projectPath, 'iterations', `round_${round}`, 'config.json')
+  const roundCfg = fileService.readJson(roundCfgPath)
+  if (!roundCfg || roundCfg.status === 'completed') return
+  roundCfg.status       = 'cancelled'
+  roundCfg.completed_at = new Date().toISOString()
+  fileService.writeJson(roundCfgPath, roundCfg)
+}
+
 // ─── Public API ───────────────────────────────────────────────────────────────
 
 /**
@@ -457,9 +531,10 @@ async function _doIteration(projectId, projectPath, config, params, iterationId,
  * @param {string} projectId
  * @param {{ recomposedSkillId, maxRounds, stopThreshold, retentionRules, selectedSegmentIds,
  *           beamWidth, plateauThreshold, plateauRoundsBeforeEscape }} params
- * @param {{ onRoundComplete, onAllComplete }} options
+ * @param {{ onRoundComplete, onAllComplete, onBudgetExceeded }} options
+ *   onBudgetExceeded — fired once when the run stops on its budget (stop_reason 'budget_exceeded')
  */
-async function startIteration(projectId, params, { onRoundComplete, onAllComplete } = {}) {
+async function startIteration(projectId, params, { onRoundComplete, onAllComplete, onBudgetExceeded } = {}) {
   const found = _findProjectDir(projectId)
   if (!found) throw { code: 'NOT_FOUND', message: `Project not found: ${projectId}` }
 
@@ -478,7 +553,7 @@ async function startIteration(projectId, params, { onRoundComplete, onAllComplet
 
   setImmediate(() => _doIteration(
     projectId, found.fullPath, config, params,
-    iterationId, onRoundComplete, onAllComplete,
+    iterationId, { onRoundComplete, onAllComplete, onBudgetExceeded },
   ))
 
   return { iterationId }
@@ -496,14 +571,24 @@ function pauseIteration(projectId) {
   return { paused: true }
 }
 
-/** Stop (abort) the running iteration for a project. */
+/**
+ * Stop (abort) the running iteration for a project. The round in progress is
+ * cut short: its test run is stopped and the project's model calls are killed.
+ */
 function stopIteration(projectId) {
   const iterationId = _projectToIter.get(projectId)
+  let cancelledCalls = 0
   if (iterationId) {
     const s = _states.get(iterationId) || {}
     s.stopped = true
     _states.set(iterationId, s)
-    logService.info('iteration-service', 'Iteration stopped', { projectId, iterationId })
+    if (!s.finished) {
+      const testService = require('./test-service')
+      const cliService  = require('./cli-service')
+      try { testService.stopTest(projectId) } catch (_) { /* between test runs */ }
+      cancelledCalls = cliService.cancel({ projectId }).cancelled
+    }
+    logService.info('iteration-service', 'Iteration stopped', { projectId, iterationId, cancelledCalls })
   }
   return { stopped: true }
 }
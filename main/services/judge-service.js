@@ -0,0 +1,137 @@
+'use strict'
+
+/**
+ * judge-service.js — Judge panels: several scoring calls per result, one score.
+ *
+ * A project's cli_config.judge_panel is
+ *   { judges: [{ model?, profile? } | '<model>'], aggregate?, shuffle_dimensions?,
+ *     disagreement_threshold? }
+ *
+ * Each judge scores the result independently; the panel score is the
+ * per-dimension mean, median or trimmed mean (lowest and highest value
+ * dropped, needs three judges or more) of the judges that answered. The same
+ * model may be listed several times — with shuffle_dimensions every judge
+ * after the first sees the rubric dimensions in a different (seeded) order,
+ * which averages out position bias. When the totals of the judges spread more
+ * than disagreement_threshold points, the result is flagged for review.
+ *
+ * Pure helpers, no model calls — test-service drives the judges.
+ */
+
+const rubricService = require('./rubric-service')
+const statsService  = require('./stats-service')
+
+const AGGREGATES = ['mean', 'median', 'trimmed_mean']
+const MAX_JUDGES = 7
+const DEFAULT_DISAGREEMENT_THRESHOLD = 20
+
+/**
+ * Validate and normalize a judge_panel setting.
+ * @returns {object|null} null when panel is empty (single default judge)
+ * @throws {{ code: 'INVALID_PARAMS' }}
+ */
+function normalizePanel(panel) {
+  if (panel == null) return null
+  if (typeof panel !== 'object' || Array.isArray(panel)) {
+    throw { code: 'INVALID_PARAMS', message: 'judge_panel must be an object' }
+  }
+  const judges = panel.judges
+  if (!Array.isArray(judges) || judges.length < 1 || judges.length > MAX_JUDGES) {
+    throw { code: 'INVALID_PARAMS', message: `judge_panel.judges must list 1 to ${MAX_JUDGES} judges` }
+  }
+  const clean = judges.map((j, i) => {
+    const judge = typeof j === 'string' ? { model: j } : j
+    if (!judge || typeof judge !== 'object'
+      || (judge.model != null && typeof judge.model !== 'string')
+      || (judge.profile != null && typeof judge.profile !== 'string')) {
+      throw { code: 'INVALID_PARAMS', message: `judge_panel.judges[${i}] must be a model name or { model?, profile? }` }
+    }
+    return { model: judge.model || null, profile: judge.profile || null }
+  })
+
+  const aggregate = panel.aggregate || 'mean'
+  if (!AGGREGATES.includes(aggregate)) {
+    throw { code: 'INVALID_PARAMS', message: `Unknown judge_panel.aggregate: ${aggregate} (expected ${AGGREGATES.join(' | ')})` }
+  }
+  const threshold = panel.disagreement_threshold != null
+    ? panel.disagreement_threshold
+    : DEFAULT_DISAGREEMENT_THRESHOLD
+  if (typeof threshold !== 'number' || !(threshold > 0)) {
+    throw { code: 'INVALID_PARAMS', message: 'judge_panel.disagreement_threshold must be a positive number' }
+  }
+  return {
+    judges:                 clean,
+    aggregate,
+    shuffle_dimensions:     !!panel.shuffle_dimensions,
+    disagreement_threshold: threshold,
+  }
+}
+
+/** The project's panel (normalized), or null for the single default judge. */
+function projectPanel(config) {
+  const cli = (config && config.cli_config) || {}
+  return cli.judge_panel ? normalizePanel(cli.judge_panel) : null
+}
+
+/**
+ * The rubric as judge `index` sees it. Judge 0 always gets the original order.
+ * A judge_prompt without a {dimensions} placeholder spells the order out
+ * itself, so shuffled judges fall back to the generic template.
+ */
+function judgeRubric(rubric, index, shuffle) {
+  if (!shuffle || index === 0) return rubric
+  const rand = statsService.seededRandom(index)
+  const dims = [...rubric.dimensions]
+  for (let i = dims.length - 1; i > 0; i--) {
+    const j = Math.floor(rand() * (i + 1))
+    ;[dims[i], dims[j]] = [dims[j], dims[i]]
+  }
+  const shuffled = { ...rubric, dimensions: dims }
+  if (rubric.judge_prompt && !rubric.judge_prompt.includes('{dimensions}')) delete shuffled.judge_prompt
+  return shuffled
+}
+
+function _median(xs) {
+  const s = [...xs].sort((a, b) => a - b)
+  const mid = Math.floor(s.length / 2)
+  return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2
+}
+
+/**
+ * Combine the judges' scores per key (rubric dimensions and total).
+ * Each key uses the judges that gave it a number; rounded to 1 decimal.
+ */
+function aggregateScores(scoresList, rubric, method) {
+  const keys = [...rubricService.dimensionKeys(rubric), 'total']
+  return Object.fromEntries(keys.map(k => {
+    const xs = scoresList.map(sc => sc && sc[k]).filter(v => typeof v === 'number')
+    if (xs.length === 0) return [k, null]
+    let value
+    if (method === 'median') {
+      value = _median(xs)
+    } else if (method === 'trimmed_mean' && xs.length >= 3) {
+      value = statsService.mean([...xs].sort((a, b) => a - b).slice(1, -1))
+    } else {
+      value = statsService.mean(xs)
+    }
+    return [k, Math.round(value * 10) / 10]
+  }))
+}
+
+/** Spread (max − min) of the judges' totals; null with fewer than two totals. */
+function totalSpread(scoresList) {
+  const totals = scoresList.map(sc => sc && sc.total).filter(v => typeof v === 'number')
+  if (totals.length < 2) return null
+  return Math.round((Math.max(...totals) - Math.min(...totals)) * 10) / 10
+}
+
+module.exports = {
+  AGGREGATES,
+  MAX_JUDGES,
+  DEFAULT_DISAGREEMENT_THRESHOLD,
+  normalizePanel,
+  projectPanel,
+  judgeRubric,
+  aggregateScores,
+  totalSpread,
+}
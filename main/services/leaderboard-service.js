@@ -7,6 +7,11 @@
  *
  * Key design:
  * - Scores are relative to a specific Baseline — never mix baselines in a ranking.
+ * - Each record is a skill-model pair: model-matrix projects contribute one
+ *   record per model tested; older summaries fall back to cli_config.model.
+ * - Multi-baseline projects contribute one record per baseline, scored on that
+ *   baseline's cases only (summary ranking[].baselines); older summaries file
+ *   the whole entry under the project's first baseline.
  * - Staleness is computed at query-time by comparing tested-version vs current-version.
  * - No extra storage required: all data comes from existing project files.
  * - Scans workspace/projects/ at read-time (suitable for <200 projects locally).
@@ -18,9 +23,20 @@ const path = require('path')
 const fileService      = require('./file-service')
 const workspaceService = require('./workspace-service')
 const logService       = require('./log-service')
+const rubricService    = require('./rubric-service')
 
 // ─── Private helpers ──────────────────────────────────────────────────────────
 
+/** Baseline identity fields of a leaderboard record, from a project baseline ref. */
+function _baselineFields(ref) {
+  return {
+    baselineId:            ref.ref_id,
+    baselineName:          ref.name || '',
+    baselineVersionTested: ref.version || 'v1',
+    baselinePurpose:       ref.purpose || '',
+  }
+}
+
 /**
  * Scan a single project directory and return raw leaderboard records.
  * Returns [] if the project has no completed results or files are malformed.
@@ -54,13 +70,16 @@ function _scanProject(projectPath) {
     skillMap[s.ref_id] = s
   }
 
-  // There is typically one baseline per project
-  const baselineRef = (config.baselines || [])[0]
-  if (!baselineRef) {
+  const baselineRefs = config.baselines || []
+  if (baselineRefs.length === 0) {
     logService.warn('leaderboard-service', '_scanProject: no baseline in config', { projectPath })
     return []
   }
 
+  const defaultModel = (config.cli_config && config.cli_config.model) || ''
+  // Summaries written before rubrics existed carry no rubric: they used the built-in one
+  const rubric = summary.rubric || rubricService.describe(rubricService.projectRubric(config))
+
   const records = []
   for (const entry of summary.ranking) {
     const skillConfig = skillMap[entry.skill_id]
@@ -71,23 +90,62 @@ function _scanProject(projectPath) {
       continue
     }
 
-    records.push({
+    const shared = {
       projectId:            config.id,
       projectName:          config.name || '',
       testedAt:             summary.generated_at || config.updated_at || '',
       skillId:              entry.skill_id,
       skillName:            entry.skill_name || skillConfig.name || '',
       skillVersionTested:   entry.skill_version || skillConfig.version || 'v1',
-      baselineId:           baselineRef.ref_id,
-      baselineName:         baselineRef.name || '',
-      baselineVersionTested:baselineRef.version || 'v1',
-      baselinePurpose:      baselineRef.purpose || '',
-      baselineCaseCount:    summary.total_cases || 0,
-      avgScore:             entry.avg_score || 0,
-      scoreBreakdown:       entry.score_breakdown || {},
-      completedCases:       entry.completed_cases || 0,
-      failedCases:          entry.failed_cases   || 0,
-    })
+      model:                entry.model || defaultModel,
+      samplesPerCase:       summary.samples_per_case || 1,
+      rubricId:             rubric.id,
+      rubricDimensions:     rubric.dimensions,
+    }
+
+    // Summaries written before per-baseline breakdowns: the whole entry under the first baseline
+    if (!Array.isArray(entry.baselines) || entry.baselines.length === 0) {
+      records.push({
+        ...shared,
+        ..._baselineFields(baselineRefs[0]),
+        baselineCaseCount:    entry.total_cases || summary.total_cases || 0,
+        avgScore:             entry.avg_score || 0,
+        // Summaries written before case weights existed: the plain average
+        weightedAvgScore:     entry.weighted_avg_score != null ? entry.weighted_avg_score : (entry.avg_score || 0),
+        passRate:             null,
+        // Summaries written before score_stats existed carry no uncertainty
+        scoreStd:             entry.score_stats ? entry.score_stats.total.std : null,
+        scoreCi95:            entry.score_stats ? entry.score_stats.total.ci95 : null,
+        scoreBreakdown:       entry.score_breakdown || {},
+        baselineBreakdown:    [],
+        completedCases:       entry.completed_cases || 0,
+        failedCases:          entry.failed_cases   || 0,
+        overriddenCases:      entry.overridden_cases || 0,
+      })
+      continue
+    }
+
+    // One record per baseline, scored on that baseline's cases only
+    const single = entry.baselines.length === 1
+    for (const b of entry.baselines) {
+      const ref = baselineRefs.find(r => r.ref_id === b.baseline_id) || { ref_id: b.baseline_id, name: b.baseline_name }
+      records.push({
+        ...shared,
+        ..._baselineFields(ref),
+        baselineCaseCount:    b.total_cases || 0,
+        avgScore:             b.avg_score || 0,
+        weightedAvgScore:     b.weighted_avg_score != null ? b.weighted_avg_score : (b.avg_score || 0),
+        passRate:             b.pass_rate != null ? b.pass_rate : null,
+        // score_stats cover all of the entry's cases: only valid for a single baseline
+        scoreStd:             single && entry.score_stats ? entry.score_stats.total.std : null,
+        scoreCi95:            single && entry.score_stats ? entry.score_stats.total.ci95 : null,
+        scoreBreakdown:       b.score_breakdown || {},
+        baselineBreakdown:    [b],
+        completedCases:       b.completed_cases || 0,
+        failedCases:          b.failed_cases != null ? b.failed_cases : (single ? entry.failed_cases || 0 : 0),
+        overriddenCases:      b.overridden_cases != null ? b.overridden_cases : (single ? entry.overridden_cases || 0 : 0),
+      })
+    }
   }
 
   logService.info('leaderboard-service', '_scanProject', { projectPath: path.basename(projectPath), recordCount: records.length })
@@ -193,6 +251,7 @@ function _buildVersionCache(rawRecords) {
  * @param {object} opts
  * @param {string}  [opts.baselineId]       - Filter to a single baseline
  * @param {string}  [opts.skillId]          - Filter to a single skill
+ * @param {string}  [opts.model]            - Filter to a single model
  * @param {string}  [opts.purpose]          - Filter by baseline purpose
  * @param {string}  [opts.dateFrom]         - ISO date lower bound (inclusive)
  * @param {string}  [opts.dateTo]           - ISO date upper bound (inclusive)
@@ -204,6 +263,7 @@ async function queryLeaderboard(opts = {}) {
   const {
     baselineId,
     skillId,
+    model,
     purpose,
     dateFrom,
     dateTo,
@@ -230,6 +290,7 @@ async function queryLeaderboard(opts = {}) {
     skillName:                r.skillName,
     skillVersionTested:       r.skillVersionTested,
     skillVersionCurrent:      skillCache[r.skillId] || null,
+    model:                    r.model,
     baselineId:               r.baselineId,
     baselineName:             r.baselineName,
     baselinePurpose:          r.baselinePurpose,
@@ -237,12 +298,21 @@ async function queryLeaderboard(opts = {}) {
     baselineVersionTested:    r.baselineVersionTested,
     baselineVersionCurrent:   baselineCache[r.baselineId] || null,
     avgScore:                 r.avgScore,
+    weightedAvgScore:         r.weightedAvgScore,
+    passRate:                 r.passRate,
+    scoreStd:                 r.scoreStd,
+    scoreCi95:                r.scoreCi95,
+    samplesPerCase:           r.samplesPerCase,
     scoreBreakdown:           r.scoreBreakdown,
+    baselineBreakdown:        r.baselineBreakdown,
+    rubricId:                 r.rubricId,
+    rubricDimensions:         r.rubricDimensions,
     projectId:                r.projectId,
     projectName:              r.projectName,
     testedAt:                 r.testedAt,
     completedCases:           r.completedCases,
     failedCases:              r.failedCases,
+    overriddenCases:          r.overriddenCases,
     staleness: _computeStaleness(
       r.skillVersionTested,
       skillCache[r.skillId],
@@ -254,13 +324,14 @@ async function queryLeaderboard(opts = {}) {
   // 4. Apply filters
   if (baselineId) records = records.filter(r => r.baselineId === baselineId)
   if (skillId)    records = records.filter(r => r.skillId    === skillId)
+  if (model)      records = records.filter(r => r.model      === model)
   if (purpose)    records = records.filter(r => r.baselinePurpose === purpose)
   if (dateFrom)   records = records.filter(r => r.testedAt >= dateFrom)
   if (dateTo)     records = records.filter(r => r.testedAt <= dateTo + 'T23:59:59Z')
   if (!includeStale) records = records.filter(r => r.staleness === 'current')
 
-  // 5. Sort by avgScore descending
-  records.sort((a, b) => b.avgScore - a.avgScore)
+  // 5. Sort by weighted average descending, as summary.json ranks (equals avgScore when nothing is weighted)
+  records.sort((a, b) => b.weightedAvgScore - a.weightedAvgScore || b.avgScore - a.avgScore)
 
   let result
   if (groupByBaseline) {
@@ -275,14 +346,16 @@ async function queryLeaderboard(opts = {}) {
           baselineCaseCount:      rec.baselineCaseCount,
           baselineVersionCurrent: rec.baselineVersionCurrent,
           skillCount:             0,
+          models:                 [],
           records:                [],
         })
       }
       groupMap.get(rec.baselineId).records.push(rec)
     }
-    // Count distinct skill IDs per group
+    // Count distinct skill IDs per group; list the models it was tested on
     for (const group of groupMap.values()) {
       group.skillCount = new Set(group.records.map(r => r.skillId)).size
+      group.models     = [...new Set(group.records.map(r => r.model).filter(Boolean))]
     }
     result = { groups: [...groupMap.values()] }
   } else {
@@ -309,11 +382,12 @@ async function queryLeaderboard(opts = {}) {
  * @param {object} opts
  * @param {string}  [opts.baselineId]
  * @param {string}  [opts.skillId]
+ * @param {string}  [opts.model]
  * @param {'csv'|'json'} opts.format
  * @returns {{ filePath: string }}
  */
-async function exportLeaderboard({ baselineId, skillId, format = 'csv' } = {}) {
-  const { records = [] } = await queryLeaderboard({ baselineId, skillId, groupByBaseline: false })
+async function exportLeaderboard({ baselineId, skillId, model, format = 'csv' } = {}) {
+  const { records = [] } = await queryLeaderboard({ baselineId, skillId, model, groupByBaseline: false })
 
   const ts = new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14)
   const ext = format === 'json' ? 'json' : 'csv'
@@ -324,12 +398,13 @@ async function exportLeaderboard({ baselineId, skillId, format = 'csv' } = {}) {
   if (format === 'json') {
     content = JSON.stringify(records, null, 2)
   } else {
+    // Dimension columns: union over the exported records' rubrics, in first-seen order
+    const dims = [...new Set(records.flatMap(r => (r.rubricDimensions || []).map(d => d.key)))]
     const HEADERS = [
-      'skill_name', 'skill_version_tested', 'skill_version_current',
+      'skill_name', 'skill_version_tested', 'skill_version_current', 'model',
       'baseline_name', 'baseline_version_tested', 'baseline_version_current',
-      'avg_score',
-      'functional_correctness', 'robustness', 'readability',
-      'conciseness', 'complexity_control', 'format_compliance',
+      'avg_score', 'score_std', 'ci95_low', 'ci95_high',
+      ...dims,
       'project_id', 'tested_at', 'staleness',
     ]
     const escape = v => {
@@ -341,11 +416,10 @@ async function exportLeaderboard({ baselineId, skillId, format = 'csv' } = {}) {
     for (const r of records) {
       const bd = r.scoreBreakdown || {}
       rows.push([
-        r.skillName, r.skillVersionTested, r.skillVersionCurrent || '',
+        r.skillName, r.skillVersionTested, r.skillVersionCurrent || '', r.model || '',
         r.baselineName, r.baselineVersionTested, r.baselineVersionCurrent || '',
-        r.avgScore,
-        bd.functional_correctness, bd.robustness, bd.readability,
-        bd.conciseness, bd.complexity_control, bd.format_compliance,
+        r.avgScore, r.scoreStd, r.scoreCi95 && r.scoreCi95[0], r.scoreCi95 && r.scoreCi95[1],
+        ...dims.map(k => bd[k]),
         r.projectId, r.testedAt, r.staleness,
       ].map(escape).join(','))
     }
@@ -362,6 +436,58 @@ async function exportLeaderboard({ baselineId, skillId, format = 'csv' } = {}) {
   }
 }
 
+/**
+ * How much each skill's score depends on the model it runs on, per baseline.
+ * Uses the latest record of every skill × baseline × model; skills tested on a
+ * single model are left out. Sorted by spread descending.
+ *
+ * @param {object} [opts]
+ * @param {string}  [opts.baselineId]
+ * @param {boolean} [opts.includeStale] - Default true
+ * @returns {ModelDependence[]}
+ *
+ * @typedef {{ skillId, skillName, baselineId, baselineName, scores: Object.<string, number>, bestModel, worstModel, spread }} ModelDependence
+ */
+async function getModelDependence({ baselineId, includeStale = true } = {}) {
+  const { records = [] } = await queryLeaderboard({ baselineId, includeStale, groupByBaseline: false })
+
+  const latest = new Map() // skill|baseline|model → record
+  for (const rec of records) {
+    const key = `${rec.skillId}|${rec.baselineId}|${rec.model}`
+    const seen = latest.get(key)
+    if (!seen || rec.testedAt > seen.testedAt) latest.set(key, rec)
+  }
+
+  const bySkill = new Map() // skill|baseline → ModelDependence
+  for (const rec of latest.values()) {
+    const key = `${rec.skillId}|${rec.baselineId}`
+    if (!bySkill.has(key)) {
+      bySkill.set(key, {
+        skillId: rec.skillId, skillName: rec.skillName,
+        baselineId: rec.baselineId, baselineName: rec.baselineName,
+        scores: {},
+      })
+    }
+    bySkill.get(key).scores[rec.model] = rec.avgScore
+  }
+
+  const result = []
+  for (const entry of bySkill.values()) {
+    const pairs = Object.entries(entry.scores).sort((a, b) => b[1] - a[1])
+    if (pairs.length < 2) continue
+    result.push({
+      ...entry,
+      bestModel:  pairs[0][0],
+      worstModel: pairs[pairs.length - 1][0],
+      spread:     Math.round((pairs[0][1] - pairs[pairs.length - 1][1]) * 10) / 10,
+    })
+  }
+  result.sort((a, b) => b.spread - a.spread)
+
+  logService.info('leaderboard-service', 'getModelDependence', { baselineId, skillCount: result.length })
+  return result
+}
+
 /**
  * Build a map of skillId → SkillTestSummary for the Skill list badge.
  * Returns a plain object (JSON-serializable).
@@ -407,6 +533,7 @@ async function getTestSummaries() {
 module.exports = {
   queryLeaderboard,
   exportLeaderboard,
+  getModelDependence,
   getTestSummaries,
   // Exported for unit testing
   _scanProject,
@@ -0,0 +1,277 @@
+'use strict'
+
+/**
+ * pairwise-service.js — Pairwise preference judging and Bradley-Terry ratings.
+ *
+ * With cli_config.pairwise set, a test run ends with a pairwise phase: for
+ * each case the judge sees the outputs of two skills side by side — labelled
+ * 输出 1 / 输出 2, in an order fixed per comparison by a hash so it is random
+ * across comparisons but stable on resume — and names a winner or a tie.
+ * The verdicts are fitted to a Bradley-Terry model and reported on the Elo
+ * scale (1500 = average; 400 points = 10:1 odds) next to avg_score.
+ *
+ * Schedules (which skill pairs meet; a meeting covers every case):
+ *   round_robin — every pair once
+ *   swiss       — `rounds` rounds; each round pairs skills with similar
+ *                 standings that have not met yet (seeded by avg_score), so
+ *                 n skills need about n/2 × rounds meetings instead of n²/2
+ *   auto        — round_robin up to SWISS_FROM − 1 skills, swiss above
+ *
+ * Matrix projects compare skills within each model only.
+ * Pure helpers; test-service drives the judge calls and stores the verdicts
+ * in results/pairwise.json.
+ */
+
+const crypto = require('crypto')
+const path = require('path')
+const fileService   = require('./file-service')
+const rubricService = require('./rubric-service')
+
+const SCHEDULES = ['auto', 'round_robin', 'swiss']
+const SWISS_FROM = 7
+const MAX_ROUNDS = 20
+
+const PAIRWISE_PROMPT = `你是一位公正的评审专家。下面是两个助手针对同一测试输入给出的输出，请判断哪一个更好地完成了任务。
+
+【测试输入】
+{test_input}
+
+【期望输出描述】
+{expected_output}
+
+【输出 1】
+{output_1}
+
+【输出 2】
+{output_2}
+
+【评判标准】
+综合以下维度进行比较：{criteria}
+
+【严格要求】
+1. 不要因为输出的先后顺序或篇幅长短产生偏好
+2. 两者质量相当时判为平局
+3. 仅输出 JSON，不要包含任何 JSON 以外的文字、解释或 Markdown 代码块标记
+
+【返回格式】
+{
+  "winner": "1" | "2" | "tie",
+  "reasoning": "<50-150字的比较理由>"
+}`
+
+/**
+ * Validate and normalize a pairwise setting.
+ * @returns {object|null} null when pairwise judging is off
+ * @throws {{ code: 'INVALID_PARAMS' }}
+ */
+function normalizeSettings(settings) {
+  if (settings == null || settings === false) return null
+  const s = settings === true ? {} : settings
+  if (typeof s !== 'object' || Array.isArray(s)) {
+    throw { code: 'INVALID_PARAMS', message: 'pairwise must be an object' }
+  }
+  const schedule = s.schedule || 'auto'
+  if (!SCHEDULES.includes(schedule)) {
+    throw { code: 'INVALID_PARAMS', message: `Unknown pairwise.schedule: ${schedule} (expected ${SCHEDULES.join(' | ')})` }
+  }
+  if (s.rounds != null && (!Number.isInteger(s.rounds) || s.rounds < 1 || s.rounds > MAX_ROUNDS)) {
+    throw { code: 'INVALID_PARAMS', message: `pairwise.rounds must be an integer from 1 to ${MAX_ROUNDS}` }
+  }
+  if (s.judge_model != null && typeof s.judge_model !== 'string') {
+    throw { code: 'INVALID_PARAMS', message: 'pairwise.judge_model must be a string' }
+  }
+  return { schedule, rounds: s.rounds || null, judge_model: s.judge_model || null }
+}
+
+/** The project's pairwise settings (normalized), or null when off. */
+function projectSettings(config) {
+  const cli = (config && config.cli_config) || {}
+  return cli.pairwise ? normalizeSettings(cli.pairwise) : null
+}
+
+/** Concrete schedule for n skills: { schedule: 'round_robin'|'swiss', rounds }. */
+function resolveSchedule(settings, n) {
+  const schedule = settings.schedule === 'auto'
+    ? (n >= SWISS_FROM ? 'swiss' : 'round_robin')
+    : settings.schedule
+  if (schedule === 'round_robin') return { schedule, rounds: 1 }
+  // Enough rounds to separate the field, never more than a full round robin
+  const rounds = settings.rounds || Math.ceil(Math.log2(Math.max(n, 2))) + 1
+  return { schedule, rounds: Math.min(rounds, Math.max(n - 1, 1)) }
+}
+
+function _pairKey(a, b) {
+  return a < b ? `${a}\u0000${b}` : `${b}\u0000${a}`
+}
+
+/**
+ * Skill pairs meeting in round `round` (0-based).
+ * @param {string[]} skillIds — in seeding order (best avg_score first)
+ * @param {object[]} comparisons — verdicts so far (this model only)
+ * @param {{ schedule, rounds }} plan — from resolveSchedule
+ * @returns {Array<[string, string]>} empty when the schedule is finished
+ */
+function roundPairs(skillIds, comparisons, plan, round) {
+  if (round >= plan.rounds) return []
+  if (plan.schedule === 'round_robin') {
+    const pairs = []
+    for (let i = 0; i < skillIds.length; i++) {
+      for (let j = i + 1; j < skillIds.length; j++) pairs.push([skillIds[i], skillIds[j]])
+    }
+    return pairs
+  }
+
+  // Swiss: order by points (win 1, tie ½), ties broken by seed; pair each
+  // skill with the next one below it that it has not met
+  const points = Object.fromEntries(skillIds.map(id => [id, 0]))
+  const met = new Set()
+  for (const c of comparisons) {
+    met.add(_pairKey(c.a, c.b))
+    if (c.verdict === 'tie') { points[c.a] += 0.5; points[c.b] += 0.5 } else if (c.winner in points) points[c.winner] += 1
+  }
+  const order = skillIds
+    .map((id, seed) => ({ id, seed }))
+    .sort((x, y) => points[y.id] - points[x.id] || x.seed - y.seed)
+    .map(x => x.id)
+  const pairs = []
+  const taken = new Set()
+  for (let i = 0; i < order.length; i++) {
+    if (taken.has(order[i])) continue
+    const opponent = order.slice(i + 1).find(id => !taken.has(id) && !met.has(_pairKey(order[i], id)))
+    if (!opponent) continue   // bye
+    taken.add(order[i]).add(opponent)
+    pairs.push([order[i], opponent])
+  }
+  return pairs
+}
+
+/**
+ * Canonical comparison identity: skills sorted so a < b, plus whether a's
+ * output is shown first (hash parity, stable for the same comparison).
+ */
+function comparison(model, caseId, x, y) {
+  const [a, b] = x < y ? [x, y] : [y, x]
+  const key = `${model}\u0000${caseId}\u0000${a}\u0000${b}`
+  const aFirst = crypto.createHash('sha256').update(key).digest()[0] % 2 === 0
+  return { key, model, case_id: caseId, a, b, a_first: aFirst }
+}
+
+/** Key of a stored verdict, matching comparison().key. */
+function storedKey(c) {
+  return `${c.model}\u0000${c.case_id}\u0000${c.a}\u0000${c.b}`
+}
+
+/** Judge prompt with anonymized, ordered outputs. */
+function buildPrompt(rubric, caseItem, firstOutput, secondOutput) {
+  const r = rubric || rubricService.CODE_QUALITY
+  const values = {
+    test_input:      caseItem.input || '',
+    expected_output: caseItem.expected_output || '',
+    output_1:        firstOutput || '',
+    output_2:        secondOutput || '',
+    criteria:        r.dimensions.map(d => d.label).join('、'),
+  }
+  return PAIRWISE_PROMPT.replace(/\{(test_input|expected_output|output_1|output_2|criteria)\}/g, (_, key) => values[key])
+}
+
+/**
+ * Map the judge's reply to 'a' | 'b' | 'tie' given the display order.
+ * @throws {{ code: 'OUTPUT_PARSE_FAILED' }} for an unrecognized winner
+ */
+function parseVerdict(parsed, aFirst) {
+  const w = parsed && parsed.winner != null ? String(parsed.winner).trim().toLowerCase() : ''
+  if (w === 'tie' || w === '平局') return 'tie'
+  const shown = { '1': 'first', '输出 1': 'first', '输出1': 'first', '2': 'second', '输出 2': 'second', '输出2': 'second' }[w]
+  if (!shown) throw { code: 'OUTPUT_PARSE_FAILED', message: `Unrecognized winner: ${parsed && parsed.winner}` }
+  return (shown === 'first') === aFirst ? 'a' : 'b'
+}
+
+/**
+ * Bradley-Terry fit (MM algorithm) with a light prior: every skill gets one
+ * virtual win and one virtual loss against an average opponent, so unbeaten
+ * or winless skills keep finite ratings.
+ * @param {string[]} skillIds
+ * @param {object[]} comparisons — { a, b, verdict } (ties count ½ for each side)
+ * @returns {Object<string, { rating, wins, losses, ties, comparisons }>}
+ */
+function bradleyTerry(skillIds, comparisons) {
+  const stats = Object.fromEntries(skillIds.map(id => [id, { wins: 0, losses: 0, ties: 0 }]))
+  const games = []
+  for (const c of comparisons) {
+    if (!stats[c.a] || !stats[c.b]) continue
+    if (c.verdict === 'tie') { stats[c.a].ties++; stats[c.b].ties++ } else {
+      const [w, l] = c.verdict === 'a' ? [c.a, c.b] : [c.b, c.a]
+      stats[w].wins++
+      stats[l].losses++
+    }
+    games.push(c)
+  }
+
+  const p = Object.fromEntries(skillIds.map(id => [id, 1]))
+  for (let iter = 0; iter < 200; iter++) {
+    const next = {}
+    for (const id of skillIds) {
+      const s = stats[id]
+      // Virtual games: 1 win + 1 loss against strength 1
+      const score = s.wins + s.ties / 2 + 1
+      let denom = 2 / (p[id] + 1)
+      for (const c of games) {
+        if (c.a === id || c.b === id) denom += 1 / (p[c.a] + p[c.b])
+      }
+      next[id] = score / denom
+    }
+    // Geometric mean 1 keeps 1500 as the average rating
+    const logMean = skillIds.reduce((s, id) => s + Math.log(next[id]), 0) / (skillIds.length || 1)
+    let delta = 0
+    for (const id of skillIds) {
+      const v = next[id] / Math.exp(logMean)
+      delta = Math.max(delta, Math.abs(v - p[id]))
+      p[id] = v
+    }
+    if (delta < 1e-9) break
+  }
+
+  return Object.fromEntries(skillIds.map(id => {
+    const s = stats[id]
+    return [id, {
+      rating:      Math.round(1500 + 400 * Math.log10(p[id])),
+      wins:        s.wins,
+      losses:      s.losses,
+      ties:        s.ties,
+      comparisons: s.wins + s.losses + s.ties,
+    }]
+  }))
+}
+
+// ─── Storage ────────────────────────────────────────────────────────────────
+
+function storePath(projectPath) {
+  return path.join(projectPath, 'results', 'pairwise.json')
+}
+
+/** results/pairwise.json, or an empty store. */
+function readStore(projectPath) {
+  const data = fileService.readJson(storePath(projectPath))
+  return data && Array.isArray(data.comparisons) ? data : { comparisons: [] }
+}
+
+function writeStore(projectPath, store) {
+  fileService.writeJson(storePath(projectPath), { ...store, updated_at: new Date().toISOString() })
+}
+
+module.exports = {
+  SCHEDULES,
+  SWISS_FROM,
+  MAX_ROUNDS,
+  normalizeSettings,
+  projectSettings,
+  resolveSchedule,
+  roundPairs,
+  comparison,
+  storedKey,
+  buildPrompt,
+  parseVerdict,
+  bradleyTerry,
+  readStore,
+  writeStore,
+}
@@ -10,6 +10,10 @@ const { v4: uuidv4 } = require('uuid')
 const fileService = require('./file-service')
 const workspaceService = require('./workspace-service')
 const logService = require('./log-service')
+const usageService = require('./usage-service')
+const budgetService = require('./budget-service')
+const cliProfiles = require('./cli-profiles')
+const rubricService = require('./rubric-service')
 
 // ─── Helpers ──────────────────────────────────────────────────────────────────
 
@@ -26,6 +30,28 @@ function projectDirName(name) {
   return `project_${slugify(name)}_${ts}`
 }
 
+/**
+ * Results are stored per case id (results/<skill>/<case_id>.json), so two
+ * baselines of one project must not share a case id. Library cases carry
+ * the id as `id`.
+ * @param {Array<{ name: string, cases: object[] }>} baselines
+ * @throws {{ code: 'INVALID_PARAMS' }} naming the first shared id
+ */
+function assertDistinctCaseIds(baselines) {
+  const owner = new Map()
+  baselines.forEach((b, index) => {
+    for (const c of b.cases) {
+      const caseId = c.case_id != null ? c.case_id : c.id
+      if (caseId == null) continue
+      const other = owner.get(caseId)
+      if (other && other.index !== index) {
+        throw { code: 'INVALID_PARAMS', message: `Case id ${caseId} is used by baselines "${other.name}" and "${b.name}"` }
+      }
+      owner.set(caseId, { index, name: b.name })
+    }
+  })
+}
+
 function findProjectDir(projectId) {
   const allDirs = workspaceService.listAllProjectDirs()
   for (const { dir, fullPath } of allDirs) {
@@ -41,11 +67,50 @@ function findProjectDir(projectId) {
  * Create a new project.
  * Copies skill/baseline assets into project directory.
  */
-async function createProject({ name, description, skillIds, baselineIds, cliConfig, contextConfig }) {
+async function createProject({ name, description, skillIds, baselineIds, cliConfig, contextConfig, budget }) {
   if (!name) throw { code: 'INVALID_PARAMS', message: 'name is required' }
   if (!skillIds || skillIds.length === 0) throw { code: 'INVALID_PARAMS', message: 'skillIds required' }
   if (!baselineIds || baselineIds.length === 0) throw { code: 'INVALID_PARAMS', message: 'baselineIds required' }
 
+  // A misspelled profile would otherwise fail every case of the run
+  const globalCliConfig = fileService.readJson(workspaceService.paths.cliConfig()) || {}
+  for (const field of ['profile', 'scoring_profile', 'analysis_profile']) {
+    if (cliConfig && cliConfig[field]) cliProfiles.getProfile(cliConfig[field], globalCliConfig)
+  }
+
+  const executionMode = (cliConfig && cliConfig.execution_mode) || 'system_prompt'
+  const { EXECUTION_MODES, MAX_SAMPLES_PER_CASE } = require('./test-service')
+  const modes = typeof executionMode === 'object' ? Object.values(executionMode) : [executionMode]
+  const badMode = modes.find(m => !EXECUTION_MODES.includes(m))
+  if (badMode) {
+    throw { code: 'INVALID_PARAMS', message: `Unknown execution_mode: ${badMode} (expected ${EXECUTION_MODES.join(' | ')})` }
+  }
+
+  const samplesPerCase = cliConfig && cliConfig.samples_per_case != null ? cliConfig.samples_per_case : 1
+  if (!Number.isInteger(samplesPerCase) || samplesPerCase < 1 || samplesPerCase > MAX_SAMPLES_PER_CASE) {
+    throw { code: 'INVALID_PARAMS', message: `samples_per_case must be an integer from 1 to ${MAX_SAMPLES_PER_CASE}` }
+  }
+  const judgePanel = require('./judge-service').normalizePanel(cliConfig && cliConfig.judge_panel)
+  const pairwise = require('./pairwise-service').normalizeSettings(cliConfig && cliConfig.pairwise)
+
+  // One project, one rubric: summary and rankings compare the same dimensions
+  const baselineService = require('./baseline-service')
+  const rubricIds = new Set()
+  const baselineCases = []
+  for (const baselineId of baselineIds) {
+    const found = baselineService.findBaselineDir(baselineId)
+    if (!found) throw { code: 'NOT_FOUND', message: `Baseline not found: ${baselineId}` }
+    const meta = fileService.readJson(path.join(found.fullPath, 'meta.json')) || {}
+    rubricIds.add(meta.rubric_id || rubricService.DEFAULT_RUBRIC_ID)
+    const casesData = fileService.readJson(path.join(found.fullPath, 'cases.json'))
+    baselineCases.push({ name: meta.name || baselineId, cases: (casesData && casesData.cases) || [] })
+  }
+  if (rubricIds.size > 1) {
+    throw { code: 'INVALID_PARAMS', message: `Baselines use different rubrics: ${[...rubricIds].join(', ')}` }
+  }
+  assertDistinctCaseIds(baselineCases)
+  const rubric = rubricService.getRubric([...rubricIds][0])
+
   const projectId = uuidv4()
   const dirName = projectDirName(name)
   const projectPath = workspaceService.paths.projects(dirName)
@@ -61,7 +126,6 @@ async function createProject({ name, description, skillIds, baselineIds, cliConf
 
   // Copy skills
   const skillService = require('./skill-service')
-  const baselineService = require('./baseline-service')
 
   const skillRefs = []
   let totalCases = 0
@@ -104,7 +168,11 @@ async function createProject({ name, description, skillIds, baselineIds, cliConf
     })
   }
 
-  const totalTasks = skillIds.length * totalCases
+  // Model matrix: every skill × case runs once per declared model
+  const models = Array.isArray(cliConfig && cliConfig.models)
+    ? [...new Set(cliConfig.models.map(m => String(m || '').trim()).filter(Boolean))]
+    : []
+  const totalTasks = skillIds.length * totalCases * Math.max(models.length, 1)
 
   const config = {
     id: projectId,
@@ -122,12 +190,25 @@ async function createProject({ name, description, skillIds, baselineIds, cliConf
     },
     skills: skillRefs,
     baselines: baselineRefs,
+    rubric,                          // snapshot; scoring, summary and analysis read dimensions from here
     cli_config: {
-      model: (cliConfig && cliConfig.model) || 'claude-opus-4-6',
+      model: (cliConfig && cliConfig.model) || models[0] || 'claude-opus-4-6',
+      models,
       timeout_seconds: (cliConfig && cliConfig.timeout_seconds) || 60,
       retry_count: (cliConfig && cliConfig.retry_count) || 2,
       extra_flags: (cliConfig && cliConfig.extra_flags) || [],
+      backend: (cliConfig && cliConfig.backend) || null,
+      streaming: !!(cliConfig && cliConfig.streaming),
+      cache_policy: (cliConfig && cliConfig.cache_policy) || null,
+      execution_mode: executionMode,
+      samples_per_case: samplesPerCase,   // each case is executed and scored this many times
+      judge_panel: judgePanel,            // null → one judge with the default model
+      pairwise,                           // null → absolute scores only
+      profile: (cliConfig && cliConfig.profile) || null,
+      scoring_profile: (cliConfig && cliConfig.scoring_profile) || null,
+      analysis_profile: (cliConfig && cliConfig.analysis_profile) || null,
     },
+    budget: budgetService.resolveLimits(budget, null),   // null fields fall back to cli/config.json budget
     context_config: {
       token_threshold: (contextConfig && contextConfig.token_threshold) || 80000,
       auto_compress: (contextConfig && contextConfig.auto_compress) !== false,
@@ -160,7 +241,23 @@ function getProject(projectId) {
   const hasAnalysis = fileService.exists(path.join(found.fullPath, 'analysis_report.json'))
   const hasIterations = fileService.exists(path.join(found.fullPath, 'iterations'))
 
-  return { config, hasResults, hasAnalysis, hasIterations }
+  // Cases with unit tests run model-written code on this machine (sandbox-service.js)
+  let caseTestCount = 0
+  for (const ref of (config && config.baselines) || []) {
+    const casesData = fileService.readJson(path.join(found.fullPath, ref.local_path, 'cases.json'))
+    caseTestCount += ((casesData && casesData.cases) || []).filter(c => c.tests).length
+  }
+
+  return { config, hasResults, hasAnalysis, hasIterations, caseTestCount }
+}
+
+/**
+ * Get the token usage / cost aggregate (usage.json) for a project.
+ */
+function getUsage(projectId) {
+  const found = findProjectDir(projectId)
+  if (!found) throw { code: 'NOT_FOUND', message: `Project not found: ${projectId}` }
+  return { project_id: projectId, ...usageService.readUsage(found.fullPath) }
 }
 
 /**
@@ -270,9 +367,11 @@ module.exports = {
   createProject,
   cloneProject,
   getProject,
+  getUsage,
   listProjects,
   updateProjectStatus,
   exportProject,
   deleteProject,
   findProjectDir,
+  assertDistinctCaseIds,
 }
@@ -17,6 +17,8 @@ const fileService      = require('./file-service')
 const workspaceService = require('./workspace-service')
 const cliService       = require('./cli-service')
 const logService       = require('./log-service')
+const usageService     = require('./usage-service')
+const rubricService    = require('./rubric-service')
 
 // ─── Recompose Prompt Template ───────────────────────────────────────────────
 
@@ -41,15 +43,6 @@ const RECOMPOSE_PROMPT = `你是一位专业的 Prompt 工程师。请根据以
 {meta_prompt_tail}【输出要求】
 直接输出重组后的完整 Skill 提示词文本，不要包含任何解释、标题或 JSON 包装。`
 
-const DIM_LABELS_CN = {
-  functional_correctness: '功能正确性',
-  robustness:             '健壮性',
-  readability:            '可读性',
-  conciseness:            '简洁性',
-  complexity_control:     '复杂度控制',
-  format_compliance:      '格式规范',
-}
-
 /**
  * Build the optional meta-prompt tail injected at the end of the recompose prompt.
  * Contains score history and strategy direction when called from the iteration loop.
@@ -57,10 +50,12 @@ const DIM_LABELS_CN = {
  * @param {object[]} scoreHistory  Array of { round, strategy, avg_score, score_breakdown, score_delta }
  * @param {string}   strategy      One of: GREEDY | DIMENSION_FOCUS | SEGMENT_EXPLORE | ...
  * @param {string}   focusDimension  Only relevant for DIMENSION_FOCUS strategy
+ * @param {object}   [rubric]      Project rubric; supplies dimension keys and labels
  * @returns {string}
  */
-function buildMetaPromptTail(scoreHistory, strategy, focusDimension) {
+function buildMetaPromptTail(scoreHistory, strategy, focusDimension, rubric = rubricService.CODE_QUALITY) {
   if (!scoreHistory || scoreHistory.length === 0) return ''
+  const labels = Object.fromEntries(rubric.dimensions.map(d => [d.key, d.label]))
 
   const historyLines = scoreHistory.map(h => {
     const deltaStr = h.score_delta != null
@@ -68,17 +63,17 @@ function buildMetaPromptTail(scoreHistory, strategy, focusDimension) {
       : ''
     const breakdown = h.score_breakdown
       ? Object.entries(h.score_breakdown)
-          .map(([k, v]) => `${DIM_LABELS_CN[k] || k} ${v}`)
+          .map(([k, v]) => `${labels[k] || k} ${v}`)
           .join(' | ')
       : ''
     return `第${h.round}轮${h.strategy ? `（${h.strategy}）` : ''}：总分 ${Number(h.avg_score).toFixed(1)}${deltaStr}　${breakdown}`
   })
 
-  const stagnantDims = _detectStagnantDimensions(scoreHistory)
+  const stagnantDims = _detectStagnantDimensions(scoreHistory, rubricService.dimensionKeys(rubric))
 
   const strategyLines = []
   if (strategy === 'DIMENSION_FOCUS' && focusDimension) {
-    strategyLines.push(`本轮策略方向：DIMENSION_FOCUS — 重点改善「${DIM_LABELS_CN[focusDimension] || focusDimension}」维度`)
+    strategyLines.push(`本轮策略方向：DIMENSION_FOCUS — 重点改善「${labels[focusDimension] || focusDimension}」维度`)
     strategyLines.push(`请在融合片段时优先强化该维度对应的指令精确性或约束条件，不要以牺牲其他维度为代价。`)
   } else if (strategy === 'SEGMENT_EXPLORE') {
     strategyLines.push(`本轮策略方向：SEGMENT_EXPLORE — 主动引入此前未使用的优势片段`)
@@ -89,7 +84,7 @@ function buildMetaPromptTail(scoreHistory, strategy, focusDimension) {
   }
 
   if (stagnantDims.length > 0) {
-    strategyLines.push(`停滞维度（连续2轮无改善）：${stagnantDims.map(d => DIM_LABELS_CN[d] || d).join('、')}`)
+    strategyLines.push(`停滞维度（连续2轮无改善）：${stagnantDims.map(d => labels[d] || d).join('、')}`)
     strategyLines.push(`请在本轮重点针对这些维度进行优化。`)
   }
 
@@ -103,10 +98,9 @@ function buildMetaPromptTail(scoreHistory, strategy, focusDimension) {
 }
 
 /** Detect dimensions that showed no improvement over the last 2 rounds. */
-function _detectStagnantDimensions(scoreHistory) {
+function _detectStagnantDimensions(scoreHistory, dims) {
   if (scoreHistory.length < 2) return []
   const last2 = scoreHistory.slice(-2)
-  const dims = Object.keys(DIM_LABELS_CN)
   return dims.filter(dim => {
     const scores = last2.map(h => h.score_breakdown && h.score_breakdown[dim])
     return scores.every(s => s != null) && scores[1] <= scores[0]
@@ -170,7 +164,7 @@ function buildRecomposePrompt(projectPath, config, { retentionRules, selectedSeg
     `片段${i + 1}（来自 ${s.skill_name}，类型：${s.type}）：\n${s.content}`
   ).join('\n\n')
 
-  const metaTail = buildMetaPromptTail(scoreHistory, strategy, focusDimension)
+  const metaTail = buildMetaPromptTail(scoreHistory, strategy, focusDimension, rubricService.projectRubric(config))
 
   return {
     prompt: RECOMPOSE_PROMPT
@@ -195,15 +189,24 @@ async function _doRecompose(projectId, projectPath, config, params, taskId, onCo
       model:     globalCfg.default_model || 'claude-opus-4-6',
       workingDir: path.join(projectPath, '.claude'),
       timeoutMs: 60000,
+      backend:   config && config.cli_config ? config.cli_config.backend : undefined,
+      priority:  'high',
+      projectId,
+      cachePolicy: config && config.cli_config ? config.cli_config.cache_policy : undefined,
+      jobLabel:  'recompose',
+      retry:     { maxRetries: config && config.cli_config ? config.cli_config.retry_count : undefined },
     })
 
     const recomposedContent = cliResult.result || ''
     const uniqueSourceSkills = [...new Set(selected.map(s => s.skill_id))]
+    const usage = cliResult.usage || null
+    usageService.recordUsage(projectPath, 'recompose', usage)
 
     logService.info('recompose-service', 'Recomposition completed', {
       projectId,
       strategy: params.strategy || 'GREEDY',
       segmentCount: selected.length,
+      usage,
     })
 
     if (onComplete) {
@@ -215,6 +218,7 @@ async function _doRecompose(projectId, projectPath, config, params, taskId, onCo
           content:          recomposedContent,
           segmentCount:     selected.length,
           sourceSkillCount: uniqueSourceSkills.length,
+          usage,
         },
       })
     }
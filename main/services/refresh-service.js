@@ -0,0 +1,260 @@
+'use strict'
+
+/**
+ * refresh-service.js — Bring a tested project up to date with the library.
+ *
+ * A project snapshots its skills and baselines at creation. When the library
+ * moves on (a skill goes from v3 to v4, a baseline case is edited) the
+ * project's results show as stale in Rankings. A refresh compares the tested
+ * versions with the current ones — the same lookups leaderboard staleness
+ * uses — re-copies only the assets that changed and re-runs only the affected
+ * skill × case tasks:
+ *
+ *   skill updated     → every case of that skill (all models)
+ *   baseline updated  → cases whose definition changed or that were added,
+ *                       for every skill; results of removed cases are deleted
+ *
+ * Results of unaffected tasks are kept. The run itself is a normal test run
+ * (test-service skips tasks that already have a result), so progress, pause,
+ * budgets and the final summary.json work as usual. Assets deleted from the
+ * library cannot be refreshed and are reported as 'missing'.
+ */
+
+const fs   = require('fs')
+const path = require('path')
+const fileService        = require('./file-service')
+const workspaceService   = require('./workspace-service')
+const logService         = require('./log-service')
+const testService        = require('./test-service')
+const leaderboardService = require('./leaderboard-service')
+const pairwiseService    = require('./pairwise-service')
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+function _findProjectDir(projectId) {
+  for (const { dir, fullPath } of workspaceService.listAllProjectDirs()) {
+    const cfg = fileService.readJson(path.join(fullPath, 'config.json'))
+    if (cfg && cfg.id === projectId) return { dir, fullPath }
+  }
+  return null
+}
+
+function _loadProject(projectId) {
+  const found = _findProjectDir(projectId)
+  if (!found) throw { code: 'NOT_FOUND', message: `Project not found: ${projectId}` }
+  const config = fileService.readJson(path.join(found.fullPath, 'config.json'))
+  if (!config) throw { code: 'NOT_FOUND', message: 'Project config missing' }
+  return { projectPath: found.fullPath, config }
+}
+
+/** Case identity as stored in cases.json (generated cases use `id`). */
+function _caseKey(c) {
+  return c.case_id || c.id
+}
+
+/** Case definition without bookkeeping timestamps, for change detection. */
+function _caseDefinition(c) {
+  const { created_at, updated_at, ...rest } = c
+  return JSON.stringify(rest)
+}
+
+function _cases(baselineDir) {
+  const data = fileService.readJson(path.join(baselineDir, 'cases.json'))
+  return (data && data.cases) || []
+}
+
+/** Changed / added / removed case ids between two case lists. */
+function _diffCases(tested, current) {
+  const before = new Map(tested.map(c => [_caseKey(c), c]))
+  const after  = new Map(current.map(c => [_caseKey(c), c]))
+  const changed = []
+  const added   = []
+  for (const [key, c] of after) {
+    if (!before.has(key)) added.push(key)
+    else if (_caseDefinition(before.get(key)) !== _caseDefinition(c)) changed.push(key)
+  }
+  const removed = [...before.keys()].filter(key => !after.has(key))
+  return { changed, added, removed }
+}
+
+function _libraryDir(kind, id) {
+  return kind === 'skill'
+    ? require('./skill-service').findSkillDir(id)
+    : require('./baseline-service').findBaselineDir(id)
+}
+
+// ─── Plan ─────────────────────────────────────────────────────────────────────
+
+function _plan(projectPath, config) {
+  const models = testService.projectModels(config)
+  const firstBaseline = (config.baselines || [])[0]
+  const baselineCurrent = firstBaseline
+    ? leaderboardService._getCurrentBaselineVersion(firstBaseline.ref_id)
+    : null
+
+  const skills = (config.skills || []).map(s => {
+    const current = leaderboardService._getCurrentSkillVersion(s.ref_id)
+    return {
+      skill_id:        s.ref_id,
+      name:            s.name,
+      version_tested:  s.version,
+      version_current: current,
+      status:          current === null ? 'missing' : current !== s.version ? 'updated' : 'current',
+      // As Rankings shows it (against the project's first baseline)
+      staleness:       firstBaseline
+        ? leaderboardService._computeStaleness(s.version, current, firstBaseline.version, baselineCurrent)
+        : null,
+    }
+  })
+
+  const baselines = (config.baselines || []).map(b => {
+    const current = leaderboardService._getCurrentBaselineVersion(b.ref_id)
+    const entry = {
+      baseline_id:     b.ref_id,
+      name:            b.name,
+      version_tested:  b.version,
+      version_current: current,
+      status:          current === null ? 'missing' : current !== b.version ? 'updated' : 'current',
+      cases:           { changed: [], added: [], removed: [] },
+      case_count:      _cases(path.join(projectPath, b.local_path)).length,
+    }
+    if (entry.status === 'updated') {
+      const found = _libraryDir('baseline', b.ref_id)
+      if (found) {
+        const currentCases = _cases(found.fullPath)
+        entry.cases = _diffCases(_cases(path.join(projectPath, b.local_path)), currentCases)
+        entry.case_count = currentCases.length
+      }
+    }
+    return entry
+  })
+
+  const updatedSkills = skills.filter(s => s.status === 'updated')
+  const rerunCases = baselines.reduce((n, b) => n + b.cases.changed.length + b.cases.added.length, 0)
+  const totalCases = baselines.reduce((n, b) => n + b.case_count, 0)
+  // Updated skills re-run every case; the others only new and changed cases
+  const affectedTasks = models.length * (
+    updatedSkills.length * totalCases + (skills.length - updatedSkills.length) * rerunCases)
+
+  return {
+    skills,
+    baselines,
+    affected_tasks: affectedTasks,
+    total_tasks:    models.length * skills.length * totalCases,
+    up_to_date:     updatedSkills.length === 0 && baselines.every(b => b.status !== 'updated'),
+  }
+}
+
+// ─── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * What a refresh would do, without changing anything.
+ * @returns {{ skills, baselines, affected_tasks, total_tasks, up_to_date }}
+ */
+function planRefresh(projectId) {
+  const { projectPath, config } = _loadProject(projectId)
+  return _plan(projectPath, config)
+}
+
+/**
+ * Refresh a project: re-copy updated assets, delete the results they
+ * invalidate and start a run for the affected tasks. Returns immediately
+ * after the run is started; progress arrives through onProgress like any
+ * test run. When only removed cases changed, summary.json is recomputed
+ * directly.
+ * @returns {{ refreshed: boolean, started: boolean, plan: object }}
+ * @throws {{ code: 'ALREADY_RUNNING' }} while a test of the project runs
+ */
+async function refreshProject(projectId, { onProgress, onStream } = {}) {
+  const { projectPath, config } = _loadProject(projectId)
+  if (testService.isRunning(projectId)) throw { code: 'ALREADY_RUNNING' }
+
+  const plan = _plan(projectPath, config)
+  if (plan.up_to_date) return { refreshed: false, started: false, plan }
+
+  // Updated baselines must not bring in a case id another baseline already uses
+  require('./project-service').assertDistinctCaseIds((config.baselines || []).map(ref => {
+    const b = plan.baselines.find(x => x.baseline_id === ref.ref_id)
+    const found = b && b.status === 'updated' ? _libraryDir('baseline', ref.ref_id) : null
+    return { name: ref.name, cases: _cases(found ? found.fullPath : path.join(projectPath, ref.local_path)) }
+  }))
+
+  // 1. Re-copy updated assets in place: local_path (and so the result
+  //    directories) stays the same
+  const updatedSkillIds = new Set()
+  for (const s of plan.skills.filter(x => x.status === 'updated')) {
+    const ref = config.skills.find(r => r.ref_id === s.skill_id)
+    const found = _libraryDir('skill', s.skill_id)
+    if (!found) continue
+    const meta = fileService.readJson(path.join(found.fullPath, 'meta.json')) || {}
+    const dest = path.join(projectPath, ref.local_path)
+    fileService.removeDir(dest)
+    fileService.copyDir(found.fullPath, dest)
+    Object.assign(ref, { name: meta.name || ref.name, version: meta.version || s.version_current })
+    updatedSkillIds.add(s.skill_id)
+  }
+  const rerunCases   = new Set()
+  const removedCases = new Set()
+  for (const b of plan.baselines.filter(x => x.status === 'updated')) {
+    const ref = config.baselines.find(r => r.ref_id === b.baseline_id)
+    const found = _libraryDir('baseline', b.baseline_id)
+    if (!found) continue
+    const meta = fileService.readJson(path.join(found.fullPath, 'meta.json')) || {}
+    const dest = path.join(projectPath, ref.local_path)
+    fileService.removeDir(dest)
+    fileService.copyDir(found.fullPath, dest)
+    Object.assign(ref, { name: meta.name || ref.name, version: meta.version || b.version_current })
+    for (const key of [...b.cases.changed, ...b.cases.added]) rerunCases.add(key)
+    for (const key of b.cases.removed) removedCases.add(key)
+  }
+
+  // 2. Drop invalidated results; what is left is kept as is
+  const tasks = testService.buildTaskList(projectPath, config)
+  let rerun = 0
+  for (const task of tasks) {
+    if (updatedSkillIds.has(task.skillRef.ref_id) || rerunCases.has(_caseKey(task.caseItem))) {
+      fs.rmSync(task.resultPath, { force: true })
+      rerun++
+    }
+  }
+  for (const skillRef of (config.skills || [])) {
+    for (const { dir } of testService.resultDirs(projectPath, config, skillRef)) {
+      for (const key of removedCases) fs.rmSync(path.join(dir, `${key}.json`), { force: true })
+    }
+  }
+  if (fileService.exists(path.join(projectPath, 'results', 'pairwise.json'))) {
+    const store = pairwiseService.readStore(projectPath)
+    store.comparisons = store.comparisons.filter(c =>
+      !updatedSkillIds.has(c.a) && !updatedSkillIds.has(c.b)
+      && !rerunCases.has(c.case_id) && !removedCases.has(c.case_id))
+    pairwiseService.writeStore(projectPath, store)
+  }
+
+  // 3. Record the refresh and start the run
+  const now = new Date().toISOString()
+  config.progress = { ...(config.progress || {}), total_tasks: tasks.length }
+  config.last_refresh = {
+    at:            now,
+    skills:        [...updatedSkillIds],
+    baselines:     plan.baselines.filter(b => b.status === 'updated').map(b => b.baseline_id),
+    rerun_tasks:   rerun,
+    removed_cases: [...removedCases],
+  }
+  config.updated_at = now
+  fileService.writeJson(path.join(projectPath, 'config.json'), config)
+  logService.info('refresh-service', 'Project refreshed', {
+    projectId, skills: config.last_refresh.skills.length, baselines: config.last_refresh.baselines.length, rerunTasks: rerun,
+  })
+
+  if (rerun === 0) {
+    testService.rewriteSummary(projectId, projectPath, config)
+    return { refreshed: true, started: false, plan }
+  }
+  await testService.startTest(projectId, { onProgress, onStream })
+  return { refreshed: true, started: true, plan }
+}
+
+module.exports = {
+  planRefresh,
+  refreshProject,
+}
@@ -0,0 +1,285 @@
+'use strict'
+
+/**
+ * review-service.js — Human review of judged results.
+ *
+ * A reviewer can flag a result for review, accept a flagged one as is, or
+ * override individual dimension scores with a comment. An override keeps the
+ * judge's scores in `original_scores` (first override only, so they always
+ * hold what the judge said) and writes the effective scores to `scores`, which
+ * is what summary.json, the leaderboard and the analysis read. A revert puts
+ * the judge's scores back.
+ *
+ * Every action is appended to results/reviews.json with who, when and why,
+ * and summary.json is recomputed afterwards. Retrying a case replaces the
+ * record — and with it any override — with a freshly judged one.
+ */
+
+const os = require('os')
+const path = require('path')
+const fileService      = require('./file-service')
+const workspaceService = require('./workspace-service')
+const rubricService    = require('./rubric-service')
+const testService      = require('./test-service')
+const logService       = require('./log-service')
+
+const QUEUE_STATUSES = ['flagged', 'overridden', 'all']
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+function _findProjectDir(projectId) {
+  for (const { dir, fullPath } of workspaceService.listAllProjectDirs()) {
+    const cfg = fileService.readJson(path.join(fullPath, 'config.json'))
+    if (cfg && cfg.id === projectId) return { dir, fullPath }
+  }
+  return null
+}
+
+function _loadProject(projectId) {
+  const found = _findProjectDir(projectId)
+  if (!found) throw { code: 'NOT_FOUND', message: `Project not found: ${projectId}` }
+  const config = fileService.readJson(path.join(found.fullPath, 'config.json'))
+  if (!config) throw { code: 'NOT_FOUND', message: `Project config missing: ${projectId}` }
+  return { projectPath: found.fullPath, config }
+}
+
+/** Reviewer name: the given one, else the OS user. */
+function _reviewer(name) {
+  if (typeof name === 'string' && name.trim()) return name.trim()
+  try {
+    return os.userInfo().username || 'unknown'
+  } catch {
+    return 'unknown'
+  }
+}
+
+/**
+ * Locate one result record. `model` defaults to the project's first model.
+ * @returns {{ projectPath, config, filePath, record, model }}
+ */
+function _loadResult(projectId, { skillId, caseId, model } = {}) {
+  if (!skillId || !caseId) throw { code: 'INVALID_PARAMS', message: 'skillId and caseId are required' }
+  const { projectPath, config } = _loadProject(projectId)
+  const skillRef = (config.skills || []).find(s => s.ref_id === skillId)
+  if (!skillRef) throw { code: 'NOT_FOUND', message: `Skill not in project: ${skillId}` }
+  const dirs = testService.resultDirs(projectPath, config, skillRef)
+  const target = model ? dirs.find(d => d.model === model) : dirs[0]
+  if (!target) throw { code: 'NOT_FOUND', message: `Model not in project: ${model}` }
+  const filePath = path.join(target.dir, `${caseId}.json`)
+  const record = fileService.readJson(filePath)
+  if (!record) throw { code: 'NOT_FOUND', message: `No result for ${skillId} / ${caseId}` }
+  return { projectPath, config, filePath, record, model: target.model }
+}
+
+function _reviewsPath(projectPath) {
+  return path.join(projectPath, 'results', 'reviews.json')
+}
+
+function _readLog(projectPath) {
+  const data = fileService.readJson(_reviewsPath(projectPath))
+  return data && Array.isArray(data.entries) ? data : { entries: [] }
+}
+
+/** Save the record, append the audit entry and recompute the summary. */
+function _commit(projectId, ctx, record, entry) {
+  fileService.writeJson(ctx.filePath, record)
+  const log = _readLog(ctx.projectPath)
+  log.entries.push(entry)
+  fileService.writeJson(_reviewsPath(ctx.projectPath), log)
+  testService.rewriteSummary(projectId, ctx.projectPath, ctx.config)
+  logService.info('review-service', `Result ${entry.action}`, {
+    projectId, skillId: entry.skill_id, caseId: entry.case_id, model: entry.model, reviewer: entry.reviewer,
+  })
+  return record
+}
+
+function _entry(action, ctx, record, reviewer, comment, extra = {}) {
+  return {
+    at:       new Date().toISOString(),
+    reviewer,
+    action,
+    skill_id: record.skill_id,
+    case_id:  record.case_id,
+    model:    ctx.model,
+    ...extra,
+    comment:  comment || '',
+  }
+}
+
+// ─── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * Mark a result as needing review (review_reason 'manual').
+ * @returns {object} the updated record
+ */
+function flagResult(projectId, { skillId, caseId, model, comment, reviewer } = {}) {
+  const ctx = _loadResult(projectId, { skillId, caseId, model })
+  const record = { ...ctx.record, needs_review: true, review_reason: 'manual' }
+  if (comment) record.review_comment = String(comment)
+  return _commit(projectId, ctx, record, _entry('flag', ctx, record, _reviewer(reviewer), comment))
+}
+
+/**
+ * Accept a flagged result as scored. An existing override stays in place;
+ * only the flag is cleared.
+ */
+function acceptResult(projectId, { skillId, caseId, model, comment, reviewer } = {}) {
+  const ctx = _loadResult(projectId, { skillId, caseId, model })
+  if (!ctx.record.needs_review) throw { code: 'INVALID_PARAMS', message: 'Result is not flagged for review' }
+  const who = _reviewer(reviewer)
+  const record = { ...ctx.record }
+  delete record.needs_review
+  delete record.review_reason
+  delete record.review_comment
+  if (!record.review || record.review.status !== 'overridden') {
+    record.review = { status: 'accepted', reviewer: who, reviewed_at: new Date().toISOString(), comment: comment || '' }
+  }
+  return _commit(projectId, ctx, record, _entry('accept', ctx, record, who, comment))
+}
+
+/**
+ * Override dimension scores. `scores` maps rubric dimension keys to new
+ * values (0 – dimension max); the total moves by the same amount. A comment
+ * is required. Clears any review flag.
+ */
+function overrideScores(projectId, { skillId, caseId, model, scores, comment, reviewer } = {}) {
+  if (!comment || !String(comment).trim()) {
+    throw { code: 'INVALID_PARAMS', message: 'A comment is required for a score override' }
+  }
+  if (!scores || typeof scores !== 'object' || Object.keys(scores).length === 0) {
+    throw { code: 'INVALID_PARAMS', message: 'scores must name at least one dimension' }
+  }
+  const ctx = _loadResult(projectId, { skillId, caseId, model })
+  const rubric = rubricService.projectRubric(ctx.config)
+  const dims = Object.fromEntries(rubric.dimensions.map(d => [d.key, d]))
+  for (const [key, value] of Object.entries(scores)) {
+    if (!dims[key]) throw { code: 'INVALID_PARAMS', message: `Unknown dimension: ${key}` }
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || value > dims[key].max) {
+      throw { code: 'INVALID_PARAMS', message: `${key} must be a number from 0 to ${dims[key].max}` }
+    }
+  }
+  const current = ctx.record.scores
+  if (!current || typeof current !== 'object') {
+    throw { code: 'INVALID_PARAMS', message: 'Result has no scores to override' }
+  }
+
+  const next = { ...current }
+  const changes = {}
+  for (const [key, value] of Object.entries(scores)) {
+    const from = typeof current[key] === 'number' ? current[key] : 0
+    if (from === value) continue
+    changes[key] = { from: current[key] != null ? current[key] : null, to: value }
+    next[key] = value
+  }
+  if (Object.keys(changes).length === 0) {
+    throw { code: 'INVALID_PARAMS', message: 'Override does not change any score' }
+  }
+  const delta = Object.values(changes).reduce((s, c) => s + c.to - (c.from || 0), 0)
+  const base = typeof current.total === 'number'
+    ? current.total
+    : rubric.dimensions.reduce((s, d) => s + (Number(current[d.key]) || 0), 0)
+  const total = Math.round(Math.min(rubricService.maxTotal(rubric), Math.max(0, base + delta)) * 10) / 10
+  next.total = total
+
+  const who = _reviewer(reviewer)
+  const now = new Date().toISOString()
+  const record = { ...ctx.record, scores: next }
+  if (!record.original_scores) record.original_scores = current
+  const prior = record.review && record.review.status === 'overridden' ? record.review.overrides : {}
+  record.review = {
+    status:      'overridden',
+    reviewer:    who,
+    reviewed_at: now,
+    comment:     String(comment),
+    overrides:   { ...prior, ...Object.fromEntries(Object.entries(changes).map(([k, c]) => [k, c.to])) },
+  }
+  delete record.needs_review
+  delete record.review_reason
+  delete record.review_comment
+
+  return _commit(projectId, ctx, record, _entry('override', ctx, record, who, String(comment), {
+    changes,
+    total: { from: current.total != null ? current.total : null, to: total },
+  }))
+}
+
+/** Restore the judge's scores of an overridden result. */
+function revertOverride(projectId, { skillId, caseId, model, comment, reviewer } = {}) {
+  const ctx = _loadResult(projectId, { skillId, caseId, model })
+  if (!ctx.record.original_scores) throw { code: 'INVALID_PARAMS', message: 'Result has no override to revert' }
+  const record = { ...ctx.record, scores: ctx.record.original_scores }
+  delete record.original_scores
+  delete record.review
+  return _commit(projectId, ctx, record, _entry('revert', ctx, record, _reviewer(reviewer), comment, {
+    total: {
+      from: ctx.record.scores ? ctx.record.scores.total : null,
+      to:   record.scores ? record.scores.total : null,
+    },
+  }))
+}
+
+/**
+ * Results awaiting or having had human review.
+ * @param {{ status?: 'flagged'|'overridden'|'all' }} opts — 'all' also lists accepted results
+ * @returns {{ items: object[], rubric: object }}
+ */
+function listQueue(projectId, { status = 'flagged' } = {}) {
+  if (!QUEUE_STATUSES.includes(status)) {
+    throw { code: 'INVALID_PARAMS', message: `Unknown status: ${status} (expected ${QUEUE_STATUSES.join(' | ')})` }
+  }
+  const { projectPath, config } = _loadProject(projectId)
+  const items = []
+  for (const skillRef of (config.skills || [])) {
+    for (const { model, dir } of testService.resultDirs(projectPath, config, skillRef)) {
+      for (const file of fileService.listFiles(dir)) {
+        if (!file.endsWith('.json')) continue
+        const record = fileService.readJson(path.join(dir, file))
+        if (!record || !record.case_id) continue
+        const overridden = !!(record.review && record.review.status === 'overridden')
+        const keep = status === 'flagged' ? !!record.needs_review
+          : status === 'overridden' ? overridden
+            : !!(record.needs_review || record.review)
+        if (!keep) continue
+        items.push({
+          skill_id:        skillRef.ref_id,
+          skill_name:      skillRef.name,
+          case_id:         record.case_id,
+          model,
+          status:          record.status,
+          needs_review:    !!record.needs_review,
+          review_reason:   record.review_reason || null,
+          review_comment:  record.review_comment || null,
+          judge_spread:    record.judge_spread != null ? record.judge_spread : null,
+          scores:          record.scores || null,
+          original_scores: record.original_scores || null,
+          review:          record.review || null,
+          reasoning:       record.score_reasoning || null,
+          input:           record.input || '',
+          expected_output: record.expected_output || '',
+          actual_output:   record.actual_output || '',
+          transcript:      record.transcript || null,
+        })
+      }
+    }
+  }
+  return { items, rubric: rubricService.describe(rubricService.projectRubric(config)) }
+}
+
+/**
+ * Review audit trail, oldest first; optionally narrowed to one skill / case.
+ */
+function getAuditLog(projectId, { skillId, caseId } = {}) {
+  const { projectPath } = _loadProject(projectId)
+  return _readLog(projectPath).entries.filter(e =>
+    (!skillId || e.skill_id === skillId) && (!caseId || e.case_id === caseId))
+}
+
+module.exports = {
+  QUEUE_STATUSES,
+  flagResult,
+  acceptResult,
+  overrideScores,
+  revertOverride,
+  listQueue,
+  getAuditLog,
+}
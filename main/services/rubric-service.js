@@ -0,0 +1,367 @@
+'use strict'
+
+/**
+ * rubric-service.js — Scoring rubrics: dimensions, max points and judge prompt.
+ *
+ * A rubric is
+ *   { id, name, description?, dimensions: [{ key, label, short?, max, description? }],
+ *     judge_prompt?, execution_dimension? }
+ *
+ * judge_prompt placeholders: {test_input} {expected_output} {actual_output}
+ * (required) plus {dimensions} (numbered criteria), {output_format} (the JSON
+ * reply skeleton), {max_total} and {dimension_count}. Without a judge_prompt
+ * the generic DEFAULT_JUDGE_PROMPT is used. execution_dimension names the
+ * dimension that sandboxed case tests replace (see sandbox-service.js).
+ *
+ * The built-in 'code_quality' rubric holds the original six code-quality
+ * dimensions and is not stored on disk. User rubrics live in
+ * workspace/rubrics/<id>.json. A baseline references one through
+ * meta.json `rubric_id` (null → code_quality); a project snapshots the rubric
+ * of its baselines into config.json `rubric` at creation, so later edits do
+ * not change how existing results are read.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const crypto = require('crypto')
+const fileService = require('./file-service')
+const workspaceService = require('./workspace-service')
+const logService = require('./log-service')
+
+const DEFAULT_RUBRIC_ID = 'code_quality'
+const ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/
+const KEY_PATTERN = /^[a-z][a-z0-9_]{0,63}$/
+
+// ─── Built-in rubric ────────────────────────────────────────────────────────
+
+const CODE_QUALITY_PROMPT = `你是一位专业的代码质量评审专家。请根据以下评判标准，对代码生成结果进行客观评分。
+
+【测试输入】
+{test_input}
+
+【期望输出描述】
+{expected_output}
+
+【实际输出】
+{actual_output}
+
+【评判标准（满分100分）】
+请严格按照以下6个维度逐一评分：
+
+1. 功能正确性（0-30分）
+   - 代码是否准确实现了测试输入中的需求
+   - 核心算法逻辑是否正确
+   - 是否满足期望输出中的关键要求
+
+2. 健壮性（0-20分）
+   - 异常情况是否有捕获和处理
+   - 边界条件（空值、极大值、非法输入等）是否覆盖
+   - 是否有防止程序崩溃的保护机制
+
+3. 代码可读性（0-15分）
+   - 变量名、函数名是否语义清晰
+   - 代码结构是否层次分明，逻辑易于理解
+   - 是否有必要的注释（不要求过度注释）
+
+4. 代码简洁性（0-15分）
+   - 是否存在冗余代码、重复逻辑
+   - 实现是否精炼，表达是否高效
+
+5. 复杂度控制（0-10分）
+   - 是否避免了不必要的嵌套和复杂度
+   - 函数/模块是否有合理拆分
+
+6. 格式规范性（0-10分）
+   - 是否符合该编程语言的通行编码规范（如PEP8/ESLint等）
+   - 缩进、换行、空格等格式是否规范
+
+【严格要求】
+1. 仅输出 JSON，不要包含任何 JSON 以外的文字、解释或 Markdown 代码块标记
+2. 确保 JSON 格式合法，total 字段必须等于六项之和
+
+【返回格式】
+{
+  "scores": {
+    "functional_correctness": <0-30的整数>,
+    "robustness": <0-20的整数>,
+    "readability": <0-15的整数>,
+    "conciseness": <0-15的整数>,
+    "complexity_control": <0-10的整数>,
+    "format_compliance": <0-10的整数>,
+    "total": <以上六项之和>
+  },
+  "reasoning": "<各维度评分的简要理由，总计100-200字，格式：维度名(得分/满分)：理由；...>"
+}`
+
+const CODE_QUALITY = {
+  id:          DEFAULT_RUBRIC_ID,
+  name:        '代码质量',
+  description: '代码生成类 Skill 的六维评分（满分100）',
+  builtin:     true,
+  execution_dimension: 'functional_correctness',
+  dimensions: [
+    { key: 'functional_correctness', label: '功能正确性', short: 'FC',   max: 30, description: '是否准确实现需求，核心逻辑是否正确' },
+    { key: 'robustness',             label: '健壮性',     short: 'Rob',  max: 20, description: '异常处理与边界条件覆盖' },
+    { key: 'readability',            label: '可读性',     short: 'Read', max: 15, description: '命名、结构与必要注释' },
+    { key: 'conciseness',            label: '简洁性',     short: 'Con',  max: 15, description: '无冗余代码与重复逻辑' },
+    { key: 'complexity_control',     label: '复杂度控制', short: 'CC',   max: 10, description: '避免不必要的嵌套，合理拆分' },
+    { key: 'format_compliance',      label: '格式规范',   short: 'Fmt',  max: 10, description: '符合该语言的通行编码规范' },
+  ],
+  judge_prompt: CODE_QUALITY_PROMPT,
+}
+
+const DEFAULT_JUDGE_PROMPT = `你是一位专业的评审专家。请根据以下评判标准，对 Skill 的输出结果进行客观评分。
+
+【测试输入】
+{test_input}
+
+【期望输出描述】
+{expected_output}
+
+【实际输出】
+{actual_output}
+
+【评判标准（满分{max_total}分）】
+请严格按照以下{dimension_count}个维度逐一评分：
+
+{dimensions}
+
+【严格要求】
+1. 仅输出 JSON，不要包含任何 JSON 以外的文字、解释或 Markdown 代码块标记
+2. 确保 JSON 格式合法，total 字段必须等于各维度之和
+
+【返回格式】
+{output_format}`
+
+// ─── Helpers ────────────────────────────────────────────────────────────────
+
+function dimensionKeys(rubric) {
+  return (rubric || CODE_QUALITY).dimensions.map(d => d.key)
+}
+
+function maxTotal(rubric) {
+  return (rubric || CODE_QUALITY).dimensions.reduce((sum, d) => sum + d.max, 0)
+}
+
+/** Compact form stored in summary.json and leaderboard records. */
+function describe(rubric) {
+  const r = rubric || CODE_QUALITY
+  return {
+    id:         r.id,
+    name:       r.name,
+    dimensions: r.dimensions.map(d => ({ key: d.key, label: d.label, short: d.short || null, max: d.max })),
+  }
+}
+
+/** Rubric a project scores with: its snapshot, or the built-in one for older projects. */
+function projectRubric(config) {
+  return (config && config.rubric && Array.isArray(config.rubric.dimensions)) ? config.rubric : CODE_QUALITY
+}
+
+/**
+ * Judge prompt for one case. Placeholders are substituted in a single pass,
+ * so text inside the case or the output is never re-expanded.
+ */
+function buildJudgePrompt(rubric, { input, expected_output, actual_output }) {
+  const r = rubric || CODE_QUALITY
+  const criteria = r.dimensions.map((d, i) => {
+    const lines = [`${i + 1}. ${d.label}（0-${d.max}分）`]
+    for (const line of String(d.description || '').split('\n').map(l => l.trim()).filter(Boolean)) {
+      lines.push(`   - ${line}`)
+    }
+    return lines.join('\n')
+  }).join('\n\n')
+  const format = [
+    '{',
+    '  "scores": {',
+    ...r.dimensions.map(d => `    "${d.key}": <0-${d.max}的整数>,`),
+    '    "total": <以上各项之和>',
+    '  },',
+    '  "reasoning": "<各维度评分的简要理由，总计100-200字，格式：维度名(得分/满分)：理由；...>"',
+    '}',
+  ].join('\n')
+  const values = {
+    test_input:      input || '',
+    expected_output: expected_output || '',
+    actual_output:   actual_output || '',
+    dimensions:      criteria,
+    output_format:   format,
+    max_total:       String(maxTotal(r)),
+    dimension_count: String(r.dimensions.length),
+  }
+  return (r.judge_prompt || DEFAULT_JUDGE_PROMPT)
+    .replace(/\{(test_input|expected_output|actual_output|dimensions|output_format|max_total|dimension_count)\}/g,
+      (_, key) => values[key])
+}
+
+/** All-zero scores for every rubric dimension (used when a gate assertion fails). */
+function zeroScores(rubric) {
+  return Object.fromEntries([...dimensionKeys(rubric), 'total'].map(k => [k, 0]))
+}
+
+/**
+ * Fill in `total` from the dimensions when the judge left it out.
+ * Everything else is kept as the judge returned it.
+ */
+function completeScores(rubric, scores) {
+  if (!scores || typeof scores !== 'object' || scores.total != null) return scores
+  const keys = dimensionKeys(rubric)
+  if (!keys.some(k => typeof scores[k] === 'number')) return scores
+  return { ...scores, total: keys.reduce((sum, k) => sum + (Number(scores[k]) || 0), 0) }
+}
+
+// ─── Validation ─────────────────────────────────────────────────────────────
+
+/**
+ * Validate a rubric definition and return it normalized. Throws INVALID_PARAMS.
+ */
+function validateRubric(rubric) {
+  const bad = (msg) => { throw { code: 'INVALID_PARAMS', message: `Rubric: ${msg}` } }
+  if (!rubric || typeof rubric !== 'object') bad('must be an object')
+  if (!rubric.name || typeof rubric.name !== 'string') bad('name is required')
+  if (rubric.id != null && !ID_PATTERN.test(rubric.id)) bad(`invalid id "${rubric.id}" (lowercase letters, digits, _ and -)`)
+  if (!Array.isArray(rubric.dimensions) || rubric.dimensions.length === 0) bad('dimensions must be a non-empty array')
+
+  const seen = new Set()
+  const dimensions = rubric.dimensions.map((d, i) => {
+    if (!d || typeof d !== 'object') bad(`dimension #${i + 1} must be an object`)
+    if (!KEY_PATTERN.test(d.key || '') || d.key === 'total' || d.key.startsWith('judge_')) {
+      bad(`dimension #${i + 1}: invalid key "${d.key}" (lowercase identifier; "total" and "judge_*" are reserved)`)
+    }
+    if (seen.has(d.key)) bad(`duplicate dimension key "${d.key}"`)
+    seen.add(d.key)
+    if (!(Number.isFinite(d.max) && d.max > 0)) bad(`dimension ${d.key}: max must be a positive number`)
+    return {
+      key:         d.key,
+      label:       d.label ? String(d.label) : d.key,
+      ...(d.short ? { short: String(d.short) } : {}),
+      max:         d.max,
+      description: d.description ? String(d.description) : '',
+    }
+  })
+
+  if (rubric.judge_prompt != null) {
+    if (typeof rubric.judge_prompt !== 'string') bad('judge_prompt must be a string')
+    if (!rubric.judge_prompt.includes('{actual_output}')) bad('judge_prompt must contain {actual_output}')
+  }
+  if (rubric.execution_dimension != null && !seen.has(rubric.execution_dimension)) {
+    bad(`execution_dimension "${rubric.execution_dimension}" is not one of the dimensions`)
+  }
+
+  return {
+    ...(rubric.id ? { id: rubric.id } : {}),
+    name:        rubric.name,
+    description: rubric.description ? String(rubric.description) : '',
+    dimensions,
+    ...(rubric.judge_prompt ? { judge_prompt: rubric.judge_prompt } : {}),
+    ...(rubric.execution_dimension ? { execution_dimension: rubric.execution_dimension } : {}),
+  }
+}
+
+// ─── Storage ────────────────────────────────────────────────────────────────
+
+function _rubricPath(id) {
+  return path.join(workspaceService.paths.rubrics(), `${id}.json`)
+}
+
+function _newId(name) {
+  const slug = String(name).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 40)
+  const base = slug && /^[a-z0-9]/.test(slug) ? slug : 'rubric'
+  let id = base
+  while (id === DEFAULT_RUBRIC_ID || fileService.exists(_rubricPath(id))) {
+    id = `${base}_${crypto.randomBytes(3).toString('hex')}`
+  }
+  return id
+}
+
+/**
+ * List all rubrics, built-in first.
+ * @returns {Array<{ id, name, description, builtin, dimension_count, max_total, updated_at }>}
+ */
+function listRubrics() {
+  const dir = workspaceService.paths.rubrics()
+  const stored = fileService.listFiles(dir)
+    .filter(f => f.endsWith('.json'))
+    .map(f => fileService.readJson(path.join(dir, f)))
+    .filter(r => r && r.id && Array.isArray(r.dimensions))
+    .sort((a, b) => a.name.localeCompare(b.name))
+  return [CODE_QUALITY, ...stored].map(r => ({
+    id:              r.id,
+    name:            r.name,
+    description:     r.description || '',
+    builtin:         !!r.builtin,
+    dimension_count: r.dimensions.length,
+    max_total:       maxTotal(r),
+    updated_at:      r.updated_at || null,
+  }))
+}
+
+/**
+ * Get a rubric by id; empty id → built-in. Throws NOT_FOUND.
+ */
+function getRubric(rubricId) {
+  if (!rubricId || rubricId === DEFAULT_RUBRIC_ID) return CODE_QUALITY
+  const rubric = ID_PATTERN.test(rubricId) ? fileService.readJson(_rubricPath(rubricId)) : null
+  if (!rubric) throw { code: 'NOT_FOUND', message: `Rubric not found: ${rubricId}` }
+  return rubric
+}
+
+/**
+ * Create or update a rubric. Without an id a new one is derived from the name.
+ * The built-in rubric cannot be overwritten.
+ * @returns {{ rubricId: string }}
+ */
+function saveRubric(rubric) {
+  const clean = validateRubric(rubric)
+  if (clean.id === DEFAULT_RUBRIC_ID) throw { code: 'INVALID_PARAMS', message: 'The built-in rubric cannot be modified' }
+
+  const now = new Date().toISOString()
+  const id = clean.id || _newId(clean.name)
+  const existing = fileService.readJson(_rubricPath(id))
+  fileService.ensureDir(workspaceService.paths.rubrics())
+  fileService.writeJson(_rubricPath(id), {
+    ...clean,
+    id,
+    created_at: (existing && existing.created_at) || now,
+    updated_at: now,
+  })
+  logService.info('rubric-service', existing ? 'Rubric updated' : 'Rubric created', { rubricId: id, dimensions: clean.dimensions.length })
+  return { rubricId: id }
+}
+
+/**
+ * Delete a user rubric. Refused while a baseline still references it.
+ */
+function deleteRubric(rubricId) {
+  if (!rubricId || rubricId === DEFAULT_RUBRIC_ID) throw { code: 'INVALID_PARAMS', message: 'The built-in rubric cannot be deleted' }
+  getRubric(rubricId)
+
+  const users = workspaceService.listAllBaselineDirs()
+    .map(({ fullPath }) => fileService.readJson(path.join(fullPath, 'meta.json')))
+    .filter(meta => meta && meta.rubric_id === rubricId)
+  if (users.length > 0) {
+    throw { code: 'INVALID_PARAMS', message: `Rubric ${rubricId} is used by ${users.length} baseline(s): ${users.map(m => m.name).join(', ')}` }
+  }
+
+  fs.rmSync(_rubricPath(rubricId), { force: true })
+  logService.info('rubric-service', 'Rubric deleted', { rubricId })
+  return { deleted: true }
+}
+
+module.exports = {
+  DEFAULT_RUBRIC_ID,
+  CODE_QUALITY,
+  DEFAULT_JUDGE_PROMPT,
+  dimensionKeys,
+  maxTotal,
+  describe,
+  projectRubric,
+  buildJudgePrompt,
+  zeroScores,
+  completeScores,
+  validateRubric,
+  listRubrics,
+  getRubric,
+  saveRubric,
+  deleteRubric,
+}
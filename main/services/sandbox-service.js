@@ -0,0 +1,408 @@
+'use strict'
+
+/**
+ * sandbox-service.js — Run generated code against case-defined tests.
+ *
+ * A baseline case may carry
+ *   tests: { language: 'python' | 'node', code, timeout_ms?, feed_score? }
+ * test-service extracts the solution from the model output (the longest fenced
+ * block in that language; untagged blocks or the raw output as fallbacks) and
+ * runs it here together with the test snippet.
+ *
+ * Test snippets either define test_* functions (Python) / call
+ * test(name, fn) (Node, `assert` is in scope), or are plain top-level
+ * assertions counted as a single test. An AssertionError is a failure, any
+ * other exception an error.
+ *
+ * Sandbox:
+ *   - fresh temp dir as cwd / HOME / TMPDIR, removed afterwards
+ *   - minimal environment (no API keys, proxies or user site-packages)
+ *   - wall-clock timeout; the whole process group is killed
+ *   - memory cap: RLIMIT_AS for Python (POSIX only), --max-old-space-size for Node
+ *   - no network: socket / fetch / http(s) / child_process are disabled inside
+ *     the harness (Python: also _socket and an audit hook; Node: also the
+ *     module loader, process.mainModule and native bindings). This is an
+ *     in-process guard, not OS isolation: the code it runs is whatever the
+ *     tested skill made the model write, so a prompt-injected or careless
+ *     answer runs with the user's permissions. The project page warns about
+ *     such cases (project:get caseTestCount) and asks before each run.
+ *   - stdout / stderr captured (truncated to MAX_LOG_BYTES each)
+ *
+ * Settings: cli/config.json → sandbox { timeout_ms, memory_mb, python_path, node_path }.
+ */
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const { spawn } = require('child_process')
+const logService = require('./log-service')
+
+const LANGUAGES = ['python', 'node']
+const DEFAULTS = {
+  timeout_ms:  10000,
+  memory_mb:   256,
+  python_path: process.platform === 'win32' ? 'python' : 'python3',
+  node_path:   null,   // null → the running Node / Electron binary
+}
+const MAX_LOG_BYTES = 64 * 1024
+const RESULT_MARK = '@@SANDBOX_RESULT@@'
+
+const BLOCK_LANGS = {
+  python: ['python', 'py', 'python3'],
+  node:   ['javascript', 'js', 'node', 'nodejs', 'mjs', 'cjs'],
+}
+
+// ─── Harnesses ──────────────────────────────────────────────────────────────
+
+const PYTHON_HARNESS = `
+import json, sys, traceback
+MARK = ${JSON.stringify(RESULT_MARK)}
+result = {'passed': 0, 'failed': 0, 'errors': 0, 'failures': []}
+
+def _emit():
+    sys.stdout.flush()
+    sys.__stdout__.write('\\n' + MARK + json.dumps(result) + '\\n')
+    sys.__stdout__.flush()
+
+def _record(name, exc):
+    kind = 'failed' if isinstance(exc, AssertionError) else 'errors'
+    result[kind] += 1
+    result['failures'].append({'name': name, 'kind': 'failure' if kind == 'failed' else 'error',
+                               'message': ''.join(traceback.format_exception_only(type(exc), exc)).strip()[:1000]})
+
+try:
+    import resource
+    limit = int(sys.argv[1]) * 1024 * 1024
+    resource.setrlimit(resource.RLIMIT_AS, (limit, limit))
+except Exception:
+    pass
+
+import socket
+def _denied(*args, **kwargs):
+    raise OSError('network access is disabled in the sandbox')
+socket.socket.connect = _denied
+socket.socket.connect_ex = _denied
+socket.create_connection = _denied
+socket.getaddrinfo = _denied
+# The C module underneath would bypass the patches above
+sys.modules['_socket'] = None
+
+_NET_EVENTS = {'socket.connect', 'socket.bind', 'socket.sendto', 'socket.sendmsg',
+               'socket.getaddrinfo', 'socket.gethostbyname', 'socket.gethostbyaddr'}
+def _audit(event, args):
+    if event in _NET_EVENTS:
+        raise OSError('network access is disabled in the sandbox')
+if hasattr(sys, 'addaudithook'):
+    sys.addaudithook(_audit)
+
+ns = {'__name__': 'solution'}
+try:
+    exec(compile(open('solution.py', encoding='utf-8').read(), 'solution.py', 'exec'), ns)
+except BaseException as e:
+    _record('<solution>', e)
+    _emit()
+    sys.exit(0)
+
+before = set(ns)
+try:
+    exec(compile(open('tests.py', encoding='utf-8').read(), 'tests.py', 'exec'), ns)
+    top_level_ok = True
+except BaseException as e:
+    _record('<tests>', e)
+    top_level_ok = False
+
+tests = [(k, v) for k, v in ns.items() if k not in before and k.startswith('test') and callable(v)]
+if not tests and top_level_ok:
+    result['passed'] += 1
+for name, fn in tests:
+    try:
+        fn()
+        result['passed'] += 1
+    except BaseException as e:
+        _record(name, e)
+_emit()
+`
+
+const NODE_HARNESS = `
+'use strict'
+const fs = require('fs')
+const MARK = ${JSON.stringify(RESULT_MARK)}
+const result = { passed: 0, failed: 0, errors: 0, failures: [] }
+// module / vm / inspector hand out an unguarded require or a way around this one
+const BLOCKED = new Set(['child_process', 'cluster', 'dgram', 'dns', 'http', 'http2', 'https', 'inspector', 'module', 'net', 'repl', 'tls', 'vm', 'worker_threads'])
+
+function sandboxRequire(name) {
+  const bare = String(name).replace(/^node:/, '')
+  if (BLOCKED.has(bare)) throw new Error('module "' + bare + '" is disabled in the sandbox')
+  return require(name)
+}
+globalThis.fetch = () => Promise.reject(new Error('network access is disabled in the sandbox'))
+// process.mainModule.require / native bindings would bypass sandboxRequire
+for (const key of ['mainModule', 'binding', '_linkedBinding', 'dlopen']) {
+  Object.defineProperty(process, key, {
+    get() { throw new Error('process.' + key + ' is disabled in the sandbox') },
+    configurable: false,
+  })
+}
+
+function record(name, e) {
+  const failed = e && (e.code === 'ERR_ASSERTION' || e.name === 'AssertionError')
+  result[failed ? 'failed' : 'errors']++
+  result.failures.push({ name, kind: failed ? 'failure' : 'error', message: String((e && e.message) || e).slice(0, 1000) })
+}
+
+function emit() {
+  process.stdout.write('\\n' + MARK + JSON.stringify(result) + '\\n', () => process.exit(0))
+}
+
+const tests = []
+const test = (name, fn) => tests.push({ name: String(name), fn })
+process.on('uncaughtException', e => { record('<uncaught>', e); emit() })
+
+;(async () => {
+  let topLevelOk = true
+  try {
+    const body = new Function('require', 'module', 'exports', 'test', 'assert',
+      fs.readFileSync('solution.js', 'utf8') + '\\n;\\n' + fs.readFileSync('tests.js', 'utf8'))
+    // No prototype: module.constructor must not lead anywhere
+    const mod = Object.assign(Object.create(null), { exports: {} })
+    await body(sandboxRequire, mod, mod.exports, test, require('assert'))
+  } catch (e) {
+    record('<top-level>', e)
+    topLevelOk = false
+  }
+  if (tests.length === 0 && topLevelOk) result.passed++
+  for (const t of tests) {
+    try {
+      await t.fn()
+      result.passed++
+    } catch (e) {
+      record(t.name, e)
+    }
+  }
+  emit()
+})()
+`
+
+// ─── Code extraction ────────────────────────────────────────────────────────
+
+/**
+ * Pick the solution code out of a model answer: the longest fenced block
+ * tagged with the language, else the longest untagged block, else the whole
+ * output when it has no fences at all. Returns '' when only other-language
+ * blocks exist.
+ */
+function extractCode(output, language) {
+  const text = String(output || '')
+  const blocks = []
+  const re = /^[ \t]*(```|~~~)[ \t]*([^\s`]*)[^\n]*\n([\s\S]*?)^[ \t]*\1[ \t]*$/gm
+  let m
+  while ((m = re.exec(text)) !== null) blocks.push({ lang: m[2].toLowerCase(), code: m[3] })
+  if (blocks.length === 0) return text.trim()
+
+  const longest = list => list.reduce((a, b) => (b.code.length > a.code.length ? b : a)).code.trim()
+  const tagged = blocks.filter(b => (BLOCK_LANGS[language] || []).includes(b.lang))
+  if (tagged.length) return longest(tagged)
+  const untagged = blocks.filter(b => !b.lang)
+  return untagged.length ? longest(untagged) : ''
+}
+
+// ─── Validation ─────────────────────────────────────────────────────────────
+
+/**
+ * Validate a case's `tests` definition. Throws INVALID_PARAMS.
+ */
+function validateCaseTests(tests, caseId = '') {
+  if (tests == null) return null
+  const where = caseId ? `Case ${caseId}: ` : ''
+  if (typeof tests !== 'object' || Array.isArray(tests)) throw { code: 'INVALID_PARAMS', message: `${where}tests must be an object` }
+  if (!LANGUAGES.includes(tests.language)) {
+    throw { code: 'INVALID_PARAMS', message: `${where}tests.language must be ${LANGUAGES.join(' | ')}` }
+  }
+  if (typeof tests.code !== 'string' || !tests.code.trim()) throw { code: 'INVALID_PARAMS', message: `${where}tests.code is required` }
+  if (tests.timeout_ms != null && !(Number.isFinite(tests.timeout_ms) && tests.timeout_ms > 0)) {
+    throw { code: 'INVALID_PARAMS', message: `${where}tests.timeout_ms must be a positive number` }
+  }
+  return { ...tests }
+}
+
+// ─── Runner ─────────────────────────────────────────────────────────────────
+
+function _appendCapped(buf, chunk) {
+  if (buf.length >= MAX_LOG_BYTES) return buf
+  return (buf + chunk).slice(0, MAX_LOG_BYTES)
+}
+
+// The harness prints its result last, so it is looked up in the tail of the
+// output — the capped log may have stopped long before it.
+function _appendTail(buf, chunk) {
+  const next = buf + chunk
+  return next.length > MAX_LOG_BYTES ? next.slice(-MAX_LOG_BYTES) : next
+}
+
+function _sandboxEnv(tmpDir, extra) {
+  const env = {
+    PATH: process.env.PATH || '',
+    HOME: tmpDir, USERPROFILE: tmpDir,
+    TMPDIR: tmpDir, TEMP: tmpDir, TMP: tmpDir,
+    PYTHONIOENCODING: 'utf-8', PYTHONDONTWRITEBYTECODE: '1',
+    ...extra,
+  }
+  if (process.platform === 'win32' && process.env.SystemRoot) env.SystemRoot = process.env.SystemRoot
+  return env
+}
+
+/**
+ * Check the sandbox section of cli/config.json, which is edited by hand.
+ * Returns an error message, or null when the settings are usable.
+ */
+function _settingsError(settings) {
+  for (const key of ['python_path', 'node_path']) {
+    const value = settings[key]
+    if (value == null && key === 'node_path') continue   // the running binary
+    if (typeof value !== 'string' || !value.trim() || value.includes('\0')) {
+      return `sandbox.${key} in cli/config.json must be a non-empty path`
+    }
+  }
+  for (const key of ['timeout_ms', 'memory_mb']) {
+    if (!(Number.isFinite(settings[key]) && settings[key] > 0)) {
+      return `sandbox.${key} in cli/config.json must be a positive number`
+    }
+  }
+  return null
+}
+
+function _command(language, settings, memoryMb) {
+  if (language === 'python') {
+    return { cmd: settings.python_path, args: ['-I', 'harness.py', String(memoryMb)], env: {} }
+  }
+  return {
+    cmd:  settings.node_path || process.execPath,
+    args: [`--max-old-space-size=${memoryMb}`, 'harness.js'],
+    // Inside Electron process.execPath is the app binary; make it behave as plain Node
+    env:  !settings.node_path && process.versions.electron ? { ELECTRON_RUN_AS_NODE: '1' } : {},
+  }
+}
+
+/**
+ * Run a solution against a test snippet.
+ *
+ * @param {object} opts
+ * @param {'python'|'node'} opts.language
+ * @param {string} opts.solution — code extracted from the model output
+ * @param {string} opts.tests    — the case's test snippet
+ * @param {number} [opts.timeoutMs]
+ * @param {object} [opts.settings] — cli/config.json sandbox section
+ * @returns {Promise<{ language, passed, failed, errors, total, failures: Array<{ name, kind, message }>,
+ *   timed_out: boolean, exit_code: number|null, duration_ms: number, error: string|null,
+ *   logs: { stdout: string, stderr: string } }>}
+ *   `error` is set when the sandbox itself could not run (e.g. no Python);
+ *   such results say nothing about the solution.
+ */
+function runTests({ language, solution, tests, timeoutMs, settings } = {}) {
+  const s = { ...DEFAULTS }
+  for (const [key, value] of Object.entries(settings || {})) if (value != null) s[key] = value
+  const timeout = timeoutMs || s.timeout_ms
+  const ext = language === 'python' ? 'py' : 'js'
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'skill-sandbox-'))
+  fs.writeFileSync(path.join(tmpDir, `solution.${ext}`), solution || '', 'utf-8')
+  fs.writeFileSync(path.join(tmpDir, `tests.${ext}`), tests || '', 'utf-8')
+  fs.writeFileSync(path.join(tmpDir, `harness.${ext}`), language === 'python' ? PYTHON_HARNESS : NODE_HARNESS, 'utf-8')
+
+  const { cmd, args, env } = _command(language, s, s.memory_mb)
+  const started = Date.now()
+
+  return new Promise((resolve) => {
+    let stdout = ''
+    let stdoutTail = ''
+    let stderr = ''
+    let timedOut = false
+    let settled = false
+    let timer = null
+
+    const finish = (exitCode, spawnError) => {
+      if (settled) return
+      settled = true
+      clearTimeout(timer)
+      try { fs.rmSync(tmpDir, { recursive: true, force: true }) } catch (_) {}
+
+      const result = {
+        language,
+        passed: 0, failed: 0, errors: 0, total: 0,
+        failures:    [],
+        timed_out:   timedOut,
+        exit_code:   exitCode,
+        duration_ms: Date.now() - started,
+        error:       spawnError || null,
+        logs:        { stdout, stderr },
+      }
+      const markAt = stdoutTail.lastIndexOf(RESULT_MARK)
+      if (markAt >= 0) {
+        try {
+          const parsed = JSON.parse(stdoutTail.slice(markAt + RESULT_MARK.length).split('\n')[0])
+          Object.assign(result, { passed: parsed.passed, failed: parsed.failed, errors: parsed.errors, failures: parsed.failures || [] })
+        } catch (_) { /* fall through to the crash path */ }
+        const logMarkAt = stdout.lastIndexOf(RESULT_MARK)
+        if (logMarkAt >= 0) result.logs.stdout = stdout.slice(0, logMarkAt).replace(/\n$/, '')
+      }
+      if (!spawnError && (timedOut || markAt < 0)) {
+        result.errors++
+        result.failures.push(timedOut
+          ? { name: '<timeout>', kind: 'error', message: `Killed after ${timeout} ms` }
+          : { name: '<crash>', kind: 'error', message: `Exited with code ${exitCode} before reporting (memory cap ${s.memory_mb} MB?)` })
+      }
+      result.total = result.passed + result.failed + result.errors
+      resolve(result)
+    }
+
+    const settingsError = _settingsError(s)
+    if (settingsError) {
+      finish(null, settingsError)
+      return
+    }
+
+    let proc
+    try {
+      proc = spawn(cmd, args, {
+        cwd:      tmpDir,
+        env:      _sandboxEnv(tmpDir, env),
+        detached: process.platform !== 'win32',
+        stdio:    ['ignore', 'pipe', 'pipe'],
+      })
+    } catch (e) {
+      finish(null, `${language} runtime could not be started: ${e.message}`)
+      return
+    }
+
+    timer = setTimeout(() => {
+      timedOut = true
+      try {
+        if (process.platform !== 'win32') process.kill(-proc.pid, 'SIGKILL')
+        else proc.kill('SIGKILL')
+      } catch (_) {
+        try { proc.kill('SIGKILL') } catch (_) {}
+      }
+    }, timeout)
+
+    proc.stdout.on('data', d => {
+      stdout = _appendCapped(stdout, String(d))
+      stdoutTail = _appendTail(stdoutTail, String(d))
+    })
+    proc.stderr.on('data', d => { stderr = _appendCapped(stderr, String(d)) })
+    proc.on('error', err => {
+      logService.warn('sandbox-service', 'runtime spawn failed', { language, cmd, errMsg: err.message })
+      finish(null, err.code === 'ENOENT'
+        ? `${language} runtime not found: ${cmd} (set sandbox.${language}_path in cli/config.json)`
+        : `${language} runtime failed: ${err.message}`)
+    })
+    proc.on('close', code => finish(code, null))
+  })
+}
+
+module.exports = {
+  LANGUAGES,
+  DEFAULTS,
+  extractCode,
+  validateCaseTests,
+  runTests,
+}
@@ -13,6 +13,7 @@ const versionService = require('./version-service')
 const tagService = require('./tag-service')
 const logService = require('./log-service')
 const cliLiteService = require('./cli-lite-service')
+const budgetService = require('./budget-service')
 
 // ─── Path helpers ────────────────────────────────────────────────────────────
 
@@ -289,7 +290,7 @@ async function triggerAutoTag(skillId, triggeredBy = 'user') {
     }
 
     logService.info('skill-service', `Auto-tag ${status}`, { skillId, taskId, tags: parsedTags })
-    return { taskId, status, parsedTags }
+    return { taskId, status, parsedTags, usage: logRecord.usage }
   }
 
   return { taskId, runTag }
@@ -297,23 +298,45 @@ async function triggerAutoTag(skillId, triggeredBy = 'user') {
 
 /**
  * Batch trigger auto-tagging for multiple skills. Runs serially.
+ *
+ * Stops early when the global budget (cli/config.json `budget`) is reached:
+ * remaining items are reported as 'skipped' and stopReason is 'budget_exceeded'.
  */
 async function triggerAutoTagBatch(skillIds) {
   const batchId = `batch_${Date.now()}`
   const results = []
+  const budget  = budgetService.createTracker(budgetService.globalLimits())
+  let budgetExceeded = null
+  budget.start()
 
   for (const skillId of skillIds) {
+    if (!budgetExceeded) budgetExceeded = budget.check()
+    if (budgetExceeded) {
+      results.push({ skillId, taskId: null, status: 'skipped', error: 'budget_exceeded' })
+      continue
+    }
     try {
       const { taskId, runTag } = await triggerAutoTag(skillId, 'batch')
       const result = await runTag()
+      budget.add(result.usage)
       results.push({ skillId, taskId, ...result })
     } catch (err) {
+      // Calls made before the failure still count towards the budget
+      if (err && err.usage) budget.add(err.usage)
       results.push({ skillId, taskId: null, status: 'failed', error: err.message || String(err) })
       logService.error('skill-service', `Batch auto-tag failed for ${skillId}`, { error: err })
     }
   }
 
-  return { batchId, results }
+  budget.stop()
+  if (budgetExceeded) {
+    logService.warn('skill-service', 'Batch auto-tag stopped: budget exceeded', {
+      batchId, limit: budgetExceeded.limit, limitValue: budgetExceeded.limit_value, actual: budgetExceeded.actual,
+      skipped: results.filter(r => r.status === 'skipped').length,
+    })
+    return { batchId, results, stopReason: 'budget_exceeded', budget: budgetExceeded }
+  }
+  return { batchId, results, stopReason: null, budget: null }
 }
 
 /**
@@ -0,0 +1,272 @@
+'use strict'
+
+/**
+ * stats-service.js — Descriptive statistics and paired significance tests.
+ *
+ * Pure functions, no I/O. Confidence intervals use the Student t distribution
+ * (two-sided 95%), so small case counts get appropriately wide intervals.
+ *
+ * Paired tests take per-case differences (a − b over the cases both sides
+ * scored) and return two-sided p-values:
+ *   signTest           — exact binomial on wins vs losses (ties dropped)
+ *   wilcoxonSignedRank — exact distribution up to WILCOXON_EXACT_MAX non-zero
+ *                        differences (average ranks for ties), normal
+ *                        approximation with tie and continuity correction above
+ *   pairedBootstrap    — resampled mean difference with a seeded PRNG, so the
+ *                        same data always yields the same interval and p-value
+ * holmAdjust corrects a family of p-values for multiple comparisons.
+ *
+ * krippendorffAlpha measures agreement between raters (e.g. a judge panel)
+ * on interval data.
+ */
+
+// Two-sided 95% t critical values for 1–30 degrees of freedom
+const T_95 = [
+  12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+  2.201, 2.179, 2.160, 2.145, 2.131, 2.120, 2.110, 2.101, 2.093, 2.086,
+  2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042,
+]
+
+function _round(x, digits = 2) {
+  const f = 10 ** digits
+  return Math.round(x * f) / f
+}
+
+/** t critical value for a two-sided 95% interval; beyond the table 1.96 + 2.4/df is within 0.005. */
+function tCritical95(df) {
+  if (df < 1) return null
+  return df <= T_95.length ? T_95[df - 1] : 1.96 + 2.4 / df
+}
+
+function mean(values) {
+  return values.length ? values.reduce((s, v) => s + v, 0) / values.length : null
+}
+
+/** Sample standard deviation (n − 1); 0 for fewer than two values. */
+function std(values) {
+  if (values.length < 2) return 0
+  const m = mean(values)
+  return Math.sqrt(values.reduce((s, v) => s + (v - m) ** 2, 0) / (values.length - 1))
+}
+
+/**
+ * Summarize numeric values (non-numbers are ignored).
+ * @returns {{ n: number, mean: number|null, std: number, ci95: [number, number]|null }}
+ *   ci95 is null with fewer than two values — one observation says nothing about spread.
+ */
+function summarize(values) {
+  const xs = (values || []).filter(v => typeof v === 'number' && Number.isFinite(v))
+  const m = mean(xs)
+  if (m == null) return { n: 0, mean: null, std: 0, ci95: null }
+  const s = std(xs)
+  const half = xs.length > 1 ? tCritical95(xs.length - 1) * s / Math.sqrt(xs.length) : null
+  return {
+    n:    xs.length,
+    mean: _round(m),
+    std:  _round(s),
+    ci95: half == null ? null : [_round(m - half), _round(m + half)],
+  }
+}
+
+/** True when both intervals exist and overlap. */
+function intervalsOverlap(a, b) {
+  if (!a || !b || !a.ci95 || !b.ci95) return false
+  return a.ci95[0] <= b.ci95[1] && b.ci95[0] <= a.ci95[1]
+}
+
+// ─── Paired tests ───────────────────────────────────────────────────────────
+
+const WILCOXON_EXACT_MAX = 50
+
+/** Standard normal CDF (Abramowitz–Stegun 7.1.26, |error| < 1.5e-7). */
+function normalCdf(z) {
+  const x = Math.abs(z) / Math.SQRT2
+  const t = 1 / (1 + 0.3275911 * x)
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))))
+  const erf = 1 - poly * Math.exp(-x * x)
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2
+}
+
+function _logFactorials(n) {
+  const lf = [0]
+  for (let i = 1; i <= n; i++) lf.push(lf[i - 1] + Math.log(i))
+  return lf
+}
+
+/**
+ * Exact two-sided sign test.
+ * @param {number[]} diffs — per-case differences; zeros count as ties
+ * @returns {{ wins, losses, ties, p_value }}
+ */
+function signTest(diffs) {
+  const wins   = diffs.filter(d => d > 0).length
+  const losses = diffs.filter(d => d < 0).length
+  const ties   = diffs.length - wins - losses
+  const n = wins + losses
+  if (n === 0) return { wins, losses, ties, p_value: 1 }
+  const lf = _logFactorials(n)
+  let tail = 0
+  for (let i = 0; i <= Math.min(wins, losses); i++) {
+    tail += Math.exp(lf[n] - lf[i] - lf[n - i] - n * Math.LN2)
+  }
+  return { wins, losses, ties, p_value: _round(Math.min(1, 2 * tail), 6) }
+}
+
+/**
+ * Wilcoxon signed-rank test (two-sided). Zero differences are dropped.
+ * @returns {{ n, w_plus, w_minus, exact, p_value }}
+ */
+function wilcoxonSignedRank(diffs) {
+  const nz = diffs.filter(d => d !== 0).map(d => ({ d, abs: Math.abs(d) })).sort((a, b) => a.abs - b.abs)
+  const n = nz.length
+  if (n === 0) return { n: 0, w_plus: 0, w_minus: 0, exact: true, p_value: 1 }
+
+  // Average ranks over runs of equal |d|, kept doubled so they stay integers
+  const rank2 = new Array(n)
+  let tieTerm = 0
+  for (let i = 0; i < n;) {
+    let j = i
+    while (j + 1 < n && nz[j + 1].abs === nz[i].abs) j++
+    for (let k = i; k <= j; k++) rank2[k] = i + j + 2
+    const t = j - i + 1
+    tieTerm += t * t * t - t
+    i = j + 1
+  }
+  const wPlus2 = nz.reduce((s, x, i) => s + (x.d > 0 ? rank2[i] : 0), 0)
+  const total2 = n * (n + 1)
+  const result = { n, w_plus: wPlus2 / 2, w_minus: (total2 - wPlus2) / 2 }
+
+  if (n <= WILCOXON_EXACT_MAX) {
+    // Distribution of the doubled W+ under H0: every sign assignment equally likely
+    let counts = new Float64Array(total2 + 1)
+    counts[0] = 1
+    for (const r of rank2) {
+      const next = new Float64Array(total2 + 1)
+      for (let s2 = 0; s2 <= total2; s2++) {
+        if (!counts[s2]) continue
+        next[s2] += counts[s2]
+        if (s2 + r <= total2) next[s2 + r] += counts[s2]
+      }
+      counts = next
+    }
+    const all = 2 ** n
+    let lower = 0
+    let upper = 0
+    for (let s2 = 0; s2 <= total2; s2++) {
+      if (s2 <= wPlus2) lower += counts[s2]
+      if (s2 >= wPlus2) upper += counts[s2]
+    }
+    return { ...result, exact: true, p_value: _round(Math.min(1, 2 * Math.min(lower, upper) / all), 6) }
+  }
+
+  const mu = n * (n + 1) / 4
+  const sigma = Math.sqrt(n * (n + 1) * (2 * n + 1) / 24 - tieTerm / 48)
+  if (sigma === 0) return { ...result, exact: false, p_value: 1 }
+  const z = (Math.abs(result.w_plus - mu) - 0.5) / sigma
+  return { ...result, exact: false, p_value: _round(Math.min(1, 2 * (1 - normalCdf(Math.max(z, 0)))), 6) }
+}
+
+/** Deterministic PRNG (mulberry32) returning floats in [0, 1). */
+function seededRandom(seed) {
+  let a = seed >>> 0
+  return () => {
+    a = (a + 0x6D2B79F5) >>> 0
+    let t = a
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+/**
+ * Paired bootstrap of the mean difference.
+ * p_value is the two-sided share of resampled means on the far side of 0,
+ * smoothed as (count + 1) / (iterations + 1) so it is never exactly 0.
+ * @param {number[]} diffs
+ * @param {{ iterations?: number, seed?: number }} [opts]
+ * @returns {{ mean_diff, ci95, iterations, p_value }}
+ */
+function pairedBootstrap(diffs, { iterations = 2000, seed = 42 } = {}) {
+  const n = diffs.length
+  if (n === 0) return { mean_diff: null, ci95: null, iterations, p_value: 1 }
+  const rand = seededRandom(seed)
+  const means = new Float64Array(iterations)
+  let atOrBelow = 0
+  let atOrAbove = 0
+  for (let b = 0; b < iterations; b++) {
+    let sum = 0
+    for (let i = 0; i < n; i++) sum += diffs[Math.floor(rand() * n)]
+    const m = sum / n
+    means[b] = m
+    if (m <= 0) atOrBelow++
+    if (m >= 0) atOrAbove++
+  }
+  means.sort()
+  const pick = q => means[Math.min(iterations - 1, Math.max(0, Math.floor(q * iterations)))]
+  return {
+    mean_diff:  _round(mean(diffs)),
+    ci95:       [_round(pick(0.025)), _round(pick(0.975))],
+    iterations,
+    p_value:    _round(Math.min(1, 2 * (Math.min(atOrBelow, atOrAbove) + 1) / (iterations + 1)), 6),
+  }
+}
+
+/**
+ * Holm–Bonferroni step-down adjustment. Returns adjusted p-values in the
+ * input order; nulls pass through and do not count toward the family size.
+ */
+function holmAdjust(pValues) {
+  const idx = pValues.map((p, i) => [p, i]).filter(([p]) => p != null).sort((a, b) => a[0] - b[0])
+  const m = idx.length
+  const adjusted = pValues.map(() => null)
+  let running = 0
+  idx.forEach(([p, i], k) => {
+    running = Math.max(running, Math.min(1, (m - k) * p))
+    adjusted[i] = _round(running, 6)
+  })
+  return adjusted
+}
+
+// ─── Inter-rater agreement ──────────────────────────────────────────────────
+
+/**
+ * Krippendorff's alpha, interval metric.
+ * @param {Array<Array<number|null>>} units — per rated item, one value per rater;
+ *   null / missing values are skipped and items with fewer than two values ignored
+ * @returns {number|null} 1 = perfect agreement, 0 = chance level, < 0 = systematic
+ *   disagreement; null when fewer than two items are pairable or nothing varies
+ */
+function krippendorffAlpha(units) {
+  const pairable = (units || [])
+    .map(u => (u || []).filter(v => typeof v === 'number' && Number.isFinite(v)))
+    .filter(u => u.length >= 2)
+  const n = pairable.reduce((s, u) => s + u.length, 0)
+  if (pairable.length < 2) return null
+
+  // Σ over ordered pairs i ≠ j of (v_i − v_j)² = 2 (m Σv² − (Σv)²)
+  const pairSum = vs => {
+    const sum = vs.reduce((s, v) => s + v, 0)
+    const sq  = vs.reduce((s, v) => s + v * v, 0)
+    return 2 * (vs.length * sq - sum * sum)
+  }
+  const observed = pairable.reduce((s, u) => s + pairSum(u) / (u.length - 1), 0) / n
+  const expected = pairSum(pairable.flat()) / (n * (n - 1))
+  if (expected === 0) return null
+  return _round(1 - observed / expected, 3)
+}
+
+module.exports = {
+  tCritical95,
+  mean,
+  std,
+  summarize,
+  intervalsOverlap,
+  normalCdf,
+  signTest,
+  wilcoxonSignedRank,
+  pairedBootstrap,
+  holmAdjust,
+  seededRandom,
+  krippendorffAlpha,
+  WILCOXON_EXACT_MAX,
+}
@@ -7,81 +7,81 @@
  * within each skill run sequentially), pause/resume/stop, per-task result
  * writing, code-quality scoring, and progress callbacks.
  *
+ * Pause and stop cancel the project's in-flight model calls (cliService.cancel).
+ * Tasks cut short that way are written with status 'cancelled': they count as
+ * neither completed nor failed, and the next resume / start runs them again.
+ *
+ * Model matrix: when cli_config.models lists more than one model, every
+ * skill × case pair runs once per model. Results are then stored under
+ * results/<skillDir>/<modelSlug>/ and summary.json ranks skill-model pairs.
+ * Single-model projects keep the flat results/<skillDir>/ layout.
+ *
+ * Repeated sampling: cli_config.samples_per_case > 1 executes and scores each
+ * skill × case pair that many times. The record keeps every sample under
+ * `samples`, averages them into `scores` and adds `score_stats`; summary.json
+ * reports mean / std / 95% CI per pair and flags overlapping intervals as ties.
+ *
+ * Execution modes (cli_config.execution_mode, per project or per skill type):
+ *   'system_prompt' — content.txt is passed as --system-prompt (default)
+ *   'native'        — the skill is installed into the task's working dir as
+ *                     .claude/skills/<name>/SKILL.md (agents: .claude/agents/<name>.md)
+ *                     and the CLI is invoked without a system prompt, so it
+ *                     discovers the skill the way production Claude Code does.
+ *                     Only the claude-cli backend can do this; other backends
+ *                     fall back to 'system_prompt'.
+ * Each result record stores the mode it actually ran with.
+ *
+ * Cases with `assertions` are checked locally (assertion-service.js) before
+ * scoring: a failed gate assertion zeroes the score without calling the judge,
+ * a failed capped one limits scores.total.
+ *
+ * Cases with `tests` get the code block of the output run against the case's
+ * test snippet in a local sandbox (sandbox-service.js). The record stores
+ * `execution` and, unless the case sets feed_score: false, the pass rate
+ * replaces the judge's value for the rubric's execution_dimension.
+ *
+ * Cases with `turns` are conversations (conversation-service.js): the turns
+ * are sent in order, the later ones through --resume of the first call's
+ * session. The record stores `transcript`; actual_output is the final reply.
+ *
+ * Scoring follows the project's rubric (rubric-service.js; config.json
+ * `rubric`, the built-in code_quality rubric for older projects): the judge
+ * prompt, score_breakdown in summary.json and the CSV export columns all come
+ * from its dimension list.
+ *
+ * Judge panels (cli_config.judge_panel, judge-service.js): every judge scores
+ * the result, `scores` is their aggregate and the record keeps each judge's
+ * scores under `judges` plus `judge_spread`. A spread above the panel's
+ * disagreement_threshold sets needs_review / review_reason.
+ *
+ * Pairwise judging (cli_config.pairwise, pairwise-service.js): once every task
+ * has run, the judge compares skills' outputs case by case and summary.json
+ * gains Bradley-Terry ratings. The phase resumes from results/pairwise.json.
+ *
  * In-memory state lives in _runState (Map<projectId → RunState>).
  * Checkpoint is persisted to project config.json after each task.
- * Each skill uses an isolated workingDir under .claude/ to avoid session conflicts.
+ * Each skill (and model) uses an isolated workingDir under .claude/ to avoid session conflicts.
  */
 
 const path = require('path')
+const crypto = require('crypto')
 const fileService  = require('./file-service')
 const workspaceService = require('./workspace-service')
 const cliService   = require('./cli-service')
 const logService   = require('./log-service')
+const usageService = require('./usage-service')
+const budgetService = require('./budget-service')
+const assertionService = require('./assertion-service')
+const sandboxService = require('./sandbox-service')
+const rubricService = require('./rubric-service')
+const statsService = require('./stats-service')
+const judgeService = require('./judge-service')
+const pairwiseService = require('./pairwise-service')
+const conversationService = require('./conversation-service')
 
 // In-memory run state per project
 const _runState = new Map()
 
-// ─── Scoring Prompt ────────────────────────────────────────────────────────
-
-const SCORE_PROMPT_TEMPLATE = `你是一位专业的代码质量评审专家。请根据以下评判标准，对代码生成结果进行客观评分。
-
-【测试输入】
-{test_input}
-
-【期望输出描述】
-{expected_output}
-
-【实际输出】
-{actual_output}
-
-【评判标准（满分100分）】
-请严格按照以下6个维度逐一评分：
-
-1. 功能正确性（0-30分）
-   - 代码是否准确实现了测试输入中的需求
-   - 核心算法逻辑是否正确
-   - 是否满足期望输出中的关键要求
-
-2. 健壮性（0-20分）
-   - 异常情况是否有捕获和处理
-   - 边界条件（空值、极大值、非法输入等）是否覆盖
-   - 是否有防止程序崩溃的保护机制
-
-3. 代码可读性（0-15分）
-   - 变量名、函数名是否语义清晰
-   - 代码结构是否层次分明，逻辑易于理解
-   - 是否有必要的注释（不要求过度注释）
-
-4. 代码简洁性（0-15分）
-   - 是否存在冗余代码、重复逻辑
-   - 实现是否精炼，表达是否高效
-
-5. 复杂度控制（0-10分）
-   - 是否避免了不必要的嵌套和复杂度
-   - 函数/模块是否有合理拆分
-
-6. 格式规范性（0-10分）
-   - 是否符合该编程语言的通行编码规范（如PEP8/ESLint等）
-   - 缩进、换行、空格等格式是否规范
-
-【严格要求】
-1. 仅输出 JSON，不要包含任何 JSON 以外的文字、解释或 Markdown 代码块标记
-2. 确保 JSON 格式合法，total 字段必须等于六项之和
-
-【返回格式】
-{
-  "scores": {
-    "functional_correctness": <0-30的整数>,
-    "robustness": <0-20的整数>,
-    "readability": <0-15的整数>,
-    "conciseness": <0-15的整数>,
-    "complexity_control": <0-10的整数>,
-    "format_compliance": <0-10的整数>,
-    "total": <以上六项之和>
-  },
-  "reasoning": "<各维度评分的简要理由，总计100-200字，格式：维度名(得分/满分)：理由；...>"
-}`
-
 // ─── Internal Helpers ──────────────────────────────────────────────────────
 
 function _findProjectDir(projectId) {
@@ -99,7 +99,120 @@ function _getGlobalConfig() {
 }
 
 /**
- * Build the flat task list: skill × case pairs.
+ * Models a project is tested against: cli_config.models (deduplicated) when
+ * set, otherwise the single cli_config.model.
+ */
+function projectModels(config) {
+  const cli = (config && config.cli_config) || {}
+  const list = Array.isArray(cli.models)
+    ? [...new Set(cli.models.map(m => String(m || '').trim()).filter(Boolean))]
+    : []
+  return list.length > 0 ? list : [cli.model || 'claude-opus-4-6']
+}
+
+const MAX_SAMPLES_PER_CASE = 20
+
+/**
+ * How many times each skill × case (× model) pair is executed and scored:
+ * cli_config.samples_per_case, an integer 1–MAX_SAMPLES_PER_CASE (default 1).
+ */
+function samplesPerCase(config) {
+  const n = Number(((config && config.cli_config) || {}).samples_per_case)
+  return Number.isInteger(n) && n > 1 ? Math.min(n, MAX_SAMPLES_PER_CASE) : 1
+}
+
+/**
+ * Scoring weight of a case in the weighted average: its own `weight`, else its
+ * baseline's category_weights entry for its category, else 1.
+ */
+function caseWeight(caseItem, categoryWeights) {
+  if (caseItem.weight != null) return caseItem.weight
+  const w = categoryWeights && categoryWeights[caseItem.category]
+  return w != null ? w : 1
+}
+
+/** True when results are stored per model (more than one model declared). */
+function _isMatrix(config) {
+  return projectModels(config).length > 1
+}
+
+/** Filesystem-safe directory name for a model id. */
+function modelSlug(model) {
+  return String(model).replace(/[^A-Za-z0-9._-]+/g, '_')
+}
+
+/**
+ * Result directories of one skill: [{ model, dir }].
+ * Matrix projects have one directory per model; others a single flat one.
+ */
+function resultDirs(projectPath, config, skillRef) {
+  const skillResults = path.join(projectPath, 'results', path.basename(skillRef.local_path))
+  const models = projectModels(config)
+  if (models.length === 1) return [{ model: models[0], dir: skillResults }]
+  return models.map(model => ({ model, dir: path.join(skillResults, modelSlug(model)) }))
+}
+
+const EXECUTION_MODES = ['system_prompt', 'native']
+
+/**
+ * Execution mode for a skill type. cli_config.execution_mode is either a mode
+ * for every skill or a map { skill?, agent?, default? }. Non-claude-cli
+ * backends have no skill discovery and always use 'system_prompt'.
+ * @param {object} config — project config
+ * @param {'skill'|'agent'} [skillType]
+ */
+function executionMode(config, skillType = 'skill') {
+  const cli = (config && config.cli_config) || {}
+  const setting = cli.execution_mode
+  let mode = (setting && typeof setting === 'object')
+    ? (setting[skillType] || setting.default)
+    : setting
+  if (!EXECUTION_MODES.includes(mode)) mode = 'system_prompt'
+  const backend = cli.backend || _getGlobalConfig().backend || 'claude-cli'
+  return mode === 'native' && backend !== 'claude-cli' ? 'system_prompt' : mode
+}
+
+/**
+ * Skill name usable as a Claude Code skill / agent identifier
+ * (lowercase letters, digits, hyphens). Falls back to skill-<id8>.
+ */
+function _nativeName(skillRef) {
+  const slug = String(skillRef.name || '').toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 64)
+  return slug || `skill-${skillRef.ref_id.slice(0, 8)}`
+}
+
+/**
+ * Install a skill into workingDir/.claude/ for native execution and return a
+ * digest of what was written (used in the response cache / cassette key).
+ * Previously installed skills and agents are removed first, so the CLI only
+ * sees the skill under test. Content that already starts with YAML
+ * frontmatter is written unchanged; otherwise name / description are added.
+ */
+function _installNativeSkill(workingDir, task) {
+  const { skillRef, skillContent, skillMeta, skillType } = task
+  const claudeDir = path.join(workingDir, '.claude')
+  fileService.removeDir(path.join(claudeDir, 'skills'))
+  fileService.removeDir(path.join(claudeDir, 'agents'))
+
+  const name = _nativeName(skillRef)
+  const description = String((skillMeta && skillMeta.description) || skillRef.name || name).replace(/\s+/g, ' ').trim()
+  const body = /^---\r?\n/.test(skillContent)
+    ? skillContent
+    : `---\nname: ${name}\ndescription: ${JSON.stringify(description)}\n---\n\n${skillContent}`
+
+  const target = skillType === 'agent'
+    ? path.join(claudeDir, 'agents', `${name}.md`)
+    : path.join(claudeDir, 'skills', name, 'SKILL.md')
+  fileService.ensureDir(path.dirname(target))
+  fileService.writeText(target, body)
+  return crypto.createHash('sha256')
+    .update(`${path.relative(workingDir, target)}\u0000${body}`)
+    .digest('hex')
+}
+
+/**
+ * Build the flat task list: skill × model × case.
  * Returns an array of task objects to be executed serially.
  */
 function _buildTaskList(projectPath, config) {
@@ -108,24 +221,32 @@ function _buildTaskList(projectPath, config) {
     const skillDir     = path.basename(skillRef.local_path)
     const skillPath    = path.join(projectPath, skillRef.local_path)
     const skillContent = fileService.readText(path.join(skillPath, 'content.txt')) || ''
+    const skillMeta    = fileService.readJson(path.join(skillPath, 'meta.json')) || {}
+    const skillType    = skillMeta.type === 'agent' ? 'agent' : 'skill'
 
-    for (const baselineRef of (config.baselines || [])) {
-      const baselinePath = path.join(projectPath, baselineRef.local_path)
-      const casesData    = fileService.readJson(path.join(baselinePath, 'cases.json'))
-      const cases        = (casesData && casesData.cases) || []
-
-      const resultDir = path.join(projectPath, 'results', skillDir)
+    for (const { model, dir: resultDir } of resultDirs(projectPath, config, skillRef)) {
       fileService.ensureDir(resultDir)
 
-      for (const caseItem of cases) {
-        tasks.push({
-          skillRef,
-          skillDir,
-          skillContent,
-          baselineRef,
-          caseItem,
-          resultPath: path.join(resultDir, `${caseItem.case_id}.json`),
-        })
+      for (const baselineRef of (config.baselines || [])) {
+        const baselinePath = path.join(projectPath, baselineRef.local_path)
+        const casesData    = fileService.readJson(path.join(baselinePath, 'cases.json'))
+        const cases        = (casesData && casesData.cases) || []
+        const baselineMeta = fileService.readJson(path.join(baselinePath, 'meta.json')) || {}
+
+        for (const caseItem of cases) {
+          tasks.push({
+            skillRef,
+            skillDir,
+            skillContent,
+            skillMeta,
+            skillType,
+            baselineRef,
+            caseItem,
+            weight:     caseWeight(caseItem, baselineMeta.category_weights),
+            model,
+            resultPath: path.join(resultDir, `${caseItem.case_id}.json`),
+          })
+        }
       }
     }
   }
@@ -150,145 +271,630 @@ function _saveCheckpoint(projectPath, state) {
 }
 
 /**
- * Score a single test result using the 6-dimension rubric.
+ * Score a single test result against the project's rubric.
  * Failure here is non-fatal — caller catches and leaves scores null.
+ *
+ * With a judge panel (judge-service.js) the judges score one after another and
+ * the result adds `panel`: { judges: [...], spread }. Each judge entry is
+ * { judge, model, dimension_order?, scores, reasoning } or { judge, model, error };
+ * the panel throws only when every judge call failed, with err.usage covering
+ * all of them. Cancellation always propagates.
+ *
+ * actualOutput is the output text, or the transcript of a multi-turn case
+ * (judged according to its judge_scope, see conversation-service.js).
+ *
+ * callOpts: { workingDir, backend, projectId, jobLabel, cachePolicy, retry, profile, sampleIndex } — forwarded to invokeCli.
  */
-async function _scoreResult(caseItem, actualOutput, workingDir) {
-  const globalCfg = _getGlobalConfig()
-  const prompt = SCORE_PROMPT_TEMPLATE
-    .replace('{test_input}',      caseItem.input || '')
-    .replace('{expected_output}', caseItem.expected_output || '')
-    .replace('{actual_output}',   actualOutput || '')
+async function _scoreResult(caseItem, actualOutput, callOpts, rubric, panel) {
+  const defaultModel = _getGlobalConfig().default_model || 'claude-opus-4-6'
+  const sample = Array.isArray(actualOutput)
+    ? conversationService.judgeSample(caseItem, actualOutput)
+    : {
+        input:           caseItem.input,
+        expected_output: caseItem.expected_output,
+        actual_output:   actualOutput,
+      }
+  if (!panel) {
+    return _judgeOnce(rubricService.buildJudgePrompt(rubric, sample), { ...callOpts, model: defaultModel }, rubric)
+  }
+
+  const judges = []
+  const answered = []
+  let usage = null
+  let lastErr = null
+  for (let i = 0; i < panel.judges.length; i++) {
+    const model = panel.judges[i].model || defaultModel
+    const seen  = judgeService.judgeRubric(rubric, i, panel.shuffle_dimensions)
+    try {
+      const r = await _judgeOnce(rubricService.buildJudgePrompt(seen, sample), {
+        ...callOpts,
+        model,
+        profile:    panel.judges[i].profile || callOpts.profile,
+        jobLabel:   `${callOpts.jobLabel} [judge ${i + 1}]`,
+        judgeIndex: i,
+      }, rubric)
+      if (r.usage) usage = usageService.addUsage(usage || usageService.emptyUsage(), r.usage)
+      judges.push({
+        judge: i + 1,
+        model,
+        ...(seen !== rubric ? { dimension_order: rubricService.dimensionKeys(seen) } : {}),
+        scores:    r.scores || null,
+        reasoning: r.reasoning || '',
+      })
+      if (r.scores && r.scores.total != null) answered.push(r)
+    } catch (err) {
+      if (err && err.code === 'CLI_CANCELLED') throw err
+      // Failed judges still spent tokens (retries, unparseable output)
+      if (err && err.usage) usage = usageService.addUsage(usage || usageService.emptyUsage(), err.usage)
+      lastErr = err
+      judges.push({ judge: i + 1, model, error: err ? [err.code, err.message].filter(Boolean).join(': ') || String(err) : String(err) })
+    }
+  }
+  if (answered.length === 0 && lastErr && judges.every(j => j.error)) {
+    if (usage && typeof lastErr === 'object') lastErr.usage = usage
+    throw lastErr
+  }
+
+  const scoresList = answered.map(r => r.scores)
+  return {
+    scores:    answered.length ? judgeService.aggregateScores(scoresList, rubric, panel.aggregate) : null,
+    reasoning: answered.length ? answered[0].reasoning : '',
+    usage,
+    panel:     { judges, spread: judgeService.totalSpread(scoresList) },
+  }
+}
 
+/** One judge call: prompt → { scores, reasoning, usage }. */
+async function _judgeOnce(prompt, opts, rubric) {
+  const { model, workingDir, backend, projectId, jobLabel, cachePolicy, retry, profile, sampleIndex, judgeIndex } = opts
   const cliResult = await cliService.invokeCli(prompt, {
-    model:     globalCfg.default_model || 'claude-opus-4-6',
+    model,
     workingDir,
     timeoutMs: 30000,
+    backend,
+    priority:  'bulk',
+    projectId,
+    jobLabel,
+    cachePolicy,
+    retry,
+    profile,
+    sampleIndex,
+    ...(judgeIndex ? { judgeIndex } : {}),
   })
-  return cliService.parseStructuredOutput(cliResult.result || '')
+  let parsed
+  try {
+    parsed = cliService.parseStructuredOutput(cliResult.result || '')
+  } catch (err) {
+    // The call was made and billed even though its output is unusable
+    err.usage = cliResult.usage || null
+    throw err
+  }
+  return { scores: rubricService.completeScores(rubric, parsed.scores), reasoning: parsed.reasoning, usage: cliResult.usage || null }
 }
 
 /**
  * Execute one task: test execution + result writing + scoring.
- * Never throws — failures are captured as status:'failed' records.
+ * Never throws — failures are captured as status:'failed' records, and a call
+ * cancelled by pause / stop as status:'cancelled'.
+ *
+ * When the project enables cli_config.streaming and onStream is given, the
+ * execution output is forwarded as { projectId, skillId, caseId, type, text }
+ * events while the model is still generating (scoring is never streamed).
+ * Model-matrix projects add `model` to each event, repeated sampling `sample`.
+ *
+ * With cli_config.samples_per_case > 1 the case is executed and scored that
+ * many times (see _mergeSamples for the record layout).
  */
-async function _executeTask(task, projectPath, config) {
-  const { skillRef, skillContent, caseItem, baselineRef, resultPath } = task
-  const model      = config.cli_config.model || 'claude-opus-4-6'
-  const timeoutMs  = (config.cli_config.timeout_seconds || 60) * 1000
-  const workingDir = path.join(projectPath, '.claude', `skill_${skillRef.ref_id.slice(0, 8)}`)
+async function _executeTask(task, projectPath, config, onStream) {
+  const { skillRef, caseItem, baselineRef, resultPath } = task
+  const model      = task.model || config.cli_config.model || 'claude-opus-4-6'
+  const backend    = config.cli_config.backend
+  const workingDir = path.join(projectPath, '.claude',
+    `skill_${skillRef.ref_id.slice(0, 8)}` + (_isMatrix(config) ? `_${modelSlug(model)}` : ''))
   fileService.ensureDir(workingDir)
 
-  logService.info('test-service', 'task start', { skillId: skillRef.ref_id, caseId: caseItem.case_id, model })
+  const rubric = rubricService.projectRubric(config)
+  const mode = executionMode(config, task.skillType)
+  const contextDigest = mode === 'native' ? _installNativeSkill(workingDir, task) : undefined
+  const sampleCount = samplesPerCase(config)
+  const panel = judgeService.projectPanel(config)
+
+  logService.info('test-service', 'task start', { skillId: skillRef.ref_id, caseId: caseItem.case_id, model, mode, samples: sampleCount })
+
+  const ctx = { config, model, backend, workingDir, rubric, panel, mode, contextDigest, onStream, sampleCount }
+  const outcomes = []
+  for (let i = 0; i < sampleCount; i++) {
+    const outcome = await _runSample(task, ctx, i)
+    outcomes.push(outcome)
+    // Pause / stop: the whole task runs again on resume
+    if (outcome.status === 'cancelled') break
+  }
+
+  const cliVersion = await cliService.getCliVersion()
+
+  const resultRecord = {
+    case_id:          caseItem.case_id,
+    skill_id:         skillRef.ref_id,
+    skill_version:    skillRef.version,
+    baseline_id:      baselineRef.ref_id,
+    baseline_version: baselineRef.version,
+    executed_at:      new Date().toISOString(),
+    status:           null,
+    input:            caseItem.input || '',
+    expected_output:  caseItem.expected_output || '',
+    actual_output:    '',
+    duration_ms:      0,
+    cli_version:      cliVersion,
+    model_version:    model,
+    backend:          backend || _getGlobalConfig().backend || 'claude-cli',
+    execution_mode:   mode,
+    from_cache:       false,
+    usage:            null,
+    error:            null,
+    scores:           null,
+    score_reasoning:  '',
+    score_evaluated_at: null,
+  }
+  Object.assign(resultRecord, sampleCount > 1 ? _mergeSamples(outcomes, rubric) : outcomes[0])
+
+  fileService.writeJson(resultPath, resultRecord)
+  usageService.recordUsage(projectPath, 'test_execution', resultRecord.usage.execution)
+  usageService.recordUsage(projectPath, 'scoring', resultRecord.usage.scoring)
+  return resultRecord
+}
+
+/**
+ * One execution of a case plus its assertions, sandbox tests and scoring.
+ * Returns the outcome fields of a result record (status, actual_output, …,
+ * scores, and assertions / execution when the case declares them).
+ * sampleIndex > 0 gives the calls their own response-cache entries, so cached
+ * runs reproduce every sample instead of repeating the first.
+ */
+async function _runSample(task, ctx, sampleIndex) {
+  const { skillRef, skillContent, caseItem } = task
+  const { config, model, backend, workingDir, rubric, panel, mode, contextDigest, onStream, sampleCount } = ctx
+  const cachePolicy = config.cli_config.cache_policy || undefined
+  const timeoutMs  = (caseItem.timeout_seconds || config.cli_config.timeout_seconds || 60) * 1000
+  const retry      = { maxRetries: config.cli_config.retry_count }
+  const sampleTag  = sampleCount > 1 ? ` #${sampleIndex + 1}` : ''
+  const logCtx     = { skillId: skillRef.ref_id, caseId: caseItem.case_id, ...(sampleCount > 1 ? { sample: sampleIndex + 1 } : {}) }
 
   let actual_output = ''
   let duration_ms   = 0
   let error         = null
   let status        = 'completed'
+  let fromCache     = false
+  let execUsage     = null
+
+  const streamCb = (onStream && config.cli_config.streaming)
+    ? (evt) => onStream({
+        projectId: config.id,
+        skillId:   skillRef.ref_id,
+        caseId:    caseItem.case_id,
+        ...(_isMatrix(config) ? { model } : {}),
+        ...(sampleCount > 1 ? { sample: sampleIndex + 1 } : {}),
+        type:      evt.type,
+        text:      evt.text,
+      })
+    : undefined
+  if (streamCb) streamCb({ type: 'start', text: '' })
+
+  const multiTurn = conversationService.isMultiTurn(caseItem)
+  const transcript = multiTurn ? [] : undefined
 
   try {
-    const cliResult = await cliService.invokeCli(caseItem.input, {
+    const callOpts = {
       model,
-      systemPrompt: skillContent,
+      systemPrompt: mode === 'native' ? undefined : skillContent,
+      contextDigest,
+      sampleIndex,
       workingDir,
       timeoutMs,
-    })
+      backend,
+      onStream: streamCb,
+      priority:  'bulk',
+      projectId: config.id,
+      jobLabel:  `test ${skillRef.name || skillRef.ref_id} / ${caseItem.case_id}${sampleTag} @${model}`,
+      cachePolicy,
+      retry,
+      profile:    config.cli_config.profile || undefined,
+      extraFlags: config.cli_config.extra_flags,
+    }
+    const cliResult = multiTurn
+      ? await _runConversation(caseItem.turns, callOpts, transcript)
+      : await cliService.invokeCli(caseItem.input, callOpts)
     actual_output = cliResult.result || ''
     duration_ms   = cliResult.duration_ms || 0
+    fromCache     = !!cliResult.from_cache
+    execUsage     = cliResult.usage || null
   } catch (err) {
-    status = 'failed'
+    status = err && err.code === 'CLI_CANCELLED' ? 'cancelled' : 'failed'
+    execUsage = (err && err.usage) || null   // failed attempts still count as calls
     // Preserve both code and message so the error field is self-explanatory
     // e.g. "CLI_TIMEOUT: " or "CLI_NOT_AVAILABLE: Claude not found"
     error = err ? [err.code, err.message].filter(Boolean).join(': ') || String(err) : String(err)
-    logService.error('test-service', 'task execution failed', { skillId: skillRef.ref_id, caseId: caseItem.case_id, errCode: err && err.code, errMsg: error })
+    logService.error('test-service', 'task execution failed', { ...logCtx, errCode: err && err.code, errMsg: error })
   }
 
-  const cliVersion = await cliService.getCliVersion()
-
-  const resultRecord = {
-    case_id:          caseItem.case_id,
-    skill_id:         skillRef.ref_id,
-    skill_version:    skillRef.version,
-    baseline_id:      baselineRef.ref_id,
-    baseline_version: baselineRef.version,
-    executed_at:      new Date().toISOString(),
+  const outcome = {
     status,
-    input:            caseItem.input || '',
-    expected_output:  caseItem.expected_output || '',
     actual_output,
     duration_ms,
-    cli_version:      cliVersion,
-    model_version:    model,
+    from_cache:       fromCache,
+    usage:            { execution: execUsage, scoring: null },
     error,
+    ...(multiTurn ? { transcript } : {}),
     scores:           null,
     score_reasoning:  '',
     score_evaluated_at: null,
   }
 
-  // Score only successful executions; scoring failure is non-fatal
-  if (status === 'completed') {
+  // Deterministic case assertions run locally before the judge
+  const hasAssertions = Array.isArray(caseItem.assertions) && caseItem.assertions.length > 0
+  const checked = hasAssertions && status === 'completed'
+    ? assertionService.evaluate(caseItem.assertions, actual_output)
+    : null
+  if (hasAssertions) outcome.assertions = checked
+
+  // Case unit tests run against the extracted code in a sandbox
+  if (caseItem.tests && status === 'completed') {
+    const t = caseItem.tests
+    outcome.execution = await sandboxService.runTests({
+      language:  t.language,
+      solution:  sandboxService.extractCode(actual_output, t.language),
+      tests:     t.code,
+      timeoutMs: t.timeout_ms,
+      settings:  _getGlobalConfig().sandbox,
+    })
+    logService.info('test-service', 'case tests executed', {
+      ...logCtx, passed: outcome.execution.passed, total: outcome.execution.total, error: outcome.execution.error,
+    })
+  } else if (caseItem.tests) {
+    outcome.execution = null
+  }
+
+  if (checked && checked.gated) {
+    // A failed gate zeroes the score; the judge's opinion cannot change that
+    const gate = checked.results.find(r => !r.passed && r.gate)
+    outcome.scores = rubricService.zeroScores(rubric)
+    outcome.score_reasoning = `Gate assertion failed: ${gate.description} (${gate.message})`
+    outcome.score_evaluated_at = new Date().toISOString()
+    logService.info('test-service', 'task gated by assertion', { ...logCtx, assertion: gate.index })
+  } else if (status === 'completed') {
+    // Score only successful executions; scoring failure is non-fatal
     try {
-      const scored = await _scoreResult(caseItem, actual_output, workingDir)
-      resultRecord.scores           = scored.scores || null
-      resultRecord.score_reasoning  = scored.reasoning || ''
-      resultRecord.score_evaluated_at = new Date().toISOString()
-      logService.info('test-service', 'task scored', { skillId: skillRef.ref_id, caseId: caseItem.case_id, total: scored.scores && scored.scores.total })
+      const scored = await _scoreResult(caseItem, multiTurn ? transcript : actual_output, {
+        workingDir,
+        backend,
+        projectId: config.id,
+        jobLabel:  `score ${skillRef.name || skillRef.ref_id} / ${caseItem.case_id}${sampleTag} @${model}`,
+        cachePolicy,
+        retry,
+        profile:   config.cli_config.scoring_profile || undefined,
+        sampleIndex,
+      }, rubric, panel)
+      const functional = caseItem.tests && caseItem.tests.feed_score !== false
+        ? _applyExecution(scored.scores || null, outcome.execution, rubric)
+        : (scored.scores || null)
+      outcome.scores           = assertionService.applyCap(functional, checked)
+      outcome.score_reasoning  = scored.reasoning || ''
+      outcome.score_evaluated_at = new Date().toISOString()
+      outcome.usage.scoring      = scored.usage
+      if (scored.panel) {
+        outcome.judges       = scored.panel.judges
+        outcome.judge_spread = scored.panel.spread
+        if (scored.panel.spread != null && scored.panel.spread > panel.disagreement_threshold) {
+          outcome.needs_review  = true
+          outcome.review_reason = 'judge_disagreement'
+        }
+      }
+      logService.info('test-service', 'task scored', { ...logCtx, total: scored.scores && scored.scores.total })
     } catch (scoreErr) {
-      logService.warn('test-service', 'scoring failed (non-fatal)', { skillId: skillRef.ref_id, caseId: caseItem.case_id, errCode: scoreErr.code, errMsg: scoreErr.message || String(scoreErr) })
+      if (scoreErr && scoreErr.code === 'CLI_CANCELLED') {
+        outcome.status = 'cancelled'
+        outcome.error  = 'CLI_CANCELLED: scoring cancelled'
+      }
+      outcome.usage.scoring = (scoreErr && scoreErr.usage) || null
+      logService.warn('test-service', 'scoring failed (non-fatal)', { ...logCtx, errCode: scoreErr.code, errMsg: scoreErr.message || String(scoreErr) })
       // Leave scores as null
     }
   }
 
-  fileService.writeJson(resultPath, resultRecord)
-  return resultRecord
+  return outcome
+}
+
+/**
+ * Drive a multi-turn case: the first turn is a normal invokeCli call, every
+ * later one resumes its session. Each exchange is appended to `transcript` as
+ * it completes, so a failure part-way keeps the turns that did run. Returns a
+ * CliResult-like { result, duration_ms, usage } for the final reply, with
+ * duration and usage summed over the turns.
+ *
+ * The response cache is bypassed: a cached first turn would hand back the
+ * session of an earlier run, and resuming it would continue that run's
+ * conversation.
+ */
+async function _runConversation(turns, callOpts, transcript) {
+  const backend = callOpts.backend || _getGlobalConfig().backend || 'claude-cli'
+  if (backend !== 'claude-cli') {
+    throw { code: 'INVALID_PARAMS', message: `Multi-turn cases need the claude-cli backend (project uses ${backend})` }
+  }
+  let sessionId = null
+  let duration  = 0
+  let usage     = null
+  let result    = ''
+  try {
+    for (let i = 0; i < turns.length; i++) {
+      const r = i === 0
+        ? await cliService.invokeCli(turns[0], { ...callOpts, cachePolicy: 'off' })
+        : await cliService.invokeCliResume(turns[i], sessionId, {
+            workingDir:   callOpts.workingDir,
+            timeoutMs:    callOpts.timeoutMs,
+            model:        callOpts.model,
+            systemPrompt: callOpts.systemPrompt,
+            priority:     callOpts.priority,
+            projectId:    callOpts.projectId,
+            jobLabel:     `${callOpts.jobLabel} [turn ${i + 1}]`,
+            retry:        callOpts.retry,
+            profile:      callOpts.profile,
+            extraFlags:   callOpts.extraFlags,
+          })
+      result = r.result || ''
+      duration += r.duration_ms || 0
+      if (r.usage) usage = usageService.addUsage(usage || usageService.emptyUsage(), r.usage)
+      transcript.push({ turn: i + 1, input: turns[i], output: result, duration_ms: r.duration_ms || 0 })
+      if (i > 0 && callOpts.onStream) callOpts.onStream({ type: 'text', text: `\n\n[turn ${i + 1}]\n${result}` })
+
+      sessionId = r.session_id || sessionId
+      if (!sessionId && i < turns.length - 1) {
+        throw { code: 'CLI_EXECUTION_ERROR', message: `No session id to resume after turn ${i + 1}` }
+      }
+    }
+  } catch (err) {
+    // The turns that ran still count towards budgets
+    if (usage && err && typeof err === 'object') err.usage = usageService.addUsage({ ...usage }, err.usage)
+    throw err
+  }
+  return { result, duration_ms: duration, usage }
+}
+
+/**
+ * Combine the outcomes of a repeatedly sampled case into one record:
+ *   samples     — every outcome, numbered from 1
+ *   scores      — per-dimension mean over the scored samples (null if none)
+ *   score_stats — { <dimension>|total: { n, mean, std, ci95 } } over those samples
+ *   status      — cancelled if any sample was, else completed if any sample
+ *                 completed, else failed
+ *   usage       — summed over the samples
+ * Output, error, reasoning, assertions, execution, transcript and judges mirror the first
+ * completed sample so single-output views keep working; judge_spread is the
+ * largest over the samples and any flagged sample flags the record.
+ */
+function _mergeSamples(outcomes, rubric) {
+  const status = outcomes.some(o => o.status === 'cancelled') ? 'cancelled'
+    : outcomes.some(o => o.status === 'completed') ? 'completed' : 'failed'
+  const rep = outcomes.find(o => o.status === 'completed') || outcomes[0]
+
+  const usage = { execution: null, scoring: null }
+  for (const o of outcomes) {
+    for (const phase of ['execution', 'scoring']) {
+      if (o.usage[phase]) usage[phase] = usageService.addUsage(usage[phase] || usageService.emptyUsage(), o.usage[phase])
+    }
+  }
+
+  const scored = outcomes.filter(o => o.scores && o.scores.total != null)
+  const keys = [...rubricService.dimensionKeys(rubric), 'total']
+  const score_stats = scored.length > 0
+    ? Object.fromEntries(keys.map(k => [k, statsService.summarize(scored.map(o => o.scores[k]))]))
+    : null
+  const scores = score_stats
+    ? Object.fromEntries(keys.map(k => [k, score_stats[k].mean == null ? null : Math.round(score_stats[k].mean * 10) / 10]))
+    : null
+
+  const merged = {
+    status,
+    actual_output:   rep.actual_output,
+    duration_ms:     rep.duration_ms,
+    from_cache:      outcomes.every(o => o.from_cache),
+    usage,
+    error:           status === 'completed' ? null : (outcomes.find(o => o.status === status) || rep).error,
+    scores,
+    score_reasoning: rep.score_reasoning,
+    score_evaluated_at: rep.score_evaluated_at,
+  }
+  if ('assertions' in rep) merged.assertions = rep.assertions
+  if ('execution' in rep) merged.execution = rep.execution
+  if ('transcript' in rep) merged.transcript = rep.transcript
+  if ('judges' in rep) {
+    merged.judges = rep.judges
+    const spreads = outcomes.map(o => o.judge_spread).filter(v => v != null)
+    merged.judge_spread = spreads.length ? Math.max(...spreads) : null
+  }
+  if (outcomes.some(o => o.needs_review)) {
+    merged.needs_review  = true
+    merged.review_reason = outcomes.find(o => o.needs_review).review_reason
+  }
+  merged.score_stats = score_stats
+  merged.samples = outcomes.map((o, i) => ({ sample: i + 1, ...o }))
+  return merged
 }
 
 /**
- * Write summary.json aggregating avg scores and ranking for all skills.
+ * Replace the judge's value for the rubric's execution_dimension
+ * (functional_correctness in the built-in rubric) with the sandbox pass rate
+ * scaled to that dimension's max, and adjust the total. The judge's value is
+ * kept as judge_<dimension>. Results the sandbox could not produce (runtime
+ * missing, no tests counted) and rubrics without an execution_dimension leave
+ * the scores untouched.
+ */
+function _applyExecution(scores, execution, rubric) {
+  const dim = rubric.dimensions.find(d => d.key === rubric.execution_dimension)
+  if (!dim || !scores || !execution || execution.error || !execution.total) return scores
+  const judged = scores[dim.key] || 0
+  const measured = Math.round(dim.max * execution.passed / execution.total)
+  return {
+    ...scores,
+    [dim.key]:            measured,
+    [`judge_${dim.key}`]: judged,
+    total: scores.total != null ? scores.total - judged + measured : scores.total,
+  }
+}
+
+// A case passes when its total reaches this share of the rubric maximum
+const PASS_RATIO = 0.6
+
+function _newLevel() {
+  return {
+    total_cases: 0, completed_cases: 0, failed_cases: 0, overridden_cases: 0, scored_cases: 0, passed_cases: 0,
+    total_score: 0, weighted_score: 0, scored_weight: 0, dims: {},
+  }
+}
+
+function _addToLevel(level, record, dims, passMark, weight) {
+  level.total_cases++
+  if (record && record.review && record.review.status === 'overridden') level.overridden_cases++
+  if (record && record.status === 'failed') level.failed_cases++
+  if (!record || record.status !== 'completed') return
+  level.completed_cases++
+  if (!record.scores || record.scores.total == null) return
+  level.scored_cases++
+  level.total_score += record.scores.total
+  level.weighted_score += record.scores.total * weight
+  level.scored_weight  += weight
+  if (record.scores.total >= passMark) level.passed_cases++
+  for (const k of dims) level.dims[k] = (level.dims[k] || 0) + (record.scores[k] || 0)
+}
+
+/** avg / weighted avg score, pass rate (over all the level's cases) and dimension averages. */
+function _finishLevel(level, dims) {
+  const d = level.scored_cases || 1
+  return {
+    total_cases:      level.total_cases,
+    completed_cases:  level.completed_cases,
+    failed_cases:     level.failed_cases,
+    overridden_cases: level.overridden_cases,
+    avg_score:        level.scored_cases > 0 ? Math.round(level.total_score / d * 10) / 10 : 0,
+    weighted_avg_score: level.scored_weight > 0 ? Math.round(level.weighted_score / level.scored_weight * 10) / 10 : 0,
+    pass_rate:        level.total_cases > 0 ? Math.round(level.passed_cases / level.total_cases * 1000) / 1000 : null,
+    score_breakdown:  Object.fromEntries(dims.map(k => [k, Math.round((level.dims[k] || 0) / d * 10) / 10])),
+  }
+}
+
+/**
+ * Write summary.json aggregating avg scores and ranking for all skill-model pairs.
+ * Matrix projects also get model_dependence: per skill, the avg score on each
+ * model and the spread between the best and worst one.
+ *
+ * Uncertainty: score_stats gives mean / std / 95% CI per dimension over the
+ * pair's scored cases (a sampled case contributes its sample mean), and
+ * tied_with lists the ranks whose total CI overlaps this one — those pairs
+ * are not separable on this data. Sampled projects add sampling_std, the
+ * mean within-case standard deviation of the total (run-to-run noise).
+ *
+ * Pairwise projects add ranking[].pairwise (Bradley-Terry rating on the Elo
+ * scale, win / loss / tie counts, rank by rating among the same model's
+ * entries) and a project-level pairwise block.
+ *
+ * Case weights (caseWeight: the case's `weight`, else its baseline's
+ * category_weights, else 1) give weighted_avg_score next to avg_score, and
+ * the ranking follows the weighted average; `weighted` tells whether any
+ * case weighs other than 1.
+ *
+ * Breakdowns: ranking[].baselines splits every pair's results per baseline
+ * and, within each, per case category (avg_score, pass_rate, score_breakdown
+ * at each level). A case passes when its total reaches PASS_RATIO of the
+ * rubric maximum (summary.pass_threshold); failed executions count as not
+ * passed. The top-level `baselines` lists each baseline's case count per
+ * category, and total_cases is the number of cases over all baselines.
+ *
+ * Judge panels of two or more judges add judge_agreement: Krippendorff's
+ * alpha over the judges' totals of every scored result (each sample is a
+ * unit), the mean spread, and the number of records flagged for review.
  */
 function _writeSummary(projectId, projectPath, config, state) {
-  const skillMap = new Map()
+  const models   = projectModels(config)
+  const samples  = samplesPerCase(config)
+  const rubric   = rubricService.projectRubric(config)
+  const dims     = rubricService.dimensionKeys(rubric)
+  const panel    = judgeService.projectPanel(config)
+  const passMark = rubricService.maxTotal(rubric) * PASS_RATIO
+  const judgeUnits = []
+  let flaggedRecords = 0
+  const pairMap = new Map()
+  const baselineCases = new Map()  // baseline ref_id → { ref, cases: Map<case_id, category> }
   for (const task of state.tasks) {
     const sid = task.skillRef.ref_id
-    if (!skillMap.has(sid)) {
-      skillMap.set(sid, {
+    const model = task.model || models[0]
+    const key = `${sid}\u0000${model}`
+    if (!pairMap.has(key)) {
+      pairMap.set(key, {
         skill_id:   sid,
         skill_name: task.skillRef.name,
         skill_version: task.skillRef.version,
+        model,
+        total_cases: 0,
         completed_cases: 0,
         failed_cases: 0,
         total_score: 0,
         scored_cases: 0,
-        score_breakdown: {
-          functional_correctness: 0, robustness: 0, readability: 0,
-          conciseness: 0, complexity_control: 0, format_compliance: 0,
-        },
+        weighted_score: 0,
+        scored_weight: 0,
+        assertions_passed: 0,
+        assertions_total: 0,
+        tests_passed: 0,
+        tests_total: 0,
+        overridden_cases: 0,
+        score_breakdown: Object.fromEntries(dims.map(k => [k, 0])),
+        case_scores: [],
+        sample_stds: [],
+        baselines: new Map(),
       })
     }
+    const entry = pairMap.get(key)
+    entry.total_cases++
+    const bid = task.baselineRef.ref_id
+    const category = task.caseItem.category || 'standard'
+    if (!baselineCases.has(bid)) baselineCases.set(bid, { ref: task.baselineRef, cases: new Map() })
+    baselineCases.get(bid).cases.set(task.caseItem.case_id, category)
+    if (!entry.baselines.has(bid)) entry.baselines.set(bid, { level: _newLevel(), categories: new Map() })
+    const byBaseline = entry.baselines.get(bid)
+    if (!byBaseline.categories.has(category)) byBaseline.categories.set(category, _newLevel())
     const record = fileService.readJson(task.resultPath)
+    _addToLevel(byBaseline.level, record, dims, passMark, task.weight)
+    _addToLevel(byBaseline.categories.get(category), record, dims, passMark, task.weight)
     if (!record) continue
-    const entry = skillMap.get(sid)
     if (record.status === 'completed') {
       entry.completed_cases++
+      // Sampled records: pass rates count every completed sample
+      for (const unit of (record.samples || [record]).filter(u => u.status === 'completed')) {
+        if (unit.judges) judgeUnits.push(unit.judges.map(j => (j.scores ? j.scores.total : null)))
+        if (unit.assertions) {
+          entry.assertions_passed += unit.assertions.passed
+          entry.assertions_total  += unit.assertions.total
+        }
+        if (unit.execution && !unit.execution.error) {
+          entry.tests_passed += unit.execution.passed
+          entry.tests_total  += unit.execution.total
+        }
+      }
       if (record.scores && record.scores.total != null) {
         entry.total_score += record.scores.total
         entry.scored_cases++
-        const bd = entry.score_breakdown
-        const s  = record.scores
-        bd.functional_correctness += (s.functional_correctness || 0)
-        bd.robustness             += (s.robustness || 0)
-        bd.readability            += (s.readability || 0)
-        bd.conciseness            += (s.conciseness || 0)
-        bd.complexity_control     += (s.complexity_control || 0)
-        bd.format_compliance      += (s.format_compliance || 0)
+        entry.weighted_score += record.scores.total * task.weight
+        entry.scored_weight  += task.weight
+        for (const k of dims) entry.score_breakdown[k] += (record.scores[k] || 0)
+        entry.case_scores.push(record.scores)
+        if (record.score_stats && record.score_stats.total.n > 1) entry.sample_stds.push(record.score_stats.total.std)
       }
-    } else {
+    } else if (record.status === 'failed') {
       entry.failed_cases++
     }
+    if (record.needs_review) flaggedRecords++
+    if (record.review && record.review.status === 'overridden') entry.overridden_cases++
   }
 
   const ranking = []
-  for (const [, entry] of skillMap) {
+  for (const [, entry] of pairMap) {
     const d        = entry.scored_cases || 1
     const avg_score = entry.scored_cases > 0
       ? Math.round((entry.total_score / entry.scored_cases) * 10) / 10
@@ -298,65 +904,167 @@ function _writeSummary(projectId, projectPath, config, state) {
       skill_id:        entry.skill_id,
       skill_name:      entry.skill_name,
       skill_version:   entry.skill_version,
+      model:           entry.model,
+      total_cases:     entry.total_cases,
       completed_cases: entry.completed_cases,
       failed_cases:    entry.failed_cases,
       avg_score,
-      score_breakdown: {
-        functional_correctness: Math.round(bd.functional_correctness / d * 10) / 10,
-        robustness:             Math.round(bd.robustness / d * 10) / 10,
-        readability:            Math.round(bd.readability / d * 10) / 10,
-        conciseness:            Math.round(bd.conciseness / d * 10) / 10,
-        complexity_control:     Math.round(bd.complexity_control / d * 10) / 10,
-        format_compliance:      Math.round(bd.format_compliance / d * 10) / 10,
-      },
+      weighted_avg_score: entry.scored_weight > 0
+        ? Math.round((entry.weighted_score / entry.scored_weight) * 10) / 10
+        : 0,
+      assertion_pass_rate: entry.assertions_total > 0
+        ? Math.round(entry.assertions_passed / entry.assertions_total * 1000) / 1000
+        : null,
+      test_pass_rate: entry.tests_total > 0
+        ? Math.round(entry.tests_passed / entry.tests_total * 1000) / 1000
+        : null,
+      overridden_cases: entry.overridden_cases,
+      score_breakdown: Object.fromEntries(dims.map(k => [k, Math.round(bd[k] / d * 10) / 10])),
+      score_stats: Object.fromEntries([...dims, 'total'].map(k =>
+        [k, statsService.summarize(entry.case_scores.map(sc => sc[k]))])),
+      ...(samples > 1 ? {
+        sampling_std: entry.sample_stds.length > 0
+          ? Math.round(statsService.mean(entry.sample_stds) * 100) / 100
+          : null,
+      } : {}),
+      baselines: [...entry.baselines].map(([bid, b]) => ({
+        baseline_id:   bid,
+        baseline_name: baselineCases.get(bid).ref.name,
+        ..._finishLevel(b.level, dims),
+        categories: [...b.categories].map(([category, level]) => ({ category, ..._finishLevel(level, dims) })),
+      })),
     })
   }
 
-  ranking.sort((a, b) => b.avg_score - a.avg_score || b.completed_cases - a.completed_cases)
+  // The weighted average ranks (it equals avg_score when no case is weighted)
+  ranking.sort((a, b) => b.weighted_avg_score - a.weighted_avg_score
+    || b.avg_score - a.avg_score || b.completed_cases - a.completed_cases)
   ranking.forEach((r, i) => { r.rank = i + 1 })
+  for (const r of ranking) {
+    r.tied_with = ranking
+      .filter(o => o !== r && statsService.intervalsOverlap(r.score_stats.total, o.score_stats.total))
+      .map(o => o.rank)
+  }
 
-  // total_cases = cases per skill (from first baseline)
-  const firstSkillTasks = state.tasks.filter(t => t.skillRef.ref_id === (ranking[0] && ranking[0].skill_id))
   const summary = {
     project_id:   projectId,
     generated_at: new Date().toISOString(),
-    total_cases:  firstSkillTasks.length,
+    // Cases per skill-model pair: every pair runs every case of every baseline
+    total_cases:  [...baselineCases.values()].reduce((n, b) => n + b.cases.size, 0),
+    models,
+    samples_per_case: samples,
+    weighted:     state.tasks.some(t => t.weight !== 1),
+    pass_threshold: Math.round(passMark * 10) / 10,
+    baselines:    [...baselineCases].map(([bid, b]) => {
+      const categories = {}
+      for (const category of b.cases.values()) categories[category] = (categories[category] || 0) + 1
+      return { baseline_id: bid, baseline_name: b.ref.name, baseline_version: b.ref.version, total_cases: b.cases.size, categories }
+    }),
+    rubric:       rubricService.describe(rubric),
     ranking,
   }
+  if (models.length > 1) summary.model_dependence = _modelDependence(ranking)
+  const pairwise = pairwiseService.projectSettings(config)
+  if (pairwise) {
+    const { comparisons } = pairwiseService.readStore(projectPath)
+    for (const model of models) {
+      const entries = ranking.filter(r => r.model === model)
+      const ratings = pairwiseService.bradleyTerry(entries.map(r => r.skill_id), comparisons.filter(c => c.model === model))
+      for (const r of entries) r.pairwise = ratings[r.skill_id]
+      ;[...entries].sort((x, y) => y.pairwise.rating - x.pairwise.rating)
+        .forEach((r, i) => { r.pairwise.rank = i + 1 })
+    }
+    const skillCount = new Set(ranking.map(r => r.skill_id)).size
+    summary.pairwise = {
+      ...pairwiseService.resolveSchedule(pairwise, skillCount),
+      comparisons: comparisons.length,
+      forfeits:    comparisons.filter(c => c.forfeit).length,
+      ties:        comparisons.filter(c => c.verdict === 'tie').length,
+    }
+  }
+  if (panel && panel.judges.length > 1) {
+    const spreads = judgeUnits.map(u => judgeService.totalSpread(u.map(total => ({ total })))).filter(v => v != null)
+    summary.judge_agreement = {
+      judges:             panel.judges.length,
+      aggregate:          panel.aggregate,
+      krippendorff_alpha: statsService.krippendorffAlpha(judgeUnits),
+      mean_spread:        spreads.length ? Math.round(statsService.mean(spreads) * 10) / 10 : null,
+      flagged_cases:      flaggedRecords,
+    }
+  }
   fileService.writeJson(path.join(projectPath, 'results', 'summary.json'), summary)
 }
 
 /**
- * Parallel execution loop: skills run concurrently; cases within each skill
- * run sequentially. Each skill uses an isolated .claude/ subdirectory.
+ * Per skill: avg score on each model, best / worst model and their spread.
+ * Sorted by spread descending — the most model-dependent skills first.
+ */
+function _modelDependence(ranking) {
+  const bySkill = new Map()
+  for (const r of ranking) {
+    if (!bySkill.has(r.skill_id)) {
+      bySkill.set(r.skill_id, { skill_id: r.skill_id, skill_name: r.skill_name, scores: {} })
+    }
+    // Pairs with no scored case say nothing about the model
+    if (r.completed_cases > 0) bySkill.get(r.skill_id).scores[r.model] = r.avg_score
+  }
+
+  const result = []
+  for (const entry of bySkill.values()) {
+    const pairs = Object.entries(entry.scores).sort((a, b) => b[1] - a[1])
+    const best  = pairs[0]
+    const worst = pairs[pairs.length - 1]
+    result.push({
+      ...entry,
+      best_model:  best ? best[0] : null,
+      worst_model: worst ? worst[0] : null,
+      spread:      best ? Math.round((best[1] - worst[1]) * 10) / 10 : 0,
+    })
+  }
+  return result.sort((a, b) => b.spread - a.spread)
+}
+
+/**
+ * Parallel execution loop: skill-model pairs run concurrently; cases within
+ * each pair run sequentially. Each pair uses an isolated .claude/ subdirectory.
  * Runs in the background via setImmediate.
  */
-async function _runLoop(projectId, projectPath, config, state, onProgress) {
-  // Group tasks by skill for parallel execution
+async function _runLoop(projectId, projectPath, config, state, onProgress, onStream) {
+  // Group tasks by skill (and model) for parallel execution
   const skillGroups = new Map()
   for (const task of state.tasks) {
-    const sid = task.skillRef.ref_id
-    if (!skillGroups.has(sid)) skillGroups.set(sid, [])
-    skillGroups.get(sid).push(task)
+    const key = `${task.skillRef.ref_id} @${task.model}`
+    if (!skillGroups.has(key)) skillGroups.set(key, [])
+    skillGroups.get(key).push(task)
   }
 
   logService.info('test-service', 'Parallel run started', {
-    projectId, skillCount: skillGroups.size, totalTasks: state.tasks.length,
+    projectId, streamCount: skillGroups.size, totalTasks: state.tasks.length,
   })
+  state.budget.start()
 
-  // Each skill runs its cases sequentially; skills run in parallel
-  await Promise.all([...skillGroups.entries()].map(async ([skillId, skillTasks]) => {
+  // Each skill-model pair runs its cases sequentially; pairs run in parallel
+  await Promise.all([...skillGroups.entries()].map(async ([stream, skillTasks]) => {
     logService.info('test-service', 'Skill stream started', {
-      projectId, skillId, taskCount: skillTasks.length,
+      projectId, stream, taskCount: skillTasks.length,
     })
 
     for (const task of skillTasks) {
       if (state.status === 'paused' || state.status === 'interrupted') break
 
-      // Skip already-processed tasks — enables idempotent resume
-      if (fileService.readJson(task.resultPath)) continue
+      // Skip already-processed tasks — enables idempotent resume (cancelled ones run again)
+      const existing = fileService.readJson(task.resultPath)
+      if (existing && existing.status !== 'cancelled') continue
+
+      if (_enforceBudget(projectId, projectPath, state, onProgress)) break
 
-      const resultRecord = await _executeTask(task, projectPath, config)
+      const resultRecord = await _executeTask(task, projectPath, config, onStream)
+      if (resultRecord.usage) {
+        state.budget.add(resultRecord.usage.execution)
+        state.budget.add(resultRecord.usage.scoring)
+      }
+      // Cancelled by pause / stop — the run is no longer 'running'
+      if (resultRecord.status === 'cancelled') break
 
       if (resultRecord.status === 'completed') state.completedTasks++
       else state.failedTasks++
@@ -372,6 +1080,7 @@ async function _runLoop(projectId, projectPath, config, state, onProgress) {
           lastResult: {
             skillId: task.skillRef.ref_id,
             caseId:  task.caseItem.case_id,
+            model:   task.model,
             status:  resultRecord.status,
             score:   resultRecord.scores ? resultRecord.scores.total : undefined,
           },
@@ -380,11 +1089,34 @@ async function _runLoop(projectId, projectPath, config, state, onProgress) {
       }
     }
 
-    logService.info('test-service', 'Skill stream completed', { projectId, skillId })
+    logService.info('test-service', 'Skill stream completed', { projectId, stream })
   }))
 
-  // All skill streams finished — either all done, or paused/stopped
-  if (state.status !== 'paused' && state.status !== 'interrupted') {
+  // Pairwise verdicts need every skill's output, so they come after the streams
+  if (state.status === 'running' && pairwiseService.projectSettings(config)) {
+    await _runPairwise(projectId, projectPath, config, state, onProgress)
+  }
+
+  state.budget.stop()
+
+  // Stopped: in-flight calls were cancelled and the streams have drained.
+  // Callers awaiting the run (e.g. an iteration round) learn it ended here.
+  if (state.status === 'interrupted') {
+    if (onProgress) {
+      onProgress({
+        projectId,
+        completedTasks: state.completedTasks,
+        totalTasks:     state.tasks.length,
+        failedTasks:    state.failedTasks,
+        projectStatus:  'interrupted',
+        stopReason:     'manual',
+      })
+    }
+    return
+  }
+
+  // All skill streams finished — either all done, or paused
+  if (state.status !== 'paused') {
     state.status = 'completed'
 
     const configPath = path.join(projectPath, 'config.json')
@@ -420,47 +1152,196 @@ async function _runLoop(projectId, projectPath, config, state, onProgress) {
   }
 }
 
-// ─── Public API ────────────────────────────────────────────────────────────
+/**
+ * Pairwise phase: judge skill pairs per case as the schedule dictates and
+ * append each verdict to results/pairwise.json. A completed output beats a
+ * failed one without a judge call (forfeit); cases both sides failed are
+ * skipped. Verdicts already stored are kept, so pause / resume and re-runs
+ * continue where they stopped. Judge errors other than cancellation are
+ * logged and the comparison is left for the next run.
+ */
+async function _runPairwise(projectId, projectPath, config, state, onProgress) {
+  const settings = pairwiseService.projectSettings(config)
+  const rubric   = rubricService.projectRubric(config)
+  const models   = projectModels(config)
+  const store    = pairwiseService.readStore(projectPath)
+  const stored   = new Set(store.comparisons.map(pairwiseService.storedKey))
+  const workingDir = path.join(projectPath, '.claude', 'pairwise')
+  fileService.ensureDir(workingDir)
+
+  for (const model of models) {
+    // case_id → { caseItem, bySkill: { skillId → task } }, skills in config order
+    const cases = new Map()
+    const skillIds = []
+    for (const task of state.tasks.filter(t => (t.model || models[0]) === model)) {
+      const sid = task.skillRef.ref_id
+      if (!skillIds.includes(sid)) skillIds.push(sid)
+      if (!cases.has(task.caseItem.case_id)) cases.set(task.caseItem.case_id, { caseItem: task.caseItem, bySkill: {} })
+      cases.get(task.caseItem.case_id).bySkill[sid] = task
+    }
+    if (skillIds.length < 2) continue
+
+    // Swiss seeding: best average absolute score first
+    const avg = Object.fromEntries(skillIds.map(sid => {
+      const totals = [...cases.values()]
+        .map(c => c.bySkill[sid] && fileService.readJson(c.bySkill[sid].resultPath))
+        .filter(r => r && r.scores && r.scores.total != null)
+        .map(r => r.scores.total)
+      return [sid, totals.length ? statsService.mean(totals) : -1]
+    }))
+    const seeded = [...skillIds].sort((x, y) => avg[y] - avg[x])
+    const plan = pairwiseService.resolveSchedule(settings, skillIds.length)
+
+    for (let round = 0; round < plan.rounds; round++) {
+      const earlier = store.comparisons.filter(c => c.model === model && c.round < round)
+      const pairs = pairwiseService.roundPairs(seeded, earlier, plan, round)
+      if (pairs.length === 0) break
+
+      for (const [x, y] of pairs) {
+        for (const [caseId, { caseItem, bySkill }] of cases) {
+          if (state.status !== 'running') return
+          const cmp = pairwiseService.comparison(model, caseId, x, y)
+          if (stored.has(cmp.key)) continue
+
+          const recA = fileService.readJson(bySkill[cmp.a].resultPath)
+          const recB = fileService.readJson(bySkill[cmp.b].resultPath)
+          const okA = !!recA && recA.status === 'completed'
+          const okB = !!recB && recB.status === 'completed'
+          if (!okA && !okB) continue
+
+          let verdict
+          let reasoning = ''
+          let forfeit = false
+          if (!okA || !okB) {
+            verdict = okA ? 'a' : 'b'
+            forfeit = true
+          } else {
+            if (_enforceBudget(projectId, projectPath, state, onProgress)) return
+            const [first, second] = cmp.a_first ? [recA, recB] : [recB, recA]
+            try {
+              const cliResult = await cliService.invokeCli(
+                pairwiseService.buildPrompt(rubric, caseItem, first.actual_output, second.actual_output), {
+                  model:     settings.judge_model || _getGlobalConfig().default_model || 'claude-opus-4-6',
+                  workingDir,
+                  timeoutMs: 60000,
+                  backend:   config.cli_config.backend,
+                  priority:  'bulk',
+                  projectId,
+                  jobLabel:  `pairwise ${caseId}${models.length > 1 ? ` @${model}` : ''}`,
+                  cachePolicy: config.cli_config.cache_policy || undefined,
+                  retry:     { maxRetries: config.cli_config.retry_count },
+                  profile:   config.cli_config.scoring_profile || undefined,
+                })
+              state.budget.add(cliResult.usage)
+              usageService.recordUsage(projectPath, 'pairwise', cliResult.usage || null)
+              const parsed = cliService.parseStructuredOutput(cliResult.result || '')
+              verdict   = pairwiseService.parseVerdict(parsed, cmp.a_first)
+              reasoning = parsed.reasoning || ''
+            } catch (err) {
+              if (err && err.usage) {
+                state.budget.add(err.usage)
+                usageService.recordUsage(projectPath, 'pairwise', err.usage)
+              }
+              if (err && err.code === 'CLI_CANCELLED') return
+              logService.warn('test-service', 'pairwise comparison failed', {
+                projectId, caseId, a: cmp.a, b: cmp.b, errCode: err && err.code, errMsg: (err && err.message) || String(err),
+              })
+              continue
+            }
+          }
+
+          const { key, ...entry } = cmp
+          store.comparisons.push({
+            ...entry,
+            round,
+            verdict,
+            winner: verdict === 'tie' ? null : entry[verdict],
+            reasoning,
+            ...(forfeit ? { forfeit: true } : {}),
+            judged_at: new Date().toISOString(),
+          })
+          stored.add(key)
+          pairwiseService.writeStore(projectPath, store)
+
+          if (onProgress) {
+            onProgress({
+              projectId,
+              completedTasks: state.completedTasks,
+              totalTasks:     state.tasks.length,
+              failedTasks:    state.failedTasks,
+              phase:          'pairwise',
+              pairwiseComparisons: store.comparisons.length,
+              projectStatus:  'running',
+            })
+          }
+        }
+      }
+    }
+  }
+}
 
 /**
- * Start test execution. Returns immediately; loop runs via setImmediate.
- * Progress is delivered via onProgress callback.
+ * Persist a paused run's checkpoint to config.json.
+ * @param {object} [extra] — additional config fields (e.g. stop_reason)
  */
-async function startTest(projectId, { onProgress } = {}) {
-  const existing = _runState.get(projectId)
-  if (existing && existing.status === 'running') {
-    throw { code: 'ALREADY_RUNNING' }
+function _persistPause(projectPath, state, extra = {}) {
+  const configPath = path.join(projectPath, 'config.json')
+  const cfg = fileService.readJson(configPath)
+  if (!cfg) return
+  Object.assign(cfg, extra)
+  cfg.status     = 'paused'
+  cfg.progress   = {
+    total_tasks:     state.tasks.length,
+    completed_tasks: state.completedTasks,
+    failed_tasks:    state.failedTasks,
+    last_checkpoint: state.completedTasks + state.failedTasks,
   }
+  cfg.updated_at = new Date().toISOString()
+  fileService.writeJson(configPath, cfg)
+}
 
-  const found = _findProjectDir(projectId)
-  if (!found) throw { code: 'NOT_FOUND', message: `Project not found: ${projectId}` }
-  const { fullPath: projectPath } = found
+/**
+ * Pause the run if its budget (or the caller's budgetGuard) has been exceeded.
+ * Returns true when the run was paused. Called before each task, so in-flight
+ * calls in other skill streams finish and are checkpointed normally.
+ */
+function _enforceBudget(projectId, projectPath, state, onProgress) {
+  const exceeded = state.budget.check() || (state.budgetGuard ? state.budgetGuard() : null)
+  if (!exceeded) return false
+  if (state.status !== 'running') return true
 
-  const config = fileService.readJson(path.join(projectPath, 'config.json'))
-  if (!config) throw { code: 'NOT_FOUND', message: 'Project config missing' }
+  state.status = 'paused'
+  _persistPause(projectPath, state, {
+    stop_reason:     'budget_exceeded',
+    budget_exceeded: { ...exceeded, at: new Date().toISOString() },
+  })
+  logService.warn('test-service', 'Test paused: budget exceeded', {
+    projectId, limit: exceeded.limit, limitValue: exceeded.limit_value, actual: exceeded.actual,
+  })
 
-  const tasks = _buildTaskList(projectPath, config)
-  const state = {
-    status:         'running',
-    tasks,
-    completedTasks: 0,
-    failedTasks:    0,
+  if (onProgress) {
+    onProgress({
+      projectId,
+      completedTasks: state.completedTasks,
+      totalTasks:     state.tasks.length,
+      failedTasks:    state.failedTasks,
+      projectStatus:  'paused',
+      stopReason:     'budget_exceeded',
+      budget:         exceeded,
+    })
   }
-  _runState.set(projectId, state)
-
-  const configPath = path.join(projectPath, 'config.json')
-  config.status     = 'running'
-  config.updated_at = new Date().toISOString()
-  fileService.writeJson(configPath, config)
-
-  logService.info('test-service', 'Test run started', { projectId, totalTasks: tasks.length })
+  return true
+}
 
-  // Run loop in background — non-blocking return.
-  // Attach a catch so that unexpected loop crashes (e.g. disk-full on checkpoint
-  // write, or a throwing onProgress callback) mark the project 'interrupted' and
-  // notify the renderer, instead of leaving it stuck in 'running' forever.
+/**
+ * Run the loop in the background — non-blocking for startTest / resumeTest.
+ * Unexpected loop crashes (e.g. disk-full on checkpoint write, or a throwing
+ * onProgress callback) mark the project 'interrupted' and notify the
+ * renderer, instead of leaving it stuck in 'running' forever.
+ */
+function _startLoop(projectId, projectPath, config, state, onProgress, onStream) {
   setImmediate(() => {
-    _runLoop(projectId, projectPath, config, state, onProgress).catch(err => {
+    _runLoop(projectId, projectPath, config, state, onProgress, onStream).catch(err => {
       const errCode   = (err && err.code)    || 'UNKNOWN'
       const errMsg    = (err && err.message) || ''
       const errDetail = [errCode, errMsg].filter(Boolean).join(': ') || String(err)
@@ -499,6 +1380,53 @@ async function startTest(projectId, { onProgress } = {}) {
       }
     })
   })
+}
+
+// ─── Public API ────────────────────────────────────────────────────────────
+
+/**
+ * Start test execution. Returns immediately; loop runs via setImmediate.
+ * Progress is delivered via onProgress callback; live model output via onStream
+ * (only when the project has cli_config.streaming enabled).
+ *
+ * The run pauses with stopReason 'budget_exceeded' when the project budget is
+ * reached, or when budgetGuard() (an extra check supplied by a caller such as
+ * the iteration loop) returns an exceeded limit.
+ */
+async function startTest(projectId, { onProgress, onStream, budgetGuard } = {}) {
+  const existing = _runState.get(projectId)
+  if (existing && existing.status === 'running') {
+    throw { code: 'ALREADY_RUNNING' }
+  }
+
+  const found = _findProjectDir(projectId)
+  if (!found) throw { code: 'NOT_FOUND', message: `Project not found: ${projectId}` }
+  const { fullPath: projectPath } = found
+
+  const config = fileService.readJson(path.join(projectPath, 'config.json'))
+  if (!config) throw { code: 'NOT_FOUND', message: 'Project config missing' }
+
+  const tasks = _buildTaskList(projectPath, config)
+  const state = {
+    status:         'running',
+    tasks,
+    completedTasks: 0,
+    failedTasks:    0,
+    budget:         budgetService.createTracker(budgetService.limitsForProject(config)),
+    budgetGuard:    budgetGuard || null,
+  }
+  _runState.set(projectId, state)
+
+  const configPath = path.join(projectPath, 'config.json')
+  delete config.stop_reason
+  delete config.budget_exceeded
+  config.status     = 'running'
+  config.updated_at = new Date().toISOString()
+  fileService.writeJson(configPath, config)
+
+  logService.info('test-service', 'Test run started', { projectId, totalTasks: tasks.length })
+
+  _startLoop(projectId, projectPath, config, state, onProgress, onStream)
 
   return { started: true }
 }
@@ -512,32 +1440,21 @@ function pauseTest(projectId) {
     throw { code: 'NOT_RUNNING', message: 'No running test for this project' }
   }
   state.status = 'paused'
-  logService.info('test-service', 'Test paused', { projectId, completedTasks: state.completedTasks, totalTasks: state.tasks.length })
+  const { cancelled } = cliService.cancel({ projectId })
+  logService.info('test-service', 'Test paused', { projectId, completedTasks: state.completedTasks, totalTasks: state.tasks.length, cancelledCalls: cancelled })
 
   const found = _findProjectDir(projectId)
-  if (found) {
-    const configPath = path.join(found.fullPath, 'config.json')
-    const cfg = fileService.readJson(configPath)
-    if (cfg) {
-      cfg.status     = 'paused'
-      cfg.progress   = {
-        total_tasks:     state.tasks.length,
-        completed_tasks: state.completedTasks,
-        failed_tasks:    state.failedTasks,
-        last_checkpoint: state.completedTasks + state.failedTasks,
-      }
-      cfg.updated_at = new Date().toISOString()
-      fileService.writeJson(configPath, cfg)
-    }
-  }
+  if (found) _persistPause(found.fullPath, state, { stop_reason: 'manual' })
 
-  return { paused: true, checkpoint: String(state.completedTasks + state.failedTasks) }
+  return { paused: true, checkpoint: String(state.completedTasks + state.failedTasks), cancelledCalls: cancelled }
 }
 
 /**
  * Resume a paused test. Restarts the loop from the current checkpoint.
+ * Budget limits are re-read from config, so raising them lets a run that
+ * stopped on budget_exceeded continue; usage already spent still counts.
  */
-async function resumeTest(projectId, { onProgress } = {}) {
+async function resumeTest(projectId, { onProgress, onStream } = {}) {
   const state = _runState.get(projectId)
   if (!state || state.status !== 'paused') {
     throw { code: 'NOT_PAUSED', message: 'No paused test for this project' }
@@ -552,18 +1469,22 @@ async function resumeTest(projectId, { onProgress } = {}) {
 
   const config = fileService.readJson(path.join(projectPath, 'config.json'))
 
+  state.budget.setLimits(budgetService.limitsForProject(config))
+
   const configPath = path.join(projectPath, 'config.json')
+  delete config.stop_reason
+  delete config.budget_exceeded
   config.status     = 'running'
   config.updated_at = new Date().toISOString()
   fileService.writeJson(configPath, config)
 
-  setImmediate(() => _runLoop(projectId, projectPath, config, state, onProgress))
+  _startLoop(projectId, projectPath, config, state, onProgress, onStream)
 
   return { resumed: true, remainingTasks: remaining }
 }
 
 /**
- * Stop (interrupt) a running or paused test.
+ * Stop (interrupt) a running or paused test. In-flight model calls are killed.
  */
 function stopTest(projectId) {
   const state = _runState.get(projectId)
@@ -572,7 +1493,8 @@ function stopTest(projectId) {
   }
   state.status = 'interrupted'
   _runState.delete(projectId)
-  logService.info('test-service', 'Test stopped', { projectId })
+  const { cancelled } = cliService.cancel({ projectId })
+  logService.info('test-service', 'Test stopped', { projectId, cancelledCalls: cancelled })
 
   const found = _findProjectDir(projectId)
   if (found) {
@@ -591,7 +1513,7 @@ function stopTest(projectId) {
     }
   }
 
-  return { stopped: true }
+  return { stopped: true, cancelledCalls: cancelled }
 }
 
 /**
@@ -621,10 +1543,17 @@ function getProgress(projectId) {
   }
 }
 
+/** True while a test run of the project is executing (not paused). */
+function isRunning(projectId) {
+  const state = _runState.get(projectId)
+  return !!state && state.status === 'running'
+}
+
 /**
  * Get paginated test results for a project.
+ * `model` narrows a model-matrix project to one model's results.
  */
-function getResults(projectId, { skillId, caseId, status, page = 1, pageSize = 20 } = {}) {
+function getResults(projectId, { skillId, caseId, status, model, page = 1, pageSize = 20 } = {}) {
   const found = _findProjectDir(projectId)
   if (!found) throw { code: 'NOT_FOUND' }
   const { fullPath: projectPath } = found
@@ -635,16 +1564,16 @@ function getResults(projectId, { skillId, caseId, status, page = 1, pageSize = 2
   const items = []
   for (const skillRef of (config.skills || [])) {
     if (skillId && skillRef.ref_id !== skillId) continue
-    const skillDir   = path.basename(skillRef.local_path)
-    const resultDir  = path.join(projectPath, 'results', skillDir)
-    const files      = fileService.listFiles(resultDir)
-    for (const file of files) {
-      if (!file.endsWith('.json')) continue
-      const record = fileService.readJson(path.join(resultDir, file))
-      if (!record) continue
-      if (caseId && record.case_id !== caseId) continue
-      if (status && record.status !== status) continue
-      items.push(record)
+    for (const { model: dirModel, dir: resultDir } of resultDirs(projectPath, config, skillRef)) {
+      if (model && dirModel !== model) continue
+      for (const file of fileService.listFiles(resultDir)) {
+        if (!file.endsWith('.json')) continue
+        const record = fileService.readJson(path.join(resultDir, file))
+        if (!record) continue
+        if (caseId && record.case_id !== caseId) continue
+        if (status && record.status !== status) continue
+        items.push(record)
+      }
     }
   }
 
@@ -654,10 +1583,23 @@ function getResults(projectId, { skillId, caseId, status, page = 1, pageSize = 2
   return { items: pageItems, total, page, pageSize, summary }
 }
 
+/**
+ * Recompute summary.json from the result files on disk, e.g. after a
+ * reviewer changed scores. Projects without a summary yet are left alone —
+ * their run writes it when it finishes. Returns whether it was rewritten.
+ */
+function rewriteSummary(projectId, projectPath, config) {
+  if (!fileService.exists(path.join(projectPath, 'results', 'summary.json'))) return false
+  _writeSummary(projectId, projectPath, config, { tasks: _buildTaskList(projectPath, config) })
+  return true
+}
+
 /**
  * Retry a single test case. Returns taskId immediately; progress via onProgress.
+ * In a model-matrix project `model` picks which model's run is retried
+ * (default: the first declared model).
  */
-async function retryCase(projectId, skillId, caseId, { onProgress } = {}) {
+async function retryCase(projectId, skillId, caseId, { model, onProgress, onStream } = {}) {
   const found = _findProjectDir(projectId)
   if (!found) throw { code: 'NOT_FOUND' }
   const { fullPath: projectPath } = found
@@ -666,13 +1608,14 @@ async function retryCase(projectId, skillId, caseId, { onProgress } = {}) {
   if (!config) throw { code: 'NOT_FOUND' }
 
   const tasks = _buildTaskList(projectPath, config)
-  const task  = tasks.find(t => t.skillRef.ref_id === skillId && t.caseItem.case_id === caseId)
+  const task  = tasks.find(t => t.skillRef.ref_id === skillId && t.caseItem.case_id === caseId &&
+    (!model || t.model === model))
   if (!task) throw { code: 'NOT_FOUND', message: 'Task not found' }
 
   const taskId = `retry_${skillId}_${caseId}_${Date.now()}`
   setImmediate(async () => {
     try {
-      const resultRecord = await _executeTask(task, projectPath, config)
+      const resultRecord = await _executeTask(task, projectPath, config, onStream)
       if (onProgress) {
         onProgress({
           projectId, taskId,
@@ -680,6 +1623,7 @@ async function retryCase(projectId, skillId, caseId, { onProgress } = {}) {
           failedTasks: resultRecord.status === 'failed' ? 1 : 0,
           lastResult: {
             skillId, caseId,
+            model:  task.model,
             status: resultRecord.status,
             score:  resultRecord.scores ? resultRecord.scores.total : undefined,
           },
@@ -703,22 +1647,19 @@ function exportResults(projectId, { format = 'json', destPath }) {
   fileService.ensureDir(path.dirname(destPath))
 
   if (format === 'csv') {
+    const found = _findProjectDir(projectId)
+    const config = found && fileService.readJson(path.join(found.fullPath, 'config.json'))
+    const dims = rubricService.dimensionKeys(rubricService.projectRubric(config))
     const headers = [
       'case_id', 'skill_id', 'skill_version', 'status', 'duration_ms',
       'cli_version', 'model_version', 'scores.total',
-      'scores.functional_correctness', 'scores.robustness', 'scores.readability',
-      'scores.conciseness', 'scores.complexity_control', 'scores.format_compliance', 'error',
+      ...dims.map(k => `scores.${k}`), 'error',
     ]
     const rows = allResults.items.map(r => [
       r.case_id, r.skill_id, r.skill_version, r.status, r.duration_ms,
       r.cli_version, r.model_version,
       r.scores ? r.scores.total : '',
-      r.scores ? r.scores.functional_correctness : '',
-      r.scores ? r.scores.robustness : '',
-      r.scores ? r.scores.readability : '',
-      r.scores ? r.scores.conciseness : '',
-      r.scores ? r.scores.complexity_control : '',
-      r.scores ? r.scores.format_compliance : '',
+      ...dims.map(k => (r.scores && r.scores[k] != null ? r.scores[k] : '')),
       r.error || '',
     ].map(v => `"${String(v).replace(/"/g, '""')}"`).join(','))
     fileService.writeText(destPath, [headers.join(','), ...rows].join('\n'))
@@ -735,7 +1676,17 @@ module.exports = {
   resumeTest,
   stopTest,
   getProgress,
+  isRunning,
   getResults,
   retryCase,
   exportResults,
+  rewriteSummary,
+  buildTaskList: _buildTaskList,
+  projectModels,
+  modelSlug,
+  resultDirs,
+  executionMode,
+  EXECUTION_MODES,
+  samplesPerCase,
+  MAX_SAMPLES_PER_CASE,
 }
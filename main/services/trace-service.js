@@ -13,6 +13,7 @@
 const path = require('path')
 const fileService      = require('./file-service')
 const workspaceService = require('./workspace-service')
+const testService      = require('./test-service')
 const logService       = require('./log-service')
 
 // ─── Helpers ──────────────────────────────────────────────────────────────────
@@ -29,20 +30,20 @@ function _findProjectDir(projectId) {
  * Scan result files to extract cli_version and model_version.
  * Returns null for each if not found.
  */
-function _extractFromResults(projectPath, skills) {
+function _extractFromResults(projectPath, config) {
   let cliVersion   = null
   let modelVersion = null
 
-  for (const skillRef of (skills || [])) {
-    const skillDir  = path.basename(skillRef.local_path || '')
-    const resultDir = path.join(projectPath, 'results', skillDir)
-    const files     = fileService.listFiles(resultDir)
-
-    for (const file of files) {
-      if (!file.endsWith('.json')) continue
-      const rec = fileService.readJson(path.join(resultDir, file))
-      if (rec && rec.cli_version   && !cliVersion)   cliVersion   = rec.cli_version
-      if (rec && rec.model_version && !modelVersion) modelVersion = rec.model_version
+  for (const skillRef of (config.skills || [])) {
+    const skill = { ...skillRef, local_path: skillRef.local_path || '' }
+    for (const { dir: resultDir } of testService.resultDirs(projectPath, config, skill)) {
+      for (const file of fileService.listFiles(resultDir)) {
+        if (!file.endsWith('.json')) continue
+        const rec = fileService.readJson(path.join(resultDir, file))
+        if (rec && rec.cli_version   && !cliVersion)   cliVersion   = rec.cli_version
+        if (rec && rec.model_version && !modelVersion) modelVersion = rec.model_version
+        if (cliVersion && modelVersion) break
+      }
       if (cliVersion && modelVersion) break
     }
     if (cliVersion && modelVersion) break
@@ -57,7 +58,7 @@ function _extractFromResults(projectPath, skills) {
  * Get the full execution environment snapshot for a project.
  *
  * @param {string} projectId
- * @returns {{ projectId, projectName, createdAt, cliVersion, modelVersion, skills, baselines, cliConfig }}
+ * @returns {{ projectId, projectName, createdAt, cliVersion, modelVersion, models, skills, baselines, cliConfig }}
  */
 function getProjectEnv(projectId) {
   const found = _findProjectDir(projectId)
@@ -66,7 +67,7 @@ function getProjectEnv(projectId) {
   const config = fileService.readJson(path.join(found.fullPath, 'config.json'))
   if (!config) throw { code: 'NOT_FOUND', message: 'Project config missing' }
 
-  const { cliVersion, modelVersion } = _extractFromResults(found.fullPath, config.skills)
+  const { cliVersion, modelVersion } = _extractFromResults(found.fullPath, config)
   logService.info('trace-service', 'getProjectEnv', { projectId, cliVersion, modelVersion, skillCount: (config.skills || []).length })
 
   return {
@@ -75,6 +76,7 @@ function getProjectEnv(projectId) {
     createdAt:    config.created_at || '',
     cliVersion:   cliVersion   || 'unknown',
     modelVersion: modelVersion || (config.cli_config && config.cli_config.model) || 'unknown',
+    models:       testService.projectModels(config),
     skills:   (config.skills    || []).map(s => ({ id: s.ref_id, name: s.name, version: s.version })),
     baselines: (config.baselines || []).map(b => ({ id: b.ref_id, name: b.name, version: b.version })),
     cliConfig: config.cli_config || {},
@@ -101,6 +103,10 @@ function compareEnvs(projectIdA, projectIdB) {
     }
   }
 
+  if (envA.models.join(', ') !== envB.models.join(', ')) {
+    differences.push({ field: 'models', valueA: envA.models.join(', '), valueB: envB.models.join(', ') })
+  }
+
   // CLI config fields
   const cfgA = envA.cliConfig || {}
   const cfgB = envB.cliConfig || {}
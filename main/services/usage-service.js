@@ -0,0 +1,133 @@
+'use strict'
+
+/**
+ * usage-service.js — Token usage and cost accounting.
+ *
+ * Every invokeCli result carries a normalized `usage` object:
+ *   { input_tokens, output_tokens, cache_creation_input_tokens, cache_read_input_tokens, cost_usd }
+ *
+ * Services persist per-call usage into their own records (test results,
+ * analysis report, recompose preview) and add it to the project's
+ * usage.json aggregate via recordUsage(). Iteration runs append one entry
+ * per run with per-round totals via recordIteration().
+ *
+ * Exports: normalizeUsage, emptyUsage, addUsage, diffUsage,
+ *          readUsage, recordUsage, recordIteration
+ */
+
+const path = require('path')
+const fileService = require('./file-service')
+
+const TOKEN_FIELDS = ['input_tokens', 'output_tokens', 'cache_creation_input_tokens', 'cache_read_input_tokens']
+
+function emptyUsage() {
+  return {
+    calls: 0,
+    input_tokens: 0,
+    output_tokens: 0,
+    cache_creation_input_tokens: 0,
+    cache_read_input_tokens: 0,
+    cost_usd: 0,
+  }
+}
+
+/**
+ * Map a backend result to the normalized usage shape for one call.
+ * Understands the Claude CLI JSON (usage + total_cost_usd / cost_usd) and
+ * OpenAI-style usage (prompt_tokens / completion_tokens). Missing fields → 0.
+ */
+function normalizeUsage(parsed) {
+  const raw = (parsed && parsed.usage) || {}
+  const cost = parsed && (parsed.total_cost_usd != null ? parsed.total_cost_usd : parsed.cost_usd)
+  return {
+    calls:                       1,
+    input_tokens:                raw.input_tokens  || raw.prompt_tokens     || 0,
+    output_tokens:               raw.output_tokens || raw.completion_tokens || 0,
+    cache_creation_input_tokens: raw.cache_creation_input_tokens || 0,
+    cache_read_input_tokens:     raw.cache_read_input_tokens     || 0,
+    cost_usd:                    typeof cost === 'number' ? cost : 0,
+  }
+}
+
+/**
+ * Add b into a (mutates and returns a). Null/undefined b is ignored.
+ */
+function addUsage(a, b) {
+  if (!b) return a
+  a.calls = (a.calls || 0) + (b.calls || 0)
+  for (const f of TOKEN_FIELDS) a[f] = (a[f] || 0) + (b[f] || 0)
+  a.cost_usd = _roundCost((a.cost_usd || 0) + (b.cost_usd || 0))
+  return a
+}
+
+/**
+ * after − before, field by field (used to attribute a window of calls, e.g. one iteration round).
+ */
+function diffUsage(after, before) {
+  const d = emptyUsage()
+  d.calls = (after.calls || 0) - (before.calls || 0)
+  for (const f of TOKEN_FIELDS) d[f] = (after[f] || 0) - (before[f] || 0)
+  d.cost_usd = _roundCost((after.cost_usd || 0) - (before.cost_usd || 0))
+  return d
+}
+
+function _roundCost(v) {
+  return Math.round(v * 1e6) / 1e6
+}
+
+function _usagePath(projectPath) {
+  return path.join(projectPath, 'usage.json')
+}
+
+/**
+ * Read a project's usage.json (or an empty aggregate if none yet).
+ */
+function readUsage(projectPath) {
+  const data = fileService.readJson(_usagePath(projectPath))
+  return data || {
+    updated_at: null,
+    totals:     emptyUsage(),
+    by_source:  {},
+    iterations: [],
+  }
+}
+
+/**
+ * Add one call's usage to the project aggregate.
+ * @param {string} projectPath
+ * @param {'test_execution'|'scoring'|'analysis'|'recompose'|string} source
+ * @param {object} usage — normalized usage from invokeCli
+ */
+function recordUsage(projectPath, source, usage) {
+  if (!usage) return
+  const data = readUsage(projectPath)
+  addUsage(data.totals, usage)
+  data.by_source[source] = addUsage(data.by_source[source] || emptyUsage(), usage)
+  data.updated_at = new Date().toISOString()
+  fileService.writeJson(_usagePath(projectPath), data)
+}
+
+/**
+ * Append a finished iteration run: { iteration_id, started_at, completed_at, rounds: [{ round, usage }] }.
+ * Run totals are computed here. Returns the stored entry.
+ */
+function recordIteration(projectPath, entry) {
+  const data = readUsage(projectPath)
+  const totals = emptyUsage()
+  for (const r of entry.rounds || []) addUsage(totals, r.usage)
+  const stored = { ...entry, totals }
+  data.iterations.push(stored)
+  data.updated_at = new Date().toISOString()
+  fileService.writeJson(_usagePath(projectPath), data)
+  return stored
+}
+
+module.exports = {
+  normalizeUsage,
+  emptyUsage,
+  addUsage,
+  diffUsage,
+  readUsage,
+  recordUsage,
+  recordIteration,
+}
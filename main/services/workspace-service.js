@@ -41,8 +41,10 @@ const paths = {
   cliSessions: () => path.join(WORKSPACE, 'cli', 'sessions.json'),
   cliTempSession: () => path.join(WORKSPACE, 'cli', 'temp_session'),
   cliCache: () => path.join(WORKSPACE, 'cli', 'cache'),
+  cliCassettes: () => path.join(WORKSPACE, 'cli', 'cassettes'),
   logs: () => path.join(WORKSPACE, 'logs'),
   versions: () => path.join(WORKSPACE, 'versions'),
+  rubrics: () => path.join(WORKSPACE, 'rubrics'),
 }
 
 /**
@@ -57,6 +59,7 @@ function initWorkspace() {
   fileService.ensureDir(paths.cliCache())
   fileService.ensureDir(paths.logs())
   fileService.ensureDir(paths.versions())
+  fileService.ensureDir(paths.rubrics())
 
   // Ensure CLI config exists
   const cliConfigPath = paths.cliConfig()
@@ -67,6 +70,40 @@ function initWorkspace() {
       default_timeout_seconds: 60,
       default_retry_count: 2,
       temp_session_ttl_days: 7,
+      backend: 'claude-cli',
+      backends: {
+        'openai-http': { base_url: 'http://127.0.0.1:8080/v1', api_key: '', model_map: {} },
+        mock: { default_result: '', rules: [], latency_ms: 0 },
+      },
+      scheduler: {
+        max_concurrency: 3,
+      },
+      cache: {
+        policy: 'off',
+        ttl_days: 30,
+        max_size_mb: 200,
+      },
+      retry: {
+        base_delay_ms: 2000,
+        max_delay_ms: 60000,
+        jitter: 0.2,
+        rate_limit_delay_ms: 30000,
+        rules: {},
+      },
+      circuit_breaker: {
+        failure_threshold: 5,
+        cooldown_seconds: 60,
+      },
+      default_profile: null,
+      profiles: {
+        'no-tools': { permission_mode: 'default', disallowed_tools: ['Bash', 'Edit', 'Write', 'NotebookEdit', 'WebFetch', 'WebSearch'], max_turns: 1 },
+      },
+      budget: {
+        max_calls: null,
+        max_tokens: null,
+        max_cost_usd: null,
+        max_wall_seconds: null,
+      },
       context: {
         token_threshold: 80000,
         auto_compress: true,
@@ -27,10 +27,15 @@ async function checkCli() {
     const res = await window.api.cli.checkAvailable()
     if (res.success && res.data.available) {
       dot.className = 'status-dot online'
-      label.textContent = `CLI v${res.data.cliVersion || '?'}`
+      const mode = res.data.cliMode && res.data.cliMode !== 'off' ? ` (${res.data.cliMode})` : ''
+      label.textContent = `CLI v${res.data.cliVersion || '?'}${mode}`
     } else {
       dot.className = 'status-dot offline'
       label.textContent = 'CLI: unavailable'
+      if (!_diagnosedAtStartup) {
+        _diagnosedAtStartup = true
+        runDiagnostics({ live: false })
+      }
     }
   } catch (_) {
     dot.className = 'status-dot offline'
@@ -38,6 +43,56 @@ async function checkCli() {
   }
 }
 
+// ─── CLI Diagnostics ───────────────────────────────────────────────────────
+
+let _diagnosedAtStartup = false
+
+/**
+ * Run cli:diagnose and surface the result: failed / warning checks with their
+ * fixes go into the status tooltip, the first failure into a notification.
+ * Offline (live: false) at startup; clicking the status runs the full check.
+ */
+async function runDiagnostics({ live }) {
+  const label = document.getElementById('cli-version-label')
+  if (live) window.notify('Running CLI diagnostics…', 'info')
+  const res = await window.api.cli.diagnose({ live })
+  if (!res.success) { window.notify('Diagnostics failed: ' + res.error.message, 'error'); return }
+
+  const problems = res.data.checks.filter(c => c.status === 'fail' || c.status === 'warn')
+  label.title = problems.length
+    ? problems.map(c => `[${c.status}] ${c.label}: ${c.message}${c.fix ? `\n  → ${c.fix}` : ''}`).join('\n')
+    : res.data.checks.map(c => `[${c.status}] ${c.label}: ${c.message}`).join('\n')
+
+  const firstFail = problems.find(c => c.status === 'fail')
+  if (firstFail) {
+    window.notify(`${firstFail.label}: ${firstFail.message}${firstFail.fix ? ` — ${firstFail.fix}` : ''}`, 'error', 10000)
+  } else {
+    const { pass, warn } = res.data.counts
+    window.notify(`CLI diagnostics: ${pass} passed${warn ? `, ${warn} warning(s)` : ''}`, warn ? 'warning' : 'success')
+  }
+}
+
+// ─── CLI Job Queue ─────────────────────────────────────────────────────────
+
+async function refreshCliQueue() {
+  const label = document.getElementById('cli-queue-label')
+  try {
+    const res = await window.api.cli.getQueue()
+    if (!res.success) return
+    const { running, queued, maxConcurrency } = res.data
+    if (!running.length && !queued.length) {
+      label.textContent = ''
+      label.title = ''
+      return
+    }
+    label.textContent = `· Jobs ${running.length}/${maxConcurrency} running, ${queued.length} queued`
+    label.title = [
+      ...running.map(j => `▶ [${j.priority}] ${j.label}`),
+      ...queued.map(j => `… [${j.priority}] ${j.label}`),
+    ].join('\n')
+  } catch (_) {}
+}
+
 // ─── App Init ──────────────────────────────────────────────────────────────
 
 async function init() {
@@ -52,6 +107,8 @@ async function init() {
   checkCli()
   // Recheck every 60s
   setInterval(checkCli, 60000)
+  // Scheduler queue indicator
+  setInterval(refreshCliQueue, 3000)
 
   // Init pages
   SkillPage.init()
@@ -59,6 +116,9 @@ async function init() {
   ProjectPage.init()
   RankingsPage.init()
 
+  // Click the CLI status for a full diagnostic run (sends a few test prompts)
+  document.getElementById('cli-status').addEventListener('click', () => runDiagnostics({ live: true }))
+
   // Help / manual button
   document.getElementById('help-btn').addEventListener('click', () => {
     window.api.manual.open()
@@ -68,9 +128,28 @@ async function init() {
   window.api.on('cli:status:change', (data) => {
     const dot = document.getElementById('cli-dot')
     const label = document.getElementById('cli-version-label')
+    // Circuit breaker transitions (cli-retry.js): open pauses all runs until the cooldown ends
+    if (data.circuit) {
+      if (data.circuit.state === 'open') {
+        dot.className = 'status-dot offline'
+        label.textContent = 'CLI: paused'
+        label.title = data.reason || ''
+        window.notify(data.reason || 'Model calls paused after repeated failures', 'warning', 8000)
+      } else {
+        label.title = ''
+        checkCli()
+      }
+      return
+    }
     dot.className = `status-dot ${data.available ? 'online' : 'offline'}`
     label.textContent = data.available ? `CLI v${data.cliVersion || '?'}` : 'CLI: unavailable'
   })
+
+  // Budget guardrails — a test run / iteration / auto-tag batch stopped on its limit
+  window.api.on('budget:exceeded', (data) => {
+    const scope = { test: 'Test run', iteration: 'Iteration', autoTag: 'Auto-tag batch' }[data.scope] || 'Run'
+    window.notify(`${scope} paused — ${data.message || `budget limit ${data.limit} reached`}`, 'warning', 8000)
+  })
 }
 
 document.addEventListener('DOMContentLoaded', init)
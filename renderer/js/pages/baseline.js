@@ -113,6 +113,9 @@ const BaselinePage = (() => {
 
     const { meta, cases, tags, versions } = res.data
     currentVersion = meta.version
+    const rubricsRes = await window.api.rubric.list()
+    const rubrics = rubricsRes.success ? rubricsRes.data : []
+    const rubricId = meta.rubric_id || 'code_quality'
 
     document.getElementById('baseline-detail-empty').style.display = 'none'
     const detailEl = document.getElementById('baseline-detail')
@@ -128,7 +131,7 @@ const BaselinePage = (() => {
     const casesHtml = (cases.cases || []).map(c => `
       <tr>
         <td><code>${c.id}</code></td>
-        <td>${window.escHtml(c.name)}</td>
+        <td>${window.escHtml(c.name)}${c.assertions?.length ? ` <span class="version-badge" title="Programmatic assertions">${c.assertions.length} checks</span>` : ''}${c.tests ? ` <span class="version-badge" title="Sandboxed unit tests">${window.escHtml(c.tests.language)} tests</span>` : ''}${c.weight != null ? ` <span class="version-badge" title="Scoring weight">×${c.weight}</span>` : ''}</td>
         <td><span class="category-badge ${c.category}">${c.category}</span></td>
         <td style="max-width:180px;overflow:hidden;text-overflow:ellipsis;white-space:nowrap">${window.escHtml(c.input)}</td>
         <td>
@@ -146,6 +149,18 @@ const BaselinePage = (() => {
           <div class="meta-field"><label>Cases</label><div class="val">${meta.case_count}</div></div>
           <div class="meta-field"><label>Purpose</label><div class="val">${window.escHtml(meta.purpose)}</div></div>
           <div class="meta-field"><label>Provider</label><div class="val">${window.escHtml(meta.provider)}</div></div>
+          <div class="meta-field"><label>Rubric</label><div class="val">
+            <select class="form-input" id="baseline-rubric-select" style="width:auto;padding:2px 6px;font-size:12px">
+              ${rubrics.map(r => `<option value="${window.escHtml(r.id)}" ${r.id === rubricId ? 'selected' : ''}>${window.escHtml(r.name)} (${r.dimension_count} dims / ${r.max_total})</option>`).join('')}
+            </select>
+            <button class="btn btn-secondary btn-sm" id="baseline-rubric-new">New…</button>
+          </div></div>
+          <div class="meta-field"><label>Category weights</label><div class="val">
+            ${meta.category_weights
+              ? Object.entries(meta.category_weights).map(([k, w]) => `<span class="tag">${window.escHtml(k)} ×${w}</span>`).join(' ')
+              : '<span style="color:var(--text-muted);font-size:12px">All 1</span>'}
+            <button class="btn btn-secondary btn-sm" id="baseline-weights-edit">Edit…</button>
+          </div></div>
         </div>
       </div>
       <div class="detail-section" style="padding:12px">
@@ -163,6 +178,10 @@ const BaselinePage = (() => {
       </div>
     `
 
+    document.getElementById('baseline-rubric-select').addEventListener('change', (e) => setRubric(e.target.value))
+    document.getElementById('baseline-rubric-new').addEventListener('click', newRubricDialog)
+    document.getElementById('baseline-weights-edit').addEventListener('click', () => editCategoryWeights(meta.category_weights))
+
     // Case Edit / Delete button handlers
     document.getElementById('baseline-detail-body').querySelectorAll('[data-case-action]').forEach(btn => {
       btn.addEventListener('click', () => {
@@ -192,6 +211,52 @@ const BaselinePage = (() => {
     })
   }
 
+  // ─── Rubric ────────────────────────────────────────────────────────────────
+
+  async function setRubric(rubricId) {
+    const res = await window.api.baseline.setRubric({ baselineId: currentBaselineId, rubricId })
+    if (!res.success) { window.notify('Failed to set rubric: ' + res.error.message, 'error'); return }
+    window.notify('Rubric updated — applies to projects created from now on', 'success')
+  }
+
+  async function newRubricDialog() {
+    const text = prompt(
+      'New rubric (JSON, e.g. {"name":"Summary","dimensions":[{"key":"coverage","label":"Coverage","max":50,"description":"Key points kept"},{"key":"brevity","label":"Brevity","max":50}]}):',
+      '')
+    if (!text || !text.trim()) return
+    let rubric
+    try {
+      rubric = JSON.parse(text)
+    } catch (e) {
+      window.notify('Rubric is not valid JSON: ' + e.message, 'error')
+      return
+    }
+    const res = await window.api.rubric.save({ rubric })
+    if (!res.success) { window.notify('Failed to save rubric: ' + res.error.message, 'error'); return }
+    await setRubric(res.data.rubricId)
+    openDetail(currentBaselineId)
+  }
+
+  async function editCategoryWeights(current) {
+    const text = prompt(
+      'Category weights (JSON, e.g. {"boundary":3,"exception":2}; empty = all 1):',
+      current ? JSON.stringify(current) : '')
+    if (text === null) return
+    let weights = null
+    if (text.trim()) {
+      try {
+        weights = JSON.parse(text)
+      } catch (e) {
+        window.notify('Weights are not valid JSON: ' + e.message, 'error')
+        return
+      }
+    }
+    const res = await window.api.baseline.setCategoryWeights({ baselineId: currentBaselineId, currentVersion, weights })
+    if (!res.success) { window.notify('Failed to set weights: ' + res.error.message, 'error'); return }
+    window.notify(`Category weights saved as ${res.data.newVersion}`, 'success')
+    openDetail(currentBaselineId)
+  }
+
   // ─── Case Management ───────────────────────────────────────────────────────
 
   async function addCaseDialog() {
@@ -226,14 +291,38 @@ const BaselinePage = (() => {
     if (input === null) return
     const expected = prompt('Edit expected output:', c.expected_output)
     if (expected === null) return
+    const assertionsText = prompt(
+      'Edit assertions (JSON array, e.g. [{"type":"contains","value":"def "},{"type":"code_block","language":"python","gate":true}]):',
+      JSON.stringify(c.assertions || []))
+    if (assertionsText === null) return
+    let assertions
+    try {
+      assertions = assertionsText.trim() ? JSON.parse(assertionsText) : []
+    } catch (e) {
+      window.notify('Assertions are not valid JSON: ' + e.message, 'error')
+      return
+    }
+    const testsText = prompt(
+      'Edit unit tests (JSON, empty for none, e.g. {"language":"python","code":"def test_add():\\n    assert add(1, 2) == 3"}):',
+      c.tests ? JSON.stringify(c.tests) : '')
+    if (testsText === null) return
+    const changes = { input, expected_output: expected, assertions }
+    if (testsText.trim() !== (c.tests ? JSON.stringify(c.tests) : '')) {
+      try {
+        changes.tests = testsText.trim() ? JSON.parse(testsText) : null
+      } catch (e) {
+        window.notify('Unit tests are not valid JSON: ' + e.message, 'error')
+        return
+      }
+    }
 
     const upd = await window.api.baseline.case.update({
       baselineId: currentBaselineId,
       currentVersion,
       caseId,
-      changes: { input, expected_output: expected },
+      changes,
     })
-    if (!upd.success) { window.notify('Update failed', 'error'); return }
+    if (!upd.success) { window.notify('Update failed: ' + upd.error.message, 'error'); return }
     window.notify('Case updated', 'success')
     openDetail(currentBaselineId)
     loadList()
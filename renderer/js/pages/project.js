@@ -7,6 +7,7 @@
 const ProjectPage = (() => {
   let currentProjectId    = null
   let currentProjectConfig = null
+  let currentCaseTestCount = 0   // cases whose unit tests execute model-written code locally
   let currentTab          = 'overview'
   let currentPage         = 1
   const pageSize          = 20
@@ -23,6 +24,7 @@ const ProjectPage = (() => {
 
   // IPC unsubscribers
   let unsubTestProgress    = null
+  let unsubTestStream      = null
   let unsubAnalysisDone    = null
   let unsubRecomposeDone   = null
   let unsubIterRound       = null
@@ -87,6 +89,7 @@ const ProjectPage = (() => {
 
   function _unsubAll() {
     if (unsubTestProgress)  { unsubTestProgress();  unsubTestProgress  = null }
+    if (unsubTestStream)    { unsubTestStream();    unsubTestStream    = null }
     if (unsubAnalysisDone)  { unsubAnalysisDone();  unsubAnalysisDone  = null }
     if (unsubRecomposeDone) { unsubRecomposeDone(); unsubRecomposeDone = null }
     if (unsubIterRound)     { unsubIterRound();     unsubIterRound     = null }
@@ -94,6 +97,7 @@ const ProjectPage = (() => {
 
   async function openDetail(projectId) {
     _unsubAll()
+    _resetTestStream()
     currentProjectId      = projectId
     currentTab            = 'overview'
     recomposePreview      = null
@@ -110,6 +114,7 @@ const ProjectPage = (() => {
     const res = await window.api.project.get({ projectId })
     if (!res.success) { window.notify('Failed to load project', 'error'); return }
     currentProjectConfig = res.data.config
+    currentCaseTestCount = res.data.caseTestCount || 0
 
     document.getElementById('project-detail-empty').style.display = 'none'
     const detailEl = document.getElementById('project-detail')
@@ -134,6 +139,10 @@ const ProjectPage = (() => {
       if (data.projectId !== currentProjectId) return
       _updateTestProgressUI(data)
     })
+    unsubTestStream = window.api.on('test:case:stream', data => {
+      if (data.projectId !== currentProjectId) return
+      _appendTestStream(data)
+    })
     unsubAnalysisDone = window.api.on('analysis:completed', data => {
       if (data.projectId !== currentProjectId) return
       if (currentTab === 'analysis') loadAnalysisReport()
@@ -167,6 +176,7 @@ const ProjectPage = (() => {
 
     if      (tabName === 'overview')  renderOverview()
     else if (tabName === 'test')      _loadTestTab()
+    else if (tabName === 'review')    _loadReviewQueue()
     else if (tabName === 'analysis')  loadAnalysisReport()
     else if (tabName === 'recompose') _loadRecomposeTab()
     else if (tabName === 'iteration') _loadIterationTab()
@@ -201,7 +211,7 @@ const ProjectPage = (() => {
           <div class="meta-field"><label>Status</label><div class="val"><span class="tag ${_statusCls(c.status)}">${c.status}</span></div></div>
           <div class="meta-field"><label>Created</label><div class="val">${window.fmtDate(c.created_at)}</div></div>
           <div class="meta-field"><label>Tasks</label><div class="val">${pr.completed_tasks || 0} / ${pr.total_tasks || 0}</div></div>
-          <div class="meta-field"><label>Model</label><div class="val">${c.cli_config?.model || '—'}</div></div>
+          <div class="meta-field"><label>Model</label><div class="val">${window.escHtml((c.cli_config?.models?.length > 1 ? c.cli_config.models.join(', ') : c.cli_config?.model) || '—')}</div></div>
         </div>
         ${c.description ? `<div style="margin-top:8px;font-size:12px;color:var(--text-secondary)">${window.escHtml(c.description)}</div>` : ''}
         <div style="margin-top:10px">
@@ -212,11 +222,33 @@ const ProjectPage = (() => {
       <div class="detail-section" style="padding:0 12px 12px">
         <div class="detail-section-title">CLI Config</div>
         <div style="font-size:12px;color:var(--text-secondary);background:var(--bg-hover);padding:8px;border-radius:6px">
-          Model: <strong>${c.cli_config?.model}</strong> ·
+          Model: <strong>${window.escHtml(c.cli_config?.models?.length > 1 ? c.cli_config.models.join(', ') : (c.cli_config?.model || ''))}</strong> ·
           Timeout: ${c.cli_config?.timeout_seconds}s ·
-          Retries: ${c.cli_config?.retry_count}
+          Retries: ${c.cli_config?.retry_count} ·
+          Backend: ${window.escHtml(c.cli_config?.backend || 'default')} ·
+          Profile: ${window.escHtml(c.cli_config?.profile || 'default')} ·
+          Execution: ${window.escHtml(_executionModeLabel(c.cli_config?.execution_mode))} ·
+          Samples/case: ${c.cli_config?.samples_per_case || 1} ·
+          Pairwise: ${c.cli_config?.pairwise ? window.escHtml(c.cli_config.pairwise.schedule.replace('_', ' ')) : 'off'} ·
+          Judges: ${c.cli_config?.judge_panel ? `${c.cli_config.judge_panel.judges.length} (${window.escHtml(c.cli_config.judge_panel.aggregate)})` : 'default'} ·
+          Live output: ${c.cli_config?.streaming ? 'on' : 'off'} ·
+          Cache: ${window.escHtml(c.cli_config?.cache_policy || 'default')}
         </div>
       </div>
+      ${c.stop_reason === 'budget_exceeded' && c.budget_exceeded ? `
+      <div class="detail-section" style="padding:0 12px 12px">
+        <div style="font-size:12px;color:var(--warning);background:var(--bg-hover);padding:8px;border-radius:6px">
+          Paused on budget: ${window.escHtml(c.budget_exceeded.message || c.budget_exceeded.limit)} — raise the limit in config.json and resume.
+        </div>
+      </div>` : ''}
+      ${currentCaseTestCount ? `
+      <div class="detail-section" style="padding:0 12px 12px">
+        <div style="font-size:12px;color:var(--warning);background:var(--bg-hover);padding:8px;border-radius:6px">
+          ⚠ ${currentCaseTestCount} case${currentCaseTestCount > 1 ? 's carry' : ' carries'} unit tests: running them executes the code the model writes on this machine.
+          The sandbox blocks network and subprocess access but is not OS isolation — only run skills and models you trust.
+        </div>
+      </div>` : ''}
+      <div class="detail-section" style="padding:0 12px 12px" id="project-usage-section"></div>
       <div class="detail-section" style="padding:0 12px 12px">
         <div class="detail-section-title">Skills (${(c.skills || []).length})</div>
         ${skillsHtml || '<p style="font-size:12px;color:var(--text-muted)">No skills</p>'}
@@ -226,6 +258,47 @@ const ProjectPage = (() => {
         ${baselinesHtml || '<p style="font-size:12px;color:var(--text-muted)">No baselines</p>'}
       </div>
     `
+    _loadUsage()
+  }
+
+  // ─── Usage / cost ──────────────────────────────────────────────────────────
+
+  function _fmtUsage(u) {
+    if (!u) return '—'
+    const tokens = (u.input_tokens || 0) + (u.output_tokens || 0)
+    return `${tokens.toLocaleString()} tok · $${Number(u.cost_usd || 0).toFixed(4)}`
+  }
+
+  const _USAGE_SOURCE_LABELS = {
+    test_execution: 'Test execution',
+    scoring:        'Scoring',
+    analysis:       'Analysis',
+    recompose:      'Recompose',
+  }
+
+  async function _loadUsage() {
+    const projectId = currentProjectId
+    const res = await window.api.project.getUsage({ projectId })
+    const section = document.getElementById('project-usage-section')
+    if (!section || projectId !== currentProjectId || !res.success) return
+    const u = res.data
+    if (!u.totals || !u.totals.calls) { section.innerHTML = ''; return }
+
+    const sourceRows = Object.entries(u.by_source || {}).map(([src, s]) => `
+      <div style="display:flex;justify-content:space-between"><span>${window.escHtml(_USAGE_SOURCE_LABELS[src] || src)} (${s.calls})</span><span>${_fmtUsage(s)}</span></div>`).join('')
+    const lastIter = (u.iterations || [])[u.iterations.length - 1]
+    const iterRow = lastIter ? `
+      <div style="display:flex;justify-content:space-between;margin-top:4px;padding-top:4px;border-top:1px solid var(--border)">
+        <span>Last iteration (${lastIter.rounds.length} rounds)</span><span>${_fmtUsage(lastIter.totals)}</span>
+      </div>` : ''
+
+    section.innerHTML = `
+      <div class="detail-section-title">Usage</div>
+      <div style="font-size:12px;color:var(--text-secondary);background:var(--bg-hover);padding:8px;border-radius:6px">
+        <div style="display:flex;justify-content:space-between;font-weight:600;margin-bottom:4px"><span>Total (${u.totals.calls} calls)</span><span>${_fmtUsage(u.totals)}</span></div>
+        ${sourceRows}
+        ${iterRow}
+      </div>`
   }
 
   // P1-1: Progress stepper ───────────────────────────────────────────────────
@@ -306,6 +379,7 @@ const ProjectPage = (() => {
     document.getElementById('test-pause-btn').style.display  = testState === 'running' ? '' : 'none'
     document.getElementById('test-resume-btn').style.display = testState === 'paused'  ? '' : 'none'
     document.getElementById('test-stop-btn').style.display   = (testState === 'running' || testState === 'paused') ? '' : 'none'
+    document.getElementById('test-refresh-btn').style.display = testState === 'idle'  ? '' : 'none'
   }
 
   function _updateTestProgressUI(data) {
@@ -320,15 +394,81 @@ const ProjectPage = (() => {
     fill.style.width = pct + '%'
     fill.className   = 'progress-fill' + (data.status === 'completed' ? ' done' : data.status === 'error' ? ' error' : '')
     label.textContent = `${completed} / ${total} cases (${pct}%)`
+    if (data.stopReason === 'budget_exceeded') {
+      testState = 'paused'
+      _updateTestButtons()
+      if (currentProjectConfig) currentProjectConfig.status = 'paused'
+    }
     if (data.status === 'completed') {
       testState = 'idle'
       _updateTestButtons()
+      _resetTestStream()
       _loadTestResults()
       if (currentProjectConfig) currentProjectConfig.status = 'completed'
       _renderProgressStepper()
     }
   }
 
+  // ─── Live output (streaming mode) ─────────────────────────────────────────
+
+  // skill@model(#sample) → { skillId, model, caseId, sample, text } for the case currently
+  // generating in each stream; matrix projects run one stream per skill-model pair
+  const _streamBuffers = new Map()
+  const STREAM_TAIL_CHARS = 2000
+  let _streamRenderPending = false
+
+  function _resetTestStream() {
+    _streamBuffers.clear()
+    const panel = document.getElementById('test-stream-panel')
+    panel.innerHTML = ''
+    panel.style.display = 'none'
+  }
+
+  function _streamKey(data) {
+    return `${data.skillId}@${data.model || ''}${data.sample ? `#${data.sample}` : ''}`
+  }
+
+  function _appendTestStream(data) {
+    const key = _streamKey(data)
+    if (data.type === 'start' || !_streamBuffers.has(key)) {
+      _streamBuffers.set(key, { skillId: data.skillId, model: data.model, caseId: data.caseId, sample: data.sample, text: '' })
+    }
+    const buf = _streamBuffers.get(key)
+    if (data.type === 'text' && data.text) {
+      buf.text = (buf.text + data.text).slice(-STREAM_TAIL_CHARS)
+    }
+    // Coalesce bursts of token deltas into one repaint per frame
+    if (_streamRenderPending) return
+    _streamRenderPending = true
+    requestAnimationFrame(() => {
+      _streamRenderPending = false
+      _renderTestStream()
+    })
+  }
+
+  function _renderTestStream() {
+    const panel = document.getElementById('test-stream-panel')
+    if (!_streamBuffers.size) { panel.style.display = 'none'; return }
+    const skillNames = new Map((currentProjectConfig?.skills || []).map(s => [s.ref_id, s.name]))
+    panel.innerHTML = [..._streamBuffers.values()].map(buf => `
+      <div style="margin-bottom:6px">
+        <div style="font-size:11px;color:var(--text-muted);margin-bottom:2px">
+          ${window.escHtml(skillNames.get(buf.skillId) || buf.skillId)}${buf.model ? ` · ${window.escHtml(buf.model)}` : ''} · ${window.escHtml(buf.caseId || '')}${buf.sample ? ` · sample ${buf.sample}` : ''}
+        </div>
+        <div style="font-size:11px;font-family:monospace;white-space:pre-wrap;word-break:break-all;background:var(--bg-hover);padding:6px 8px;border-radius:4px;max-height:90px;overflow-y:auto">${window.escHtml(buf.text) || '<span style="color:var(--text-muted)">…</span>'}</div>
+      </div>`).join('')
+    panel.style.display = ''
+  }
+
+  // Max total of the last loaded summary's rubric; case rows are coloured on the same scale
+  let _resultsMaxTotal = 100
+
+  // Colour a total by its share of the rubric's max total (custom rubrics need not sum to 100)
+  function _scoreCls(score, maxTotal) {
+    const pct = maxTotal ? score / maxTotal * 100 : score
+    return pct >= 80 ? 'score-hi' : pct >= 60 ? 'score-mid' : 'score-lo'
+  }
+
   async function _loadTestResults() {
     const res  = await window.api.test.getResults({ projectId: currentProjectId })
     const body = document.getElementById('test-results-body')
@@ -338,30 +478,79 @@ const ProjectPage = (() => {
       return
     }
 
+    // Summaries written before rubrics existed used the built-in 100-point rubric
+    const maxTotal = summary.rubric ? summary.rubric.dimensions.reduce((sum, d) => sum + d.max, 0) : 100
+    _resultsMaxTotal = maxTotal
+
+    // Model-matrix projects rank skill-model pairs
+    const multiModel = (summary.models || []).length > 1
+    const modelTag = r => multiModel ? ` <span class="tag">${window.escHtml(r.model || '')}</span>` : ''
+
+    // Uncertainty: ± half of the 95% CI, and the ranks it cannot be told apart from
+    const ciHtml = r => {
+      const t = r.score_stats?.total
+      if (!t?.ci95) return ''
+      const half = Math.round((t.ci95[1] - t.ci95[0]) / 2 * 10) / 10
+      const title = `95% CI ${t.ci95[0]}–${t.ci95[1]} · std ${t.std} · n=${t.n}` +
+        (r.sampling_std != null ? ` · run-to-run std ${r.sampling_std}` : '')
+      return `<span style="font-size:11px;font-weight:400;color:var(--text-muted);margin-left:3px" title="${window.escHtml(title)}">±${half}</span>`
+    }
+    // Pairwise projects: Bradley-Terry rating (Elo scale) with the W-L-T record
+    const ratingHtml = r => r.pairwise
+      ? `<div style="font-size:11px;color:var(--text-muted);text-align:right" title="Bradley-Terry rating from ${r.pairwise.comparisons} pairwise comparisons (rank ${r.pairwise.rank} by rating)">BT ${r.pairwise.rating} · ${r.pairwise.wins}-${r.pairwise.losses}-${r.pairwise.ties}</div>`
+      : ''
+    // Weighted baselines: the ranking follows the weighted average
+    const weightedHtml = r => summary.weighted && r.weighted_avg_score != null
+      ? `<div style="font-size:11px;color:var(--text-muted);text-align:right" title="Average weighted by case / category weights — the ranking follows it">weighted ${r.weighted_avg_score}</div>`
+      : ''
+    const tieTag = r => r.tied_with?.length
+      ? ` <span class="tag" title="95% confidence intervals overlap — not statistically separable">≈ ${r.tied_with.map(k => '#' + k).join(' ')}</span>`
+      : ''
+
     const rankHtml = summary.ranking.map((r, i) => `
       <div class="round-row ${i === 0 ? 'best' : ''}">
         <div class="round-badge">#${r.rank}</div>
         <div style="flex:1">
-          <div style="font-size:13px;font-weight:500">${window.escHtml(r.skill_name)}</div>
+          <div style="font-size:13px;font-weight:500">${window.escHtml(r.skill_name)}${modelTag(r)}${tieTag(r)}</div>
           <div style="font-size:11px;color:var(--text-muted)">${r.skill_version} · ${r.completed_cases} cases</div>
         </div>
-        <div class="score-${r.avg_score >= 80 ? 'hi' : r.avg_score >= 60 ? 'mid' : 'lo'}" style="font-size:16px;font-weight:700">${r.avg_score}</div>
-        <button class="btn btn-secondary btn-sm" data-skill-id="${r.skill_id}" data-expand-cases style="margin-left:6px;font-size:10px">用例 ▾</button>
+        <div>
+          <div class="${_scoreCls(r.avg_score, maxTotal)}" style="font-size:16px;font-weight:700;text-align:right">${r.avg_score}${ciHtml(r)}</div>
+          ${weightedHtml(r)}
+          ${ratingHtml(r)}
+        </div>
+        <button class="btn btn-secondary btn-sm" data-skill-id="${window.escHtml(r.skill_id)}" data-model="${multiModel ? window.escHtml(r.model || '') : ''}" data-panel="${i}" data-expand-cases style="margin-left:6px;font-size:10px">用例 ▾</button>
       </div>
-      <div id="cases-expand-${window.escHtml(r.skill_id)}" style="display:none;padding:6px 12px 0 12px"></div>
+      <div id="cases-expand-${i}" style="display:none;padding:6px 12px 0 12px"></div>
     `).join('')
 
-    // Layer 2: 6-dimension comparison table
-    const DIMS = [
-      ['Functional Correctness', 'functional_correctness', 30],
-      ['Robustness',             'robustness',             20],
-      ['Readability',            'readability',            15],
-      ['Conciseness',            'conciseness',            15],
-      ['Complexity Control',     'complexity_control',     10],
-      ['Format Compliance',      'format_compliance',      10],
-    ]
+    // Which skills depend on a particular model (matrix projects only)
+    const dependenceHtml = multiModel && summary.model_dependence?.length ? `
+      <div style="margin-top:16px">
+        <div class="detail-section-title">Model Dependence</div>
+        <div style="margin-top:8px">${summary.model_dependence.map(d => `
+          <div style="display:flex;align-items:center;gap:8px;padding:3px 0;font-size:12px">
+            <span style="flex:1">${window.escHtml(d.skill_name || d.skill_id)}</span>
+            <span style="color:var(--text-muted)">best ${window.escHtml(d.best_model || '—')} · worst ${window.escHtml(d.worst_model || '—')}</span>
+            <span class="${d.spread >= 10 ? 'score-lo' : d.spread >= 5 ? 'score-mid' : 'score-hi'}" style="font-weight:600">Δ${d.spread}</span>
+          </div>`).join('')}
+        </div>
+      </div>
+    ` : ''
+
+    // Layer 2: per-dimension comparison table (dimensions come from the project's rubric)
+    const DIMS = summary.rubric
+      ? summary.rubric.dimensions.map(d => [d.label, d.key, d.max])
+      : [
+          ['Functional Correctness', 'functional_correctness', 30],
+          ['Robustness',             'robustness',             20],
+          ['Readability',            'readability',            15],
+          ['Conciseness',            'conciseness',            15],
+          ['Complexity Control',     'complexity_control',     10],
+          ['Format Compliance',      'format_compliance',      10],
+        ]
     const skillHeaders = summary.ranking.map(r =>
-      `<th>${window.escHtml(r.skill_name)} <span class="version-badge">${window.escHtml(r.skill_version)}</span></th>`
+      `<th>${window.escHtml(r.skill_name)} <span class="version-badge">${window.escHtml(r.skill_version)}</span>${modelTag(r)}</th>`
     ).join('')
     const dimRows = DIMS.map(([label, key, max]) => {
       const cells = summary.ranking.map(r => {
@@ -385,23 +574,65 @@ const ProjectPage = (() => {
       </div>
     ` : ''
 
+    // Layer 3: per baseline, then per category — avg score and pass rate, dimension averages on hover
+    const levelCell = lv => {
+      if (!lv) return `<td style="color:var(--text-muted)">—</td>`
+      const title = DIMS.map(([label, key]) => `${label}: ${(lv.score_breakdown || {})[key] ?? '—'}`).join(' · ') +
+        ` · ${lv.completed_cases}/${lv.total_cases} completed`
+      const pct = lv.pass_rate != null ? Math.round(lv.pass_rate * 100) : null
+      return `<td class="${_scoreCls(lv.avg_score, maxTotal)}" style="font-weight:600" title="${window.escHtml(title)}">${lv.avg_score}${pct != null ? `<span style="font-size:10px;font-weight:400;color:var(--text-muted)"> ${pct}%</span>` : ''}</td>`
+    }
+    const baselineList = summary.baselines || []
+    const showBreakdown = baselineList.length > 1 || baselineList.some(b => Object.keys(b.categories || {}).length > 1)
+    const breakdownHtml = showBreakdown ? `
+      <div style="margin-top:16px">
+        <div class="detail-section-title">Baselines &amp; Categories</div>
+        <div style="font-size:11px;color:var(--text-muted);margin-top:2px">Average score and pass rate (total ≥ ${summary.pass_threshold ?? '—'}); hover for dimension averages</div>
+        ${baselineList.map(b => {
+          const byPair = summary.ranking.map(r => (r.baselines || []).find(x => x.baseline_id === b.baseline_id))
+          const rows = [
+            `<tr><td class="dim-label">All (${b.total_cases})</td>${byPair.map(levelCell).join('')}</tr>`,
+            ...Object.entries(b.categories || {}).map(([cat, n]) =>
+              `<tr><td class="dim-label">${window.escHtml(cat)} (${n})</td>${byPair.map(x => levelCell(x && (x.categories || []).find(c => c.category === cat))).join('')}</tr>`),
+          ].join('')
+          return `
+            <div style="overflow-x:auto;margin-top:8px">
+              <div style="font-size:12px;font-weight:500;margin-bottom:4px">${window.escHtml(b.baseline_name || b.baseline_id)} <span class="version-badge">${window.escHtml(b.baseline_version || '')}</span></div>
+              <table class="dim-table">
+                <thead><tr><th>Category</th>${skillHeaders}</tr></thead>
+                <tbody>${rows}</tbody>
+              </table>
+            </div>`
+        }).join('')}
+      </div>
+    ` : ''
+
     body.innerHTML = `
       <div style="padding:12px">
         <div class="detail-section-title">Rankings</div>
         <div style="margin-top:8px">${rankHtml}</div>
-        <div style="margin-top:8px;font-size:12px;color:var(--text-muted)">${summary.total_cases} total cases</div>
+        <div style="margin-top:8px;font-size:12px;color:var(--text-muted)">${summary.total_cases} total cases${multiModel ? ` × ${summary.models.length} models` : ''}${summary.samples_per_case > 1 ? ` · ${summary.samples_per_case} samples per case` : ''}${_judgeAgreementText(summary.judge_agreement)}${summary.pairwise ? ` · ${summary.pairwise.comparisons} pairwise comparisons (${window.escHtml(summary.pairwise.schedule.replace('_', ' '))})` : ''}</div>
         ${dimTable}
+        ${breakdownHtml}
+        ${dependenceHtml}
       </div>
     `
 
     // P1-4: Wire expand-cases buttons (CSP-compliant: addEventListener after innerHTML)
     body.querySelectorAll('[data-expand-cases]').forEach(btn => {
-      btn.addEventListener('click', () => _toggleCaseExpand(btn.dataset.skillId, btn))
+      btn.addEventListener('click', () => _toggleCaseExpand(btn.dataset.skillId, btn.dataset.model, btn))
     })
   }
 
-  async function _toggleCaseExpand(skillId, btn) {
-    const panel = document.getElementById(`cases-expand-${skillId}`)
+  function _judgeAgreementText(agreement) {
+    if (!agreement) return ''
+    const alpha = agreement.krippendorff_alpha != null ? ` α=${agreement.krippendorff_alpha}` : ''
+    const flagged = agreement.flagged_cases ? ` · ${agreement.flagged_cases} flagged for review` : ''
+    return ` · ${agreement.judges} judges (${window.escHtml(agreement.aggregate)})${alpha}${flagged}`
+  }
+
+  async function _toggleCaseExpand(skillId, model, btn) {
+    const panel = document.getElementById(`cases-expand-${btn.dataset.panel}`)
     if (!panel) return
     if (panel.style.display !== 'none') {
       panel.style.display = 'none'
@@ -414,7 +645,7 @@ const ProjectPage = (() => {
     panel.dataset.loaded = '1'
     panel.innerHTML = `<div style="font-size:12px;color:var(--text-muted);padding:4px 0">Loading…</div>`
 
-    const res = await window.api.test.getResults({ projectId: currentProjectId, skillId, pageSize: 50 })
+    const res = await window.api.test.getResults({ projectId: currentProjectId, skillId, model: model || undefined, pageSize: 50 })
     if (!res.success || !res.data.items.length) {
       panel.innerHTML = `<div style="font-size:12px;color:var(--text-muted);padding:4px 0">No case records found</div>`
       return
@@ -422,24 +653,174 @@ const ProjectPage = (() => {
     const rows = res.data.items.map(c => {
       const ok = c.status === 'completed'
       const icon = ok ? `<span style="color:var(--success)">✓</span>` : `<span style="color:var(--error)">✗</span>`
-      const score = c.scores?.total != null ? `<span class="score-${c.scores.total >= 80 ? 'hi' : c.scores.total >= 60 ? 'mid' : 'lo'}" style="font-weight:600">${c.scores.total}</span>` : `<span style="color:var(--text-muted)">—</span>`
+      const score = c.scores?.total != null ? `<span class="${_scoreCls(c.scores.total, _resultsMaxTotal)}" style="font-weight:600">${c.scores.total}</span>` : `<span style="color:var(--text-muted)">—</span>`
       const errRow = (!ok && c.error) ? `
         <div style="margin:4px 0 2px 16px;padding:4px 8px;background:rgba(248,113,113,0.08);border-left:2px solid var(--error);border-radius:2px;font-size:11px;color:var(--error);word-break:break-all">${window.escHtml(String(c.error).slice(0, 200))}</div>` : ''
+      // Programmatic assertions: count badge, failed checks listed under the row
+      const checks = c.assertions
+      const checkBadge = checks ? `<span class="tag" title="Assertions passed">${checks.passed}/${checks.total}</span>` : ''
+      // Sampled cases: run-to-run spread of the total next to the mean
+      const sampleNote = c.score_stats?.total?.n > 1
+        ? ` <span style="font-size:10px;color:var(--text-muted)" title="${c.score_stats.total.n} samples${c.score_stats.total.ci95 ? ` · 95% CI ${c.score_stats.total.ci95[0]}–${c.score_stats.total.ci95[1]}` : ''}">±${c.score_stats.total.std}</span>`
+        : ''
+      // Judge panels: strong disagreement flags the case for human review
+      const reviewBadge = c.needs_review
+        ? `<span class="tag" style="color:var(--warning)" title="${window.escHtml(c.review_reason || '')}${c.judge_spread != null ? ` · judge spread ${c.judge_spread}` : ''}">review</span>`
+        : ''
+      // Human review: overridden scores keep the judge's total in the tooltip
+      const overrideBadge = c.review?.status === 'overridden'
+        ? `<span class="tag" title="Judge total ${c.original_scores?.total ?? '—'} · ${window.escHtml(c.review.reviewer)}: ${window.escHtml(c.review.comment)}">overridden</span>`
+        : ''
+      const flagBtn = c.status === 'completed' && !c.needs_review
+        ? `<button class="btn btn-secondary btn-sm" data-flag-case="${window.escHtml(c.case_id)}" title="Flag for review" style="font-size:10px;padding:0 6px">⚑</button>`
+        : ''
+      const capNote = c.scores?.uncapped_total != null ? ` <span style="font-size:10px;color:var(--text-muted)" title="Capped by a failed assertion">(${c.scores.uncapped_total})</span>` : ''
+      const failedChecks = checks ? checks.results.filter(r => !r.passed).map(r => `
+        <div style="margin:2px 0 2px 16px;font-size:11px;color:var(--warning)">✗ ${window.escHtml(r.description)}${r.message ? ` — ${window.escHtml(r.message)}` : ''}${r.gate ? ' <strong>(gate)</strong>' : ''}</div>`).join('') : ''
+      // Sandboxed unit tests: pass badge, failing tests listed under the row
+      const exec = c.execution
+      const execBadge = exec
+        ? (exec.error
+          ? `<span class="tag" title="${window.escHtml(exec.error)}">tests n/a</span>`
+          : `<span class="tag" title="Unit tests passed${exec.timed_out ? ' (timed out)' : ''}">${exec.passed}/${exec.total} tests</span>`)
+        : ''
+      const failedTests = exec && !exec.error ? exec.failures.map(f => `
+        <div style="margin:2px 0 2px 16px;font-size:11px;color:var(--warning)">✗ ${window.escHtml(f.name)} — ${window.escHtml(String(f.message).split('\n')[0].slice(0, 200))}</div>`).join('') : ''
       return `
         <div style="display:flex;align-items:center;gap:8px;padding:3px 0;font-size:12px">
           ${icon}
           <span style="flex:1;color:var(--text-secondary)">${window.escHtml(c.case_id || '')}</span>
-          ${score}
-        </div>${errRow}`
+          ${checkBadge}${execBadge}${reviewBadge}${overrideBadge}
+          ${score}${sampleNote}${capNote}${flagBtn}
+        </div>${errRow}${failedChecks}${failedTests}`
     }).join('')
     panel.innerHTML = `<div style="border-top:1px solid var(--border);padding:6px 0 10px 0">${rows}</div>`
+    panel.querySelectorAll('[data-flag-case]').forEach(b => {
+      b.addEventListener('click', async () => {
+        const r = await window.api.review.flag({ projectId: currentProjectId, skillId, caseId: b.dataset.flagCase, model: model || undefined })
+        if (!r.success) { window.notify('Flag failed: ' + r.error.message, 'error'); return }
+        window.notify('Flagged for review', 'success')
+        b.remove()
+      })
+    })
+  }
+
+  // ─── Review ────────────────────────────────────────────────────────────────
+
+  async function _loadReviewQueue() {
+    const body = document.getElementById('review-body')
+    const status = document.getElementById('review-status-select').value
+    const res = await window.api.review.queue({ projectId: currentProjectId, status })
+    if (!res.success) {
+      body.innerHTML = `<div class="empty-state"><div class="title">${window.escHtml(res.error.message || 'Failed to load')}</div></div>`
+      return
+    }
+    const { items, rubric } = res.data
+    if (!items.length) {
+      body.innerHTML = `<div class="empty-state"><div class="icon">✓</div><div class="title">Nothing to review</div></div>`
+      return
+    }
+
+    const cards = items.map((item, i) => {
+      const judge = item.original_scores || item.scores || {}
+      const dimInputs = rubric.dimensions.map(d => `
+        <label style="display:flex;align-items:center;gap:4px;font-size:11px;color:var(--text-secondary)" title="Judge: ${judge[d.key] ?? '—'}">
+          ${window.escHtml(d.short || d.label)}
+          <input class="form-input" type="number" min="0" max="${d.max}" step="1" data-dim="${window.escHtml(d.key)}" value="${item.scores?.[d.key] ?? ''}" style="width:56px;padding:2px 6px">
+          <span style="color:var(--text-muted)">/${d.max}</span>
+        </label>`).join('')
+      const why = item.needs_review
+        ? `<span class="tag" style="color:var(--warning)">${window.escHtml(item.review_reason || 'review')}${item.judge_spread != null ? ` · spread ${item.judge_spread}` : ''}</span>`
+        : `<span class="tag">${window.escHtml(item.review?.status || '')}</span>`
+      const reviewed = item.review
+        ? `<div style="font-size:11px;color:var(--text-muted);margin-top:4px">${window.escHtml(item.review.reviewer)} · ${window.escHtml(new Date(item.review.reviewed_at).toLocaleString())}${item.review.comment ? ` — ${window.escHtml(item.review.comment)}` : ''}</div>`
+        : ''
+      return `
+        <div style="margin-bottom:10px;padding:10px;background:var(--bg-hover);border-radius:6px" data-review-item="${i}">
+          <div style="display:flex;align-items:center;gap:8px;font-size:13px">
+            <strong>${window.escHtml(item.skill_name || item.skill_id)}</strong>
+            <span style="color:var(--text-secondary)">${window.escHtml(item.case_id)}</span>
+            <span class="tag">${window.escHtml(item.model)}</span>
+            ${why}
+            <span style="flex:1"></span>
+            <span style="font-weight:600">${item.scores?.total ?? '—'}</span>
+            ${item.original_scores ? `<span style="font-size:11px;color:var(--text-muted)">(judge ${item.original_scores.total ?? '—'})</span>` : ''}
+          </div>
+          ${item.review_comment ? `<div style="font-size:11px;color:var(--text-muted);margin-top:4px">${window.escHtml(item.review_comment)}</div>` : ''}
+          ${reviewed}
+          <details style="margin-top:6px;font-size:12px">
+            <summary style="cursor:pointer;color:var(--text-secondary)">Input / output / reasoning</summary>
+            ${item.transcript ? item.transcript.map(t => `
+              <div style="font-size:11px;color:var(--text-muted);margin-top:4px">Turn ${t.turn}</div>
+              <pre style="white-space:pre-wrap;font-size:11px">${window.escHtml(t.input)}</pre>
+              <pre style="white-space:pre-wrap;font-size:11px;border-top:1px solid var(--border)">${window.escHtml(t.output)}</pre>`).join('') : `
+            <pre style="white-space:pre-wrap;font-size:11px">${window.escHtml(item.input)}</pre>
+            <pre style="white-space:pre-wrap;font-size:11px;border-top:1px solid var(--border)">${window.escHtml(item.actual_output)}</pre>`}
+            ${item.reasoning ? `<div style="font-size:11px;color:var(--text-muted)">${window.escHtml(item.reasoning)}</div>` : ''}
+          </details>
+          <div style="display:flex;flex-wrap:wrap;gap:8px;margin-top:8px">${dimInputs}</div>
+          <div style="display:flex;gap:6px;margin-top:8px">
+            <input class="form-input" data-review-comment placeholder="Comment (required for an override)" style="flex:1;padding:4px 8px">
+            <button class="btn btn-primary btn-sm" data-review-action="override">Override</button>
+            ${item.needs_review ? `<button class="btn btn-secondary btn-sm" data-review-action="accept">Accept</button>` : ''}
+            ${item.original_scores ? `<button class="btn btn-secondary btn-sm" data-review-action="revert">Revert</button>` : ''}
+          </div>
+        </div>`
+    }).join('')
+    body.innerHTML = `<div style="padding:12px">${cards}</div>`
+
+    body.querySelectorAll('[data-review-item]').forEach(card => {
+      const item = items[Number(card.dataset.reviewItem)]
+      card.querySelectorAll('[data-review-action]').forEach(btn => {
+        btn.addEventListener('click', () => _submitReview(btn.dataset.reviewAction, item, card))
+      })
+    })
+  }
+
+  async function _submitReview(action, item, card) {
+    const args = {
+      projectId: currentProjectId,
+      skillId:   item.skill_id,
+      caseId:    item.case_id,
+      model:     item.model,
+      comment:   card.querySelector('[data-review-comment]').value.trim(),
+    }
+    let res
+    if (action === 'override') {
+      // Only dimensions the reviewer actually changed are sent
+      const scores = {}
+      card.querySelectorAll('[data-dim]').forEach(input => {
+        if (input.value === '') return
+        const v = Number(input.value)
+        if (v !== item.scores?.[input.dataset.dim]) scores[input.dataset.dim] = v
+      })
+      if (!Object.keys(scores).length) { window.notify('Change at least one score', 'error'); return }
+      if (!args.comment) { window.notify('A comment is required for an override', 'error'); return }
+      res = await window.api.review.override({ ...args, scores })
+    } else if (action === 'accept') {
+      res = await window.api.review.accept(args)
+    } else {
+      res = await window.api.review.revert(args)
+    }
+    if (!res.success) { window.notify(`Review failed: ${res.error.message}`, 'error'); return }
+    window.notify(action === 'override' ? 'Scores overridden' : action === 'accept' ? 'Result accepted' : 'Override reverted', 'success')
+    _loadReviewQueue()
+  }
+
+  // Case unit tests execute model-written code locally: ask before every run that may do so
+  function _confirmCaseTests() {
+    if (!currentCaseTestCount) return true
+    return confirm(`${currentCaseTestCount} case(s) carry unit tests. Running them executes the code the model writes on this machine; ` +
+      'the sandbox blocks network and subprocess access but is not OS isolation.\n\nRun the unit tests?')
   }
 
   async function _startTest() {
     if (!currentProjectId || testState === 'running') return
+    if (!_confirmCaseTests()) return
     testState = 'running'
     _updateTestButtons()
     document.getElementById('test-progress-bar').style.display = ''
+    _resetTestStream()
     const res = await window.api.test.start({ projectId: currentProjectId })
     if (!res.success) {
       testState = 'idle'; _updateTestButtons()
@@ -449,6 +830,39 @@ const ProjectPage = (() => {
     }
   }
 
+  // Re-run what newer skill / baseline versions invalidated; everything else is kept
+  async function _refreshTest() {
+    if (!currentProjectId || testState !== 'idle') return
+    const plan = await window.api.test.refreshPlan({ projectId: currentProjectId })
+    if (!plan.success) { window.notify('Refresh failed: ' + plan.error?.message, 'error'); return }
+    const p = plan.data
+    const missing = [...p.skills, ...p.baselines].filter(a => a.status === 'missing').map(a => a.name)
+    if (p.up_to_date) {
+      window.notify(missing.length ? `Up to date (not in library: ${missing.join(', ')})` : 'Project is up to date', 'info')
+      return
+    }
+    const lines = [
+      ...p.skills.filter(s => s.status === 'updated').map(s => `Skill ${s.name}: ${s.version_tested} → ${s.version_current}`),
+      ...p.baselines.filter(b => b.status === 'updated').map(b =>
+        `Baseline ${b.name}: ${b.version_tested} → ${b.version_current} (${b.cases.changed.length} changed, ${b.cases.added.length} added, ${b.cases.removed.length} removed)`),
+    ]
+    if (!confirm(`${lines.join('\n')}\n\nRe-run ${p.affected_tasks} of ${p.total_tasks} tasks?`)) return
+    if (!_confirmCaseTests()) return
+
+    const res = await window.api.test.refresh({ projectId: currentProjectId })
+    if (!res.success) { window.notify('Refresh failed: ' + res.error?.message, 'error'); return }
+    if (res.data.started) {
+      testState = 'running'
+      _updateTestButtons()
+      document.getElementById('test-progress-bar').style.display = ''
+      _resetTestStream()
+      window.notify(`Refreshing: ${p.affected_tasks} tasks`, 'info')
+    } else {
+      window.notify('Project refreshed', 'success')
+      _loadTestResults()
+    }
+  }
+
   async function _pauseTest() {
     const res = await window.api.test.pause({ projectId: currentProjectId })
     if (!res.success) return
@@ -456,6 +870,7 @@ const ProjectPage = (() => {
   }
 
   async function _resumeTest() {
+    if (!_confirmCaseTests()) return
     const res = await window.api.test.resume({ projectId: currentProjectId })
     if (!res.success) return
     testState = 'running'; _updateTestButtons()
@@ -529,6 +944,8 @@ const ProjectPage = (() => {
       <div style="font-size:12px;color:var(--error);padding:4px 0">${window.escHtml(String(iss))}</div>
     `).join('')
 
+    const statsHtml = _significanceMatrixHtml(report.statistics)
+
     body.innerHTML = `
       <div style="padding:12px">
         <div class="detail-section-title">Best Skill</div>
@@ -538,10 +955,36 @@ const ProjectPage = (() => {
         ${dimHtml ? `<div class="detail-section-title" style="margin-bottom:6px">Dimension Leaders</div><div style="margin-bottom:12px">${dimHtml}</div>` : ''}
         ${segHtml ? `<div class="detail-section-title" style="margin-bottom:6px">Advantage Segments (${(report.advantage_segments || []).length})</div>${segHtml}` : ''}
         ${issueHtml ? `<div class="detail-section-title" style="margin-top:12px;margin-bottom:6px">Issues</div>${issueHtml}` : ''}
+        ${statsHtml}
       </div>
     `
   }
 
+  // Win / tie / loss of each row entry against each column entry; significant cells highlighted
+  function _significanceMatrixHtml(stats) {
+    if (!stats || !stats.entries || stats.entries.length < 2) return ''
+    const label = e => e.key.includes('@') ? `${e.skill_name} @${e.model}` : e.skill_name
+    const head = stats.entries.map(e => `<th style="padding:4px 6px;font-weight:normal;color:var(--text-muted)">${window.escHtml(label(e))}</th>`).join('')
+    const rows = stats.entries.map(row => {
+      const cells = stats.entries.map(col => {
+        const cell = stats.matrix[row.key] && stats.matrix[row.key][col.key]
+        if (!cell) return `<td style="padding:4px 6px;text-align:center;color:var(--text-muted)">—</td>`
+        const color = !cell.significant ? 'var(--text-secondary)'
+          : cell.wins > cell.losses ? 'var(--success)' : 'var(--error)'
+        const title = `p (Holm) = ${cell.p_adjusted == null ? 'N/A' : cell.p_adjusted}, ${cell.n_shared} shared cases`
+        return `<td style="padding:4px 6px;text-align:center;color:${color};${cell.significant ? 'font-weight:600' : ''}" title="${window.escHtml(title)}">${cell.wins}/${cell.ties}/${cell.losses}</td>`
+      }).join('')
+      return `<tr><td style="padding:4px 6px;color:var(--text-muted)">${window.escHtml(label(row))}</td>${cells}</tr>`
+    }).join('')
+    const leaderNote = stats.leader && !stats.leader.separated
+      ? `<div style="font-size:11px;color:var(--warning);margin-top:6px">The top entry is not significantly better than every other entry.</div>` : ''
+    return `
+      <div class="detail-section-title" style="margin-top:12px;margin-bottom:6px">Pairwise Significance (W/T/L, ${window.escHtml(stats.method)}, Holm α=${stats.alpha})</div>
+      <div style="overflow-x:auto"><table style="font-size:12px;border-collapse:collapse"><tr><th></th>${head}</tr>${rows}</table></div>
+      ${leaderNote}
+    `
+  }
+
   async function _runAnalysis() {
     const body = document.getElementById('analysis-body')
     body.innerHTML = `<div class="empty-state"><div class="spinner"></div><div style="margin-top:12px;color:var(--text-muted);font-size:12px">Running analysis…</div></div>`
@@ -735,6 +1178,7 @@ const ProjectPage = (() => {
             ? `<div style="font-size:11px;color:${r.score_delta >= 0 ? 'var(--success)' : 'var(--error)'}">Δ${r.score_delta >= 0 ? '+' : ''}${Number(r.score_delta).toFixed(1)}</div>`
             : ''}
         </div>
+        ${r.usage ? `<div style="font-size:11px;color:var(--text-muted);margin-right:8px">${_fmtUsage(r.usage)}</div>` : ''}
         <div class="score-${r.avg_score >= 80 ? 'hi' : r.avg_score >= 60 ? 'mid' : 'lo'}" style="font-size:16px;font-weight:700">${Number(r.avg_score).toFixed(1)}</div>
       </div>
     `).join('')
@@ -743,6 +1187,7 @@ const ProjectPage = (() => {
       <div style="margin-top:12px;padding:8px;background:rgba(124,106,247,0.1);border:1px solid var(--accent);border-radius:6px;font-size:12px">
         Best: Round ${report.best_round} · Score: <strong class="score-hi">${Number(report.best_avg_score).toFixed(1)}</strong>
         ${report.stop_reason ? `<span style="margin-left:8px;color:var(--text-muted)">(${window.escHtml(report.stop_reason)})</span>` : ''}
+        ${report.total_usage ? `<div style="margin-top:4px;color:var(--text-muted)">Total cost: ${_fmtUsage(report.total_usage)} · ${report.total_usage.calls} calls</div>` : ''}
       </div>
     ` : ''
 
@@ -960,19 +1405,28 @@ const ProjectPage = (() => {
     const res = await window.api.project.delete({ projectId: currentProjectId })
     if (!res.success) { window.notify('Delete failed', 'error'); return }
     window.notify('Project deleted', 'success')
-    currentProjectId = null; currentProjectConfig = null
+    currentProjectId = null; currentProjectConfig = null; currentCaseTestCount = 0
     document.getElementById('project-detail').style.display = 'none'
     document.getElementById('project-detail-empty').style.display = 'flex'
     document.getElementById('project-aux-body').innerHTML = ''
     loadList()
   }
 
+  function _executionModeLabel(mode) {
+    if (mode && typeof mode === 'object') {
+      return Object.entries(mode).map(([type, m]) => `${type}: ${m}`).join(', ')
+    }
+    return mode || 'system_prompt'
+  }
+
   // ─── Create ───────────────────────────────────────────────────────────────
 
   async function _openCreateModal() {
-    const [skillsRes, baselinesRes] = await Promise.all([
+    const [skillsRes, baselinesRes, backendsRes, profilesRes] = await Promise.all([
       window.api.skill.list({ page: 1, pageSize: 100 }),
       window.api.baseline.list({ page: 1, pageSize: 100 }),
+      window.api.cli.listBackends(),
+      window.api.cli.listProfiles(),
     ])
 
     document.getElementById('project-skills-select').innerHTML =
@@ -985,6 +1439,18 @@ const ProjectPage = (() => {
         `<option value="${b.id}">${window.escHtml(b.name)} (${b.version}) — ${b.caseCount} cases</option>`
       ).join('')
 
+    document.getElementById('project-backend').innerHTML =
+      `<option value="">Default (${window.escHtml(backendsRes.data?.active || 'claude-cli')})</option>` +
+      (backendsRes.data?.backends || []).map(b =>
+        `<option value="${window.escHtml(b.name)}">${window.escHtml(b.name)}</option>`
+      ).join('')
+
+    document.getElementById('project-profile').innerHTML =
+      `<option value="">Default (${window.escHtml(profilesRes.data?.defaultProfile || 'all tools')})</option>` +
+      (profilesRes.data?.profiles || []).map(p =>
+        `<option value="${window.escHtml(p.name)}">${window.escHtml(p.name)}</option>`
+      ).join('')
+
     document.getElementById('project-name').value        = ''
     document.getElementById('project-description').value = ''
     window.openModal('project-create-modal')
@@ -999,15 +1465,45 @@ const ProjectPage = (() => {
     if (!skillIds.length)    { window.notify('Select at least one skill', 'error');    return }
     if (!baselineIds.length) { window.notify('Select at least one baseline', 'error'); return }
 
-    const model   = document.getElementById('project-model').value.trim() || 'claude-opus-4-6'
+    const models  = document.getElementById('project-model').value.split(',').map(m => m.trim()).filter(Boolean)
+    const model   = models[0] || 'claude-opus-4-6'
     const timeout = parseInt(document.getElementById('project-timeout').value) || 60
+    const samples = parseInt(document.getElementById('project-samples').value) || 1
+    const judges  = document.getElementById('project-judges').value.split(',').map(m => m.trim()).filter(Boolean)
+    const pairwiseSchedule = document.getElementById('project-pairwise').value
+    const judgePanel = judges.length > 0 ? {
+      judges,
+      aggregate:          document.getElementById('project-judge-aggregate').value,
+      shuffle_dimensions: document.getElementById('project-judge-shuffle').checked,
+    } : undefined
+    const backend = document.getElementById('project-backend').value || undefined
+    const profile = document.getElementById('project-profile').value || undefined
+    const executionMode = {
+      'native':       'native',
+      'native-skill': { skill: 'native', agent: 'system_prompt' },
+      'native-agent': { skill: 'system_prompt', agent: 'native' },
+    }[document.getElementById('project-execution-mode').value]
+    const streaming = document.getElementById('project-streaming').checked
+    const cachePolicy = document.getElementById('project-cache-policy').value || undefined
+    const budget = {
+      max_calls:    parseInt(document.getElementById('project-budget-calls').value) || null,
+      max_cost_usd: parseFloat(document.getElementById('project-budget-cost').value) || null,
+    }
 
     const res = await window.api.project.create({
       name,
       description: document.getElementById('project-description').value.trim(),
       skillIds,
       baselineIds,
-      cliConfig: { model, timeout_seconds: timeout, retry_count: 2 },
+      cliConfig: {
+        model, models: models.length > 1 ? models : [],
+        timeout_seconds: timeout, retry_count: 2, backend, profile, streaming, cache_policy: cachePolicy,
+        execution_mode: executionMode,
+        samples_per_case: samples,
+        judge_panel: judgePanel,
+        pairwise: pairwiseSchedule ? { schedule: pairwiseSchedule } : undefined,
+      },
+      budget,
     })
     if (!res.success) { window.notify('Create failed: ' + res.error.message, 'error'); return }
     window.closeModal('project-create-modal')
@@ -1036,6 +1532,10 @@ const ProjectPage = (() => {
     document.getElementById('test-pause-btn').addEventListener('click', _pauseTest)
     document.getElementById('test-resume-btn').addEventListener('click', _resumeTest)
     document.getElementById('test-stop-btn').addEventListener('click', _stopTest)
+    document.getElementById('test-refresh-btn').addEventListener('click', _refreshTest)
+
+    // Review queue filter
+    document.getElementById('review-status-select').addEventListener('change', _loadReviewQueue)
 
     // Analysis buttons
     document.getElementById('analysis-run-btn').addEventListener('click', _runAnalysis)
@@ -3,14 +3,15 @@
  * rankings.js — Rankings & Leaderboard page (Module 11)
  *
  * Displays cross-project leaderboard with staleness indicators,
- * grouping by baseline, and optional timeline chart.
+ * grouping by baseline, and optional timeline chart. Records are skill-model
+ * pairs; a model filter and a model-dependence list cover model-matrix runs.
  */
 
 const RankingsPage = (() => {
 
   // ─── State ──────────────────────────────────────────────────────────────────
   let _view   = 'rank'   // 'rank' | 'timeline'
-  let _filter = { search: '', baselineId: '', purpose: '', period: '', includeStale: true }
+  let _filter = { search: '', baselineId: '', purpose: '', model: '', period: '', includeStale: true }
 
   // ─── Helpers ────────────────────────────────────────────────────────────────
   function _el(id) { return document.getElementById(id) }
@@ -19,7 +20,15 @@ const RankingsPage = (() => {
     let t; return (...a) => { clearTimeout(t); t = setTimeout(() => fn(...a), ms) }
   }
 
-  function _scoreClass(s) { return s >= 80 ? 'score-hi' : s >= 60 ? 'score-mid' : 'score-lo' }
+  // Colour by share of maxTotal (the rubric's max total; custom rubrics need not sum to 100)
+  function _scoreClass(s, maxTotal = 100) {
+    const pct = maxTotal ? s / maxTotal * 100 : s
+    return pct >= 80 ? 'score-hi' : pct >= 60 ? 'score-mid' : 'score-lo'
+  }
+
+  function _maxTotal(rubricDims) {
+    return (rubricDims || []).reduce((sum, d) => sum + (d.max || 0), 0) || 100
+  }
 
   const _STALE = {
     current:          { icon: '✓', label: '当前',         cls: 'stale-current' },
@@ -33,22 +42,36 @@ const RankingsPage = (() => {
     return `<span class="staleness-badge ${window.escHtml(m.cls)}" title="${window.escHtml(m.label)}">${m.icon}</span>`
   }
 
-  function _breakdownHtml(bd) {
+  function _breakdownHtml(bd, rubricDims) {
     if (!bd) return ''
-    const dims = [
-      ['FC',   bd.functional_correctness],
-      ['Rob',  bd.robustness],
-      ['Read', bd.readability],
-      ['Con',  bd.conciseness],
-      ['CC',   bd.complexity_control],
-      ['Fmt',  bd.format_compliance],
-    ]
-    return '<div class="score-breakdown">' + dims.map(([lbl, val]) => {
+    const dims = (rubricDims || []).map(d => [d.short || d.label, bd[d.key], d.label, d.max])
+    return '<div class="score-breakdown">' + dims.map(([lbl, val, title, max]) => {
       const v = val != null ? Math.round(val) : '—'
-      return `<span class="bd-dim"><span class="bd-dim-label">${lbl}</span><span class="bd-dim-val ${_scoreClass(val || 0)}">${v}</span></span>`
+      // Colour by share of the dimension's max, on the same scale as the total
+      return `<span class="bd-dim" title="${window.escHtml(title)} (/${max})"><span class="bd-dim-label">${window.escHtml(lbl)}</span><span class="bd-dim-val ${_scoreClass(val || 0, max)}">${v}</span></span>`
     }).join('') + '</div>'
   }
 
+  // Per baseline / category averages and pass rates, when the project had more than one
+  function _categoryBreakdownHtml(baselines, maxTotal) {
+    if (!baselines || !baselines.length) return ''
+    if (baselines.length === 1 && (baselines[0].categories || []).length < 2) return ''
+    return baselines.map(b => `
+      <div class="score-breakdown" title="Average score · pass rate">
+        <span class="bd-dim"><span class="bd-dim-label">${window.escHtml(b.baseline_name || b.baseline_id)}</span><span class="bd-dim-val ${_scoreClass(b.avg_score, maxTotal)}">${b.avg_score}</span></span>
+        ${(b.categories || []).map(c => `<span class="bd-dim"><span class="bd-dim-label">${window.escHtml(c.category)}</span><span class="bd-dim-val ${_scoreClass(c.avg_score, maxTotal)}">${c.avg_score}${c.pass_rate != null ? ` · ${Math.round(c.pass_rate * 100)}%` : ''}</span></span>`).join('')}
+      </div>`).join('')
+  }
+
+  // ± half-width of the 95% confidence interval; records from older summaries have none
+  function _uncertaintyHtml(r) {
+    if (!r.scoreCi95) return ''
+    const half = Math.round((r.scoreCi95[1] - r.scoreCi95[0]) / 2 * 10) / 10
+    const title = `95% CI ${r.scoreCi95[0]}–${r.scoreCi95[1]} · std ${r.scoreStd}` +
+      (r.samplesPerCase > 1 ? ` · ${r.samplesPerCase} samples/case` : '')
+    return `<span class="rankings-score-ci" title="${window.escHtml(title)}">±${half}</span>`
+  }
+
   function _recordRowHtml(r, rank) {
     const hasBd = r.scoreBreakdown && Object.keys(r.scoreBreakdown).length > 0
     return `
@@ -57,14 +80,15 @@ const RankingsPage = (() => {
         <span class="rankings-skill-name">
           ${window.escHtml(r.skillName)}
           <span class="version-badge">${window.escHtml(r.skillVersionTested)}</span>
+          ${r.model ? `<span class="tag">${window.escHtml(r.model)}</span>` : ''}
           <span class="rankings-project-ref">${window.escHtml(r.projectName || '')}</span>
         </span>
-        <span class="rankings-score ${_scoreClass(r.avgScore)}">${r.avgScore}</span>
-        <span class="rankings-cases">${r.completedCases}</span>
+        <span class="rankings-score ${_scoreClass(r.avgScore, _maxTotal(r.rubricDimensions))}">${r.avgScore}${_uncertaintyHtml(r)}${r.weightedAvgScore != null && r.weightedAvgScore !== r.avgScore ? ` <span style="font-size:11px;font-weight:400;color:var(--text-muted)" title="Weighted by case / category weights">w ${r.weightedAvgScore}</span>` : ''}</span>
+        <span class="rankings-cases">${r.completedCases}${r.overriddenCases ? ` <span class="tag" title="${r.overriddenCases} result(s) with reviewer-overridden scores">✎${r.overriddenCases}</span>` : ''}</span>
         <span>${_stalenessHtml(r.staleness)}</span>
         <span class="rankings-tested-at">${window.fmtDate(r.testedAt)}</span>
       </div>
-      ${hasBd ? `<div class="rankings-row-breakdown hidden">${_breakdownHtml(r.scoreBreakdown)}</div>` : ''}
+      ${hasBd ? `<div class="rankings-row-breakdown hidden">${_breakdownHtml(r.scoreBreakdown, r.rubricDimensions)}${_categoryBreakdownHtml(r.baselineBreakdown, _maxTotal(r.rubricDimensions))}</div>` : ''}
     `
   }
 
@@ -76,9 +100,11 @@ const RankingsPage = (() => {
 
     const baselines = new Map()
     const purposes  = new Set()
+    const models    = new Set()
     for (const r of items) {
       if (!baselines.has(r.baselineId)) baselines.set(r.baselineId, r.baselineName || r.baselineId)
       if (r.baselinePurpose) purposes.add(r.baselinePurpose)
+      if (r.model) models.add(r.model)
     }
 
     const bSel = _el('rankings-baseline-select')
@@ -94,6 +120,13 @@ const RankingsPage = (() => {
       [...purposes].map(p =>
         `<option value="${window.escHtml(p)}"${p === pVal ? ' selected' : ''}>${window.escHtml(p)}</option>`
       ).join('')
+
+    const mSel = _el('rankings-model-select')
+    const mVal = mSel.value
+    mSel.innerHTML = '<option value="">全部模型</option>' +
+      [...models].map(m =>
+        `<option value="${window.escHtml(m)}"${m === mVal ? ' selected' : ''}>${window.escHtml(m)}</option>`
+      ).join('')
   }
 
   // ─── Query builder ───────────────────────────────────────────────────────────
@@ -101,6 +134,7 @@ const RankingsPage = (() => {
     const opts = { includeStale: _filter.includeStale }
     if (_filter.baselineId) opts.baselineId = _filter.baselineId
     if (_filter.purpose)    opts.purpose    = _filter.purpose
+    if (_filter.model)      opts.model      = _filter.model
     if (_filter.period) {
       const d = new Date()
       d.setDate(d.getDate() - parseInt(_filter.period, 10))
@@ -120,7 +154,30 @@ const RankingsPage = (() => {
   }
 
   // ─── Render: Rank view ───────────────────────────────────────────────────────
-  function _renderRankView(data) {
+  function _dependenceHtml(dependence) {
+    if (!dependence || !dependence.length) return ''
+    return `
+      <div class="rankings-group">
+        <div class="rankings-group-header">
+          <span class="rankings-group-title">模型依赖</span>
+          <span class="rankings-group-meta">同一 Skill 在不同模型上的得分差</span>
+        </div>
+        <div class="rankings-table">
+          ${dependence.map(d => `
+            <div class="rankings-row">
+              <span class="rankings-skill-name">
+                ${window.escHtml(d.skillName)}
+                <span class="rankings-project-ref">${window.escHtml(d.baselineName || '')}</span>
+              </span>
+              <span class="rankings-tested-at">${window.escHtml(d.bestModel)} ${d.scores[d.bestModel]} / ${window.escHtml(d.worstModel)} ${d.scores[d.worstModel]}</span>
+              <span class="rankings-score ${d.spread >= 10 ? 'score-lo' : d.spread >= 5 ? 'score-mid' : 'score-hi'}">Δ${d.spread}</span>
+            </div>`).join('')}
+        </div>
+      </div>
+    `
+  }
+
+  function _renderRankView(data, dependence) {
     const body  = _el('rankings-list-body')
     const empty = _el('rankings-empty')
     let html = ''
@@ -135,7 +192,7 @@ const RankingsPage = (() => {
           <div class="rankings-group">
             <div class="rankings-group-header">
               <span class="rankings-group-title">${window.escHtml(g.baselineName || g.baselineId)}</span>
-              <span class="rankings-group-meta">${g.skillCount} skills · ${g.baselineCaseCount} cases</span>
+              <span class="rankings-group-meta">${g.skillCount} skills · ${g.baselineCaseCount} cases${(g.models || []).length > 1 ? ` · ${g.models.length} models` : ''}</span>
               ${g.baselinePurpose ? `<span class="category-badge">${window.escHtml(g.baselinePurpose)}</span>` : ''}
               ${g.baselineVersionCurrent ? `<span class="version-badge">${window.escHtml(g.baselineVersionCurrent)}</span>` : ''}
             </div>
@@ -170,7 +227,7 @@ const RankingsPage = (() => {
       empty.classList.remove('hidden')
       return
     }
-    body.innerHTML = html
+    body.innerHTML = html + _dependenceHtml(dependence)
     empty.classList.add('hidden')
 
     // Expand/collapse score breakdown on click
@@ -260,8 +317,14 @@ const RankingsPage = (() => {
     }
     const data = res.data
     _rebuildDropdowns(data)
-    if (_view === 'rank') _renderRankView(data)
-    else                  _renderTimeline(data)
+    if (_view === 'rank') {
+      const dep = await window.api.leaderboard.modelDependence({
+        baselineId: _filter.baselineId || undefined, includeStale: _filter.includeStale,
+      })
+      _renderRankView(data, dep.success ? dep.data : [])
+    } else {
+      _renderTimeline(data)
+    }
   }
 
   // ─── View toggle ──────────────────────────────────────────────────────────────
@@ -284,14 +347,16 @@ const RankingsPage = (() => {
 
     _el('rankings-baseline-select').addEventListener('change', e => { _filter.baselineId = e.target.value; _refresh() })
     _el('rankings-purpose-select').addEventListener('change',  e => { _filter.purpose    = e.target.value; _refresh() })
+    _el('rankings-model-select').addEventListener('change',    e => { _filter.model      = e.target.value; _refresh() })
     _el('rankings-period-select').addEventListener('change',   e => { _filter.period     = e.target.value; _refresh() })
     _el('rankings-include-stale').addEventListener('change',   e => { _filter.includeStale = e.target.checked; _refresh() })
 
     _el('rankings-clear-btn').addEventListener('click', () => {
-      _filter = { search: '', baselineId: '', purpose: '', period: '', includeStale: true }
+      _filter = { search: '', baselineId: '', purpose: '', model: '', period: '', includeStale: true }
       searchEl.value = ''
       _el('rankings-baseline-select').value = ''
       _el('rankings-purpose-select').value  = ''
+      _el('rankings-model-select').value    = ''
       _el('rankings-period-select').value   = ''
       _el('rankings-include-stale').checked = true
       _refresh()
@@ -299,7 +364,7 @@ const RankingsPage = (() => {
 
     _el('rankings-export-btn').addEventListener('click', async () => {
       const opts = _buildOpts()
-      const res = await window.api.leaderboard.export({ baselineId: opts.baselineId, format: 'csv' })
+      const res = await window.api.leaderboard.export({ baselineId: opts.baselineId, model: opts.model, format: 'csv' })
       if (res.success) window.notify('已导出: ' + res.data.filePath, 'success')
       else window.notify('导出失败: ' + (res.error && res.error.message), 'error')
     })
@@ -29,7 +29,7 @@ function overrideWorkspace(workspaceService, tmpDir) {
   const origPaths = { ...workspaceService.paths }
 
   // Create workspace structure in tmpDir
-  const dirs = ['skills', 'baselines', 'projects', 'cli/temp_session', 'cli/cache', 'logs', 'versions']
+  const dirs = ['skills', 'baselines', 'projects', 'cli/temp_session', 'cli/cache', 'cli/cassettes', 'logs', 'versions', 'rubrics']
   for (const d of dirs) {
     fs.mkdirSync(path.join(tmpDir, d), { recursive: true })
   }
@@ -73,8 +73,10 @@ function overrideWorkspace(workspaceService, tmpDir) {
   workspaceService.paths.cliSessions = () => path.join(tmpDir, 'cli', 'sessions.json')
   workspaceService.paths.cliTempSession = () => path.join(tmpDir, 'cli', 'temp_session')
   workspaceService.paths.cliCache = () => path.join(tmpDir, 'cli', 'cache')
+  workspaceService.paths.cliCassettes = () => path.join(tmpDir, 'cli', 'cassettes')
   workspaceService.paths.logs = () => path.join(tmpDir, 'logs')
   workspaceService.paths.versions = () => path.join(tmpDir, 'versions')
+  workspaceService.paths.rubrics = () => path.join(tmpDir, 'rubrics')
 
   return () => {
     workspaceService.WORKSPACE = origWorkspace
@@ -100,6 +100,7 @@ function createBaselineFixture(tmpDir, { id, name, version = 'v1', purpose = 'co
  * @param {string} [opts.status]             - 'completed' | 'running' etc (default 'completed')
  * @param {SkillRef[]} opts.skillRefs        - Skills in config.json
  * @param {BaselineRef} opts.baselineRef     - Baseline in config.json
+ * @param {BaselineRef[]} [opts.baselineRefs]- All baselines in config.json (overrides baselineRef)
  * @param {RankingEntry[]} opts.ranking      - Ranking entries for summary.json
  * @param {string} [opts.testedAt]           - ISO string for summary.generated_at
  * @returns {string} projectPath
@@ -114,6 +115,7 @@ function createProjectFixture(tmpDir, {
   status = 'completed',
   skillRefs = [],
   baselineRef,
+  baselineRefs = baselineRef ? [baselineRef] : [],
   ranking = [],
   testedAt = '2024-02-15T10:00:00.000Z',
 }) {
@@ -133,7 +135,7 @@ function createProjectFixture(tmpDir, {
       created_at: now,
       updated_at: now,
       skills: skillRefs,
-      baselines: baselineRef ? [baselineRef] : [],
+      baselines: baselineRefs,
       cli_config: { model: 'claude-opus-4-6', timeout_seconds: 60, retry_count: 2, extra_flags: [] },
       progress: {
         total_tasks: ranking.length,
@@ -150,7 +152,7 @@ function createProjectFixture(tmpDir, {
     path.join(projectPath, 'results', 'summary.json'),
     JSON.stringify({
       project_id: projectId,
-      baseline_id: baselineRef ? baselineRef.ref_id : '',
+      baseline_id: baselineRefs.length ? baselineRefs[0].ref_id : '',
       total_cases: totalCases || ranking.length * 5,
       generated_at: testedAt,
       ranking,
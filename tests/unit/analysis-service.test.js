@@ -466,6 +466,26 @@ describe('buildAnalysisPrompt', () => {
     expect(prompt).toContain('迭代候选')
   })
 
+  test('lists per-baseline / per-category results when the summary has them', () => {
+    const { projectPath } = makeAnalysisProject('uc7-breakdown')
+    const config = fileService.readJson(path.join(projectPath, 'config.json'))
+    expect(analysisService.buildAnalysisPrompt(projectPath, config)).toContain('无分类数据')
+
+    const summaryPath = path.join(projectPath, 'results', 'summary.json')
+    const summary = fileService.readJson(summaryPath)
+    summary.pass_threshold = 60
+    summary.baselines = [{ baseline_id: 'bl-1', baseline_name: 'Python Baseline', total_cases: 2, categories: { standard: 1, boundary: 1 } }]
+    const level = (avg, rate) => ({ total_cases: 1, completed_cases: 1, avg_score: avg, pass_rate: rate, score_breakdown: {} })
+    summary.ranking[0].baselines = [{ baseline_id: 'bl-1', ...level(70, 0.5), categories: [
+      { category: 'standard', ...level(95, 1) }, { category: 'boundary', ...level(45, 0) }] }]
+    fileService.writeJson(summaryPath, summary)
+
+    const prompt = analysisService.buildAnalysisPrompt(projectPath, config)
+    expect(prompt).not.toContain('{category_breakdown}')
+    expect(prompt).toContain('基线 Python Baseline（2 条）')
+    expect(prompt).toContain('boundary（1 条）：Skill A 45（通过 0%）；Skill B N/A')
+  })
+
   test('tags original skills with 【原始参照】 and candidates with 【迭代候选】', () => {
     const { projectPath } = makeAnalysisProject('uc7-tags')
     const config = fileService.readJson(path.join(projectPath, 'config.json'))
@@ -475,3 +495,76 @@ describe('buildAnalysisPrompt', () => {
     expect(prompt).toContain('Skill B【迭代候选】')
   })
 })
+
+// ─── Paired significance statistics ──────────────────────────────────────
+
+function writeCaseScores(projectPath, skillDir, skillId, totals) {
+  totals.forEach((total, i) => {
+    fileService.writeJson(
+      path.join(projectPath, 'results', skillDir, `case_${String(i + 1).padStart(3, '0')}.json`),
+      { case_id: `case_${String(i + 1).padStart(3, '0')}`, skill_id: skillId, status: 'completed', scores: { total } }
+    )
+  })
+}
+
+describe('computeStats / getStats', () => {
+  test('a consistent lead is significant after Holm; win/tie/loss matrix is mirrored', () => {
+    const { projectPath } = makeAnalysisProject('uc7-stats')
+    writeCaseScores(projectPath, 'skill_a_v1', 'skill-a', [90, 85, 88, 92, 80, 86, 91, 84, 87, 89])
+    writeCaseScores(projectPath, 'skill_b_v1', 'skill-b', [70, 75, 72, 80, 80, 71, 74, 73, 76, 69])
+    const config = fileService.readJson(path.join(projectPath, 'config.json'))
+
+    const stats = analysisService.computeStats(projectPath, config)
+    expect(stats.entries.map(e => e.key)).toEqual(['skill-a', 'skill-b'])
+    expect(stats.entries[0].n_cases).toBe(10)
+
+    const [cmp] = stats.comparisons
+    expect(cmp).toMatchObject({ a: 'skill-a', b: 'skill-b', n_shared: 10, wins: 9, ties: 1, losses: 0 })
+    expect(cmp.wilcoxon.exact).toBe(true)
+    expect(cmp.p_adjusted.wilcoxon).toBeLessThan(0.05)
+    expect(cmp.significant).toBe(true)
+    expect(cmp.winner).toBe('skill-a')
+    expect(stats.matrix['skill-b']['skill-a']).toMatchObject({ wins: 0, ties: 1, losses: 9, significant: true })
+    expect(stats.leader).toEqual({ key: 'skill-a', separated: true })
+  })
+
+  test('tieMargin turns small differences into ties', () => {
+    const { projectPath } = makeAnalysisProject('uc7-stats-margin')
+    writeCaseScores(projectPath, 'skill_a_v1', 'skill-a', [81, 80, 79, 82, 80])
+    writeCaseScores(projectPath, 'skill_b_v1', 'skill-b', [80, 81, 80, 80, 80])
+    const config = fileService.readJson(path.join(projectPath, 'config.json'))
+
+    const [cmp] = analysisService.computeStats(projectPath, config, { tieMargin: 2 }).comparisons
+    expect(cmp).toMatchObject({ wins: 0, ties: 5, losses: 0, significant: false, winner: null })
+  })
+
+  test('getStats validates options and unknown projects', () => {
+    const { projectId } = makeAnalysisProject('uc7-stats-ipc')
+    expect(analysisService.getStats(projectId, { method: 'sign' }).method).toBe('sign')
+    expect(() => analysisService.getStats(projectId, { method: 'ttest' }))
+      .toThrow(expect.objectContaining({ code: 'INVALID_PARAMS' }))
+    expect(() => analysisService.getStats(projectId, { metric: 'speed' }))
+      .toThrow(expect.objectContaining({ code: 'INVALID_PARAMS' }))
+    expect(() => analysisService.getStats('missing-project'))
+      .toThrow(expect.objectContaining({ code: 'NOT_FOUND' }))
+  })
+
+  test('prompt carries the significance block and the report stores statistics', async () => {
+    const { projectId, projectPath } = makeAnalysisProject('uc7-stats-report')
+    const config = fileService.readJson(path.join(projectPath, 'config.json'))
+    const prompt = analysisService.buildAnalysisPrompt(projectPath, config)
+    expect(prompt).not.toContain('{significance}')
+    expect(prompt).toContain('Skill A vs Skill B：共同用例 2 条')
+
+    jest.spyOn(cliService, 'invokeCli').mockResolvedValueOnce({ result: MOCK_REPORT_OUTPUT, duration_ms: 500 })
+    jest.spyOn(cliService, 'parseStructuredOutput').mockReturnValueOnce(JSON.parse(MOCK_REPORT_OUTPUT))
+    await new Promise(resolve => {
+      analysisService.runAnalysis(projectId, {
+        onComplete: (data) => { if (data.status === 'completed') resolve() },
+      })
+    })
+    const report = fileService.readJson(path.join(projectPath, 'analysis_report.json'))
+    expect(report.statistics.comparisons).toHaveLength(1)
+    expect(report.statistics.correction).toBe('holm')
+  })
+})
@@ -0,0 +1,86 @@
+'use strict'
+
+/**
+ * assertion-service.test.js
+ * Per-case programmatic assertions: validation, each check type, JSON Schema subset, caps.
+ */
+
+const assertionService = require('../../main/services/assertion-service')
+
+const run = (assertion, output) => assertionService.evaluate([assertion], output).results[0]
+
+describe('validateAssertions', () => {
+  test('accepts known types and rejects malformed entries', () => {
+    expect(assertionService.validateAssertions([{ type: 'contains', value: 'x' }])).toHaveLength(1)
+    expect(assertionService.validateAssertions(undefined)).toEqual([])
+    expect(() => assertionService.validateAssertions([{ type: 'fuzzy' }], 'case_001'))
+      .toThrow(expect.objectContaining({ code: 'INVALID_PARAMS', message: expect.stringContaining('case_001') }))
+    expect(() => assertionService.validateAssertions([{ type: 'regex', pattern: '(' }]))
+      .toThrow(expect.objectContaining({ code: 'INVALID_PARAMS' }))
+    expect(() => assertionService.validateAssertions([{ type: 'max_length', value: -1 }]))
+      .toThrow(expect.objectContaining({ code: 'INVALID_PARAMS' }))
+  })
+})
+
+describe('evaluate: check types', () => {
+  test('contains / not_contains are case-insensitive unless asked otherwise', () => {
+    expect(run({ type: 'contains', value: 'DEF fib' }, 'def fib(n):').passed).toBe(true)
+    expect(run({ type: 'contains', value: 'DEF', case_sensitive: true }, 'def fib(n):').passed).toBe(false)
+    expect(run({ type: 'not_contains', value: 'eval(' }, 'x = eval(s)')).toMatchObject({ passed: false, message: '"eval(" found' })
+  })
+
+  test('regex, equals and max_length', () => {
+    expect(run({ type: 'regex', pattern: '^\\d+$', flags: 'm' }, 'a\n42\nb').passed).toBe(true)
+    expect(run({ type: 'equals', value: 'pong' }, '  pong\n').passed).toBe(true)
+    expect(run({ type: 'equals', value: 'pong', trim: false }, 'pong\n').passed).toBe(false)
+    expect(run({ type: 'max_length', value: 3 }, 'abcd')).toMatchObject({ passed: false, message: '4 characters' })
+  })
+
+  test('json parses the output or its fenced block and validates the schema', () => {
+    const schema = {
+      type: 'object',
+      required: ['name', 'tags'],
+      properties: { name: { type: 'string', minLength: 1 }, tags: { type: 'array', items: { type: 'string' } } },
+      additionalProperties: false,
+    }
+    expect(run({ type: 'json' }, 'not json').passed).toBe(false)
+    expect(run({ type: 'json', schema }, 'Here:\n```json\n{"name":"a","tags":["x"]}\n```').passed).toBe(true)
+
+    const bad = run({ type: 'json', schema }, '{"name":"","tags":[1],"extra":true}')
+    expect(bad.passed).toBe(false)
+    expect(bad.message).toContain('$.name: shorter than 1')
+    expect(bad.message).toContain('$.tags[0]: expected string, got number')
+    expect(bad.message).toContain('unexpected property "extra"')
+  })
+
+  test('code_block matches the language through aliases', () => {
+    const output = 'Solution:\n```py\nprint(1)\n```\n'
+    expect(run({ type: 'code_block' }, output).passed).toBe(true)
+    expect(run({ type: 'code_block', language: 'python' }, output).passed).toBe(true)
+    expect(run({ type: 'code_block', language: 'javascript' }, output))
+      .toMatchObject({ passed: false, message: 'no javascript block (found: python)' })
+    expect(run({ type: 'code_block' }, 'no code here').passed).toBe(false)
+  })
+})
+
+describe('evaluate: gates and caps', () => {
+  const assertions = [
+    { type: 'contains', value: 'def', cap: 60 },
+    { type: 'max_length', value: 5, cap: 40 },
+    { type: 'contains', value: 'return' },
+  ]
+
+  test('the lowest cap among failed assertions applies', () => {
+    const evaluation = assertionService.evaluate(assertions, 'class Foo: pass')
+    expect(evaluation).toMatchObject({ passed: 0, failed: 3, total: 3, gated: false, cap: 40 })
+    expect(assertionService.applyCap({ total: 85, robustness: 10 }, evaluation))
+      .toEqual({ total: 40, robustness: 10, uncapped_total: 85 })
+    expect(assertionService.applyCap({ total: 30 }, evaluation)).toEqual({ total: 30 })
+  })
+
+  test('a failed gate caps at 0 and marks the evaluation gated', () => {
+    const evaluation = assertionService.evaluate([{ type: 'json', gate: true }], 'nope')
+    expect(evaluation).toMatchObject({ gated: true, cap: 0 })
+    expect(assertionService.evaluate([{ type: 'json', gate: true }], '{}')).toMatchObject({ gated: false, cap: null, passed: 1 })
+  })
+})
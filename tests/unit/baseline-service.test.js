@@ -201,6 +201,108 @@ describe('UC2-4: updateCase → version increment', () => {
   })
 })
 
+// ─── Case assertions ─────────────────────────────────────────────────────────
+
+describe('case assertions are validated and kept', () => {
+  test('import keeps valid assertions; updateCase replaces them; malformed ones are rejected', async () => {
+    const { baselineId } = await baselineService.importBaseline({
+      importType: 'manual',
+      meta: { name: 'Assertion Baseline', purpose: 'assert_test', provider: 'test_prov' },
+      cases: [
+        { id: 'case_001', name: 'json', input: 'emit json', expected_output: 'json', assertions: [{ type: 'json', gate: true }] },
+        { id: 'case_002', name: 'plain', input: 'x', expected_output: 'y' },
+      ],
+    })
+    let { cases } = baselineService.getBaseline(baselineId)
+    expect(cases.cases[0].assertions).toEqual([{ type: 'json', gate: true }])
+    expect(cases.cases[1]).not.toHaveProperty('assertions')
+
+    baselineService.updateCase(baselineId, 'v1', 'case_002', { assertions: [{ type: 'max_length', value: 10 }] })
+    ;({ cases } = baselineService.getBaseline(baselineId))
+    expect(cases.cases[1].assertions).toEqual([{ type: 'max_length', value: 10 }])
+
+    expect(() => baselineService.updateCase(baselineId, 'v2', 'case_002', { assertions: [{ type: 'nope' }] }))
+      .toThrow(expect.objectContaining({ code: 'INVALID_PARAMS' }))
+  })
+
+  test('case tests are validated on import and update', async () => {
+    const tests = { language: 'python', code: 'assert add(1, 2) == 3', timeout_ms: 2000 }
+    const { baselineId } = await baselineService.importBaseline({
+      importType: 'manual',
+      meta: { name: 'Sandbox Baseline', purpose: 'sandbox_test', provider: 'test_prov' },
+      cases: [{ id: 'case_001', name: 'add', input: 'write add()', expected_output: 'add', tests }],
+    })
+    expect(baselineService.getBaseline(baselineId).cases.cases[0].tests).toEqual(tests)
+
+    expect(() => baselineService.updateCase(baselineId, 'v1', 'case_001', { tests: { language: 'ruby', code: 'x' } }))
+      .toThrow(expect.objectContaining({ code: 'INVALID_PARAMS' }))
+    await expect(baselineService.importBaseline({
+      importType: 'manual',
+      meta: { name: 'Bad Sandbox', purpose: 'sandbox_bad', provider: 'test_prov' },
+      cases: [{ id: 'case_001', name: 'x', input: 'x', expected_output: 'y', tests: { language: 'node' } }],
+    })).rejects.toMatchObject({ code: 'INVALID_PARAMS' })
+  })
+
+  test('turns are validated; the first turn becomes the input and empty turns revert to single-shot', async () => {
+    const { baselineId } = await baselineService.importBaseline({
+      importType: 'manual',
+      meta: { name: 'Conversation Baseline', purpose: 'turns_test', provider: 'test_prov' },
+      cases: [{ id: 'case_001', name: 'chat', input: '', expected_output: 'y', turns: [' Start ', 'Follow up'], judge_scope: 'conversation' }],
+    })
+    let c = baselineService.getBaseline(baselineId).cases.cases[0]
+    expect(c).toMatchObject({ input: 'Start', turns: ['Start', 'Follow up'], judge_scope: 'conversation' })
+
+    baselineService.updateCase(baselineId, 'v1', 'case_001', { turns: ['Again', 'And again'] })
+    c = baselineService.getBaseline(baselineId).cases.cases[0]
+    expect(c).toMatchObject({ input: 'Again', turns: ['Again', 'And again'] })
+
+    baselineService.updateCase(baselineId, 'v2', 'case_001', { turns: null })
+    expect(baselineService.getBaseline(baselineId).cases.cases[0].turns).toEqual([])
+
+    expect(() => baselineService.updateCase(baselineId, 'v3', 'case_001', { turns: ['only one'] }))
+      .toThrow(expect.objectContaining({ code: 'INVALID_PARAMS' }))
+    expect(() => baselineService.updateCase(baselineId, 'v3', 'case_001', { judge_scope: 'first' }))
+      .toThrow(expect.objectContaining({ code: 'INVALID_PARAMS' }))
+    await expect(baselineService.importBaseline({
+      importType: 'manual',
+      meta: { name: 'Bad Conversation', purpose: 'turns_bad', provider: 'test_prov' },
+      cases: [{ id: 'case_001', name: 'x', input: 'x', expected_output: 'y', turns: ['x', ''] }],
+    })).rejects.toMatchObject({ code: 'INVALID_PARAMS' })
+  })
+
+  test('case weight / timeout_seconds and category weights are validated; weights are versioned', async () => {
+    const { baselineId } = await baselineService.importBaseline({
+      importType: 'manual',
+      meta: { name: 'Weighted Baseline', purpose: 'weights_test', provider: 'test_prov', category_weights: { boundary: 3 } },
+      cases: [{ id: 'case_001', name: 'edge', category: 'boundary', input: 'x', expected_output: 'y', weight: 2, timeout_seconds: 120 }],
+    })
+    let { meta, cases } = baselineService.getBaseline(baselineId)
+    expect(meta.category_weights).toEqual({ boundary: 3 })
+    expect(cases.cases[0]).toMatchObject({ weight: 2, timeout_seconds: 120 })
+
+    expect(() => baselineService.updateCase(baselineId, 'v1', 'case_001', { weight: 0 }))
+      .toThrow(expect.objectContaining({ code: 'INVALID_PARAMS' }))
+    expect(baselineService.updateCase(baselineId, 'v1', 'case_001', { weight: null }).newVersion).toBe('v2')
+    expect(baselineService.getBaseline(baselineId).cases.cases[0].weight).toBeNull()
+
+    expect(() => baselineService.setCategoryWeights(baselineId, 'v2', { boundary: -1 }))
+      .toThrow(expect.objectContaining({ code: 'INVALID_PARAMS' }))
+    expect(baselineService.setCategoryWeights(baselineId, 'v2', { boundary: 3 })).toEqual({ newVersion: 'v2' })
+    expect(baselineService.setCategoryWeights(baselineId, 'v2', { boundary: 5, exception: 2 })).toEqual({ newVersion: 'v3' })
+    ;({ meta, cases } = baselineService.getBaseline(baselineId))
+    expect(meta.category_weights).toEqual({ boundary: 5, exception: 2 })
+    expect(cases.version).toBe('v3')
+
+    baselineService.setCategoryWeights(baselineId, 'v3', null)
+    expect(baselineService.getBaseline(baselineId).meta).not.toHaveProperty('category_weights')
+    await expect(baselineService.importBaseline({
+      importType: 'manual',
+      meta: { name: 'Bad Weights', purpose: 'weights_bad', provider: 'test_prov', category_weights: ['boundary'] },
+      cases: [],
+    })).rejects.toMatchObject({ code: 'INVALID_PARAMS' })
+  })
+})
+
 // ─── UC2-5: importBaseline (cli_generate) ────────────────────────────────────
 
 describe('UC2-5: importBaseline cli_generate', () => {
@@ -0,0 +1,97 @@
+'use strict'
+
+/**
+ * budget-service.test.js
+ * Budget limit resolution (project → global) and run trackers.
+ */
+
+const path = require('path')
+const fs   = require('fs')
+const { createTmpDir, overrideWorkspace } = require('../helpers/fs-helper')
+
+let tmpDir, cleanup, restoreWorkspace
+let budgetService
+
+beforeAll(() => {
+  const tmp = createTmpDir()
+  tmpDir  = tmp.tmpDir
+  cleanup = tmp.cleanup
+
+  jest.resetModules()
+  const ws = require('../../main/services/workspace-service')
+  restoreWorkspace = overrideWorkspace(ws, tmpDir)
+  budgetService = require('../../main/services/budget-service')
+})
+
+afterAll(() => {
+  restoreWorkspace()
+  cleanup()
+})
+
+function writeGlobalBudget(budget) {
+  const cfgPath = path.join(tmpDir, 'cli', 'config.json')
+  fs.mkdirSync(path.dirname(cfgPath), { recursive: true })
+  fs.writeFileSync(cfgPath, JSON.stringify({ default_model: 'claude-opus-4-6', budget }))
+}
+
+describe('resolveLimits', () => {
+  test('project fields override global ones field by field', () => {
+    const limits = budgetService.resolveLimits(
+      { max_calls: 10, max_cost_usd: null },
+      { max_calls: 50, max_cost_usd: 2, max_wall_seconds: 600 },
+    )
+    expect(limits).toEqual({ max_calls: 10, max_tokens: null, max_cost_usd: 2, max_wall_seconds: 600 })
+  })
+
+  test('zero, negative and non-numeric values mean unlimited', () => {
+    const limits = budgetService.resolveLimits({ max_calls: 0, max_tokens: -5, max_cost_usd: 'abc' }, null)
+    expect(budgetService.hasLimits(limits)).toBe(false)
+  })
+
+  test('limitsForProject reads the global block from cli/config.json', () => {
+    writeGlobalBudget({ max_tokens: 1000 })
+    expect(budgetService.limitsForProject({ budget: { max_calls: 3 } }))
+      .toMatchObject({ max_calls: 3, max_tokens: 1000 })
+    expect(budgetService.globalLimits()).toMatchObject({ max_calls: null, max_tokens: 1000 })
+  })
+})
+
+describe('createTracker', () => {
+  const usage = (calls, input, output, cost) => ({
+    calls, input_tokens: input, output_tokens: output,
+    cache_creation_input_tokens: 0, cache_read_input_tokens: 500, cost_usd: cost,
+  })
+
+  test('reports the first limit reached with its actual value', () => {
+    const t = budgetService.createTracker(budgetService.resolveLimits({ max_tokens: 100, max_cost_usd: 0.05 }))
+    t.add(usage(1, 40, 20, 0.01))
+    expect(t.check()).toBeNull()
+    t.add(usage(1, 30, 10, 0.01))   // cache tokens do not count
+    const hit = t.check()
+    expect(hit).toMatchObject({ limit: 'max_tokens', limit_value: 100, actual: 100 })
+    expect(hit.message).toContain('100')
+  })
+
+  test('setUsed replaces consumption and setLimits lifts a reached limit', () => {
+    const t = budgetService.createTracker(budgetService.resolveLimits({ max_calls: 2 }))
+    t.setUsed({ calls: 2 })
+    expect(t.check()).toMatchObject({ limit: 'max_calls' })
+    t.setLimits(budgetService.resolveLimits({ max_calls: 5 }))
+    expect(t.check()).toBeNull()
+  })
+
+  test('wall time only accumulates between start() and stop()', () => {
+    const now = jest.spyOn(Date, 'now')
+    now.mockReturnValue(1000)
+    const t = budgetService.createTracker(budgetService.resolveLimits({ max_wall_seconds: 10 }))
+    t.start()
+    now.mockReturnValue(6000)
+    t.stop()
+    now.mockReturnValue(60000)       // paused time is not counted
+    expect(t.check()).toBeNull()
+    t.start()
+    now.mockReturnValue(65000)
+    expect(t.check()).toMatchObject({ limit: 'max_wall_seconds', actual: 10 })
+    now.mockRestore()
+  })
+})
@@ -0,0 +1,126 @@
+'use strict'
+
+/**
+ * cli-doctor.test.js
+ * cli:diagnose report: binary lookup, version range, auth / model classification, latency.
+ */
+
+const path = require('path')
+const fs = require('fs')
+const { createTmpDir, overrideWorkspace } = require('../helpers/fs-helper')
+
+let tmpDir, cleanup, restoreWorkspace
+let workspaceService, cliService, cliDoctor
+
+beforeAll(() => {
+  const tmp = createTmpDir('cli-doctor-')
+  tmpDir = tmp.tmpDir
+  cleanup = tmp.cleanup
+
+  jest.resetModules()
+  workspaceService = require('../../main/services/workspace-service')
+  restoreWorkspace = overrideWorkspace(workspaceService, tmpDir)
+  workspaceService.initWorkspace()
+  cliService = require('../../main/services/cli-service')
+  cliDoctor = require('../../main/services/cli-doctor')
+})
+
+afterAll(() => {
+  restoreWorkspace()
+  cleanup()
+})
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+function writeConfig(patch) {
+  const configPath = workspaceService.paths.cliConfig()
+  const current = JSON.parse(fs.readFileSync(configPath, 'utf-8'))
+  fs.writeFileSync(configPath, JSON.stringify({ ...current, ...patch }), 'utf-8')
+}
+
+const byId = (report) => Object.fromEntries(report.checks.map(c => [c.id, c]))
+
+describe('helpers', () => {
+  test('compareVersions orders dotted versions numerically', () => {
+    expect(cliDoctor.compareVersions('1.10.0', '1.9.3')).toBeGreaterThan(0)
+    expect(cliDoctor.compareVersions('1.0', '1.0.0')).toBe(0)
+    expect(cliDoctor.compareVersions('0.9.9', '1.0.0')).toBeLessThan(0)
+  })
+
+  test('resolveBinary finds absolute paths and PATH entries, null otherwise', () => {
+    expect(cliDoctor.resolveBinary(process.execPath)).toBe(process.execPath)
+    expect(cliDoctor.resolveBinary(path.join(tmpDir, 'no-such-claude'))).toBeNull()
+  })
+})
+
+describe('diagnose', () => {
+  test('offline report: missing binary fails with a fix and skips dependent checks', async () => {
+    writeConfig({ cli_path: path.join(tmpDir, 'no-such-claude') })
+    const invoke = jest.spyOn(cliService, 'invokeCli')
+
+    const report = await cliDoctor.diagnose()
+    const checks = byId(report)
+
+    expect(report.ok).toBe(false)
+    expect(checks.binary).toMatchObject({ status: 'fail', fix: expect.any(String) })
+    expect(checks.version.status).toBe('skip')
+    expect(checks.working_dirs.status).toBe('pass')
+    expect([checks.auth.status, checks.model.status, checks.latency.status]).toEqual(['skip', 'skip', 'skip'])
+    expect(invoke).not.toHaveBeenCalled()
+  })
+
+  test('all checks pass: version in range, auth ping, default model and median latency', async () => {
+    writeConfig({ cli_path: process.execPath, default_model: 'model-x' })
+    jest.spyOn(cliService, 'getCliVersion').mockResolvedValue('2.1.0')
+    const invoke = jest.spyOn(cliService, 'invokeCli').mockResolvedValue({ result: 'pong', duration_ms: 5 })
+
+    const report = await cliDoctor.diagnose({ pings: 2 })
+    const checks = byId(report)
+
+    expect(report.ok).toBe(true)
+    expect(checks.version).toMatchObject({ status: 'pass', detail: { version: '2.1.0' } })
+    expect(checks.auth.status).toBe('pass')
+    expect(checks.model).toMatchObject({ status: 'pass', detail: { model: 'model-x' } })
+    expect(checks.latency.detail.durations).toHaveLength(2)
+    // 1 auth ping + 2 latency pings, never cached
+    expect(invoke).toHaveBeenCalledTimes(3)
+    expect(invoke.mock.calls.every(([, o]) => o.cachePolicy === 'off' && o.backend === 'claude-cli')).toBe(true)
+  })
+
+  test('version below the supported minimum fails', async () => {
+    writeConfig({ cli_path: process.execPath, supported_cli_versions: { min: '3.0.0' } })
+    jest.spyOn(cliService, 'getCliVersion').mockResolvedValue('2.1.0')
+
+    const report = await cliDoctor.diagnose({ live: false })
+    expect(byId(report).version).toMatchObject({ status: 'fail', detail: { min: '3.0.0' } })
+  })
+
+  test('auth errors are recognized and stop the model / latency pings', async () => {
+    writeConfig({ cli_path: process.execPath, supported_cli_versions: null })
+    jest.spyOn(cliService, 'getCliVersion').mockResolvedValue('2.1.0')
+    const invoke = jest.spyOn(cliService, 'invokeCli')
+      .mockRejectedValue({ code: 'CLI_EXECUTION_ERROR', stderr: 'Invalid API key · Please run /login' })
+
+    const checks = byId(await cliDoctor.diagnose())
+
+    expect(checks.auth).toMatchObject({ status: 'fail', message: 'The CLI is not authenticated' })
+    expect(checks.model.status).toBe('skip')
+    expect(invoke).toHaveBeenCalledTimes(1)
+  })
+
+  test('a rejected default model is reported on the model check', async () => {
+    writeConfig({ cli_path: process.execPath, default_model: 'claude-nope' })
+    jest.spyOn(cliService, 'getCliVersion').mockResolvedValue('2.1.0')
+    jest.spyOn(cliService, 'invokeCli')
+      .mockResolvedValueOnce({ result: 'pong' })
+      .mockRejectedValueOnce({ code: 'CLI_EXECUTION_ERROR', stderr: 'API Error: 404 model: claude-nope not found' })
+
+    const checks = byId(await cliDoctor.diagnose())
+
+    expect(checks.auth.status).toBe('pass')
+    expect(checks.model).toMatchObject({ status: 'fail', message: 'Model "claude-nope" was rejected' })
+    expect(checks.latency.status).toBe('skip')
+  })
+})
@@ -15,6 +15,7 @@
 jest.mock('child_process')
 
 const { EventEmitter } = require('events')
+const { PassThrough } = require('stream')
 const { createTmpDir, overrideWorkspace } = require('../helpers/fs-helper')
 
 // ─── Mock helpers ─────────────────────────────────────────────────────────────
@@ -25,8 +26,8 @@ const { createTmpDir, overrideWorkspace } = require('../helpers/fs-helper')
  */
 function makeMockProc({ stdoutData = '', exitCode = 0, delay = 5, errorEvent = null } = {}) {
   const proc = new EventEmitter()
-  proc.stdout = new EventEmitter()
-  proc.stderr = new EventEmitter()
+  proc.stdout = new PassThrough()
+  proc.stderr = new PassThrough()
   proc.stdin = { write: jest.fn(), end: jest.fn(), on: jest.fn() }
   proc.kill = jest.fn()
   proc.on('error', () => {}) // prevent unhandled-error crash
@@ -158,6 +159,18 @@ describe('generateBaselineCases', () => {
     ).rejects.toMatchObject({ code: 'OUTPUT_PARSE_FAILED' })
   })
 
+  test('failed calls carry their usage: CLI errors and unparseable output', async () => {
+    childProcess.spawn.mockReturnValueOnce(makeMockProc({ exitCode: 1, stdoutData: '' }))
+    await expect(
+      cliLiteService.generateBaselineCases('test task description', 5)
+    ).rejects.toMatchObject({ code: 'CLI_EXECUTION_ERROR', usage: { calls: 1 } })
+
+    childProcess.spawn.mockReturnValueOnce(makeMockProc({ stdoutData: cliResponse('sorry, no JSON today') }))
+    await expect(
+      cliLiteService.generateBaselineCases('test task description', 5)
+    ).rejects.toMatchObject({ code: 'OUTPUT_PARSE_FAILED', usage: { calls: 1 } })
+  })
+
   test('uses the provided model argument when specified', async () => {
     childProcess.spawn.mockReturnValueOnce(makeMockProc({
       stdoutData: cliResponse(JSON.stringify({ cases: SAMPLE_CASES })),
@@ -0,0 +1,51 @@
+'use strict'
+
+/**
+ * cli-profiles.test.js
+ * Profile lookup (named / default_profile) and CLI argument building.
+ */
+
+const cliProfiles = require('../../main/services/cli-profiles')
+
+const CFG = {
+  profiles: {
+    review: { permission_mode: 'plan', allowed_tools: 'Read, Grep', extra_args: ['--verbose'] },
+    full:   { permission_mode: 'bypassPermissions' },
+    broken: { permission_mode: 'yolo' },
+  },
+}
+
+describe('getProfile', () => {
+  test('returns the named profile with its name', () => {
+    expect(cliProfiles.getProfile('review', CFG)).toMatchObject({ name: 'review', permission_mode: 'plan' })
+  })
+
+  test('falls back to default_profile, or null when none is set', () => {
+    expect(cliProfiles.getProfile(undefined, { ...CFG, default_profile: 'full' }).name).toBe('full')
+    expect(cliProfiles.getProfile(undefined, CFG)).toBeNull()
+  })
+
+  test('unknown profiles and permission modes are rejected', () => {
+    expect(() => cliProfiles.getProfile('missing', CFG)).toThrow(expect.objectContaining({ code: 'PROFILE_NOT_FOUND' }))
+    expect(() => cliProfiles.getProfile('broken', CFG)).toThrow(expect.objectContaining({ code: 'INVALID_PARAMS' }))
+  })
+})
+
+describe('buildArgs', () => {
+  test('no profile → only the extra flags', () => {
+    expect(cliProfiles.buildArgs(null, ['--add-dir', 'x'])).toEqual(['--add-dir', 'x'])
+    expect(cliProfiles.buildArgs(null)).toEqual([])
+  })
+
+  test('comma-separated tool lists are normalized; extra_args precede per-call flags', () => {
+    const args = cliProfiles.buildArgs(cliProfiles.getProfile('review', CFG), ['--foo'])
+    expect(args).toEqual(['--permission-mode', 'plan', '--allowedTools', 'Read,Grep', '--verbose', '--foo'])
+    expect(cliProfiles.setsPermissionMode(args)).toBe(true)
+  })
+
+  test('bypassPermissions adds no flag and leaves the adapter default in place', () => {
+    const args = cliProfiles.buildArgs(cliProfiles.getProfile('full', CFG))
+    expect(args).toEqual([])
+    expect(cliProfiles.setsPermissionMode(args)).toBe(false)
+  })
+})
@@ -0,0 +1,187 @@
+'use strict'
+
+/**
+ * cli-retry.test.js
+ * Retry policy (backoff, jitter, Retry-After, per-code rules) and the shared circuit breaker.
+ */
+
+let cliRetry
+let cliEvents
+
+beforeEach(() => {
+  jest.resetModules()
+  cliRetry = require('../../main/services/cli-retry')
+  cliEvents = require('../../main/services/cli-events')
+})
+
+afterEach(() => {
+  cliEvents.removeAllListeners('status:change')
+})
+
+// No waiting between attempts unless a test asks for it
+const FAST = { retry: { base_delay_ms: 0, jitter: 0, rate_limit_delay_ms: 0 } }
+
+/**
+ * An attempt function that fails with the given errors in order, then resolves.
+ */
+function failingThen(errors, value = 'ok') {
+  const fn = jest.fn(async () => {
+    if (fn.mock.calls.length <= errors.length) throw errors[fn.mock.calls.length - 1]
+    return value
+  })
+  return fn
+}
+
+describe('parseRetryAfter', () => {
+  test('reads a Retry-After header in seconds', () => {
+    expect(cliRetry.parseRetryAfter({ stderr: 'HTTP 429\nRetry-After: 12\n' })).toBe(12000)
+  })
+
+  test('reads "retry in N ms" / "retry after N seconds" phrases', () => {
+    expect(cliRetry.parseRetryAfter({ message: 'overloaded, retry in 500ms' })).toBe(500)
+    expect(cliRetry.parseRetryAfter({ stderr: 'Please retry after 3 seconds' })).toBe(3000)
+  })
+
+  test('returns null when there is no hint', () => {
+    expect(cliRetry.parseRetryAfter({ code: 'CLI_TIMEOUT' })).toBeNull()
+    expect(cliRetry.parseRetryAfter({ stderr: 'rate limit exceeded (429)' })).toBeNull()
+  })
+})
+
+describe('computeDelay', () => {
+  const policy = () => cliRetry.resolvePolicy({ retry: { base_delay_ms: 1000, max_delay_ms: 5000, jitter: 0.2, rate_limit_delay_ms: 30000 } })
+  const mid = () => 0.5   // jitter factor exactly 1
+
+  test('grows exponentially and is capped at max_delay_ms', () => {
+    const err = { code: 'CLI_TIMEOUT' }
+    expect(cliRetry.computeDelay(0, err, policy(), mid)).toBe(1000)
+    expect(cliRetry.computeDelay(1, err, policy(), mid)).toBe(2000)
+    expect(cliRetry.computeDelay(2, err, policy(), mid)).toBe(4000)
+    expect(cliRetry.computeDelay(5, err, policy(), mid)).toBe(5000)
+  })
+
+  test('applies ± jitter', () => {
+    const err = { code: 'CLI_TIMEOUT' }
+    expect(cliRetry.computeDelay(0, err, policy(), () => 0)).toBe(800)
+    expect(cliRetry.computeDelay(0, err, policy(), () => 1)).toBe(1200)
+  })
+
+  test('RATE_LIMITED waits at least rate_limit_delay_ms; a Retry-After hint wins', () => {
+    expect(cliRetry.computeDelay(0, { code: 'RATE_LIMITED' }, policy(), mid)).toBe(30000)
+    expect(cliRetry.computeDelay(0, { code: 'RATE_LIMITED', stderr: 'Retry-After: 7' }, policy(), mid)).toBe(7000)
+  })
+})
+
+describe('run: retry policy', () => {
+  test('retries transient failures and resolves with the first success', async () => {
+    const attempt = failingThen([{ code: 'CLI_TIMEOUT' }, { code: 'CLI_EXECUTION_ERROR' }])
+    await expect(cliRetry.run(attempt, FAST, { maxRetries: 2 })).resolves.toBe('ok')
+    expect(attempt).toHaveBeenCalledTimes(3)
+  })
+
+  test('gives up after maxRetries and rethrows the last error', async () => {
+    const attempt = failingThen([{ code: 'CLI_TIMEOUT' }, { code: 'CLI_TIMEOUT' }, { code: 'CLI_TIMEOUT', n: 3 }])
+    await expect(cliRetry.run(attempt, FAST, { maxRetries: 2 })).rejects.toMatchObject({ code: 'CLI_TIMEOUT', n: 3 })
+    expect(attempt).toHaveBeenCalledTimes(3)
+  })
+
+  test('never retries a missing CLI binary', async () => {
+    const attempt = failingThen([{ code: 'CLI_NOT_AVAILABLE' }])
+    await expect(cliRetry.run(attempt, FAST, { maxRetries: 5 })).rejects.toMatchObject({ code: 'CLI_NOT_AVAILABLE' })
+    expect(attempt).toHaveBeenCalledTimes(1)
+  })
+
+  test('per-code rules from config cap retries', async () => {
+    const cfg = { retry: { ...FAST.retry, rules: { CLI_MODEL_ERROR: { max_retries: 1 } } } }
+    const attempt = failingThen([{ code: 'CLI_MODEL_ERROR' }, { code: 'CLI_MODEL_ERROR' }])
+    await expect(cliRetry.run(attempt, cfg, { maxRetries: 4 })).rejects.toMatchObject({ code: 'CLI_MODEL_ERROR' })
+    expect(attempt).toHaveBeenCalledTimes(2)
+  })
+
+  test('falls back to default_retry_count when no per-call override is given', async () => {
+    const attempt = failingThen([{ code: 'CLI_TIMEOUT' }, { code: 'CLI_TIMEOUT' }])
+    await expect(cliRetry.run(attempt, { ...FAST, default_retry_count: 1 })).rejects.toMatchObject({ code: 'CLI_TIMEOUT' })
+    expect(attempt).toHaveBeenCalledTimes(2)
+  })
+})
+
+describe('run: circuit breaker', () => {
+  const cfg = { ...FAST, circuit_breaker: { failure_threshold: 2, cooldown_seconds: 0.05 } }
+  const fail = (code = 'CLI_TIMEOUT') => () => Promise.reject({ code })
+
+  test('opens after consecutive transport failures and emits status:change', async () => {
+    const events = []
+    cliEvents.on('status:change', e => events.push(e))
+
+    await expect(cliRetry.run(fail(), cfg, { maxRetries: 0 })).rejects.toBeDefined()
+    expect(cliRetry.getCircuitState().state).toBe('closed')
+    await expect(cliRetry.run(fail(), cfg, { maxRetries: 0 })).rejects.toBeDefined()
+
+    expect(cliRetry.getCircuitState()).toMatchObject({ state: 'open', failures: 2, threshold: 2 })
+    expect(events).toEqual([expect.objectContaining({ available: false, circuit: expect.objectContaining({ state: 'open' }) })])
+    expect(events[0].reason).toEqual(expect.any(String))
+  })
+
+  test('prompt-level errors do not count towards the threshold', async () => {
+    for (let i = 0; i < 3; i++) {
+      await expect(cliRetry.run(fail('CLI_MODEL_ERROR'), cfg, { maxRetries: 0 })).rejects.toBeDefined()
+    }
+    expect(cliRetry.getCircuitState().state).toBe('closed')
+  })
+
+  test('holds calls while open, then a successful probe closes the circuit', async () => {
+    const events = []
+    cliEvents.on('status:change', e => events.push(e))
+    await expect(cliRetry.run(fail(), cfg, { maxRetries: 0 })).rejects.toBeDefined()
+    await expect(cliRetry.run(fail(), cfg, { maxRetries: 0 })).rejects.toBeDefined()
+
+    const attempt = jest.fn(async () => 'probe ok')
+    const started = Date.now()
+    await expect(cliRetry.run(attempt, cfg)).resolves.toBe('probe ok')
+    expect(Date.now() - started).toBeGreaterThanOrEqual(40)
+    expect(attempt).toHaveBeenCalledTimes(1)
+    expect(cliRetry.getCircuitState()).toMatchObject({ state: 'closed', failures: 0 })
+    expect(events.map(e => e.available)).toEqual([false, true])
+  })
+
+  test('a failed probe re-opens the circuit', async () => {
+    await expect(cliRetry.run(fail(), cfg, { maxRetries: 0 })).rejects.toBeDefined()
+    await expect(cliRetry.run(fail(), cfg, { maxRetries: 0 })).rejects.toBeDefined()
+    await expect(cliRetry.run(fail(), cfg, { maxRetries: 0 })).rejects.toBeDefined()
+    expect(cliRetry.getCircuitState().state).toBe('open')
+  })
+
+  test('resetCircuit releases waiting calls immediately', async () => {
+    const slow = { ...cfg, circuit_breaker: { failure_threshold: 1, cooldown_seconds: 60 } }
+    await expect(cliRetry.run(fail(), slow, { maxRetries: 0 })).rejects.toBeDefined()
+    const pending = cliRetry.run(async () => 'released', slow)
+    await new Promise(resolve => setImmediate(resolve))
+    expect(cliRetry.resetCircuit().state).toBe('closed')
+    await expect(pending).resolves.toBe('released')
+  })
+
+  test('aborting a call held by an open circuit rejects it and drops its waiter', async () => {
+    const slow = { ...cfg, circuit_breaker: { failure_threshold: 1, cooldown_seconds: 60 } }
+    await expect(cliRetry.run(fail(), slow, { maxRetries: 0 })).rejects.toBeDefined()
+
+    const controller = new AbortController()
+    const held = jest.fn(async () => 'never')
+    const pending = cliRetry.run(held, slow, { signal: controller.signal })
+    await new Promise(resolve => setImmediate(resolve))
+    controller.abort({ code: 'CLI_CANCELLED' })
+    await expect(pending).rejects.toEqual({ code: 'CLI_CANCELLED' })
+
+    // The cancelled call does not run once the circuit closes
+    const other = cliRetry.run(async () => 'released', slow)
+    await new Promise(resolve => setImmediate(resolve))
+    cliRetry.resetCircuit()
+    await expect(other).resolves.toBe('released')
+    expect(held).not.toHaveBeenCalled()
+  })
+
+  test('noDelay (replay) bypasses the breaker', async () => {
+    const one = { ...cfg, circuit_breaker: { failure_threshold: 1, cooldown_seconds: 60 } }
+    await expect(cliRetry.run(fail(), one, { maxRetries: 0, noDelay: true })).rejects.toBeDefined()
+    expect(cliRetry.getCircuitState().state).toBe('closed')
+  })
+})
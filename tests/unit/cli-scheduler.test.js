@@ -0,0 +1,172 @@
+'use strict'
+
+/**
+ * cli-scheduler.test.js
+ * Global job scheduler: concurrency cap, priority classes, per-project fair share.
+ */
+
+let cliScheduler
+
+beforeEach(() => {
+  jest.resetModules()
+  cliScheduler = require('../../main/services/cli-scheduler')
+})
+
+/**
+ * A job whose completion is controlled by the test.
+ */
+function deferredJob(log, name) {
+  let finish
+  const done = new Promise(resolve => { finish = resolve })
+  const run = () => { log.push(name); return done.then(() => name) }
+  return { run, finish }
+}
+
+const flush = () => new Promise(resolve => setImmediate(resolve))
+
+describe('cli-scheduler: concurrency limit', () => {
+  test('never runs more than max_concurrency jobs at once', async () => {
+    cliScheduler.configure({ max_concurrency: 2 })
+    const started = []
+    const jobs = ['a', 'b', 'c', 'd'].map(n => deferredJob(started, n))
+    const promises = jobs.map(j => cliScheduler.schedule(j.run))
+
+    await flush()
+    expect(started).toEqual(['a', 'b'])
+    expect(cliScheduler.getSnapshot().queued).toHaveLength(2)
+
+    jobs[0].finish()
+    await flush()
+    expect(started).toEqual(['a', 'b', 'c'])
+
+    jobs.slice(1).forEach(j => j.finish())
+    await expect(Promise.all(promises)).resolves.toEqual(['a', 'b', 'c', 'd'])
+    expect(cliScheduler.getSnapshot()).toMatchObject({ running: [], queued: [], stats: { completed: 4, failed: 0 } })
+  })
+
+  test('a rejecting job frees its slot and propagates the error', async () => {
+    cliScheduler.configure({ max_concurrency: 1 })
+    const failing = cliScheduler.schedule(() => Promise.reject({ code: 'CLI_TIMEOUT' }))
+    const next    = cliScheduler.schedule(() => Promise.resolve('ok'))
+
+    await expect(failing).rejects.toMatchObject({ code: 'CLI_TIMEOUT' })
+    await expect(next).resolves.toBe('ok')
+    expect(cliScheduler.getSnapshot().stats.failed).toBe(1)
+  })
+
+  test('invalid max_concurrency falls back to the default', () => {
+    cliScheduler.configure({ max_concurrency: 0 })
+    expect(cliScheduler.getSnapshot().maxConcurrency).toBe(cliScheduler.DEFAULT_MAX_CONCURRENCY)
+  })
+})
+
+describe('cli-scheduler: priorities and fair share', () => {
+  test('interactive jobs overtake queued bulk jobs', async () => {
+    cliScheduler.configure({ max_concurrency: 1 })
+    const started = []
+    const blocker = deferredJob(started, 'blocker')
+    const bulk    = deferredJob(started, 'bulk')
+    const tag     = deferredJob(started, 'tag')
+    cliScheduler.schedule(blocker.run, { priority: 'bulk' })
+    cliScheduler.schedule(bulk.run,    { priority: 'bulk' })
+    cliScheduler.schedule(tag.run,     { priority: 'interactive' })
+
+    await flush()
+    expect(cliScheduler.getSnapshot().queued.map(j => j.priority)).toEqual(['interactive', 'bulk'])
+
+    blocker.finish()
+    await flush()
+    expect(started).toEqual(['blocker', 'tag'])
+    tag.finish(); bulk.finish()
+  })
+
+  test('a project with many queued jobs does not starve another project', async () => {
+    cliScheduler.configure({ max_concurrency: 2 })
+    const started = []
+    const jobs = []
+    for (let i = 1; i <= 4; i++) {
+      const j = deferredJob(started, `A${i}`)
+      jobs.push(j)
+      cliScheduler.schedule(j.run, { priority: 'bulk', projectId: 'proj-A' })
+    }
+    const b1 = deferredJob(started, 'B1')
+    jobs.push(b1)
+    cliScheduler.schedule(b1.run, { priority: 'bulk', projectId: 'proj-B' })
+
+    await flush()
+    expect(started).toEqual(['A1', 'A2'])
+
+    // proj-A holds a slot, proj-B holds none → B goes next despite submitting last
+    jobs[0].finish()
+    await flush()
+    expect(started).toEqual(['A1', 'A2', 'B1'])
+    jobs.forEach(j => j.finish())
+  })
+
+  test('snapshot exposes labels, priority and project of each job', async () => {
+    cliScheduler.configure({ max_concurrency: 1 })
+    const j = deferredJob([], 'x')
+    cliScheduler.schedule(j.run, { label: 'test Skill A / case_001', priority: 'bulk', projectId: 'p1' })
+    cliScheduler.schedule(() => Promise.resolve(), { label: 'auto-tag skill s1', priority: 'interactive' })
+    await flush()
+
+    const snap = cliScheduler.getSnapshot()
+    expect(snap.running[0]).toMatchObject({ label: 'test Skill A / case_001', priority: 'bulk', projectId: 'p1' })
+    expect(snap.running[0].startedAt).not.toBeNull()
+    expect(snap.queued[0]).toMatchObject({ label: 'auto-tag skill s1', priority: 'interactive', projectId: null, startedAt: null })
+    j.finish()
+  })
+})
+
+describe('cli-scheduler: cancellation', () => {
+  test('an aborted signal drops the job from the queue and rejects with its reason', async () => {
+    cliScheduler.configure({ max_concurrency: 1 })
+    const started = []
+    const a = deferredJob(started, 'a')
+    const b = deferredJob(started, 'b')
+    const controller = new AbortController()
+    const pa = cliScheduler.schedule(a.run)
+    const pb = cliScheduler.schedule(b.run, { signal: controller.signal, label: 'b' })
+    await flush()
+
+    controller.abort({ code: 'CLI_CANCELLED' })
+    await expect(pb).rejects.toEqual({ code: 'CLI_CANCELLED' })
+    expect(cliScheduler.getSnapshot().queued).toHaveLength(0)
+
+    a.finish()
+    await expect(pa).resolves.toBe('a')
+    expect(started).toEqual(['a'])
+  })
+
+  test('a dispatched job removes its abort listener from the signal', async () => {
+    cliScheduler.configure({ max_concurrency: 1 })
+    const a = deferredJob([], 'a')
+    const b = deferredJob([], 'b')
+    const controller = new AbortController()
+    const add    = jest.spyOn(controller.signal, 'addEventListener')
+    const remove = jest.spyOn(controller.signal, 'removeEventListener')
+    const pa = cliScheduler.schedule(a.run, { signal: controller.signal })
+    const pb = cliScheduler.schedule(b.run, { signal: controller.signal })
+    await flush()
+
+    // a runs at once, b waits in the queue
+    expect(remove).toHaveBeenCalledTimes(1)
+    expect(remove.mock.calls[0][1]).toBe(add.mock.calls[0][1])
+
+    a.finish()
+    await pa
+    await flush()
+    expect(remove).toHaveBeenCalledTimes(2)
+    expect(remove.mock.calls[1][1]).toBe(add.mock.calls[1][1])
+    b.finish()
+    await expect(pb).resolves.toBe('b')
+  })
+
+  test('an already-aborted signal is rejected without queueing', async () => {
+    const controller = new AbortController()
+    controller.abort({ code: 'CLI_CANCELLED' })
+    const run = jest.fn()
+    await expect(cliScheduler.schedule(run, { signal: controller.signal })).rejects.toEqual({ code: 'CLI_CANCELLED' })
+    expect(run).not.toHaveBeenCalled()
+  })
+})
@@ -14,6 +14,7 @@
 jest.mock('child_process')
 
 const { EventEmitter } = require('events')
+const { PassThrough } = require('stream')
 const path = require('path')
 const os = require('os')
 const { createTmpDir, overrideWorkspace } = require('../helpers/fs-helper')
@@ -25,8 +26,8 @@ const { createTmpDir, overrideWorkspace } = require('../helpers/fs-helper')
  */
 function makeMockProc({ stdoutData = '', stderrData = '', exitCode = 0, delay = 5, errorEvent = null, neverClose = false } = {}) {
   const proc = new EventEmitter()
-  proc.stdout = new EventEmitter()
-  proc.stderr = new EventEmitter()
+  proc.stdout = new PassThrough()
+  proc.stderr = new PassThrough()
   // Mock stdin so invokeCli/invokeCliResume can call proc.stdin.write/end/on
   proc.stdin = { write: jest.fn(), end: jest.fn(), on: jest.fn() }
 
@@ -307,8 +308,24 @@ describe('UC4-4: different projects use isolated sessions (different cwd)', () =
     const [_cmd, args] = childProcess.spawn.mock.calls[0]
     expect(args).toContain('--resume')
     expect(args).toContain('sess_resume')
+    expect(args).not.toContain('--model')
+    expect(args).not.toContain('--system-prompt')
     expect(result.result).toBe('compressed')
   })
+
+  test('invokeCliResume passes the model and system prompt again', async () => {
+    const resp = JSON.stringify({ type: 'result', is_error: false, result: 'ok', session_id: 'sess_resume' })
+    childProcess.spawn.mockReturnValueOnce(makeMockProc({ stdoutData: resp }))
+
+    await cliService.invokeCliResume('next', 'sess_resume', {
+      workingDir: tmpDir, model: 'claude-sonnet-4-6', systemPrompt: 'You are a skill.',
+    })
+
+    const [_cmd, args] = childProcess.spawn.mock.calls[0]
+    expect(args.slice(args.indexOf('--model'), args.indexOf('--model') + 2)).toEqual(['--model', 'claude-sonnet-4-6'])
+    expect(args.slice(args.indexOf('--system-prompt'), args.indexOf('--system-prompt') + 2))
+      .toEqual(['--system-prompt', 'You are a skill.'])
+  })
 })
 
 // ─── parseStructuredOutput ────────────────────────────────────────────────
@@ -333,3 +350,784 @@ describe('parseStructuredOutput', () => {
     expect(() => cliService.parseStructuredOutput('completely invalid')).toThrow()
   })
 })
+
+// ─── Backend adapters ─────────────────────────────────────────────────────
+
+describe('backend adapters: invokeCli routes through the selected backend', () => {
+  const fs = require('fs')
+  let configPath, originalConfig
+
+  beforeAll(() => {
+    configPath = workspaceService.paths.cliConfig()
+    originalConfig = fs.readFileSync(configPath, 'utf-8')
+  })
+
+  afterEach(() => {
+    fs.writeFileSync(configPath, originalConfig, 'utf-8')
+    delete global.fetch
+  })
+
+  function writeConfig(patch) {
+    fs.writeFileSync(configPath, JSON.stringify({ ...JSON.parse(originalConfig), ...patch }), 'utf-8')
+  }
+
+  test('mock backend selected in cli/config.json returns deterministic results without spawning', async () => {
+    writeConfig({
+      backend: 'mock',
+      backends: { mock: { rules: [{ match: 'fibonacci', result: 'def fib(n): ...' }], default_result: 'fallback' } },
+    })
+
+    const hit  = await cliService.invokeCli('write fibonacci', { workingDir: tmpDir })
+    const miss = await cliService.invokeCli('something else', { workingDir: tmpDir })
+
+    expect(hit).toMatchObject({ result: 'def fib(n): ...', is_error: false })
+    expect(typeof hit.duration_ms).toBe('number')
+    expect(miss.result).toBe('fallback')
+    expect(childProcess.spawn).not.toHaveBeenCalled()
+  })
+
+  test('options.backend overrides the global backend', async () => {
+    writeConfig({ backend: 'claude-cli', backends: { mock: { default_result: 'from mock' } } })
+
+    const result = await cliService.invokeCli('hi', { backend: 'mock', workingDir: tmpDir })
+
+    expect(result.result).toBe('from mock')
+    expect(childProcess.spawn).not.toHaveBeenCalled()
+  })
+
+  test('mock latency detaches its abort listener once the call completes', async () => {
+    const cliBackends = require('../../main/services/cli-backends')
+    const controller = new AbortController()
+    const remove = jest.spyOn(controller.signal, 'removeEventListener')
+
+    const result = await cliBackends.getBackend('mock').invoke('hi', { model: 'm', signal: controller.signal }, { latency_ms: 5, default_result: 'late' })
+
+    expect(result.result).toBe('late')
+    expect(remove).toHaveBeenCalledWith('abort', expect.any(Function))
+  })
+
+  test('mock rule with is_error rejects as CLI_MODEL_ERROR', async () => {
+    writeConfig({ backends: { mock: { rules: [{ match: '.', result: 'boom', is_error: true }] } } })
+
+    await expect(
+      cliService.invokeCli('anything', { backend: 'mock', workingDir: tmpDir })
+    ).rejects.toMatchObject({ code: 'CLI_MODEL_ERROR', message: 'boom' })
+  })
+
+  test('openai-http backend posts chat messages and maps the response contract', async () => {
+    writeConfig({ backends: { 'openai-http': { base_url: 'http://localhost:9999/v1/', model_map: { 'claude-opus-4-6': 'qwen' } } } })
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      status: 200,
+      text: async () => JSON.stringify({ id: 'cmpl-1', choices: [{ message: { content: 'local answer' } }] }),
+    })
+
+    const result = await cliService.invokeCli('prompt', {
+      backend: 'openai-http', model: 'claude-opus-4-6', systemPrompt: 'sys', workingDir: tmpDir,
+    })
+
+    expect(result).toMatchObject({ result: 'local answer', is_error: false })
+    const [url, init] = global.fetch.mock.calls[0]
+    expect(url).toBe('http://localhost:9999/v1/chat/completions')
+    const body = JSON.parse(init.body)
+    expect(body.model).toBe('qwen')
+    expect(body.messages).toEqual([
+      { role: 'system', content: 'sys' },
+      { role: 'user', content: 'prompt' },
+    ])
+  })
+
+  test('openai-http HTTP 429 rejects as RATE_LIMITED', async () => {
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: false, status: 429, text: async () => 'slow down', headers: { get: () => '7' },
+    })
+
+    await expect(
+      cliService.invokeCli('prompt', { backend: 'openai-http', workingDir: tmpDir })
+    ).rejects.toMatchObject({ code: 'RATE_LIMITED' })
+  })
+
+  test('unknown backend rejects with BACKEND_NOT_FOUND', async () => {
+    await expect(
+      cliService.invokeCli('prompt', { backend: 'nope', workingDir: tmpDir })
+    ).rejects.toMatchObject({ code: 'BACKEND_NOT_FOUND' })
+  })
+
+  test('listBackends includes the built-in adapters', () => {
+    const names = cliService.listBackends().map(b => b.name)
+    expect(names).toEqual(expect.arrayContaining(['claude-cli', 'openai-http', 'mock']))
+  })
+})
+
+describe('streaming: onStream switches to stream-json and forwards text as it arrives', () => {
+  const lines = [
+    { type: 'system', subtype: 'init', session_id: 'sess_stream' },
+    { type: 'stream_event', event: { type: 'content_block_delta', delta: { type: 'text_delta', text: 'Hel' } } },
+    { type: 'stream_event', event: { type: 'content_block_delta', delta: { type: 'text_delta', text: 'lo' } } },
+    { type: 'assistant', message: { content: [{ type: 'text', text: 'Hello' }] } },
+    { type: 'result', subtype: 'success', is_error: false, result: 'Hello', duration_ms: 42, session_id: 'sess_stream' },
+  ].map(l => JSON.stringify(l) + '\n').join('')
+
+  test('passes stream-json flags and resolves with the final result event', async () => {
+    const proc = makeMockProc({ stdoutData: lines })
+    childProcess.spawn.mockReturnValueOnce(proc)
+    const chunks = []
+
+    const result = await cliService.invokeCli('prompt', {
+      backend: 'claude-cli', workingDir: tmpDir, onStream: e => chunks.push(e),
+    })
+
+    const args = childProcess.spawn.mock.calls[0][1]
+    expect(args[args.indexOf('--output-format') + 1]).toBe('stream-json')
+    expect(args).toEqual(expect.arrayContaining(['--verbose', '--include-partial-messages']))
+    expect(result).toMatchObject({ result: 'Hello', duration_ms: 42, session_id: 'sess_stream' })
+    // Deltas seen → the full assistant message is not re-emitted
+    expect(chunks).toEqual([{ type: 'text', text: 'Hel' }, { type: 'text', text: 'lo' }])
+  })
+
+  test('multi-byte characters split across stdout chunks arrive intact', async () => {
+    const proc = makeMockProc({ neverClose: true })
+    childProcess.spawn.mockReturnValueOnce(proc)
+    const chunks = []
+    const pending = cliService.invokeCli('prompt', {
+      backend: 'claude-cli', workingDir: tmpDir, onStream: e => chunks.push(e),
+    })
+    await new Promise(resolve => setImmediate(resolve))
+
+    const bytes = Buffer.from([
+      { type: 'stream_event', event: { type: 'content_block_delta', delta: { type: 'text_delta', text: '你好' } } },
+      { type: 'result', subtype: 'success', is_error: false, result: '你好', duration_ms: 1 },
+    ].map(l => JSON.stringify(l) + '\n').join(''))
+    const cut = bytes.indexOf(Buffer.from('你')) + 1   // inside the 3-byte sequence
+    proc.stdout.write(bytes.subarray(0, cut))
+    proc.stdout.write(bytes.subarray(cut))
+    await new Promise(resolve => setImmediate(resolve))
+    proc.emit('close', 0)
+
+    await expect(pending).resolves.toMatchObject({ result: '你好' })
+    expect(chunks).toEqual([{ type: 'text', text: '你好' }])
+  })
+
+  test('parser buffers lines split across stdout chunks', () => {
+    const texts = []
+    const parser = cliService.createStreamJsonParser(t => texts.push(t))
+    const mid = Math.floor(lines.length / 2)
+    parser.push(lines.slice(0, mid))
+    parser.push(lines.slice(mid))
+    const resultEvt = parser.finish()
+
+    expect(texts.join('')).toBe('Hello')
+    expect(resultEvt.result).toBe('Hello')
+  })
+
+  test('falls back to whole assistant messages when no partial deltas are emitted', () => {
+    const texts = []
+    const parser = cliService.createStreamJsonParser(t => texts.push(t))
+    parser.push(JSON.stringify({ type: 'assistant', message: { content: [{ type: 'text', text: 'Full' }] } }) + '\n')
+    expect(parser.finish()).toBeNull()
+    expect(texts).toEqual(['Full'])
+  })
+
+  test('rejects with CLI_OUTPUT_PARSE_ERROR when the stream has no result event', async () => {
+    const proc = makeMockProc({ stdoutData: lines.split('\n').slice(0, 3).join('\n') + '\n' })
+    childProcess.spawn.mockReturnValueOnce(proc)
+
+    await expect(
+      cliService.invokeCli('prompt', { backend: 'claude-cli', workingDir: tmpDir, onStream: () => {} })
+    ).rejects.toMatchObject({ code: 'CLI_OUTPUT_PARSE_ERROR' })
+  })
+
+  test('non-streaming backends deliver the full result as a single event', async () => {
+    const chunks = []
+    const fs = require('fs')
+    const configPath = workspaceService.paths.cliConfig()
+    const original = fs.readFileSync(configPath, 'utf-8')
+    fs.writeFileSync(configPath, JSON.stringify({ ...JSON.parse(original), backends: { mock: { default_result: 'whole' } } }), 'utf-8')
+    try {
+      await cliService.invokeCli('prompt', { backend: 'mock', workingDir: tmpDir, onStream: e => chunks.push(e) })
+    } finally {
+      fs.writeFileSync(configPath, original, 'utf-8')
+    }
+    expect(chunks).toEqual([{ type: 'text', text: 'whole' }])
+  })
+})
+
+describe('scheduler: invokeCli runs through the global job queue', () => {
+  test('calls beyond scheduler.max_concurrency wait for a free slot', async () => {
+    const fs = require('fs')
+    const configPath = workspaceService.paths.cliConfig()
+    const original = fs.readFileSync(configPath, 'utf-8')
+    fs.writeFileSync(configPath, JSON.stringify({ ...JSON.parse(original), scheduler: { max_concurrency: 1 } }), 'utf-8')
+
+    const resp = JSON.stringify({ type: 'result', is_error: false, result: 'ok', duration_ms: 1 })
+    // Mock procs start their timers on creation: the second must close after the first
+    childProcess.spawn
+      .mockReturnValueOnce(makeMockProc({ stdoutData: resp, delay: 30 }))
+      .mockReturnValueOnce(makeMockProc({ stdoutData: resp, delay: 80 }))
+
+    try {
+      const first  = cliService.invokeCli('one', { workingDir: tmpDir, jobLabel: 'first', projectId: 'p1' })
+      const second = cliService.invokeCli('two', { workingDir: tmpDir, jobLabel: 'second', priority: 'interactive' })
+      await new Promise(resolve => setImmediate(resolve))
+
+      const snap = cliService.getQueueSnapshot()
+      expect(snap.running.map(j => j.label)).toEqual(['first'])
+      expect(snap.queued.map(j => j.label)).toEqual(['second'])
+      expect(childProcess.spawn).toHaveBeenCalledTimes(1)
+
+      await Promise.all([first, second])
+      expect(childProcess.spawn).toHaveBeenCalledTimes(2)
+    } finally {
+      fs.writeFileSync(configPath, original, 'utf-8')
+    }
+  })
+})
+
+describe('response cache: content-addressed invokeCli results', () => {
+  const fs = require('fs')
+  let configPath, original
+
+  beforeAll(() => {
+    configPath = workspaceService.paths.cliConfig()
+    original = fs.readFileSync(configPath, 'utf-8')
+  })
+
+  afterEach(() => {
+    fs.writeFileSync(configPath, original, 'utf-8')
+    cliService.clearCache()
+  })
+
+  function writeConfig(patch) {
+    fs.writeFileSync(configPath, JSON.stringify({ ...JSON.parse(original), ...patch }), 'utf-8')
+  }
+
+  function mockResponse(result) {
+    childProcess.spawn.mockReturnValueOnce(makeMockProc({
+      stdoutData: JSON.stringify({ type: 'result', is_error: false, result, duration_ms: 10 }),
+    }))
+  }
+
+  test('read-write: identical call is served from cache without spawning', async () => {
+    writeConfig({ cache: { policy: 'read-write' } })
+    mockResponse('first answer')
+
+    const first  = await cliService.invokeCli('prompt', { model: 'm1', systemPrompt: 'sys', workingDir: tmpDir })
+    const second = await cliService.invokeCli('prompt', { model: 'm1', systemPrompt: 'sys', workingDir: path.join(tmpDir, 'other') })
+
+    expect(first.from_cache).toBeUndefined()
+    expect(second).toMatchObject({ result: 'first answer', from_cache: true })
+    expect(childProcess.spawn).toHaveBeenCalledTimes(1)
+  })
+
+  test('key covers model and system prompt', async () => {
+    writeConfig({ cache: { policy: 'read-write' } })
+    mockResponse('a'); mockResponse('b'); mockResponse('c')
+
+    await cliService.invokeCli('prompt', { model: 'm1', systemPrompt: 'sys', workingDir: tmpDir })
+    await cliService.invokeCli('prompt', { model: 'm2', systemPrompt: 'sys', workingDir: tmpDir })
+    await cliService.invokeCli('prompt', { model: 'm1', systemPrompt: 'other', workingDir: tmpDir })
+
+    expect(childProcess.spawn).toHaveBeenCalledTimes(3)
+    expect(cliService.inspectCache().entryCount).toBe(3)
+  })
+
+  test('key covers the context digest of natively installed skills', async () => {
+    writeConfig({ cache: { policy: 'read-write' } })
+    mockResponse('a'); mockResponse('b')
+
+    await cliService.invokeCli('prompt', { model: 'm1', contextDigest: 'skill-one', workingDir: tmpDir })
+    await cliService.invokeCli('prompt', { model: 'm1', contextDigest: 'skill-two', workingDir: tmpDir })
+    const hit = await cliService.invokeCli('prompt', { model: 'm1', contextDigest: 'skill-one', workingDir: tmpDir })
+
+    expect(childProcess.spawn).toHaveBeenCalledTimes(2)
+    expect(hit).toMatchObject({ result: 'a', from_cache: true })
+  })
+
+  test('key covers the backend settings but not the API key', async () => {
+    const mockBackend = settings => writeConfig({ cache: { policy: 'read-write' }, backend: 'mock', backends: { mock: settings } })
+
+    mockBackend({ default_result: 'old endpoint' })
+    expect((await cliService.invokeCli('prompt', { model: 'm1' })).result).toBe('old endpoint')
+
+    mockBackend({ default_result: 'new endpoint' })
+    const changed = await cliService.invokeCli('prompt', { model: 'm1' })
+    expect(changed.result).toBe('new endpoint')
+    expect(changed.from_cache).toBeUndefined()
+
+    mockBackend({ default_result: 'new endpoint', api_key: 'rotated' })
+    expect(await cliService.invokeCli('prompt', { model: 'm1' })).toMatchObject({ result: 'new endpoint', from_cache: true })
+    expect(cliService.inspectCache().entryCount).toBe(2)
+  })
+
+  test('repeated samples get their own entries; sample 0 keeps the plain key', async () => {
+    writeConfig({ cache: { policy: 'read-write' } })
+    mockResponse('a'); mockResponse('b')
+
+    await cliService.invokeCli('prompt', { model: 'm1', sampleIndex: 0, workingDir: tmpDir })
+    const second = await cliService.invokeCli('prompt', { model: 'm1', sampleIndex: 1, workingDir: tmpDir })
+    const plain  = await cliService.invokeCli('prompt', { model: 'm1', workingDir: tmpDir })
+
+    expect(second.result).toBe('b')
+    expect(plain).toMatchObject({ result: 'a', from_cache: true })
+    expect(childProcess.spawn).toHaveBeenCalledTimes(2)
+  })
+
+  test('judge-panel members get their own entries', async () => {
+    writeConfig({ cache: { policy: 'read-write' } })
+    mockResponse('first'); mockResponse('second')
+
+    await cliService.invokeCli('judge', { model: 'm1', workingDir: tmpDir })
+    const again = await cliService.invokeCli('judge', { model: 'm1', judgeIndex: 2, workingDir: tmpDir })
+
+    expect(again.result).toBe('second')
+    expect(childProcess.spawn).toHaveBeenCalledTimes(2)
+  })
+
+  test('read-only serves hits but never writes new entries', async () => {
+    writeConfig({ cache: { policy: 'read-write' } })
+    mockResponse('stored')
+    await cliService.invokeCli('known', { model: 'm1', workingDir: tmpDir })
+
+    mockResponse('fresh')
+    const hit  = await cliService.invokeCli('known',   { model: 'm1', workingDir: tmpDir, cachePolicy: 'read-only' })
+    const miss = await cliService.invokeCli('unknown', { model: 'm1', workingDir: tmpDir, cachePolicy: 'read-only' })
+
+    expect(hit.from_cache).toBe(true)
+    expect(miss.result).toBe('fresh')
+    expect(cliService.inspectCache().entryCount).toBe(1)
+  })
+
+  test('policy off (default) bypasses the cache', async () => {
+    mockResponse('x'); mockResponse('y')
+    await cliService.invokeCli('same', { model: 'm1', workingDir: tmpDir })
+    const second = await cliService.invokeCli('same', { model: 'm1', workingDir: tmpDir })
+
+    expect(second.result).toBe('y')
+    expect(cliService.inspectCache().entryCount).toBe(0)
+  })
+
+  test('error results are not cached', async () => {
+    writeConfig({ cache: { policy: 'read-write' }, backends: { mock: { rules: [{ match: '.', result: 'bad', is_error: true }] } } })
+    await expect(cliService.invokeCli('p', { backend: 'mock', workingDir: tmpDir })).rejects.toMatchObject({ code: 'CLI_MODEL_ERROR' })
+    expect(cliService.inspectCache().entryCount).toBe(0)
+  })
+
+  test('expired entries are misses and are deleted', async () => {
+    writeConfig({ cache: { policy: 'read-write', ttl_days: 1 } })
+    mockResponse('old')
+    await cliService.invokeCli('p', { model: 'm1', workingDir: tmpDir })
+
+    // Age the entry past its TTL
+    const { recent } = cliService.inspectCache()
+    const entryPath = path.join(workspaceService.paths.cliCache(), `${recent[0].key}.json`)
+    const entry = JSON.parse(fs.readFileSync(entryPath, 'utf-8'))
+    entry.created_at = new Date(Date.now() - 2 * 24 * 3600 * 1000).toISOString()
+    fs.writeFileSync(entryPath, JSON.stringify(entry), 'utf-8')
+
+    mockResponse('new')
+    const result = await cliService.invokeCli('p', { model: 'm1', workingDir: tmpDir })
+    expect(result).toMatchObject({ result: 'new' })
+    expect(result.from_cache).toBeUndefined()
+  })
+
+  test('size limit evicts least-recently-used entries', async () => {
+    // ~2 KB limit: each entry carries a 1200-char result, so only one fits
+    writeConfig({ cache: { policy: 'read-write', max_size_mb: 0.002 } })
+    mockResponse('a'.repeat(1200))
+    await cliService.invokeCli('first', { model: 'm1', workingDir: tmpDir })
+    // Make the first entry clearly older than the next write (mtime resolution)
+    const firstKey = cliService.inspectCache().recent[0].key
+    const past = new Date(Date.now() - 60000)
+    fs.utimesSync(path.join(workspaceService.paths.cliCache(), `${firstKey}.json`), past, past)
+    mockResponse('b'.repeat(1200))
+    await cliService.invokeCli('second', { model: 'm1', workingDir: tmpDir })
+
+    const { entryCount, recent } = cliService.inspectCache()
+    expect(entryCount).toBe(1)
+    expect(recent[0].promptHead).toBe('second')
+  })
+
+  test('clearCache removes all entries', async () => {
+    writeConfig({ cache: { policy: 'read-write' } })
+    mockResponse('x')
+    await cliService.invokeCli('p', { model: 'm1', workingDir: tmpDir })
+
+    expect(cliService.clearCache()).toEqual({ removed: 1 })
+    expect(cliService.inspectCache().entryCount).toBe(0)
+  })
+})
+
+describe('usage: invokeCli normalizes token usage and cost', () => {
+  test('maps CLI usage and total_cost_usd onto the normalized shape', async () => {
+    childProcess.spawn.mockReturnValueOnce(makeMockProc({
+      stdoutData: JSON.stringify({
+        type: 'result', is_error: false, result: 'ok', duration_ms: 5, total_cost_usd: 0.0123,
+        usage: { input_tokens: 100, output_tokens: 20, cache_creation_input_tokens: 3, cache_read_input_tokens: 40 },
+      }),
+    }))
+
+    const result = await cliService.invokeCli('p', { workingDir: tmpDir })
+
+    expect(result.usage).toEqual({
+      calls: 1, input_tokens: 100, output_tokens: 20,
+      cache_creation_input_tokens: 3, cache_read_input_tokens: 40, cost_usd: 0.0123,
+    })
+  })
+
+  test('cache hits report zero usage', async () => {
+    const fs = require('fs')
+    const configPath = workspaceService.paths.cliConfig()
+    const original = fs.readFileSync(configPath, 'utf-8')
+    fs.writeFileSync(configPath, JSON.stringify({ ...JSON.parse(original), cache: { policy: 'read-write' } }), 'utf-8')
+    childProcess.spawn.mockReturnValueOnce(makeMockProc({
+      stdoutData: JSON.stringify({ type: 'result', is_error: false, result: 'ok', cost_usd: 0.5, usage: { input_tokens: 9 } }),
+    }))
+    try {
+      await cliService.invokeCli('usage-cache', { workingDir: tmpDir })
+      const hit = await cliService.invokeCli('usage-cache', { workingDir: tmpDir })
+      expect(hit.from_cache).toBe(true)
+      expect(hit.usage).toMatchObject({ calls: 0, input_tokens: 0, cost_usd: 0 })
+    } finally {
+      fs.writeFileSync(configPath, original, 'utf-8')
+      cliService.clearCache()
+    }
+  })
+})
+
+describe('retry: invokeCli with options.retry re-runs failed attempts', () => {
+  const fs = require('fs')
+  let configPath, original
+
+  beforeAll(() => {
+    configPath = workspaceService.paths.cliConfig()
+    original = fs.readFileSync(configPath, 'utf-8')
+    fs.writeFileSync(configPath, JSON.stringify({
+      ...JSON.parse(original),
+      retry: { base_delay_ms: 0, jitter: 0, rate_limit_delay_ms: 0 },
+    }), 'utf-8')
+  })
+
+  afterAll(() => {
+    fs.writeFileSync(configPath, original, 'utf-8')
+    cliService.resetCircuit()
+  })
+
+  const ok = () => makeMockProc({ stdoutData: JSON.stringify({ type: 'result', is_error: false, result: 'recovered', duration_ms: 5 }) })
+
+  test('re-spawns after a failed exit and resolves with the retry result', async () => {
+    childProcess.spawn
+      .mockReturnValueOnce(makeMockProc({ exitCode: 1, stderrData: 'Error: rate limit exceeded (429)' }))
+      .mockReturnValueOnce(ok())
+
+    const result = await cliService.invokeCli('p', { workingDir: tmpDir, retry: { maxRetries: 1 } })
+
+    expect(result.result).toBe('recovered')
+    expect(childProcess.spawn).toHaveBeenCalledTimes(2)
+  })
+
+  test('every attempt counts as a call, also when the call finally fails', async () => {
+    const limited = () => makeMockProc({ exitCode: 1, stderrData: 'Error: rate limit exceeded (429)' })
+    childProcess.spawn.mockReturnValueOnce(limited()).mockReturnValueOnce(ok())
+    const result = await cliService.invokeCli('p', { workingDir: tmpDir, retry: { maxRetries: 1 } })
+    expect(result.usage.calls).toBe(2)
+
+    childProcess.spawn.mockReturnValueOnce(limited()).mockReturnValueOnce(limited())
+    await expect(cliService.invokeCli('p', { workingDir: tmpDir, retry: { maxRetries: 1 } }))
+      .rejects.toMatchObject({ code: 'RATE_LIMITED', usage: { calls: 2, input_tokens: 0 } })
+    cliService.resetCircuit()
+  })
+
+  test('is_error results are retried as CLI_MODEL_ERROR', async () => {
+    childProcess.spawn
+      .mockReturnValueOnce(makeMockProc({ stdoutData: JSON.stringify({ type: 'result', is_error: true, result: 'overloaded' }) }))
+      .mockReturnValueOnce(ok())
+
+    const result = await cliService.invokeWithRetry('p', { workingDir: tmpDir }, 1)
+    expect(result.result).toBe('recovered')
+  })
+
+  test('without options.retry a failure is returned immediately', async () => {
+    childProcess.spawn.mockReturnValueOnce(makeMockProc({ exitCode: 1, stderrData: 'boom' }))
+    await expect(cliService.invokeCli('p', { workingDir: tmpDir })).rejects.toMatchObject({ code: 'CLI_EXECUTION_ERROR' })
+    expect(childProcess.spawn).toHaveBeenCalledTimes(1)
+  })
+})
+
+describe('cancellation: cancel() kills in-flight calls and drops queued ones', () => {
+  const fs = require('fs')
+  const tick = () => new Promise(resolve => setImmediate(resolve))
+
+  test('running call: the process is killed and the caller rejects with CLI_CANCELLED', async () => {
+    const proc = makeMockProc({ neverClose: true })
+    childProcess.spawn.mockReturnValueOnce(proc)
+
+    const pending = cliService.invokeCli('long task', { workingDir: tmpDir, projectId: 'p-cancel' })
+    await tick()
+
+    expect(cliService.cancel({ projectId: 'someone-else' })).toEqual({ cancelled: 0 })
+    expect(cliService.cancel({ projectId: 'p-cancel' })).toEqual({ cancelled: 1 })
+    await expect(pending).rejects.toMatchObject({ code: 'CLI_CANCELLED' })
+    expect(proc.kill).toHaveBeenCalled()
+  })
+
+  test('Windows: a taskkill that fails to start is logged and the direct child is killed', async () => {
+    const logService = require('../../main/services/log-service')
+    const warn = jest.spyOn(logService, 'warn')
+    const platform = Object.getOwnPropertyDescriptor(process, 'platform')
+    const proc = makeMockProc({ neverClose: true })
+    proc.pid = 4242
+    const taskkill = new EventEmitter()
+    childProcess.spawn.mockReturnValueOnce(proc).mockReturnValueOnce(taskkill)
+
+    try {
+      const pending = cliService.invokeCli('long task', { workingDir: tmpDir, projectId: 'p-taskkill' })
+      await tick()
+      Object.defineProperty(process, 'platform', { value: 'win32' })
+      cliService.cancel({ projectId: 'p-taskkill' })
+      Object.defineProperty(process, 'platform', platform)
+      await expect(pending).rejects.toMatchObject({ code: 'CLI_CANCELLED' })
+
+      expect(childProcess.spawn.mock.calls[1][0]).toBe('taskkill')
+      expect(proc.kill).not.toHaveBeenCalled()
+      taskkill.emit('error', Object.assign(new Error('spawn taskkill ENOENT'), { code: 'ENOENT' }))
+      expect(warn).toHaveBeenCalledWith('cli-service', 'taskkill failed', expect.objectContaining({ pid: 4242 }))
+      expect(proc.kill).toHaveBeenCalled()
+    } finally {
+      Object.defineProperty(process, 'platform', platform)
+      warn.mockRestore()
+    }
+  })
+
+  test('queued call is removed by jobId without spawning; cancelAll clears the rest', async () => {
+    const configPath = workspaceService.paths.cliConfig()
+    const original = fs.readFileSync(configPath, 'utf-8')
+    fs.writeFileSync(configPath, JSON.stringify({ ...JSON.parse(original), scheduler: { max_concurrency: 1 } }), 'utf-8')
+    childProcess.spawn.mockReturnValueOnce(makeMockProc({ neverClose: true }))
+
+    try {
+      const first  = cliService.invokeCli('one', { workingDir: tmpDir, jobId: 'job-1' })
+      const second = cliService.invokeCli('two', { workingDir: tmpDir, jobId: 'job-2' })
+      await tick()
+
+      expect(cliService.cancel({ jobId: 'job-2' })).toEqual({ cancelled: 1 })
+      await expect(second).rejects.toMatchObject({ code: 'CLI_CANCELLED' })
+      expect(cliService.getQueueSnapshot().queued).toHaveLength(0)
+
+      expect(cliService.cancelAll()).toEqual({ cancelled: 1 })
+      await expect(first).rejects.toMatchObject({ code: 'CLI_CANCELLED' })
+      expect(childProcess.spawn).toHaveBeenCalledTimes(1)
+    } finally {
+      fs.writeFileSync(configPath, original, 'utf-8')
+    }
+  })
+
+  test('cancel without projectId or jobId is rejected', () => {
+    expect(() => cliService.cancel({})).toThrow(expect.objectContaining({ code: 'INVALID_PARAMS' }))
+  })
+})
+
+// ─── Record / replay cassettes ────────────────────────────────────────────
+
+describe('profiles: invocation profiles shape the CLI arguments', () => {
+  const fs = require('fs')
+  let configPath, original
+
+  beforeAll(() => {
+    configPath = workspaceService.paths.cliConfig()
+    original = fs.readFileSync(configPath, 'utf-8')
+    fs.writeFileSync(configPath, JSON.stringify({
+      ...JSON.parse(original),
+      profiles: {
+        'no-tools': { permission_mode: 'default', disallowed_tools: ['Bash', 'Edit', 'Write'], max_turns: 1 },
+        agent:      { allowed_tools: ['Read', 'Bash(git:*)'], mcp_config: 'mcp/agent.json', strict_mcp_config: true, max_turns: 20 },
+      },
+    }), 'utf-8')
+  })
+
+  afterAll(() => {
+    fs.writeFileSync(configPath, original, 'utf-8')
+  })
+
+  const ok = () => makeMockProc({ stdoutData: JSON.stringify({ type: 'result', is_error: false, result: 'ok', duration_ms: 5 }) })
+  const spawnedArgs = () => childProcess.spawn.mock.calls[0][1]
+
+  test('without a profile permissions are skipped and project extra flags are appended', async () => {
+    childProcess.spawn.mockReturnValueOnce(ok())
+    await cliService.invokeCli('p', { workingDir: tmpDir, extraFlags: ['--add-dir', '/data'] })
+
+    const args = spawnedArgs()
+    expect(args).toContain('--dangerously-skip-permissions')
+    expect(args.slice(-2)).toEqual(['--add-dir', '/data'])
+  })
+
+  test('a restrictive profile sets the permission mode instead of skipping permissions', async () => {
+    childProcess.spawn.mockReturnValueOnce(ok())
+    await cliService.invokeCli('p', { workingDir: tmpDir, profile: 'no-tools' })
+
+    const args = spawnedArgs()
+    expect(args).not.toContain('--dangerously-skip-permissions')
+    expect(args.join(' ')).toContain('--permission-mode default --disallowedTools Bash,Edit,Write --max-turns 1')
+  })
+
+  test('tool allowlist, MCP config (resolved against workspace/cli) and max turns are passed', async () => {
+    childProcess.spawn.mockReturnValueOnce(ok())
+    await cliService.invokeCli('p', { workingDir: tmpDir, profile: 'agent' })
+
+    const args = spawnedArgs()
+    expect(args).toContain('--dangerously-skip-permissions')
+    expect(args[args.indexOf('--allowedTools') + 1]).toBe('Read,Bash(git:*)')
+    expect(args[args.indexOf('--mcp-config') + 1]).toBe(path.join(path.dirname(configPath), 'mcp', 'agent.json'))
+    expect(args).toContain('--strict-mcp-config')
+    expect(args[args.indexOf('--max-turns') + 1]).toBe('20')
+  })
+
+  test('resumed sessions use the same profile arguments', async () => {
+    childProcess.spawn.mockReturnValueOnce(ok())
+    await cliService.invokeCliResume('more', 'sess-p', { workingDir: tmpDir, profile: 'no-tools' })
+
+    const args = spawnedArgs()
+    expect(args.slice(0, 2)).toEqual(['--resume', 'sess-p'])
+    expect(args).not.toContain('--dangerously-skip-permissions')
+    expect(args).toContain('--disallowedTools')
+  })
+
+  test('an unknown profile rejects with PROFILE_NOT_FOUND before spawning', async () => {
+    await expect(cliService.invokeCli('p', { workingDir: tmpDir, profile: 'nope' }))
+      .rejects.toMatchObject({ code: 'PROFILE_NOT_FOUND' })
+    expect(childProcess.spawn).not.toHaveBeenCalled()
+  })
+
+  test('listProfiles returns the configured profiles', () => {
+    const { profiles, defaultProfile } = cliService.listProfiles()
+    expect(profiles.map(p => p.name)).toEqual(['no-tools', 'agent'])
+    expect(defaultProfile).toBeNull()
+  })
+})
+
+describe('cassettes: --cli-mode=record writes calls, replay serves them offline', () => {
+  const fs = require('fs')
+  let cliCassette
+
+  beforeAll(() => {
+    cliCassette = require('../../main/services/cli-cassette')
+  })
+
+  afterEach(() => {
+    cliCassette.configure({ mode: 'off', cassette: 'default' })
+  })
+
+  function mockResponse(result, extra = {}) {
+    childProcess.spawn.mockReturnValueOnce(makeMockProc({
+      stdoutData: JSON.stringify({ type: 'result', is_error: false, result, duration_ms: 10, ...extra }),
+    }))
+  }
+
+  test('record stores prompt, args, model, working dir and response; replay returns it without spawning', async () => {
+    cliCassette.configure({ mode: 'record', cassette: 'flow-a' })
+    mockResponse('recorded answer', { usage: { input_tokens: 12, output_tokens: 3 } })
+    const recorded = await cliService.invokeCli('rec prompt', { model: 'm1', systemPrompt: 'sys', workingDir: tmpDir })
+    expect(recorded.result).toBe('recorded answer')
+
+    const cassette = JSON.parse(fs.readFileSync(cliCassette.cassettePath(), 'utf-8'))
+    expect(cliCassette.cassettePath()).toBe(path.join(tmpDir, 'cli', 'cassettes', 'flow-a.json'))
+    expect(cassette.entries).toHaveLength(1)
+    expect(cassette.entries[0]).toMatchObject({
+      kind: 'invoke', backend: 'claude-cli', model: 'm1', working_dir: tmpDir, prompt: 'rec prompt',
+      args: { systemPrompt: 'sys' }, response: { result: 'recorded answer' }, error: null,
+    })
+
+    childProcess.spawn.mockReset()
+    cliCassette.configure({ mode: 'replay', cassette: 'flow-a' })
+    const replayed = await cliService.invokeCli('rec prompt', { model: 'm1', systemPrompt: 'sys', workingDir: path.join(tmpDir, 'elsewhere') })
+
+    expect(replayed.result).toBe('recorded answer')
+    expect(replayed.usage).toMatchObject({ calls: 1, input_tokens: 12, output_tokens: 3 })
+    expect(childProcess.spawn).not.toHaveBeenCalled()
+  })
+
+  test('replay fails loudly with CASSETTE_MISS for an unrecorded call', async () => {
+    cliCassette.configure({ mode: 'replay', cassette: 'flow-a' })
+    await expect(
+      cliService.invokeCli('never recorded', { model: 'm1', workingDir: tmpDir })
+    ).rejects.toMatchObject({ code: 'CASSETTE_MISS', message: expect.stringContaining('flow-a') })
+    expect(childProcess.spawn).not.toHaveBeenCalled()
+  })
+
+  test('identical calls replay in recorded order; recorded errors are rethrown', async () => {
+    cliCassette.configure({ mode: 'record', cassette: 'flow-b' })
+    mockResponse('first')
+    mockResponse('second')
+    await cliService.invokeCli('same', { workingDir: tmpDir })
+    await cliService.invokeCli('same', { workingDir: tmpDir })
+    childProcess.spawn.mockReturnValueOnce(makeMockProc({ stderrData: 'boom', exitCode: 1 }))
+    await expect(cliService.invokeCli('fails', { workingDir: tmpDir })).rejects.toBeDefined()
+
+    cliCassette.configure({ mode: 'replay', cassette: 'flow-b' })
+    expect((await cliService.invokeCli('same', { workingDir: tmpDir })).result).toBe('first')
+    expect((await cliService.invokeCli('same', { workingDir: tmpDir })).result).toBe('second')
+    await expect(cliService.invokeCli('fails', { workingDir: tmpDir })).rejects.toMatchObject({ code: 'CLI_EXECUTION_ERROR' })
+    // A third identical call was never recorded: the flow diverged
+    await expect(cliService.invokeCli('same', { workingDir: tmpDir }))
+      .rejects.toMatchObject({ code: 'CASSETTE_MISS', message: expect.stringContaining('recorded only 2 time(s)') })
+  })
+
+  test('replay misses once the backend settings changed', async () => {
+    const configPath = workspaceService.paths.cliConfig()
+    const original = fs.readFileSync(configPath, 'utf-8')
+    const mockBackend = settings => fs.writeFileSync(configPath, JSON.stringify({
+      ...JSON.parse(original), backend: 'mock', backends: { mock: settings },
+    }), 'utf-8')
+    try {
+      mockBackend({ default_result: 'answer', temperature: 0 })
+      cliCassette.configure({ mode: 'record', cassette: 'flow-e' })
+      await cliService.invokeCli('question', { workingDir: tmpDir })
+
+      cliCassette.configure({ mode: 'replay', cassette: 'flow-e' })
+      mockBackend({ default_result: 'answer', temperature: 0, api_key: 'other' })
+      expect((await cliService.invokeCli('question', { workingDir: tmpDir })).result).toBe('answer')
+      mockBackend({ default_result: 'answer', temperature: 1 })
+      await expect(cliService.invokeCli('question', { workingDir: tmpDir })).rejects.toMatchObject({ code: 'CASSETTE_MISS' })
+    } finally {
+      fs.writeFileSync(configPath, original, 'utf-8')
+    }
+  })
+
+  test('resume calls are recorded per session id; replay reports the recorded CLI version', async () => {
+    cliCassette.configure({ mode: 'record', cassette: 'flow-c' })
+    childProcess.spawn.mockReturnValueOnce(makeMockProc({ stdoutData: 'Claude CLI 2.3.4\n' }))
+    expect(await cliService.getCliVersion()).toBe('2.3.4')
+    mockResponse('summary', { session_id: 'sess-1' })
+    await cliService.invokeCliResume('compress', 'sess-1', { workingDir: tmpDir })
+
+    childProcess.spawn.mockReset()
+    cliCassette.configure({ mode: 'replay', cassette: 'flow-c' })
+    expect((await cliService.invokeCliResume('compress', 'sess-1', { workingDir: tmpDir })).result).toBe('summary')
+    await expect(cliService.invokeCliResume('compress', 'sess-2', { workingDir: tmpDir }))
+      .rejects.toMatchObject({ code: 'CASSETTE_MISS' })
+    const status = await cliService.checkAvailable()
+    expect(status).toMatchObject({ available: true, cliVersion: '2.3.4', cliMode: 'replay' })
+    expect(childProcess.spawn).not.toHaveBeenCalled()
+  })
+
+  test('the response cache is bypassed while recording', async () => {
+    const configPath = workspaceService.paths.cliConfig()
+    const original = fs.readFileSync(configPath, 'utf-8')
+    fs.writeFileSync(configPath, JSON.stringify({ ...JSON.parse(original), cache: { policy: 'read-write' } }), 'utf-8')
+    try {
+      cliCassette.configure({ mode: 'record', cassette: 'flow-d' })
+      mockResponse('a')
+      mockResponse('b')
+      await cliService.invokeCli('cached?', { workingDir: tmpDir })
+      const second = await cliService.invokeCli('cached?', { workingDir: tmpDir })
+      expect(second.from_cache).toBeUndefined()
+      expect(childProcess.spawn).toHaveBeenCalledTimes(2)
+      expect(cliService.inspectCache().entryCount).toBe(0)
+    } finally {
+      fs.writeFileSync(configPath, original, 'utf-8')
+    }
+  })
+
+  test('configure rejects unknown modes', () => {
+    expect(() => cliCassette.configure({ mode: 'bogus' })).toThrow(expect.objectContaining({ code: 'INVALID_PARAMS' }))
+  })
+})
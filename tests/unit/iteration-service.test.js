@@ -471,3 +471,115 @@ describe('exploration_log.json written after iteration', () => {
     expect(log.project_id).toBe(projectId)
   })
 })
+
+// ─── Usage accounting per round ───────────────────────────────────────────
+
+describe('usage: iteration rounds record token usage and cost', () => {
+  test('each round gets the usage accrued during it; run totals go to usage.json', async () => {
+    const usageService = require('../../main/services/usage-service')
+    const { projectId, projectPath } = makeIterationProject('usage-1')
+    mockDependencies()
+    // Every test run costs one call of $0.25
+    testService.startTest.mockImplementation(async (pid, { onProgress } = {}) => {
+      usageService.recordUsage(projectPath, 'test_execution', {
+        calls: 1, input_tokens: 100, output_tokens: 10, cache_creation_input_tokens: 0, cache_read_input_tokens: 0, cost_usd: 0.25,
+      })
+      setImmediate(() => onProgress && onProgress({ projectStatus: 'completed' }))
+    })
+
+    const { report } = await runIteration(projectId, { maxRounds: 2 })
+
+    // Round 1 = its own test + the beam candidate test; round 2 = its own test
+    expect(report.rounds[0].usage).toMatchObject({ calls: 2, cost_usd: 0.5 })
+    expect(report.rounds[1].usage).toMatchObject({ calls: 1, cost_usd: 0.25 })
+    expect(report.total_usage).toMatchObject({ calls: 3, input_tokens: 300, cost_usd: 0.75 })
+
+    const usage = usageService.readUsage(projectPath)
+    expect(usage.iterations).toHaveLength(1)
+    expect(usage.iterations[0].rounds.map(r => r.round)).toEqual([1, 2])
+    expect(usage.iterations[0].totals.cost_usd).toBe(0.75)
+  })
+})
+
+describe('budget: iteration stops with budget_exceeded', () => {
+  test('cost limit reached after round 1 stops before the next round and fires onBudgetExceeded', async () => {
+    const usageService = require('../../main/services/usage-service')
+    const { projectId, projectPath } = makeIterationProject('budget-1')
+    const cfgPath = path.join(projectPath, 'config.json')
+    fileService.writeJson(cfgPath, { ...fileService.readJson(cfgPath), budget: { max_cost_usd: 0.5 } })
+    mockDependencies()
+    testService.startTest.mockImplementation(async (pid, { onProgress } = {}) => {
+      usageService.recordUsage(projectPath, 'test_execution', {
+        calls: 1, input_tokens: 10, output_tokens: 1, cache_creation_input_tokens: 0, cache_read_input_tokens: 0, cost_usd: 0.25,
+      })
+      setImmediate(() => onProgress && onProgress({ projectStatus: 'completed' }))
+    })
+
+    const exceeded = []
+    const data = await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error('Iteration timed out')), 10000)
+      iterationService.startIteration(
+        projectId,
+        { recomposedSkillId: 'skill-a', maxRounds: 3 },
+        {
+          onBudgetExceeded: (d) => exceeded.push(d),
+          onAllComplete:    (d) => { clearTimeout(timer); resolve(d) },
+        },
+      ).catch((err) => { clearTimeout(timer); reject(err) })
+    })
+
+    // Round 1 test + beam candidate test = $0.50 → round 2 never starts
+    expect(data.report.stop_reason).toBe('budget_exceeded')
+    expect(data.report.total_rounds).toBe(1)
+    expect(data.report.budget_exceeded).toMatchObject({ limit: 'max_cost_usd', limit_value: 0.5, actual: 0.5 })
+    expect(exceeded).toHaveLength(1)
+    expect(exceeded[0]).toMatchObject({ projectId, limit: 'max_cost_usd' })
+  })
+
+  test('a test run paused on budget mid-round ends the iteration with budget_exceeded', async () => {
+    const { projectId } = makeIterationProject('budget-2')
+    mockDependencies()
+    testService.startTest.mockImplementation(async (pid, { onProgress, budgetGuard } = {}) => {
+      expect(typeof budgetGuard).toBe('function')
+      setImmediate(() => onProgress && onProgress({
+        projectStatus: 'paused', stopReason: 'budget_exceeded',
+        budget: { limit: 'max_calls', limit_value: 4, actual: 4, message: 'over' },
+      }))
+    })
+
+    const { report } = await runIteration(projectId, { maxRounds: 2 })
+    expect(report.stop_reason).toBe('budget_exceeded')
+    expect(report.budget_exceeded).toMatchObject({ limit: 'max_calls' })
+    expect(analysisService.runAnalysis).not.toHaveBeenCalled()
+  })
+})
+
+describe('cancellation: stopIteration kills the round in progress', () => {
+  test('stops the running test, cancels project calls and ends with stop_reason manual', async () => {
+    const cliService = require('../../main/services/cli-service')
+    const { projectId, projectPath } = makeIterationProject('cancel-1')
+    mockDependencies()
+
+    let interrupt
+    testService.startTest.mockImplementation(async (pid, { onProgress } = {}) => {
+      interrupt = () => onProgress({ projectStatus: 'interrupted', stopReason: 'manual' })
+    })
+    const stopTest = jest.spyOn(testService, 'stopTest').mockImplementation(() => {
+      setImmediate(interrupt)
+      return { stopped: true, cancelledCalls: 1 }
+    })
+    const cancel = jest.spyOn(cliService, 'cancel').mockReturnValue({ cancelled: 0 })
+
+    const done = runIteration(projectId, { maxRounds: 3 })
+    await new Promise(resolve => setTimeout(resolve, 20))
+    iterationService.stopIteration(projectId)
+
+    const { report } = await done
+    expect(stopTest).toHaveBeenCalledWith(projectId)
+    expect(cancel).toHaveBeenCalledWith({ projectId })
+    expect(report.stop_reason).toBe('manual')
+    expect(report.total_rounds).toBe(0)
+    expect(analysisService.runAnalysis).not.toHaveBeenCalled()
+    expect(fileService.readJson(path.join(projectPath, 'iterations', 'round_1', 'config.json')).status).toBe('cancelled')
+  })
+})
@@ -0,0 +1,71 @@
+'use strict'
+
+/**
+ * judge-service.test.js
+ * Judge panels: settings validation, shuffled rubrics and score aggregation.
+ */
+
+const judgeService  = require('../../main/services/judge-service')
+const rubricService = require('../../main/services/rubric-service')
+
+const RUBRIC = rubricService.validateRubric({
+  name: 'Two dims',
+  dimensions: [{ key: 'a', label: 'A', max: 50 }, { key: 'b', label: 'B', max: 50 }],
+})
+
+describe('normalizePanel', () => {
+  test('fills defaults and accepts model-name shorthand', () => {
+    expect(judgeService.normalizePanel({ judges: ['m1'] })).toEqual({
+      judges: [{ model: 'm1', profile: null }],
+      aggregate: 'mean',
+      shuffle_dimensions: false,
+      disagreement_threshold: judgeService.DEFAULT_DISAGREEMENT_THRESHOLD,
+    })
+    expect(judgeService.normalizePanel(null)).toBeNull()
+  })
+
+  test('rejects too many judges', () => {
+    const judges = Array.from({ length: judgeService.MAX_JUDGES + 1 }, () => 'm1')
+    expect(() => judgeService.normalizePanel({ judges })).toThrow(expect.objectContaining({ code: 'INVALID_PARAMS' }))
+  })
+})
+
+describe('judgeRubric', () => {
+  test('judge 0 and unshuffled panels see the rubric unchanged', () => {
+    expect(judgeService.judgeRubric(RUBRIC, 0, true)).toBe(RUBRIC)
+    expect(judgeService.judgeRubric(RUBRIC, 3, false)).toBe(RUBRIC)
+  })
+
+  test('shuffled order is a deterministic permutation', () => {
+    const six = rubricService.CODE_QUALITY
+    const first  = judgeService.judgeRubric(six, 1, true)
+    const again  = judgeService.judgeRubric(six, 1, true)
+    expect(rubricService.dimensionKeys(first)).toEqual(rubricService.dimensionKeys(again))
+    expect([...rubricService.dimensionKeys(first)].sort()).toEqual([...rubricService.dimensionKeys(six)].sort())
+    // The built-in template fixes its order, so shuffled judges use the generic one
+    expect(first.judge_prompt).toBeUndefined()
+    expect(six.judge_prompt).toBeDefined()
+  })
+})
+
+describe('aggregateScores', () => {
+  const list = [{ a: 10, b: 20, total: 30 }, { a: 40, b: 20, total: 60 }, { a: 20, b: 29, total: 49 }]
+
+  test.each([
+    ['mean',         { a: 23.3, b: 23, total: 46.3 }],
+    ['median',       { a: 20, b: 20, total: 49 }],
+    ['trimmed_mean', { a: 20, b: 20, total: 49 }],
+  ])('%s', (method, expected) => {
+    expect(judgeService.aggregateScores(list, RUBRIC, method)).toEqual(expected)
+  })
+
+  test('trimmed mean needs three judges; missing keys use the judges that gave them', () => {
+    expect(judgeService.aggregateScores([{ a: 10, total: 10 }, { a: 20, b: 30, total: 50 }], RUBRIC, 'trimmed_mean'))
+      .toEqual({ a: 15, b: 30, total: 30 })
+  })
+
+  test('totalSpread', () => {
+    expect(judgeService.totalSpread(list)).toBe(30)
+    expect(judgeService.totalSpread([{ total: 50 }, null])).toBeNull()
+  })
+})
@@ -116,11 +116,11 @@ describe('UC11-1: queryLeaderboard — no filters → grouped by baseline', () =
     }
   })
 
-  test('records within each group are sorted by avgScore descending', async () => {
+  test('records within each group are sorted by weightedAvgScore descending', async () => {
     const { groups } = await leaderboardService.queryLeaderboard({})
     for (const g of groups) {
       for (let i = 1; i < g.records.length; i++) {
-        expect(g.records[i - 1].avgScore).toBeGreaterThanOrEqual(g.records[i].avgScore)
+        expect(g.records[i - 1].weightedAvgScore).toBeGreaterThanOrEqual(g.records[i].weightedAvgScore)
       }
     }
   })
@@ -157,6 +157,9 @@ describe('UC11-2: queryLeaderboard — baselineId filter → flat records', () =
     expect(r).toHaveProperty('projectId')
     expect(r).toHaveProperty('testedAt')
     expect(r).toHaveProperty('staleness')
+    // Summaries without weights or breakdowns fall back to the plain values
+    expect(r.weightedAvgScore).toBe(r.avgScore)
+    expect(r.baselineBreakdown).toEqual([])
   })
 })
 
@@ -511,6 +514,81 @@ describe('UC11-24: purpose filter', () => {
   })
 })
 
+// ─── Model axis ───────────────────────────────────────────────────────────────
+
+describe('model axis: skill-model pairs and model dependence', () => {
+  const SKILL_M1_ID    = 'mmmmmmm1-0000-0000-0000-000000000021'
+  const SKILL_M2_ID    = 'mmmmmmm2-0000-0000-0000-000000000022'
+  const BASELINE_M_ID  = '88888888-0000-0000-0000-000000000008'
+  const PROJECT_M_ID   = 'projmodl-0000-0000-0000-000000000021'
+
+  beforeAll(() => {
+    createSkillFixture(tmpDir, { id: SKILL_M1_ID, name: 'Model Picky', version: 'v1', purpose: 'coding' })
+    createSkillFixture(tmpDir, { id: SKILL_M2_ID, name: 'Model Agnostic', version: 'v1', purpose: 'coding' })
+    createBaselineFixture(tmpDir, { id: BASELINE_M_ID, name: 'Matrix Baseline', version: 'v1', purpose: 'coding' })
+    const pair = (id, name, score, model) => ({ ...makeRankingEntry(id, name, 'v1', score), model })
+    createProjectFixture(tmpDir, {
+      projectId: PROJECT_M_ID,
+      projectName: 'Matrix Project',
+      skillRefs: [
+        { ref_id: SKILL_M1_ID, name: 'Model Picky', version: 'v1', local_path: '' },
+        { ref_id: SKILL_M2_ID, name: 'Model Agnostic', version: 'v1', local_path: '' },
+      ],
+      baselineRef: { ref_id: BASELINE_M_ID, name: 'Matrix Baseline', version: 'v1', local_path: '', purpose: 'coding' },
+      ranking: [
+        pair(SKILL_M1_ID, 'Model Picky', 92, 'model-a'),
+        pair(SKILL_M2_ID, 'Model Agnostic', 80, 'model-a'),
+        pair(SKILL_M2_ID, 'Model Agnostic', 78, 'model-b'),
+        pair(SKILL_M1_ID, 'Model Picky', 55, 'model-b'),
+      ],
+    })
+  })
+
+  test('each ranking entry becomes a skill-model record; model filter narrows them', async () => {
+    const { records } = await leaderboardService.queryLeaderboard({ baselineId: BASELINE_M_ID })
+    expect(records.map(r => [r.skillName, r.model, r.avgScore])).toEqual([
+      ['Model Picky', 'model-a', 92],
+      ['Model Agnostic', 'model-a', 80],
+      ['Model Agnostic', 'model-b', 78],
+      ['Model Picky', 'model-b', 55],
+    ])
+
+    const onlyB = await leaderboardService.queryLeaderboard({ baselineId: BASELINE_M_ID, model: 'model-b' })
+    expect(onlyB.records.map(r => r.model)).toEqual(['model-b', 'model-b'])
+  })
+
+  test('groups list their models; summaries without a model fall back to cli_config.model', async () => {
+    const { groups } = await leaderboardService.queryLeaderboard({ purpose: 'coding' })
+    const matrix = groups.find(g => g.baselineId === BASELINE_M_ID)
+    expect(matrix.models).toEqual(['model-a', 'model-b'])
+    expect(matrix.skillCount).toBe(2)
+
+    const { records } = await leaderboardService.queryLeaderboard({ baselineId: BASELINE_1_ID })
+    expect(records.every(r => r.model === 'claude-opus-4-6')).toBe(true)
+  })
+
+  test('getModelDependence ranks skills by score spread across models', async () => {
+    const dep = await leaderboardService.getModelDependence({ baselineId: BASELINE_M_ID })
+    expect(dep).toEqual([
+      expect.objectContaining({ skillId: SKILL_M1_ID, bestModel: 'model-a', worstModel: 'model-b', spread: 37 }),
+      expect.objectContaining({ skillId: SKILL_M2_ID, bestModel: 'model-a', worstModel: 'model-b', spread: 2 }),
+    ])
+    expect(dep[0].scores).toEqual({ 'model-a': 92, 'model-b': 55 })
+  })
+
+  test('single-model skills are left out of model dependence', async () => {
+    const dep = await leaderboardService.getModelDependence({ baselineId: BASELINE_1_ID })
+    expect(dep).toEqual([])
+  })
+
+  test('CSV export has a model column', async () => {
+    const { filePath } = await leaderboardService.exportLeaderboard({ baselineId: BASELINE_M_ID, format: 'csv' })
+    const [header, first] = fs.readFileSync(filePath, 'utf-8').split('\n')
+    expect(header.split(',')).toContain('model')
+    expect(first.split(',')[header.split(',').indexOf('model')]).toBe('model-a')
+  })
+})
+
 // ─── _computeStaleness (pure function tests) ──────────────────────────────────
 
 describe('_computeStaleness pure function', () => {
@@ -544,3 +622,116 @@ describe('_computeStaleness pure function', () => {
     expect(_computeStaleness('v1', null, 'v1', null)).toBe('both_updated')
   })
 })
+
+// ─── Score uncertainty ───────────────────────────────────────────────────────
+
+describe('score uncertainty: score_stats reach leaderboard records', () => {
+  const BASELINE_U_ID = '99999999-0000-0000-0000-000000000009'
+  const PROJECT_U_ID  = 'proj9999-0000-0000-0000-000000000009'
+
+  beforeAll(() => {
+    createBaselineFixture(tmpDir, { id: BASELINE_U_ID, name: 'Uncertainty Baseline', version: 'v1', purpose: 'coding' })
+    createProjectFixture(tmpDir, {
+      projectId: PROJECT_U_ID,
+      skillRefs: [{ ref_id: SKILL_A_ID, name: 'Alpha Coder', version: 'v1', local_path: '' }],
+      baselineRef: { ref_id: BASELINE_U_ID, name: 'Uncertainty Baseline', version: 'v1', local_path: '', purpose: 'coding' },
+      ranking: [{
+        ...makeRankingEntry(SKILL_A_ID, 'Alpha Coder', 'v1', 81.5),
+        score_stats: { total: { n: 5, mean: 81.5, std: 4.2, ci95: [76.28, 86.72] } },
+      }],
+    })
+  })
+
+  test('std and CI come from the summary; older summaries report null', async () => {
+    const { records } = await leaderboardService.queryLeaderboard({ baselineId: BASELINE_U_ID })
+    expect(records[0]).toMatchObject({ scoreStd: 4.2, scoreCi95: [76.28, 86.72], samplesPerCase: 1 })
+
+    const legacy = await leaderboardService.queryLeaderboard({ baselineId: BASELINE_1_ID })
+    expect(legacy.records[0]).toMatchObject({ scoreStd: null, scoreCi95: null })
+  })
+})
+
+describe('multi-baseline projects: one record per baseline', () => {
+  const BASELINE_X_ID = 'aaaa1111-0000-0000-0000-00000000000a'
+  const BASELINE_Y_ID = 'bbbb2222-0000-0000-0000-00000000000b'
+  const PROJECT_XY_ID = 'projxyxy-0000-0000-0000-00000000000c'
+
+  const level = (id, name, avg, passRate, total) => ({
+    baseline_id: id, baseline_name: name,
+    total_cases: total, completed_cases: total, failed_cases: 0, overridden_cases: 0,
+    avg_score: avg, weighted_avg_score: avg, pass_rate: passRate,
+    score_breakdown: makeScoreBreakdown(avg), categories: [],
+  })
+
+  beforeAll(() => {
+    createBaselineFixture(tmpDir, { id: BASELINE_X_ID, name: 'Baseline X', version: 'v1', purpose: 'coding' })
+    createBaselineFixture(tmpDir, { id: BASELINE_Y_ID, name: 'Baseline Y', version: 'v2', purpose: 'coding' })
+    createProjectFixture(tmpDir, {
+      projectId: PROJECT_XY_ID,
+      skillRefs: [{ ref_id: SKILL_A_ID, name: 'Alpha Coder', version: 'v1', local_path: '' }],
+      baselineRefs: [
+        { ref_id: BASELINE_X_ID, name: 'Baseline X', version: 'v1', local_path: '', purpose: 'coding' },
+        { ref_id: BASELINE_Y_ID, name: 'Baseline Y', version: 'v2', local_path: '', purpose: 'coding' },
+      ],
+      ranking: [{
+        ...makeRankingEntry(SKILL_A_ID, 'Alpha Coder', 'v1', 70, 8),
+        score_stats: { total: { n: 8, mean: 70, std: 10, ci95: [61, 79] } },
+        baselines: [
+          level(BASELINE_X_ID, 'Baseline X', 90, 1, 3),
+          level(BASELINE_Y_ID, 'Baseline Y', 58, 0.4, 5),
+        ],
+      }],
+    })
+  })
+
+  test('each baseline gets its own scores, pass rate and case count', async () => {
+    const x = await leaderboardService.queryLeaderboard({ baselineId: BASELINE_X_ID })
+    expect(x.records).toHaveLength(1)
+    expect(x.records[0]).toMatchObject({
+      baselineName: 'Baseline X', avgScore: 90, passRate: 1, baselineCaseCount: 3,
+      scoreBreakdown: makeScoreBreakdown(90), scoreStd: null,
+    })
+
+    const y = await leaderboardService.queryLeaderboard({ baselineId: BASELINE_Y_ID })
+    expect(y.records).toHaveLength(1)
+    expect(y.records[0]).toMatchObject({
+      baselineName: 'Baseline Y', baselineVersionTested: 'v2', avgScore: 58, passRate: 0.4, baselineCaseCount: 5,
+    })
+  })
+
+  test('older summaries without baselines fall back to the first baseline', async () => {
+    const { records } = await leaderboardService.queryLeaderboard({ baselineId: BASELINE_1_ID })
+    expect(records.length).toBeGreaterThan(0)
+    expect(records.every(r => r.passRate === null)).toBe(true)
+  })
+})
+
+describe('weighted ranking: leaderboard sorts by weightedAvgScore', () => {
+  const BASELINE_W_ID = 'cccc3333-0000-0000-0000-00000000000d'
+  const PROJECT_W_ID  = 'projwwww-0000-0000-0000-00000000000e'
+
+  beforeAll(() => {
+    createBaselineFixture(tmpDir, { id: BASELINE_W_ID, name: 'Weighted Baseline', version: 'v1', purpose: 'coding' })
+    createProjectFixture(tmpDir, {
+      projectId: PROJECT_W_ID,
+      skillRefs: [
+        { ref_id: SKILL_A_ID, name: 'Alpha Coder', version: 'v1', local_path: '' },
+        { ref_id: SKILL_B_ID, name: 'Beta Writer', version: 'v1', local_path: '' },
+      ],
+      baselineRef: { ref_id: BASELINE_W_ID, name: 'Weighted Baseline', version: 'v1', local_path: '', purpose: 'coding' },
+      ranking: [
+        // Good on the many easy cases, fails the heavily weighted boundary ones
+        { ...makeRankingEntry(SKILL_A_ID, 'Alpha Coder', 'v1', 85), weighted_avg_score: 60 },
+        { ...makeRankingEntry(SKILL_B_ID, 'Beta Writer', 'v1', 75), weighted_avg_score: 80 },
+      ],
+    })
+  })
+
+  test('a higher weighted average ranks first despite a lower plain average', async () => {
+    const { records } = await leaderboardService.queryLeaderboard({ baselineId: BASELINE_W_ID })
+    expect(records.map(r => [r.skillName, r.avgScore, r.weightedAvgScore])).toEqual([
+      ['Beta Writer', 75, 80],
+      ['Alpha Coder', 85, 60],
+    ])
+  })
+})
@@ -0,0 +1,102 @@
+'use strict'
+
+/**
+ * pairwise-service.test.js
+ * Pairwise judging: schedules, anonymized prompts, verdicts and Bradley-Terry.
+ */
+
+const pairwiseService = require('../../main/services/pairwise-service')
+const rubricService   = require('../../main/services/rubric-service')
+
+describe('normalizeSettings / resolveSchedule', () => {
+  test('defaults to auto; auto picks Swiss from SWISS_FROM skills', () => {
+    const s = pairwiseService.normalizeSettings(true)
+    expect(s).toEqual({ schedule: 'auto', rounds: null, judge_model: null })
+    expect(pairwiseService.resolveSchedule(s, 4)).toEqual({ schedule: 'round_robin', rounds: 1 })
+    expect(pairwiseService.resolveSchedule(s, 8)).toEqual({ schedule: 'swiss', rounds: 4 })
+    expect(pairwiseService.normalizeSettings(null)).toBeNull()
+  })
+
+  test('Swiss never plays more rounds than a round robin would', () => {
+    expect(pairwiseService.resolveSchedule({ schedule: 'swiss', rounds: 10 }, 3)).toEqual({ schedule: 'swiss', rounds: 2 })
+  })
+
+  test.each([{ schedule: 'knockout' }, { rounds: 0 }, { rounds: 1.5 }, { judge_model: 3 }])('rejects %j', (s) => {
+    expect(() => pairwiseService.normalizeSettings(s)).toThrow(expect.objectContaining({ code: 'INVALID_PARAMS' }))
+  })
+})
+
+describe('roundPairs', () => {
+  const ids = ['s1', 's2', 's3', 's4', 's5', 's6', 's7', 's8']
+
+  test('round robin lists every pair once', () => {
+    const pairs = pairwiseService.roundPairs(ids.slice(0, 4), [], { schedule: 'round_robin', rounds: 1 }, 0)
+    expect(pairs).toHaveLength(6)
+    expect(pairwiseService.roundPairs(ids, [], { schedule: 'round_robin', rounds: 1 }, 1)).toEqual([])
+  })
+
+  test('Swiss pairs by standing and avoids rematches', () => {
+    const plan = { schedule: 'swiss', rounds: 3 }
+    const first = pairwiseService.roundPairs(ids, [], plan, 0)
+    expect(first).toEqual([['s1', 's2'], ['s3', 's4'], ['s5', 's6'], ['s7', 's8']])
+
+    // Lower seeds win round one: s2, s4, s6, s8 lead
+    const played = first.map(([a, b]) => ({ a: a < b ? a : b, b: a < b ? b : a, verdict: 'b', winner: b }))
+    const second = pairwiseService.roundPairs(ids, played, plan, 1)
+    expect(second).toEqual([['s2', 's4'], ['s6', 's8'], ['s1', 's3'], ['s5', 's7']])
+    expect(second.length * plan.rounds).toBeLessThan(ids.length * (ids.length - 1) / 2)
+  })
+
+  test('an odd skill out gets a bye', () => {
+    const pairs = pairwiseService.roundPairs(['x', 'y', 'z'], [], { schedule: 'swiss', rounds: 2 }, 0)
+    expect(pairs).toEqual([['x', 'y']])
+  })
+})
+
+describe('comparison / buildPrompt / parseVerdict', () => {
+  test('identity is canonical and the display order stable', () => {
+    const one = pairwiseService.comparison('m', 'case_001', 'zz', 'aa')
+    const two = pairwiseService.comparison('m', 'case_001', 'aa', 'zz')
+    expect(one).toEqual(two)
+    expect([one.a, one.b]).toEqual(['aa', 'zz'])
+    expect(pairwiseService.storedKey(one)).toBe(one.key)
+  })
+
+  test('the prompt shows outputs by position only', () => {
+    const prompt = pairwiseService.buildPrompt(rubricService.CODE_QUALITY,
+      { input: 'INPUT', expected_output: 'EXPECTED' }, 'FIRST', 'SECOND')
+    expect(prompt.indexOf('FIRST')).toBeLessThan(prompt.indexOf('SECOND'))
+    expect(prompt).toContain('功能正确性、健壮性')
+    expect(prompt).not.toMatch(/\{(output_1|output_2|criteria)\}/)
+  })
+
+  test('verdicts map back through the display order', () => {
+    expect(pairwiseService.parseVerdict({ winner: '1' }, true)).toBe('a')
+    expect(pairwiseService.parseVerdict({ winner: '1' }, false)).toBe('b')
+    expect(pairwiseService.parseVerdict({ winner: 2 }, true)).toBe('b')
+    expect(pairwiseService.parseVerdict({ winner: 'TIE' }, true)).toBe('tie')
+    expect(() => pairwiseService.parseVerdict({ winner: 'both' }, true))
+      .toThrow(expect.objectContaining({ code: 'OUTPUT_PARSE_FAILED' }))
+  })
+})
+
+describe('bradleyTerry', () => {
+  const game = (a, b, verdict) => ({ a, b, verdict })
+
+  test('orders skills by strength and keeps unbeaten ratings finite', () => {
+    const ratings = pairwiseService.bradleyTerry(['x', 'y', 'z'], [
+      game('x', 'y', 'a'), game('x', 'y', 'a'), game('x', 'z', 'a'),
+      game('y', 'z', 'a'), game('y', 'z', 'tie'),
+    ])
+    expect(ratings.x.rating).toBeGreaterThan(ratings.y.rating)
+    expect(ratings.y.rating).toBeGreaterThan(ratings.z.rating)
+    expect(Number.isFinite(ratings.x.rating)).toBe(true)
+    expect(ratings.y).toMatchObject({ wins: 1, losses: 2, ties: 1, comparisons: 4 })
+  })
+
+  test('equal records give equal ratings around 1500', () => {
+    const ratings = pairwiseService.bradleyTerry(['x', 'y'], [game('x', 'y', 'a'), game('x', 'y', 'b')])
+    expect(ratings.x.rating).toBe(1500)
+    expect(ratings.y.rating).toBe(1500)
+  })
+})
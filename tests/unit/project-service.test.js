@@ -192,6 +192,16 @@ describe('UC3-2: createProject config.json contents', () => {
     expect(config.progress.completed_tasks).toBe(0)
     expect(config.progress.last_checkpoint).toBeNull()
   })
+
+  test('an unknown invocation profile is rejected before the project is created', async () => {
+    await expect(projectService.createProject({
+      ...projectFixture.basic,
+      name: 'BadProfile',
+      skillIds: [testSkillId],
+      baselineIds: [testBaselineId],
+      cliConfig: { ...projectFixture.basic.cliConfig, profile: 'no-such-profile' },
+    })).rejects.toMatchObject({ code: 'PROFILE_NOT_FOUND' })
+  })
 })
 
 // ─── UC3-3: reopenProject → status preserved ────────────────────────────────
@@ -340,3 +350,157 @@ describe('cloneProject', () => {
     await expect(projectService.cloneProject('nonexistent-uuid')).rejects.toMatchObject({ code: 'NOT_FOUND' })
   })
 })
+
+// ─── Rubric snapshot ─────────────────────────────────────────────────────────
+
+describe('createProject snapshots the baselines\' rubric', () => {
+  let rubricService, customBaselineId
+
+  beforeAll(async () => {
+    rubricService = require('../../main/services/rubric-service')
+    const { rubricId } = rubricService.saveRubric({
+      name: 'Brevity Only',
+      dimensions: [{ key: 'brevity', label: '简洁度', max: 10 }],
+    })
+    customBaselineId = (await baselineService.importBaseline({
+      importType: 'manual',
+      meta: { name: 'Rubric测试集', purpose: 'code_generate_test', provider: 'test_prov', rubric_id: rubricId },
+      cases: [{ name: 'c1', category: 'standard', input: 'a', expected_output: 'b' }],
+    })).baselineId
+  })
+
+  test('config.json carries the rubric; baselines without one get the built-in', async () => {
+    const custom = await projectService.createProject({ name: 'RubricProject', skillIds: [testSkillId], baselineIds: [customBaselineId] })
+    expect(projectService.getProject(custom.projectId).config.rubric)
+      .toMatchObject({ id: 'brevity_only', dimensions: [{ key: 'brevity', max: 10 }] })
+
+    const plain = await projectService.createProject({ name: 'PlainProject', skillIds: [testSkillId], baselineIds: [testBaselineId] })
+    expect(projectService.getProject(plain.projectId).config.rubric.id).toBe('code_quality')
+  })
+
+  test('baselines with different rubrics cannot share a project', async () => {
+    const before = fs.readdirSync(path.join(tmpDir, 'projects')).length
+    await expect(projectService.createProject({
+      name: 'MixedProject', skillIds: [testSkillId], baselineIds: [testBaselineId, customBaselineId],
+    })).rejects.toMatchObject({ code: 'INVALID_PARAMS', message: expect.stringContaining('different rubrics') })
+    expect(fs.readdirSync(path.join(tmpDir, 'projects')).length).toBe(before)
+  })
+})
+
+describe('createProject: case ids across baselines', () => {
+  test('baselines sharing a case id cannot share a project (results are stored per case id)', async () => {
+    const overlapping = (await baselineService.importBaseline({
+      importType: 'manual',
+      meta: { name: 'Python补充集', purpose: 'code_generate_test', provider: 'test_prov' },
+      cases: [{ id: 'case_002', name: '重复编号', category: 'standard', input: 'x', expected_output: 'y' }],
+    })).baselineId
+    const distinct = (await baselineService.importBaseline({
+      importType: 'manual',
+      meta: { name: 'Python扩展集', purpose: 'code_generate_test', provider: 'test_prov' },
+      cases: [{ id: 'ext_001', name: '新编号', category: 'standard', input: 'x', expected_output: 'y' }],
+    })).baselineId
+
+    const before = fs.readdirSync(path.join(tmpDir, 'projects')).length
+    await expect(projectService.createProject({
+      name: 'OverlapProject', skillIds: [testSkillId], baselineIds: [testBaselineId, overlapping],
+    })).rejects.toMatchObject({ code: 'INVALID_PARAMS', message: expect.stringContaining('case_002') })
+    expect(fs.readdirSync(path.join(tmpDir, 'projects')).length).toBe(before)
+
+    const ok = await projectService.createProject({
+      name: 'DistinctProject', skillIds: [testSkillId], baselineIds: [testBaselineId, distinct],
+    })
+    expect(ok.totalTasks).toBe(3)
+  })
+})
+
+// ─── samples_per_case ────────────────────────────────────────────────────────
+
+describe('createProject: samples_per_case', () => {
+  test('defaults to 1 and keeps a valid value', async () => {
+    const plain = await projectService.createProject({ name: 'OneSample', skillIds: [testSkillId], baselineIds: [testBaselineId] })
+    expect(projectService.getProject(plain.projectId).config.cli_config.samples_per_case).toBe(1)
+
+    const sampled = await projectService.createProject({
+      name: 'ThreeSamples', skillIds: [testSkillId], baselineIds: [testBaselineId], cliConfig: { samples_per_case: 3 },
+    })
+    expect(projectService.getProject(sampled.projectId).config.cli_config.samples_per_case).toBe(3)
+  })
+
+  test.each([0, 2.5, 21, '3'])('rejects samples_per_case %p', async (n) => {
+    await expect(projectService.createProject({
+      name: 'BadSamples', skillIds: [testSkillId], baselineIds: [testBaselineId], cliConfig: { samples_per_case: n },
+    })).rejects.toMatchObject({ code: 'INVALID_PARAMS' })
+  })
+})
+
+// ─── judge_panel ─────────────────────────────────────────────────────────────
+
+describe('createProject: judge_panel', () => {
+  test('is normalized and stored; absent means the default judge', async () => {
+    const plain = await projectService.createProject({ name: 'OneJudge', skillIds: [testSkillId], baselineIds: [testBaselineId] })
+    expect(projectService.getProject(plain.projectId).config.cli_config.judge_panel).toBeNull()
+
+    const paneled = await projectService.createProject({
+      name: 'ThreeJudges', skillIds: [testSkillId], baselineIds: [testBaselineId],
+      cliConfig: { judge_panel: { judges: ['m1', { model: 'm2', profile: 'strict' }, 'm1'], aggregate: 'trimmed_mean' } },
+    })
+    expect(projectService.getProject(paneled.projectId).config.cli_config.judge_panel).toEqual({
+      judges: [{ model: 'm1', profile: null }, { model: 'm2', profile: 'strict' }, { model: 'm1', profile: null }],
+      aggregate: 'trimmed_mean',
+      shuffle_dimensions: false,
+      disagreement_threshold: 20,
+    })
+  })
+
+  test.each([
+    [{ judges: [] }],
+    [{ judges: ['m1'], aggregate: 'mode' }],
+    [{ judges: ['m1'], disagreement_threshold: 0 }],
+    [{ judges: [42] }],
+  ])('rejects judge_panel %j', async (panel) => {
+    await expect(projectService.createProject({
+      name: 'BadPanel', skillIds: [testSkillId], baselineIds: [testBaselineId], cliConfig: { judge_panel: panel },
+    })).rejects.toMatchObject({ code: 'INVALID_PARAMS' })
+  })
+})
+
+// ─── pairwise ────────────────────────────────────────────────────────────────
+
+describe('createProject: pairwise', () => {
+  test('is off by default and normalized when set', async () => {
+    const plain = await projectService.createProject({ name: 'NoPairwise', skillIds: [testSkillId], baselineIds: [testBaselineId] })
+    expect(projectService.getProject(plain.projectId).config.cli_config.pairwise).toBeNull()
+
+    const paired = await projectService.createProject({
+      name: 'Pairwise', skillIds: [testSkillId], baselineIds: [testBaselineId], cliConfig: { pairwise: { schedule: 'swiss', rounds: 3 } },
+    })
+    expect(projectService.getProject(paired.projectId).config.cli_config.pairwise)
+      .toEqual({ schedule: 'swiss', rounds: 3, judge_model: null })
+  })
+
+  test('rejects an unknown schedule', async () => {
+    await expect(projectService.createProject({
+      name: 'BadPairwise', skillIds: [testSkillId], baselineIds: [testBaselineId], cliConfig: { pairwise: { schedule: 'elimination' } },
+    })).rejects.toMatchObject({ code: 'INVALID_PARAMS' })
+  })
+})
+
+// ─── case unit tests ─────────────────────────────────────────────────────────
+
+describe('getProject: caseTestCount', () => {
+  test('counts the cases whose unit tests would run model-written code', async () => {
+    const plain = await projectService.createProject({ name: 'NoCaseTests', skillIds: [testSkillId], baselineIds: [testBaselineId] })
+    expect(projectService.getProject(plain.projectId).caseTestCount).toBe(0)
+
+    const { baselineId } = await baselineService.importBaseline({
+      importType: 'manual',
+      meta: { name: 'Sandboxed', purpose: 'code_generate_test', provider: 'test_prov' },
+      cases: [
+        { id: 'sbx_001', name: 'add', input: 'write add(a, b)', expected_output: 'a + b', tests: { language: 'python', code: 'assert add(1, 2) == 3' } },
+        { id: 'sbx_002', name: 'plain', input: 'explain add', expected_output: 'text' },
+      ],
+    })
+    const tested = await projectService.createProject({ name: 'CaseTests', skillIds: [testSkillId], baselineIds: [baselineId] })
+    expect(projectService.getProject(tested.projectId).caseTestCount).toBe(1)
+  })
+})
@@ -11,6 +11,7 @@
 jest.mock('child_process')
 
 const { EventEmitter } = require('events')
+const { PassThrough } = require('stream')
 const path = require('path')
 const fs = require('fs')
 const { createTmpDir, overrideWorkspace } = require('../helpers/fs-helper')
@@ -23,8 +24,8 @@ const { createTmpDir, overrideWorkspace } = require('../helpers/fs-helper')
  */
 function makeMockProc({ stdoutData = '', exitCode = 0, delay = 5, errorEvent = null } = {}) {
   const proc = new EventEmitter()
-  proc.stdout = new EventEmitter()
-  proc.stderr = new EventEmitter()
+  proc.stdout = new PassThrough()
+  proc.stderr = new PassThrough()
   proc.stdin = { write: jest.fn(), end: jest.fn(), on: jest.fn() }
   proc.kill = jest.fn()
   proc.on('error', () => {})
@@ -0,0 +1,264 @@
+'use strict'
+
+/**
+ * refresh-service.test.js
+ *
+ * Tests: refresh plan (version diff against the library, per-case baseline
+ * diff), re-copying updated assets, re-running only affected tasks while
+ * keeping the other results, and summary recomputation.
+ */
+
+const path = require('path')
+const { createTmpDir, overrideWorkspace } = require('../helpers/fs-helper')
+
+let tmpDir, cleanup, restoreWorkspace
+let refreshService, testService, cliService, fileService
+
+beforeAll(() => {
+  const tmp = createTmpDir('refresh-svc-')
+  tmpDir  = tmp.tmpDir
+  cleanup = tmp.cleanup
+
+  jest.resetModules()
+  const ws = require('../../main/services/workspace-service')
+  restoreWorkspace = overrideWorkspace(ws, tmpDir)
+
+  fileService    = require('../../main/services/file-service')
+  cliService     = require('../../main/services/cli-service')
+  testService    = require('../../main/services/test-service')
+  refreshService = require('../../main/services/refresh-service')
+})
+
+afterAll(() => {
+  restoreWorkspace()
+  cleanup()
+})
+
+afterEach(() => {
+  jest.restoreAllMocks()
+})
+
+// ─── Fixture ──────────────────────────────────────────────────────────────
+
+const MOCK_SCORES = {
+  functional_correctness: 25, robustness: 15, readability: 12,
+  conciseness: 12, complexity_control: 8, format_compliance: 8, total: 80,
+}
+
+const CASES_V1 = [
+  { case_id: 'case_001', input: 'task 1', expected_output: 'out 1' },
+  { case_id: 'case_002', input: 'task 2', expected_output: 'out 2' },
+  { case_id: 'case_003', input: 'task 3', expected_output: 'out 3' },
+]
+
+/**
+ * Library: skill A (and optionally the baseline) one version ahead of the
+ * project; skill B unchanged. Project: both skills × 3 cases, all completed,
+ * every result carrying a `kept` marker.
+ */
+function makeRefreshFixture(key, { skillVersion = 'v2', baselineCases = null } = {}) {
+  const skillA    = `a${key.padEnd(7, '0').slice(0, 7)}-skill`
+  const skillB    = `b${key.padEnd(7, '0').slice(0, 7)}-skill`
+  const baselineId = `c${key.padEnd(7, '0').slice(0, 7)}-base`
+  const lib = (kind, ...parts) => path.join(tmpDir, kind, 'coding', 'local', ...parts)
+
+  const skillADir = `skill_${skillA.slice(0, 8)}_${skillVersion}`
+  fileService.writeJson(lib('skills', skillADir, 'meta.json'), { id: skillA, name: 'Skill A', version: skillVersion })
+  fileService.writeText(lib('skills', skillADir, 'content.txt'), `prompt A ${skillVersion}`)
+  fileService.writeJson(lib('skills', `skill_${skillB.slice(0, 8)}_v1`, 'meta.json'), { id: skillB, name: 'Skill B', version: 'v1' })
+  fileService.writeText(lib('skills', `skill_${skillB.slice(0, 8)}_v1`, 'content.txt'), 'prompt B v1')
+
+  const baselineVersion = baselineCases ? 'v2' : 'v1'
+  const baselineDir = `baseline_${baselineId.slice(0, 8)}_${baselineVersion}`
+  fileService.writeJson(lib('baselines', baselineDir, 'meta.json'), { id: baselineId, name: 'Baseline', version: baselineVersion })
+  fileService.writeJson(lib('baselines', baselineDir, 'cases.json'), { cases: baselineCases || CASES_V1 })
+
+  const projectId   = `refresh-${key}`
+  const projectPath = path.join(tmpDir, 'projects', `project_${key}`)
+  const skills = [
+    { ref_id: skillA, name: 'Skill A', version: 'v1', local_path: `skills/skill_${skillA.slice(0, 8)}_v1` },
+    { ref_id: skillB, name: 'Skill B', version: 'v1', local_path: `skills/skill_${skillB.slice(0, 8)}_v1` },
+  ]
+  for (const s of skills) {
+    fileService.writeText(path.join(projectPath, s.local_path, 'content.txt'), `prompt ${s.name.slice(-1)} v1`)
+    for (const c of CASES_V1) {
+      fileService.writeJson(path.join(projectPath, 'results', path.basename(s.local_path), `${c.case_id}.json`), {
+        case_id: c.case_id, skill_id: s.ref_id, status: 'completed', kept: true,
+        actual_output: 'old output', scores: { ...MOCK_SCORES, total: 60 },
+      })
+    }
+  }
+  const baselineLocal = `baselines/baseline_${baselineId.slice(0, 8)}_v1`
+  fileService.writeJson(path.join(projectPath, baselineLocal, 'cases.json'), { cases: CASES_V1 })
+  fileService.writeJson(path.join(projectPath, 'results', 'summary.json'), { project_id: projectId, ranking: [] })
+  fileService.writeJson(path.join(projectPath, 'config.json'), {
+    id: projectId,
+    name: `Refresh ${key}`,
+    status: 'completed',
+    skills,
+    baselines: [{ ref_id: baselineId, name: 'Baseline', version: 'v1', local_path: baselineLocal }],
+    cli_config: { model: 'claude-opus-4-6', timeout_seconds: 30, retry_count: 1, extra_flags: [] },
+    progress: { total_tasks: 6, completed_tasks: 6, failed_tasks: 0, last_checkpoint: 6 },
+  })
+  return { projectId, projectPath, skillA, skillB, baselineId }
+}
+
+function setupMocks() {
+  const spy = jest.spyOn(cliService, 'invokeCli').mockImplementation(async (prompt) => (
+    String(prompt).includes('评分') || String(prompt).includes('评审')
+      ? { result: JSON.stringify({ scores: MOCK_SCORES, reasoning: 'fine' }) }
+      : { result: 'new output', duration_ms: 10 }
+  ))
+  jest.spyOn(cliService, 'getCliVersion').mockResolvedValue('1.2.0')
+  jest.spyOn(cliService, 'parseStructuredOutput').mockReturnValue({ scores: MOCK_SCORES, reasoning: 'fine' })
+  return spy
+}
+
+function refreshAndWait(projectId) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Timeout refreshing ${projectId}`)), 5000)
+    refreshService.refreshProject(projectId, {
+      onProgress: (data) => {
+        if (data.projectStatus === 'completed' || data.projectStatus === 'interrupted') {
+          clearTimeout(timer)
+          resolve(data)
+        }
+      },
+    }).then(res => {
+      if (!res.started) { clearTimeout(timer); resolve(res) }
+    }).catch(err => { clearTimeout(timer); reject(err) })
+  })
+}
+
+function readResult(projectPath, skillRefId, caseId, config) {
+  const ref = config.skills.find(s => s.ref_id === skillRefId)
+  return fileService.readJson(path.join(projectPath, 'results', path.basename(ref.local_path), `${caseId}.json`))
+}
+
+const CASES_V2 = [
+  CASES_V1[0],
+  { ...CASES_V1[1], input: 'task 2, now with edge cases', updated_at: '2024-02-01T00:00:00Z' },
+  { case_id: 'case_004', input: 'task 4', expected_output: 'out 4' },
+]
+
+// ─── Plan ─────────────────────────────────────────────────────────────────
+
+describe('planRefresh', () => {
+  test('reports updated skills and the per-case baseline diff', () => {
+    const { projectId, skillA, skillB } = makeRefreshFixture('plan', { baselineCases: CASES_V2 })
+    const plan = refreshService.planRefresh(projectId)
+
+    expect(plan.skills.find(s => s.skill_id === skillA)).toMatchObject({
+      version_tested: 'v1', version_current: 'v2', status: 'updated', staleness: 'both_updated',
+    })
+    expect(plan.skills.find(s => s.skill_id === skillB)).toMatchObject({ status: 'current', staleness: 'baseline_updated' })
+    expect(plan.baselines[0]).toMatchObject({
+      status: 'updated', version_current: 'v2',
+      cases: { changed: ['case_002'], added: ['case_004'], removed: ['case_003'] },
+      case_count: 3,
+    })
+    // Skill A re-runs all 3 cases, skill B only case_002 and case_004
+    expect(plan.affected_tasks).toBe(5)
+    expect(plan.total_tasks).toBe(6)
+    expect(plan.up_to_date).toBe(false)
+  })
+
+  test('timestamps alone do not count as a case change', () => {
+    const touched = CASES_V1.map(c => ({ ...c, updated_at: '2024-03-01T00:00:00Z' }))
+    const { projectId } = makeRefreshFixture('touch', { skillVersion: 'v1', baselineCases: touched })
+    const plan = refreshService.planRefresh(projectId)
+    expect(plan.baselines[0].cases).toEqual({ changed: [], added: [], removed: [] })
+    expect(plan.affected_tasks).toBe(0)
+    expect(plan.up_to_date).toBe(false)
+  })
+
+  test('assets deleted from the library are missing, not updated', () => {
+    const { projectId, skillA } = makeRefreshFixture('missing', { skillVersion: 'v1' })
+    fileService.removeDir(path.join(tmpDir, 'skills', 'coding', 'local', `skill_${skillA.slice(0, 8)}_v1`))
+    const plan = refreshService.planRefresh(projectId)
+    expect(plan.skills.find(s => s.skill_id === skillA).status).toBe('missing')
+    expect(plan.up_to_date).toBe(true)
+  })
+
+  test('unknown project is NOT_FOUND', () => {
+    expect(() => refreshService.planRefresh('nope')).toThrow(expect.objectContaining({ code: 'NOT_FOUND' }))
+  })
+})
+
+// ─── Refresh ──────────────────────────────────────────────────────────────
+
+describe('refreshProject', () => {
+  test('re-runs only affected tasks and keeps the other results', async () => {
+    const { projectId, projectPath, skillA, skillB } = makeRefreshFixture('run', { baselineCases: CASES_V2 })
+    fileService.writeJson(path.join(projectPath, 'results', 'pairwise.json'), {
+      comparisons: [{ model: 'claude-opus-4-6', case_id: 'case_001', a: skillA, b: skillB, verdict: 'a' }],
+    })
+    setupMocks()
+
+    await refreshAndWait(projectId)
+    const config = fileService.readJson(path.join(projectPath, 'config.json'))
+
+    // Assets re-copied in place, versions recorded
+    const refA = config.skills.find(s => s.ref_id === skillA)
+    expect(refA.version).toBe('v2')
+    expect(refA.local_path).toBe(`skills/skill_${skillA.slice(0, 8)}_v1`)
+    expect(fileService.readText(path.join(projectPath, refA.local_path, 'content.txt'))).toBe('prompt A v2')
+    expect(config.baselines[0].version).toBe('v2')
+    expect(config.last_refresh).toMatchObject({
+      skills: [skillA], rerun_tasks: 5, removed_cases: ['case_003'],
+    })
+
+    // Skill B's unchanged case kept its result; everything affected ran again
+    expect(readResult(projectPath, skillB, 'case_001', config).kept).toBe(true)
+    for (const [skill, caseId] of [[skillA, 'case_001'], [skillA, 'case_002'], [skillA, 'case_004'], [skillB, 'case_002'], [skillB, 'case_004']]) {
+      const record = readResult(projectPath, skill, caseId, config)
+      expect(record.kept).toBeUndefined()
+      expect(record.actual_output).toBe('new output')
+    }
+    expect(readResult(projectPath, skillA, 'case_003', config)).toBeNull()
+    expect(readResult(projectPath, skillB, 'case_003', config)).toBeNull()
+
+    // Pairwise verdicts involving the updated skill are gone
+    expect(fileService.readJson(path.join(projectPath, 'results', 'pairwise.json')).comparisons).toEqual([])
+
+    const summary = fileService.readJson(path.join(projectPath, 'results', 'summary.json'))
+    expect(summary.total_cases).toBe(3)
+    const b = summary.ranking.find(r => r.skill_id === skillB)
+    expect(b.completed_cases).toBe(3)
+    expect(b.avg_score).toBeCloseTo((60 + 80 + 80) / 3, 1)
+    expect(summary.ranking.find(r => r.skill_id === skillA).avg_score).toBe(80)
+  })
+
+  test('does nothing when the project is up to date', async () => {
+    const { projectId, projectPath } = makeRefreshFixture('current', { skillVersion: 'v1' })
+    const spy = setupMocks()
+    const res = await refreshService.refreshProject(projectId)
+
+    expect(res).toMatchObject({ refreshed: false, started: false, plan: { up_to_date: true, affected_tasks: 0 } })
+    expect(spy).not.toHaveBeenCalled()
+    expect(fileService.readJson(path.join(projectPath, 'config.json')).last_refresh).toBeUndefined()
+  })
+
+  test('only removed cases: results deleted and summary recomputed without a run', async () => {
+    const { projectId, projectPath, skillA } = makeRefreshFixture('removed', {
+      skillVersion: 'v1', baselineCases: CASES_V1.slice(0, 2),
+    })
+    const spy = setupMocks()
+    const res = await refreshService.refreshProject(projectId)
+
+    expect(res).toMatchObject({ refreshed: true, started: false })
+    expect(spy).not.toHaveBeenCalled()
+    const config = fileService.readJson(path.join(projectPath, 'config.json'))
+    expect(readResult(projectPath, skillA, 'case_003', config)).toBeNull()
+    expect(readResult(projectPath, skillA, 'case_001', config).kept).toBe(true)
+    const summary = fileService.readJson(path.join(projectPath, 'results', 'summary.json'))
+    expect(summary.total_cases).toBe(2)
+    expect(summary.ranking).toHaveLength(2)
+  })
+
+  test('refuses while a run is in progress', async () => {
+    const { projectId } = makeRefreshFixture('busy')
+    jest.spyOn(testService, 'isRunning').mockReturnValue(true)
+    await expect(refreshService.refreshProject(projectId)).rejects.toMatchObject({ code: 'ALREADY_RUNNING' })
+  })
+})
@@ -0,0 +1,280 @@
+'use strict'
+
+/**
+ * review-service.test.js
+ *
+ * Tests: flagging, accepting, overriding and reverting judged results, the
+ * review queue, the audit log and summary recomputation with effective scores.
+ */
+
+const path = require('path')
+const { createTmpDir, overrideWorkspace } = require('../helpers/fs-helper')
+
+let tmpDir, cleanup, restoreWorkspace
+let reviewService, fileService, leaderboardService
+
+beforeAll(() => {
+  const tmp = createTmpDir('review-svc-')
+  tmpDir  = tmp.tmpDir
+  cleanup = tmp.cleanup
+
+  jest.resetModules()
+  const ws = require('../../main/services/workspace-service')
+  restoreWorkspace = overrideWorkspace(ws, tmpDir)
+
+  fileService        = require('../../main/services/file-service')
+  reviewService      = require('../../main/services/review-service')
+  leaderboardService = require('../../main/services/leaderboard-service')
+})
+
+afterAll(() => {
+  restoreWorkspace()
+  cleanup()
+})
+
+// ─── Fixture ──────────────────────────────────────────────────────────────
+
+const SCORES = {
+  functional_correctness: 20, robustness: 10, readability: 12,
+  conciseness: 12, complexity_control: 8, format_compliance: 8, total: 70,
+}
+
+function makeReviewProject(key, { withSummary = true } = {}) {
+  const projectId   = `rproj-${key}`
+  const projectPath = path.join(tmpDir, 'projects', `project_${key}`)
+
+  fileService.writeJson(path.join(projectPath, 'baselines', 'bl_v1', 'cases.json'), {
+    cases: [{ case_id: 'case_001', input: 'in 1' }, { case_id: 'case_002', input: 'in 2' }],
+  })
+  for (const skillDir of ['skill_a_v1', 'skill_b_v1']) {
+    fileService.writeText(path.join(projectPath, 'skills', skillDir, 'content.txt'), 'prompt')
+  }
+  for (const [skillDir, skillId] of [['skill_a_v1', 'skill-a'], ['skill_b_v1', 'skill-b']]) {
+    for (const caseId of ['case_001', 'case_002']) {
+      fileService.writeJson(path.join(projectPath, 'results', skillDir, `${caseId}.json`), {
+        case_id: caseId, skill_id: skillId, status: 'completed',
+        actual_output: `output of ${skillId}`, score_reasoning: 'ok',
+        scores: { ...SCORES },
+      })
+    }
+  }
+  fileService.writeJson(path.join(projectPath, 'config.json'), {
+    id: projectId,
+    name: `Review ${key}`,
+    status: 'completed',
+    skills: [
+      { ref_id: 'skill-a', name: 'Skill A', version: 'v1', local_path: 'skills/skill_a_v1' },
+      { ref_id: 'skill-b', name: 'Skill B', version: 'v1', local_path: 'skills/skill_b_v1' },
+    ],
+    baselines: [{ ref_id: 'bl-1', name: 'Baseline', version: 'v1', local_path: 'baselines/bl_v1' }],
+    cli_config: { model: 'claude-opus-4-6' },
+  })
+  if (withSummary) {
+    fileService.writeJson(path.join(projectPath, 'results', 'summary.json'), { project_id: projectId, ranking: [] })
+  }
+  return { projectId, projectPath }
+}
+
+function readRecord(projectPath, skillDir, caseId) {
+  return fileService.readJson(path.join(projectPath, 'results', skillDir, `${caseId}.json`))
+}
+
+function readSummary(projectPath) {
+  return fileService.readJson(path.join(projectPath, 'results', 'summary.json'))
+}
+
+// ─── Overrides ────────────────────────────────────────────────────────────
+
+describe('overrideScores', () => {
+  test('keeps the judge scores and moves the total by the dimension deltas', () => {
+    const { projectId, projectPath } = makeReviewProject('ovr')
+    const record = reviewService.overrideScores(projectId, {
+      skillId: 'skill-a', caseId: 'case_001', reviewer: 'alice',
+      scores: { robustness: 18, readability: 10 }, comment: 'handles empty input',
+    })
+
+    expect(record.scores.robustness).toBe(18)
+    expect(record.scores.readability).toBe(10)
+    expect(record.scores.total).toBe(76)
+    expect(record.original_scores).toEqual(SCORES)
+    expect(record.review).toMatchObject({
+      status: 'overridden', reviewer: 'alice', comment: 'handles empty input',
+      overrides: { robustness: 18, readability: 10 },
+    })
+    expect(readRecord(projectPath, 'skill_a_v1', 'case_001')).toEqual(record)
+  })
+
+  test('a second override accumulates and keeps the original judge scores', () => {
+    const { projectId } = makeReviewProject('ovr2')
+    const opts = { skillId: 'skill-a', caseId: 'case_001', reviewer: 'alice' }
+    reviewService.overrideScores(projectId, { ...opts, scores: { robustness: 18 }, comment: 'first' })
+    const record = reviewService.overrideScores(projectId, { ...opts, scores: { conciseness: 15 }, comment: 'second' })
+
+    expect(record.original_scores).toEqual(SCORES)
+    expect(record.scores.total).toBe(81)
+    expect(record.review.overrides).toEqual({ robustness: 18, conciseness: 15 })
+    expect(record.review.comment).toBe('second')
+  })
+
+  test('summary and leaderboard use the effective scores', async () => {
+    const { projectId, projectPath } = makeReviewProject('summary')
+    reviewService.overrideScores(projectId, {
+      skillId: 'skill-a', caseId: 'case_001', scores: { functional_correctness: 30 }, comment: 'correct after all',
+    })
+
+    const summary = readSummary(projectPath)
+    const a = summary.ranking.find(r => r.skill_id === 'skill-a')
+    const b = summary.ranking.find(r => r.skill_id === 'skill-b')
+    expect(a.avg_score).toBe(75)
+    expect(a.overridden_cases).toBe(1)
+    expect(b.avg_score).toBe(70)
+    expect(b.overridden_cases).toBe(0)
+    expect(summary.ranking[0].skill_id).toBe('skill-a')
+
+    const rows = (await leaderboardService.queryLeaderboard({ groupByBaseline: false, includeStale: true })).records
+      .filter(r => r.projectId === projectId)
+    expect(rows.find(r => r.skillId === 'skill-a')).toMatchObject({ avgScore: 75, overriddenCases: 1 })
+  })
+
+  test('leaves projects without a summary alone', () => {
+    const { projectId, projectPath } = makeReviewProject('nosummary', { withSummary: false })
+    reviewService.overrideScores(projectId, {
+      skillId: 'skill-b', caseId: 'case_002', scores: { robustness: 5 }, comment: 'crashes on null',
+    })
+    expect(readSummary(projectPath)).toBeNull()
+    expect(readRecord(projectPath, 'skill_b_v1', 'case_002').scores.total).toBe(65)
+  })
+
+  test('clamps the total to the rubric range', () => {
+    const { projectId, projectPath } = makeReviewProject('clamp')
+    const file = path.join(projectPath, 'results', 'skill_a_v1', 'case_001.json')
+    fileService.writeJson(file, { ...fileService.readJson(file), scores: { ...SCORES, total: 98 } })
+    const record = reviewService.overrideScores(projectId, {
+      skillId: 'skill-a', caseId: 'case_001', scores: { functional_correctness: 30 }, comment: 'full marks',
+    })
+    expect(record.scores.total).toBe(100)
+  })
+
+  test.each([
+    [{ scores: { robustness: 18 }, comment: '' }, /comment/],
+    [{ scores: {}, comment: 'x' }, /at least one/],
+    [{ scores: { speed: 3 }, comment: 'x' }, /Unknown dimension/],
+    [{ scores: { robustness: 21 }, comment: 'x' }, /0 to 20/],
+    [{ scores: { robustness: -1 }, comment: 'x' }, /0 to 20/],
+    [{ scores: { robustness: 10 }, comment: 'x' }, /does not change/],
+  ])('rejects invalid overrides (%o)', (opts, message) => {
+    const { projectId } = makeReviewProject(`invalid-${message.source.replace(/\W/g, '')}`)
+    expect(() => reviewService.overrideScores(projectId, { skillId: 'skill-a', caseId: 'case_001', ...opts }))
+      .toThrow(expect.objectContaining({ code: 'INVALID_PARAMS', message: expect.stringMatching(message) }))
+  })
+
+  test('unknown project, skill or case is NOT_FOUND', () => {
+    const { projectId } = makeReviewProject('notfound')
+    const base = { scores: { robustness: 18 }, comment: 'x' }
+    expect(() => reviewService.overrideScores('nope', { ...base, skillId: 'skill-a', caseId: 'case_001' }))
+      .toThrow(expect.objectContaining({ code: 'NOT_FOUND' }))
+    expect(() => reviewService.overrideScores(projectId, { ...base, skillId: 'skill-z', caseId: 'case_001' }))
+      .toThrow(expect.objectContaining({ code: 'NOT_FOUND' }))
+    expect(() => reviewService.overrideScores(projectId, { ...base, skillId: 'skill-a', caseId: 'case_999' }))
+      .toThrow(expect.objectContaining({ code: 'NOT_FOUND' }))
+  })
+})
+
+// ─── Revert ───────────────────────────────────────────────────────────────
+
+describe('revertOverride', () => {
+  test('restores the judge scores and drops the review', () => {
+    const { projectId, projectPath } = makeReviewProject('revert')
+    const opts = { skillId: 'skill-a', caseId: 'case_001' }
+    reviewService.overrideScores(projectId, { ...opts, scores: { robustness: 18 }, comment: 'x' })
+    const record = reviewService.revertOverride(projectId, { ...opts, comment: 'judge was right' })
+
+    expect(record.scores).toEqual(SCORES)
+    expect(record.original_scores).toBeUndefined()
+    expect(record.review).toBeUndefined()
+    expect(readSummary(projectPath).ranking.find(r => r.skill_id === 'skill-a').overridden_cases).toBe(0)
+  })
+
+  test('nothing to revert is INVALID_PARAMS', () => {
+    const { projectId } = makeReviewProject('revert-none')
+    expect(() => reviewService.revertOverride(projectId, { skillId: 'skill-a', caseId: 'case_001' }))
+      .toThrow(expect.objectContaining({ code: 'INVALID_PARAMS' }))
+  })
+})
+
+// ─── Flag / accept / queue ────────────────────────────────────────────────
+
+describe('flag, accept and the review queue', () => {
+  test('a flagged result is queued until accepted', () => {
+    const { projectId } = makeReviewProject('queue')
+    reviewService.flagResult(projectId, { skillId: 'skill-b', caseId: 'case_002', comment: 'looks off' })
+
+    const { items, rubric } = reviewService.listQueue(projectId)
+    expect(items).toHaveLength(1)
+    expect(items[0]).toMatchObject({
+      skill_id: 'skill-b', skill_name: 'Skill B', case_id: 'case_002', model: 'claude-opus-4-6',
+      needs_review: true, review_reason: 'manual', review_comment: 'looks off',
+      actual_output: 'output of skill-b', reasoning: 'ok',
+    })
+    expect(rubric.dimensions).toHaveLength(6)
+
+    const accepted = reviewService.acceptResult(projectId, { skillId: 'skill-b', caseId: 'case_002', reviewer: 'bob' })
+    expect(accepted.needs_review).toBeUndefined()
+    expect(accepted.review_reason).toBeUndefined()
+    expect(accepted.review).toMatchObject({ status: 'accepted', reviewer: 'bob' })
+    expect(reviewService.listQueue(projectId).items).toHaveLength(0)
+    expect(reviewService.listQueue(projectId, { status: 'all' }).items).toHaveLength(1)
+  })
+
+  test('judge disagreement flags are cleared by an override', () => {
+    const { projectId, projectPath } = makeReviewProject('disagree')
+    const file = path.join(projectPath, 'results', 'skill_a_v1', 'case_002.json')
+    fileService.writeJson(file, { ...fileService.readJson(file), needs_review: true, review_reason: 'judge_disagreement', judge_spread: 30 })
+
+    expect(reviewService.listQueue(projectId).items[0]).toMatchObject({ review_reason: 'judge_disagreement', judge_spread: 30 })
+    reviewService.overrideScores(projectId, { skillId: 'skill-a', caseId: 'case_002', scores: { robustness: 15 }, comment: 'split the difference' })
+
+    expect(reviewService.listQueue(projectId).items).toHaveLength(0)
+    expect(reviewService.listQueue(projectId, { status: 'overridden' }).items).toHaveLength(1)
+  })
+
+  test('accepting an unflagged result is INVALID_PARAMS', () => {
+    const { projectId } = makeReviewProject('accept-unflagged')
+    expect(() => reviewService.acceptResult(projectId, { skillId: 'skill-a', caseId: 'case_001' }))
+      .toThrow(expect.objectContaining({ code: 'INVALID_PARAMS' }))
+  })
+
+  test('unknown queue status is INVALID_PARAMS', () => {
+    const { projectId } = makeReviewProject('queue-status')
+    expect(() => reviewService.listQueue(projectId, { status: 'pending' }))
+      .toThrow(expect.objectContaining({ code: 'INVALID_PARAMS' }))
+  })
+})
+
+// ─── Audit log ────────────────────────────────────────────────────────────
+
+describe('getAuditLog', () => {
+  test('records who, when and why for every action', () => {
+    const { projectId } = makeReviewProject('audit')
+    const a1 = { skillId: 'skill-a', caseId: 'case_001', reviewer: 'alice' }
+    reviewService.flagResult(projectId, { ...a1, comment: 'suspicious' })
+    reviewService.overrideScores(projectId, { ...a1, scores: { robustness: 18 }, comment: 'handles nulls' })
+    reviewService.revertOverride(projectId, { ...a1, comment: 'misread' })
+    reviewService.flagResult(projectId, { skillId: 'skill-b', caseId: 'case_001' })
+
+    const log = reviewService.getAuditLog(projectId)
+    expect(log.map(e => e.action)).toEqual(['flag', 'override', 'revert', 'flag'])
+    expect(log[1]).toMatchObject({
+      reviewer: 'alice', skill_id: 'skill-a', case_id: 'case_001', model: 'claude-opus-4-6',
+      changes: { robustness: { from: 10, to: 18 } }, total: { from: 70, to: 78 }, comment: 'handles nulls',
+    })
+    expect(log[2].total).toEqual({ from: 78, to: 70 })
+    expect(typeof log[0].at).toBe('string')
+    // Reviewer falls back to the OS user
+    expect(log[3].reviewer).toEqual(expect.any(String))
+    expect(log[3].reviewer.length).toBeGreaterThan(0)
+
+    expect(reviewService.getAuditLog(projectId, { skillId: 'skill-b' })).toHaveLength(1)
+    expect(reviewService.getAuditLog(projectId, { caseId: 'case_002' })).toHaveLength(0)
+  })
+})
@@ -0,0 +1,167 @@
+'use strict'
+
+/**
+ * rubric-service.test.js
+ * Custom scoring rubrics: validation, judge prompt building and storage.
+ */
+
+const fs = require('fs')
+const path = require('path')
+const { createTmpDir, overrideWorkspace } = require('../helpers/fs-helper')
+
+let workspaceService, baselineService, rubricService
+
+let tmpDir, cleanup, restoreWorkspace
+
+const SUMMARY_RUBRIC = {
+  name: 'Summary Quality',
+  description: 'Text summarization skills',
+  dimensions: [
+    { key: 'coverage', label: '要点覆盖', short: 'Cov', max: 40, description: '覆盖全部关键信息\n无事实错误' },
+    { key: 'faithfulness', label: '忠实度', max: 40 },
+    { key: 'brevity', label: '简洁度', max: 20 },
+  ],
+}
+
+beforeAll(() => {
+  const tmp = createTmpDir()
+  tmpDir = tmp.tmpDir
+  cleanup = tmp.cleanup
+
+  jest.resetModules()
+  workspaceService = require('../../main/services/workspace-service')
+  restoreWorkspace = overrideWorkspace(workspaceService, tmpDir)
+
+  baselineService = require('../../main/services/baseline-service')
+  rubricService = require('../../main/services/rubric-service')
+})
+
+afterAll(() => {
+  restoreWorkspace()
+  cleanup()
+})
+
+describe('validateRubric', () => {
+  test('normalizes a valid rubric', () => {
+    const clean = rubricService.validateRubric(SUMMARY_RUBRIC)
+    expect(clean.dimensions.map(d => d.key)).toEqual(['coverage', 'faithfulness', 'brevity'])
+    expect(clean.dimensions[2].label).toBe('简洁度')
+    expect(rubricService.maxTotal(clean)).toBe(100)
+  })
+
+  test.each([
+    [{ ...SUMMARY_RUBRIC, name: '' }, 'name'],
+    [{ ...SUMMARY_RUBRIC, dimensions: [] }, 'dimensions'],
+    [{ ...SUMMARY_RUBRIC, dimensions: [{ key: 'total', max: 10 }] }, 'reserved'],
+    [{ ...SUMMARY_RUBRIC, dimensions: [{ key: 'judge_x', max: 10 }] }, 'reserved'],
+    [{ ...SUMMARY_RUBRIC, dimensions: [{ key: 'a', max: 10 }, { key: 'a', max: 5 }] }, 'duplicate'],
+    [{ ...SUMMARY_RUBRIC, dimensions: [{ key: 'a', max: 0 }] }, 'max'],
+    [{ ...SUMMARY_RUBRIC, judge_prompt: 'Score this: {test_input}' }, '{actual_output}'],
+    [{ ...SUMMARY_RUBRIC, execution_dimension: 'speed' }, 'execution_dimension'],
+  ])('rejects invalid rubric (%#)', (rubric, fragment) => {
+    try {
+      rubricService.validateRubric(rubric)
+      throw new Error('expected INVALID_PARAMS')
+    } catch (err) {
+      expect(err.code).toBe('INVALID_PARAMS')
+      expect(err.message).toContain(fragment)
+    }
+  })
+})
+
+describe('buildJudgePrompt', () => {
+  const sample = { input: 'INPUT_X', expected_output: 'EXPECTED_Y', actual_output: 'ACTUAL_Z' }
+
+  test('built-in rubric fills the original code-quality template', () => {
+    const prompt = rubricService.buildJudgePrompt(rubricService.CODE_QUALITY, sample)
+    expect(prompt).toContain('你是一位专业的代码质量评审专家')
+    expect(prompt).toContain('INPUT_X')
+    expect(prompt).toContain('EXPECTED_Y')
+    expect(prompt).toContain('ACTUAL_Z')
+    expect(prompt).toContain('"functional_correctness"')
+    expect(prompt).not.toMatch(/\{(test_input|expected_output|actual_output)\}/)
+  })
+
+  test('custom rubric lists its own dimensions and JSON keys', () => {
+    const prompt = rubricService.buildJudgePrompt(rubricService.validateRubric(SUMMARY_RUBRIC), sample)
+    expect(prompt).toContain('1. 要点覆盖（0-40分）')
+    expect(prompt).toContain('覆盖全部关键信息')
+    expect(prompt).toContain('"coverage"')
+    expect(prompt).toContain('"brevity"')
+    expect(prompt).not.toContain('functional_correctness')
+    expect(prompt).toContain('ACTUAL_Z')
+  })
+
+  test('substituted values are not re-expanded', () => {
+    const prompt = rubricService.buildJudgePrompt(
+      { ...SUMMARY_RUBRIC, judge_prompt: 'A={actual_output} I={test_input}' },
+      { input: 'literal {actual_output}', expected_output: '', actual_output: 'out' })
+    expect(prompt).toBe('A=out I=literal {actual_output}')
+  })
+
+  test('completeScores fills a missing total', () => {
+    const rubric = rubricService.validateRubric(SUMMARY_RUBRIC)
+    expect(rubricService.completeScores(rubric, { coverage: 30, faithfulness: 35, brevity: 10 }).total).toBe(75)
+    expect(rubricService.completeScores(rubric, { coverage: 30, total: 50 }).total).toBe(50)
+    expect(rubricService.zeroScores(rubric)).toEqual({ coverage: 0, faithfulness: 0, brevity: 0, total: 0 })
+  })
+})
+
+describe('storage', () => {
+  let rubricId
+
+  test('saveRubric derives an id and listRubrics puts the built-in first', () => {
+    rubricId = rubricService.saveRubric(SUMMARY_RUBRIC).rubricId
+    expect(rubricId).toBe('summary_quality')
+    expect(fs.existsSync(path.join(tmpDir, 'rubrics', 'summary_quality.json'))).toBe(true)
+
+    const list = rubricService.listRubrics()
+    expect(list[0]).toMatchObject({ id: 'code_quality', builtin: true, dimension_count: 6, max_total: 100 })
+    expect(list.find(r => r.id === rubricId)).toMatchObject({ builtin: false, dimension_count: 3, max_total: 100 })
+  })
+
+  test('getRubric returns stored rubrics and the built-in for an empty id', () => {
+    expect(rubricService.getRubric(rubricId).dimensions).toHaveLength(3)
+    expect(rubricService.getRubric(null).id).toBe('code_quality')
+    expect(() => rubricService.getRubric('missing')).toThrow(expect.objectContaining({ code: 'NOT_FOUND' }))
+  })
+
+  test('updating keeps created_at', () => {
+    const before = rubricService.getRubric(rubricId)
+    rubricService.saveRubric({ ...SUMMARY_RUBRIC, id: rubricId, name: 'Summary Quality v2' })
+    const after = rubricService.getRubric(rubricId)
+    expect(after.name).toBe('Summary Quality v2')
+    expect(after.created_at).toBe(before.created_at)
+  })
+
+  test('the built-in rubric cannot be saved over or deleted', () => {
+    expect(() => rubricService.saveRubric({ ...SUMMARY_RUBRIC, id: 'code_quality' }))
+      .toThrow(expect.objectContaining({ code: 'INVALID_PARAMS' }))
+    expect(() => rubricService.deleteRubric('code_quality'))
+      .toThrow(expect.objectContaining({ code: 'INVALID_PARAMS' }))
+  })
+
+  test('deleteRubric is refused while a baseline uses it', async () => {
+    const { baselineId } = await baselineService.importBaseline({
+      importType: 'manual',
+      meta: { name: 'Summaries', purpose: 'summarize', provider: 'test_prov', rubric_id: rubricId },
+      cases: [{ name: 'c1', category: 'standard', input: 'text', expected_output: 'summary' }],
+    })
+    expect(baselineService.getBaseline(baselineId).meta.rubric_id).toBe(rubricId)
+
+    expect(() => rubricService.deleteRubric(rubricId))
+      .toThrow(expect.objectContaining({ code: 'INVALID_PARAMS' }))
+
+    baselineService.setRubric(baselineId, null)
+    expect(rubricService.deleteRubric(rubricId)).toEqual({ deleted: true })
+    expect(() => rubricService.getRubric(rubricId)).toThrow(expect.objectContaining({ code: 'NOT_FOUND' }))
+  })
+
+  test('baselines reject unknown rubric ids', async () => {
+    await expect(baselineService.importBaseline({
+      importType: 'manual',
+      meta: { name: 'Bad', purpose: 'x', provider: 'test_prov', rubric_id: 'nope' },
+      cases: [{ name: 'c1', category: 'standard', input: 'a', expected_output: 'b' }],
+    })).rejects.toMatchObject({ code: 'NOT_FOUND' })
+  })
+})
@@ -0,0 +1,148 @@
+'use strict'
+
+/**
+ * sandbox-service.test.js
+ * Code extraction, case test validation and real sandboxed runs (Node always, Python when installed).
+ */
+
+const { spawnSync } = require('child_process')
+const sandboxService = require('../../main/services/sandbox-service')
+
+const hasPython = spawnSync(sandboxService.DEFAULTS.python_path, ['--version']).status === 0
+const pythonTest = hasPython ? test : test.skip
+
+describe('extractCode', () => {
+  test('prefers the longest block in the language, then untagged blocks, then raw text', () => {
+    const output = [
+      'Usage:', '```python', 'print(add(1, 2))', '```',
+      'Solution:', '```py', 'def add(a, b):', '    return a + b', '```',
+      '```js', 'const x = 1', '```',
+    ].join('\n')
+    expect(sandboxService.extractCode(output, 'python')).toBe('def add(a, b):\n    return a + b')
+    expect(sandboxService.extractCode(output, 'node')).toBe('const x = 1')
+    expect(sandboxService.extractCode('```\nfoo()\n```', 'node')).toBe('foo()')
+    expect(sandboxService.extractCode('```py\nx\n```', 'node')).toBe('')
+    expect(sandboxService.extractCode('  def f(): pass\n', 'python')).toBe('def f(): pass')
+  })
+})
+
+describe('validateCaseTests', () => {
+  test('requires a known language and code', () => {
+    expect(sandboxService.validateCaseTests({ language: 'node', code: 'assert.ok(1)' })).toEqual({ language: 'node', code: 'assert.ok(1)' })
+    expect(sandboxService.validateCaseTests(null)).toBeNull()
+    expect(() => sandboxService.validateCaseTests({ language: 'ruby', code: 'x' }, 'case_001'))
+      .toThrow(expect.objectContaining({ code: 'INVALID_PARAMS', message: expect.stringContaining('case_001') }))
+    expect(() => sandboxService.validateCaseTests({ language: 'node', code: '  ' })).toThrow(expect.objectContaining({ code: 'INVALID_PARAMS' }))
+    expect(() => sandboxService.validateCaseTests({ language: 'node', code: 'x', timeout_ms: 0 })).toThrow(expect.objectContaining({ code: 'INVALID_PARAMS' }))
+  })
+})
+
+describe('runTests', () => {
+  test('node: counts passes, assertion failures and errors; captures logs; blocks network modules', async () => {
+    const result = await sandboxService.runTests({
+      language: 'node',
+      solution: 'function add(a, b) { return a + b }\nconsole.log("loaded")',
+      tests: [
+        'test("adds", () => assert.strictEqual(add(1, 2), 3))',
+        'test("wrong", () => assert.strictEqual(add(1, 1), 3))',
+        'test("network", () => require("http"))',
+      ].join('\n'),
+    })
+    expect(result).toMatchObject({ passed: 1, failed: 1, errors: 1, total: 3, error: null, timed_out: false })
+    expect(result.failures.map(f => f.name)).toEqual(['wrong', 'network'])
+    expect(result.failures[1].message).toContain('disabled in the sandbox')
+    expect(result.logs.stdout).toBe('loaded\n')
+  })
+
+  test('node: the loader, process.mainModule and native bindings cannot get around the guard', async () => {
+    const result = await sandboxService.runTests({
+      language: 'node',
+      solution: '',
+      tests: [
+        'test("mainModule", () => process.mainModule.require("child_process"))',
+        'test("module", () => require("module").createRequire(__filename)("child_process"))',
+        'test("constructor", () => module.constructor._load("child_process"))',
+        'test("binding", () => process.binding("spawn_sync"))',
+      ].join('\n'),
+    })
+    expect(result).toMatchObject({ passed: 0, errors: 4, total: 4, error: null })
+    expect(result.failures.map(f => f.message)).toEqual([
+      expect.stringContaining('process.mainModule is disabled'),
+      expect.stringContaining('"module" is disabled'),
+      expect.any(String),
+      expect.stringContaining('process.binding is disabled'),
+    ])
+  })
+
+  test('node: the result survives output past the log cap', async () => {
+    const result = await sandboxService.runTests({
+      language: 'node',
+      solution: 'for (let i = 0; i < 5000; i++) console.log("line " + i + " ".repeat(40))',
+      tests: 'test("ok", () => assert.ok(true))',
+    })
+    expect(result).toMatchObject({ passed: 1, errors: 0, total: 1, error: null })
+    expect(result.logs.stdout.length).toBeLessThanOrEqual(64 * 1024)
+    expect(result.logs.stdout.startsWith('line 0 ')).toBe(true)
+  })
+
+  test('node: a runaway solution is killed at the timeout', async () => {
+    const result = await sandboxService.runTests({ language: 'node', solution: 'while (true) {}', tests: '', timeoutMs: 500 })
+    expect(result).toMatchObject({ timed_out: true, errors: 1, passed: 0 })
+    expect(result.failures[0].name).toBe('<timeout>')
+  })
+
+  test('a missing runtime is reported as a sandbox error, not a test result', async () => {
+    const result = await sandboxService.runTests({
+      language: 'python', solution: '', tests: 'assert True', settings: { python_path: 'no-such-python-binary' },
+    })
+    expect(result).toMatchObject({ total: 0, error: expect.stringContaining('runtime not found') })
+  })
+
+  test('invalid sandbox settings are reported as a sandbox error', async () => {
+    const nul = await sandboxService.runTests({
+      language: 'python', solution: '', tests: 'assert True', settings: { python_path: 'python\0' },
+    })
+    expect(nul).toMatchObject({ total: 0, error: expect.stringContaining('sandbox.python_path') })
+
+    const wrongType = await sandboxService.runTests({
+      language: 'node', solution: '', tests: 'assert.ok(1)', settings: { node_path: 42 },
+    })
+    expect(wrongType).toMatchObject({ total: 0, error: expect.stringContaining('sandbox.node_path') })
+
+    const badMemory = await sandboxService.runTests({
+      language: 'node', solution: '', tests: 'assert.ok(1)', settings: { memory_mb: 'lots' },
+    })
+    expect(badMemory).toMatchObject({ total: 0, error: expect.stringContaining('sandbox.memory_mb') })
+  })
+
+  pythonTest('python: test_* functions, top-level load errors and the socket guard', async () => {
+    const result = await sandboxService.runTests({
+      language: 'python',
+      solution: 'def add(a, b):\n    return a + b',
+      tests: [
+        'import socket',
+        'def test_adds():\n    assert add(1, 2) == 3',
+        'def test_wrong():\n    assert add(1, 1) == 3',
+        'def test_network():\n    socket.create_connection(("example.com", 80))',
+      ].join('\n'),
+    })
+    expect(result).toMatchObject({ passed: 1, failed: 1, errors: 1, total: 3, error: null })
+    expect(result.failures[1].message).toContain('network access is disabled')
+
+    const raw = await sandboxService.runTests({
+      language: 'python',
+      solution: '',
+      tests: [
+        'def test_import():\n    import _socket',
+        'def test_c_socket():\n    import socket\n    socket._socket.socket().connect(("127.0.0.1", 9))',
+      ].join('\n'),
+    })
+    expect(raw).toMatchObject({ passed: 0, errors: 2, total: 2 })
+    expect(raw.failures[0].message).toContain('import of _socket halted')
+    expect(raw.failures[1].message).toContain('network access is disabled')
+
+    const broken = await sandboxService.runTests({ language: 'python', solution: 'def add(:', tests: 'assert add(1, 2) == 3' })
+    expect(broken).toMatchObject({ passed: 0, errors: 1, total: 1 })
+    expect(broken.failures[0]).toMatchObject({ name: '<solution>', message: expect.stringContaining('SyntaxError') })
+  })
+})
@@ -11,7 +11,7 @@ const { createTmpDir, overrideWorkspace } = require('../helpers/fs-helper')
 const skillFixture = require('../fixtures/skill.fixture')
 
 // Load services (must be required after workspace override)
-let workspaceService, skillService
+let workspaceService, skillService, realAutoTagSkill
 
 let tmpDir, cleanup, restoreWorkspace
 
@@ -27,6 +27,8 @@ beforeAll(() => {
 
   // Now require services that depend on workspaceService (same module cache)
   skillService = require('../../main/services/skill-service')
+  // Batch tests stub autoTagSkill; keep the real one for end-to-end runs
+  realAutoTagSkill = require('../../main/services/cli-lite-service').autoTagSkill
 })
 
 afterAll(() => {
@@ -378,6 +380,57 @@ describe('UC1-7: triggerAutoTagBatch', () => {
     const { results } = await skillService.triggerAutoTagBatch([skillIds[0]])
     expect(results[0].status).toBe('failed')
   })
+
+  test('stops when the global call budget is reached; remaining skills are skipped', async () => {
+    const cliConfigPath = path.join(tmpDir, 'cli', 'config.json')
+    const original = fs.existsSync(cliConfigPath) ? fs.readFileSync(cliConfigPath, 'utf-8') : null
+    fs.mkdirSync(path.dirname(cliConfigPath), { recursive: true })
+    fs.writeFileSync(cliConfigPath, JSON.stringify({ ...(original ? JSON.parse(original) : {}), budget: { max_calls: 1 } }))
+
+    const cliLite = require('../../main/services/cli-lite-service')
+    cliLite.autoTagSkill = jest.fn().mockResolvedValue({
+      logRecord: { session_id: `tmp_sess_budget_${Date.now()}`, status: 'completed', usage: { calls: 1, cost_usd: 0.01 } },
+      parsedTags: ['budget'],
+      status: 'completed',
+    })
+
+    try {
+      const res = await skillService.triggerAutoTagBatch(skillIds)
+      expect(cliLite.autoTagSkill).toHaveBeenCalledTimes(1)
+      expect(res.stopReason).toBe('budget_exceeded')
+      expect(res.budget).toMatchObject({ limit: 'max_calls', limit_value: 1, actual: 1 })
+      expect(res.results.map(r => r.status)).toEqual(['completed', 'skipped'])
+    } finally {
+      if (original != null) fs.writeFileSync(cliConfigPath, original)
+      else fs.unlinkSync(cliConfigPath)
+    }
+  })
+
+  test('calls whose output fails to parse still count towards the budget', async () => {
+    const cliConfigPath = path.join(tmpDir, 'cli', 'config.json')
+    const original = fs.existsSync(cliConfigPath) ? fs.readFileSync(cliConfigPath, 'utf-8') : null
+    fs.mkdirSync(path.dirname(cliConfigPath), { recursive: true })
+    fs.writeFileSync(cliConfigPath, JSON.stringify({
+      ...(original ? JSON.parse(original) : {}),
+      cli_path: 'no-such-claude-cli',
+      backend: 'mock',
+      backends: { mock: { default_result: 'sorry, no tags today' } },
+      budget: { max_calls: 1 },
+    }))
+
+    const cliLite = require('../../main/services/cli-lite-service')
+    cliLite.autoTagSkill = realAutoTagSkill
+
+    try {
+      const res = await skillService.triggerAutoTagBatch(skillIds)
+      expect(res.results.map(r => r.status)).toEqual(['failed', 'skipped'])
+      expect(res.results[0].usage).toMatchObject({ calls: 1 })
+      expect(res).toMatchObject({ stopReason: 'budget_exceeded', budget: { limit: 'max_calls', actual: 1 } })
+    } finally {
+      if (original != null) fs.writeFileSync(cliConfigPath, original)
+      else fs.unlinkSync(cliConfigPath)
+    }
+  })
 })
 
 // ─── UC1-8: Review auto tags ─────────────────────────────────────────────────
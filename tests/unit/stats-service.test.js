@@ -0,0 +1,127 @@
+'use strict'
+
+/**
+ * stats-service.test.js
+ * Descriptive statistics used for score uncertainty, and paired tests.
+ */
+
+const statsService = require('../../main/services/stats-service')
+
+describe('summarize', () => {
+  test('mean, sample std and t-based 95% CI', () => {
+    const s = statsService.summarize([2, 4, 4, 4, 5, 5, 7, 9])
+    expect(s.n).toBe(8)
+    expect(s.mean).toBe(5)
+    expect(s.std).toBe(2.14)
+    // 5 ± 2.365 × 2.138 / √8
+    expect(s.ci95).toEqual([3.21, 6.79])
+  })
+
+  test('a single value has no interval; no values have no mean', () => {
+    expect(statsService.summarize([80])).toEqual({ n: 1, mean: 80, std: 0, ci95: null })
+    expect(statsService.summarize([])).toEqual({ n: 0, mean: null, std: 0, ci95: null })
+  })
+
+  test('non-numeric values are ignored', () => {
+    expect(statsService.summarize([10, null, undefined, 'x', 20]).n).toBe(2)
+  })
+
+  test('identical values give a zero-width interval', () => {
+    expect(statsService.summarize([70, 70, 70]).ci95).toEqual([70, 70])
+  })
+})
+
+describe('tCritical95', () => {
+  test('uses the table for small df and approaches 1.96', () => {
+    expect(statsService.tCritical95(1)).toBe(12.706)
+    expect(statsService.tCritical95(30)).toBe(2.042)
+    expect(statsService.tCritical95(120)).toBeCloseTo(1.98, 2)
+    expect(statsService.tCritical95(0)).toBeNull()
+  })
+})
+
+describe('intervalsOverlap', () => {
+  test('overlapping, touching and separate intervals', () => {
+    const a = { ci95: [70, 80] }
+    expect(statsService.intervalsOverlap(a, { ci95: [78, 90] })).toBe(true)
+    expect(statsService.intervalsOverlap(a, { ci95: [80, 85] })).toBe(true)
+    expect(statsService.intervalsOverlap(a, { ci95: [81, 85] })).toBe(false)
+    expect(statsService.intervalsOverlap(a, { ci95: null })).toBe(false)
+  })
+})
+
+describe('signTest', () => {
+  test('exact binomial over wins and losses, ties dropped', () => {
+    // 9 wins, 1 loss: 2 × (1 + 10) / 1024
+    const r = statsService.signTest([1, 2, 3, 4, 5, 6, 7, 8, 9, -1, 0, 0])
+    expect(r).toMatchObject({ wins: 9, losses: 1, ties: 2 })
+    expect(r.p_value).toBeCloseTo(0.021484, 6)
+  })
+
+  test('no decided cases gives p = 1', () => {
+    expect(statsService.signTest([0, 0]).p_value).toBe(1)
+  })
+})
+
+describe('wilcoxonSignedRank', () => {
+  test('exact p-value for small samples', () => {
+    // All 8 differences positive: 2 / 2^8
+    const r = statsService.wilcoxonSignedRank([1, 2, 3, 4, 5, 6, 7, 8])
+    expect(r).toMatchObject({ n: 8, w_plus: 36, w_minus: 0, exact: true })
+    expect(r.p_value).toBeCloseTo(0.007813, 6)
+  })
+
+  test('ties share average ranks and zeros are dropped', () => {
+    const r = statsService.wilcoxonSignedRank([2, -2, 3, 0])
+    expect(r.n).toBe(3)
+    expect(r.w_plus).toBe(4.5)
+    expect(r.w_minus).toBe(1.5)
+  })
+
+  test('large samples use the normal approximation', () => {
+    const diffs = Array.from({ length: 60 }, (_, i) => (i % 4 === 0 ? -1 : 1) * (i + 1))
+    const r = statsService.wilcoxonSignedRank(diffs)
+    expect(r.exact).toBe(false)
+    expect(r.p_value).toBeGreaterThan(0)
+    expect(r.p_value).toBeLessThan(0.05)
+  })
+})
+
+describe('pairedBootstrap', () => {
+  test('is deterministic for the same seed', () => {
+    const diffs = [3, 5, -1, 4, 2, 6, 0, 3]
+    const a = statsService.pairedBootstrap(diffs, { iterations: 500 })
+    const b = statsService.pairedBootstrap(diffs, { iterations: 500 })
+    expect(a).toEqual(b)
+    expect(a.mean_diff).toBe(2.75)
+    expect(a.ci95[0]).toBeLessThanOrEqual(2.75)
+    expect(a.ci95[1]).toBeGreaterThanOrEqual(2.75)
+  })
+
+  test('a consistent difference is significant, no difference is not', () => {
+    expect(statsService.pairedBootstrap([5, 6, 4, 5, 7, 5, 6, 4]).p_value).toBeLessThan(0.01)
+    expect(statsService.pairedBootstrap([1, -1, 2, -2, 0]).p_value).toBeGreaterThan(0.5)
+    expect(statsService.pairedBootstrap([])).toMatchObject({ mean_diff: null, ci95: null, p_value: 1 })
+  })
+})
+
+describe('holmAdjust', () => {
+  test('step-down adjustment in input order, nulls passed through', () => {
+    expect(statsService.holmAdjust([0.01, 0.03, null, 0.02])).toEqual([0.03, 0.04, null, 0.04])
+    expect(statsService.holmAdjust([0.5, 0.9])).toEqual([1, 1])
+  })
+})
+
+describe('krippendorffAlpha', () => {
+  test('perfect agreement is 1; partial agreement is lower', () => {
+    expect(statsService.krippendorffAlpha([[1, 1], [2, 2], [3, 3]])).toBe(1)
+    // D_o = 4/6, D_e = 48/30
+    expect(statsService.krippendorffAlpha([[1, 2], [2, 1], [3, 3]])).toBe(0.583)
+  })
+
+  test('missing values are skipped; too little data gives null', () => {
+    expect(statsService.krippendorffAlpha([[1, 1, null], [2, 2], [5]])).toBe(1)
+    expect(statsService.krippendorffAlpha([[1, 2]])).toBeNull()
+    expect(statsService.krippendorffAlpha([[3, 3], [3, 3]])).toBeNull()
+  })
+})
@@ -654,6 +654,41 @@ describe('UC6-6: run-loop crash guard persists interrupted status', () => {
     expect(cfg.status).toBe('interrupted')
   }, 8000)
 
+  test('a crash after resumeTest is caught the same way', async () => {
+    const { projectId, projectPath } = createTestProject('uc6-6d', 3)
+    setupMocks(['success', 'success', 'success'])
+
+    await new Promise((resolve) => {
+      testService.startTest(projectId, {
+        onProgress: (data) => {
+          if (data.completedTasks === 1 && testService.getProgress(projectId).status === 'running') {
+            testService.pauseTest(projectId)
+            setImmediate(resolve)
+          }
+        },
+      })
+    })
+
+    let thrown = false
+    const finalData = await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error('UC6-6d timeout')), 6000)
+      testService.resumeTest(projectId, {
+        onProgress: (data) => {
+          if (!thrown) { thrown = true; throw new Error('Simulated callback crash') }
+          if (data.projectStatus === 'interrupted') {
+            clearTimeout(timer)
+            resolve(data)
+          }
+        },
+      }).catch(err => { clearTimeout(timer); reject(err) })
+    })
+
+    expect(finalData.error).toBeTruthy()
+    const cfg = JSON.parse(fs.readFileSync(path.join(projectPath, 'config.json'), 'utf-8'))
+    expect(cfg.status).toBe('interrupted')
+    expect(testService.getProgress(projectId).status).not.toBe('running')
+  }, 8000)
+
   test('CLI_NOT_AVAILABLE error records code and message in result error field', async () => {
     const { projectId, projectPath } = createTestProject('uc6-6b', 1)
     // Simulate claude binary not found
@@ -690,3 +725,1125 @@ describe('UC6-6: run-loop crash guard persists interrupted status', () => {
     expect(result.error).toContain('CLI_TIMEOUT')
   })
 })
+
+// ─── Streaming mode ───────────────────────────────────────────────────────
+
+describe('streaming: cli_config.streaming forwards execution output via onStream', () => {
+  function enableStreaming(projectPath, enabled) {
+    const cfgPath = path.join(projectPath, 'config.json')
+    const cfg = JSON.parse(fs.readFileSync(cfgPath, 'utf-8'))
+    cfg.cli_config.streaming = enabled
+    fs.writeFileSync(cfgPath, JSON.stringify(cfg), 'utf-8')
+  }
+
+  function runWithStream(projectId) {
+    const events = []
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error('Timeout')), 5000)
+      testService.startTest(projectId, {
+        onStream: (data) => events.push(data),
+        onProgress: (data) => {
+          if (data.projectStatus === 'completed' || data.projectStatus === 'interrupted') {
+            clearTimeout(timer)
+            resolve(events)
+          }
+        },
+      }).catch((err) => { clearTimeout(timer); reject(err) })
+    })
+  }
+
+  test('execution call receives onStream and events are tagged with skill and case', async () => {
+    const { projectId, projectPath } = createTestProject('stream-a', 1)
+    enableStreaming(projectPath, true)
+    const spy = jest.spyOn(cliService, 'invokeCli')
+      .mockImplementationOnce(async (_prompt, opts) => {
+        opts.onStream({ type: 'text', text: 'mock ' })
+        opts.onStream({ type: 'text', text: 'output' })
+        return { result: 'mock output', duration_ms: 100 }
+      })
+      .mockResolvedValueOnce({ result: '{}' })
+    jest.spyOn(cliService, 'getCliVersion').mockResolvedValue('1.2.0')
+    jest.spyOn(cliService, 'parseStructuredOutput').mockReturnValue({ scores: MOCK_SCORES })
+
+    const events = await runWithStream(projectId)
+
+    expect(events.map(e => e.type)).toEqual(['start', 'text', 'text'])
+    expect(events[1]).toEqual({ projectId, skillId: 'skill-a', caseId: 'case_001', type: 'text', text: 'mock ' })
+    // Scoring call is never streamed
+    expect(spy.mock.calls[1][1].onStream).toBeUndefined()
+  })
+
+  test('no stream callback is passed when the project has streaming disabled', async () => {
+    const { projectId } = createTestProject('stream-b', 1)
+    setupMocks(['success'])
+
+    const events = await runWithStream(projectId)
+
+    expect(events).toEqual([])
+    expect(cliService.invokeCli.mock.calls[0][1].onStream).toBeUndefined()
+  })
+})
+
+// ─── Usage accounting ─────────────────────────────────────────────────────
+
+describe('usage: execution and scoring usage land in result records and usage.json', () => {
+  test('records per-call usage and aggregates it per project', async () => {
+    const { projectId, projectPath } = createTestProject('usage-a', 1)
+    const execUsage  = { calls: 1, input_tokens: 100, output_tokens: 50, cache_creation_input_tokens: 0, cache_read_input_tokens: 0, cost_usd: 0.01 }
+    const scoreUsage = { calls: 1, input_tokens: 80,  output_tokens: 20, cache_creation_input_tokens: 0, cache_read_input_tokens: 0, cost_usd: 0.005 }
+    jest.spyOn(cliService, 'invokeCli')
+      .mockResolvedValueOnce({ result: 'mock output', duration_ms: 100, usage: execUsage })
+      .mockResolvedValueOnce({ result: '{}', usage: scoreUsage })
+    jest.spyOn(cliService, 'getCliVersion').mockResolvedValue('1.2.0')
+    jest.spyOn(cliService, 'parseStructuredOutput').mockReturnValue({ scores: MOCK_SCORES, reasoning: 'ok' })
+
+    await runAndWait(projectId)
+
+    const record = JSON.parse(fs.readFileSync(path.join(projectPath, 'results', 'skill_test_v1', 'case_001.json'), 'utf-8'))
+    expect(record.usage).toEqual({ execution: execUsage, scoring: scoreUsage })
+
+    const usage = JSON.parse(fs.readFileSync(path.join(projectPath, 'usage.json'), 'utf-8'))
+    expect(usage.totals).toMatchObject({ calls: 2, input_tokens: 180, output_tokens: 70, cost_usd: 0.015 })
+    expect(usage.by_source.test_execution.calls).toBe(1)
+    expect(usage.by_source.scoring.calls).toBe(1)
+  })
+
+  test('a judge reply that fails to parse still records its usage', async () => {
+    const { projectId, projectPath } = createTestProject('usage-b', 1)
+    const scoreUsage = { calls: 1, input_tokens: 80, output_tokens: 20, cache_creation_input_tokens: 0, cache_read_input_tokens: 0, cost_usd: 0.005 }
+    jest.spyOn(cliService, 'invokeCli')
+      .mockResolvedValueOnce({ result: 'mock output', duration_ms: 100 })
+      .mockResolvedValueOnce({ result: 'no json here', usage: scoreUsage })
+    jest.spyOn(cliService, 'getCliVersion').mockResolvedValue('1.2.0')
+
+    await runAndWait(projectId)
+
+    const record = JSON.parse(fs.readFileSync(path.join(projectPath, 'results', 'skill_test_v1', 'case_001.json'), 'utf-8'))
+    expect(record.scores).toBeNull()
+    expect(record.usage.scoring).toEqual(scoreUsage)
+  })
+})
+
+describe('budget: run pauses through the checkpoint when a project limit is reached', () => {
+  test('max_calls pauses with stop_reason budget_exceeded; raising it and resuming finishes the run', async () => {
+    const { projectId, projectPath } = createTestProject('budget-a', 3)
+    const configPath = path.join(projectPath, 'config.json')
+    const cfg = JSON.parse(fs.readFileSync(configPath, 'utf-8'))
+    cfg.budget = { max_calls: 2 }   // one task = exec + scoring call
+    fs.writeFileSync(configPath, JSON.stringify(cfg))
+
+    const callUsage = { calls: 1, input_tokens: 10, output_tokens: 5, cache_creation_input_tokens: 0, cache_read_input_tokens: 0, cost_usd: 0 }
+    jest.spyOn(cliService, 'invokeCli').mockResolvedValue({ result: 'mock output', duration_ms: 10, usage: callUsage })
+    jest.spyOn(cliService, 'getCliVersion').mockResolvedValue('1.2.0')
+    jest.spyOn(cliService, 'parseStructuredOutput').mockReturnValue({ scores: MOCK_SCORES, reasoning: 'ok' })
+
+    const paused = await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error('Timeout waiting for budget pause')), 5000)
+      testService.startTest(projectId, {
+        onProgress: (data) => {
+          if (data.projectStatus === 'paused') { clearTimeout(timer); resolve(data) }
+          if (data.projectStatus === 'completed') { clearTimeout(timer); reject(new Error('run completed despite budget')) }
+        },
+      }).catch(reject)
+    })
+
+    expect(paused.stopReason).toBe('budget_exceeded')
+    expect(paused.budget).toMatchObject({ limit: 'max_calls', limit_value: 2, actual: 2 })
+    expect(paused.completedTasks).toBe(1)
+
+    const pausedCfg = JSON.parse(fs.readFileSync(configPath, 'utf-8'))
+    expect(pausedCfg.status).toBe('paused')
+    expect(pausedCfg.stop_reason).toBe('budget_exceeded')
+    expect(pausedCfg.budget_exceeded.limit).toBe('max_calls')
+    expect(pausedCfg.progress.last_checkpoint).toBe(1)
+    expect(testService.getProgress(projectId).status).toBe('paused')
+
+    // Raise the limit and resume — remaining tasks run from the checkpoint
+    pausedCfg.budget = { max_calls: 100 }
+    fs.writeFileSync(configPath, JSON.stringify(pausedCfg))
+    const done = await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error('Timeout waiting for resume')), 5000)
+      testService.resumeTest(projectId, {
+        onProgress: (data) => {
+          if (data.projectStatus === 'completed') { clearTimeout(timer); resolve(data) }
+        },
+      }).catch(reject)
+    })
+    expect(done.completedTasks).toBe(3)
+    const finalCfg = JSON.parse(fs.readFileSync(configPath, 'utf-8'))
+    expect(finalCfg.status).toBe('completed')
+    expect(finalCfg.stop_reason).toBeUndefined()
+  })
+
+  test('failed calls and their retries count towards max_calls', async () => {
+    const { projectId, projectPath } = createTestProject('budget-c', 4)
+    const configPath = path.join(projectPath, 'config.json')
+    const cfg = JSON.parse(fs.readFileSync(configPath, 'utf-8'))
+    cfg.budget = { max_calls: 5 }
+    fs.writeFileSync(configPath, JSON.stringify(cfg))
+
+    // As cli-service rejects after three attempts: no tokens, but three calls
+    const attemptsUsage = { calls: 3, input_tokens: 0, output_tokens: 0, cache_creation_input_tokens: 0, cache_read_input_tokens: 0, cost_usd: 0 }
+    jest.spyOn(cliService, 'invokeCli').mockImplementation(async () => {
+      throw { code: 'CLI_TIMEOUT', usage: { ...attemptsUsage } }
+    })
+    jest.spyOn(cliService, 'getCliVersion').mockResolvedValue('1.2.0')
+
+    const paused = await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error('Timeout waiting for budget pause')), 5000)
+      testService.startTest(projectId, {
+        onProgress: (data) => {
+          if (data.projectStatus === 'paused') { clearTimeout(timer); resolve(data) }
+          if (data.projectStatus === 'completed') { clearTimeout(timer); reject(new Error('run completed despite budget')) }
+        },
+      }).catch(reject)
+    })
+
+    expect(paused).toMatchObject({ stopReason: 'budget_exceeded', failedTasks: 2 })
+    expect(paused.budget).toMatchObject({ limit: 'max_calls', actual: 6 })
+    expect(cliService.invokeCli).toHaveBeenCalledTimes(2)
+    const record = JSON.parse(fs.readFileSync(path.join(projectPath, 'results', 'skill_test_v1', 'case_001.json'), 'utf-8'))
+    expect(record.usage.execution.calls).toBe(3)
+  })
+
+  test('budgetGuard supplied by the caller pauses the run the same way', async () => {
+    const { projectId } = createTestProject('budget-b', 2)
+    setupMocks(['success', 'success'])
+
+    const guardHit = { limit: 'max_cost_usd', limit_value: 1, actual: 1.5, message: 'over' }
+    const paused = await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error('Timeout waiting for guard pause')), 5000)
+      testService.startTest(projectId, {
+        budgetGuard: () => guardHit,
+        onProgress: (data) => {
+          if (data.projectStatus === 'paused') { clearTimeout(timer); resolve(data) }
+        },
+      }).catch(reject)
+    })
+
+    expect(paused).toMatchObject({ stopReason: 'budget_exceeded', budget: guardHit, completedTasks: 0 })
+    expect(cliService.invokeCli).not.toHaveBeenCalled()
+  })
+})
+
+describe('cancellation: pause / stop kill the in-flight call', () => {
+  /**
+   * First exec call hangs until cliService.cancel() rejects it with CLI_CANCELLED.
+   * Resolves `started` once the call is in flight.
+   */
+  function hangFirstCall() {
+    let rejectCall
+    let markStarted
+    const started = new Promise(resolve => { markStarted = resolve })
+    jest.spyOn(cliService, 'invokeCli').mockImplementationOnce(() => new Promise((_, reject) => {
+      rejectCall = reject
+      markStarted()
+    }))
+    const cancelSpy = jest.spyOn(cliService, 'cancel').mockImplementation(() => {
+      rejectCall({ code: 'CLI_CANCELLED', message: 'Cancelled' })
+      return { cancelled: 1 }
+    })
+    return { started, cancelSpy }
+  }
+
+  const readResult = (projectPath, caseId) =>
+    JSON.parse(fs.readFileSync(path.join(projectPath, 'results', 'skill_test_v1', `${caseId}.json`), 'utf-8'))
+
+  test('pauseTest records the task as cancelled (not failed) and resume runs it again', async () => {
+    const { projectId, projectPath } = createTestProject('cancel-a', 2)
+    const { started, cancelSpy } = hangFirstCall()
+    setupMocks(['success', 'success'])
+
+    const progress = []
+    await testService.startTest(projectId, { onProgress: d => progress.push(d) })
+    await started
+
+    expect(testService.pauseTest(projectId)).toMatchObject({ paused: true, cancelledCalls: 1 })
+    expect(cancelSpy).toHaveBeenCalledWith({ projectId })
+    await new Promise(resolve => setImmediate(resolve))
+
+    expect(readResult(projectPath, 'case_001')).toMatchObject({ status: 'cancelled' })
+    expect(testService.getProgress(projectId)).toMatchObject({ status: 'paused', completedTasks: 0, failedTasks: 0 })
+    expect(progress).toHaveLength(0)
+
+    const done = await new Promise(resolve => {
+      testService.resumeTest(projectId, {
+        onProgress: d => { if (d.projectStatus === 'completed') resolve(d) },
+      })
+    })
+    expect(done).toMatchObject({ completedTasks: 2, failedTasks: 0 })
+    expect(readResult(projectPath, 'case_001').status).toBe('completed')
+  }, 8000)
+
+  test('stopTest kills the call and the loop reports interrupted once it drains', async () => {
+    const { projectId, projectPath } = createTestProject('cancel-b', 2)
+    const { started, cancelSpy } = hangFirstCall()
+    setupMocks([])
+
+    const interrupted = new Promise(resolve => {
+      testService.startTest(projectId, {
+        onProgress: d => { if (d.projectStatus === 'interrupted') resolve(d) },
+      })
+    })
+    await started
+
+    expect(testService.stopTest(projectId)).toEqual({ stopped: true, cancelledCalls: 1 })
+    expect(cancelSpy).toHaveBeenCalledWith({ projectId })
+    expect(await interrupted).toMatchObject({ stopReason: 'manual', completedTasks: 0, failedTasks: 0 })
+    expect(readResult(projectPath, 'case_001').status).toBe('cancelled')
+    expect(fs.existsSync(path.join(projectPath, 'results', 'skill_test_v1', 'case_002.json'))).toBe(false)
+  }, 8000)
+})
+
+describe('model matrix: cli_config.models runs every skill × case on each model', () => {
+  const MODELS = ['claude-opus-4-6', 'vendor/model:b']
+
+  // skill-aa scores 90 on the first model and 60 on the second; skill-bb 75 on both
+  function setupMatrixMocks() {
+    jest.spyOn(cliService, 'invokeCli').mockImplementation(async (prompt, opts) => {
+      if (opts.systemPrompt) {
+        const who = opts.systemPrompt.includes('skill A') ? 'aa' : 'bb'
+        return { result: `${who}|${opts.model}`, duration_ms: 10 }
+      }
+      return { result: prompt }
+    })
+    jest.spyOn(cliService, 'getCliVersion').mockResolvedValue('1.2.0')
+    jest.spyOn(cliService, 'parseStructuredOutput').mockImplementation((text) => {
+      const total = text.includes('bb|') ? 75 : text.includes(`aa|${MODELS[0]}`) ? 90 : 60
+      return { scores: { ...MOCK_SCORES, total }, reasoning: 'ok' }
+    })
+  }
+
+  function createMatrixProject(key) {
+    const created = createTwoSkillProject(key, 2)
+    const configPath = path.join(created.projectPath, 'config.json')
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'))
+    config.cli_config.models = MODELS
+    fs.writeFileSync(configPath, JSON.stringify(config))
+    return created
+  }
+
+  test('stores results per model and calls each model with its own workingDir', async () => {
+    const { projectId, projectPath } = createMatrixProject('matrix-a')
+    setupMatrixMocks()
+
+    const done = await runAndWait(projectId)
+    expect(done).toMatchObject({ completedTasks: 8, failedTasks: 0 })
+
+    const record = JSON.parse(fs.readFileSync(
+      path.join(projectPath, 'results', 'skill_aa_v1', 'vendor_model_b', 'case_002.json'), 'utf-8'))
+    expect(record).toMatchObject({ skill_id: 'skill-aa', model_version: 'vendor/model:b', status: 'completed' })
+    expect(fs.existsSync(path.join(projectPath, 'results', 'skill_bb_v1', 'claude-opus-4-6', 'case_001.json'))).toBe(true)
+    expect(fs.existsSync(path.join(projectPath, 'results', 'skill_aa_v1', 'case_001.json'))).toBe(false)
+
+    const execCalls = cliService.invokeCli.mock.calls.filter(([, o]) => o.systemPrompt)
+    expect(new Set(execCalls.map(([, o]) => o.model))).toEqual(new Set(MODELS))
+    expect(new Set(execCalls.map(([, o]) => path.basename(o.workingDir)))).toEqual(new Set([
+      'skill_skill-aa_claude-opus-4-6', 'skill_skill-aa_vendor_model_b',
+      'skill_skill-bb_claude-opus-4-6', 'skill_skill-bb_vendor_model_b',
+    ]))
+  })
+
+  test('summary.json ranks skill-model pairs and reports model dependence', async () => {
+    const { projectId, projectPath } = createMatrixProject('matrix-b')
+    setupMatrixMocks()
+    await runAndWait(projectId)
+
+    const summary = JSON.parse(fs.readFileSync(path.join(projectPath, 'results', 'summary.json'), 'utf-8'))
+    expect(summary.models).toEqual(MODELS)
+    expect(summary.total_cases).toBe(2)
+    expect(summary.ranking.map(r => [r.skill_id, r.model, r.avg_score, r.rank])).toEqual([
+      ['skill-aa', MODELS[0], 90, 1],
+      ['skill-bb', MODELS[0], 75, 2],
+      ['skill-bb', MODELS[1], 75, 3],
+      ['skill-aa', MODELS[1], 60, 4],
+    ])
+    expect(summary.model_dependence[0]).toMatchObject({
+      skill_id: 'skill-aa', best_model: MODELS[0], worst_model: MODELS[1], spread: 30,
+      scores: { [MODELS[0]]: 90, [MODELS[1]]: 60 },
+    })
+    expect(summary.model_dependence[1]).toMatchObject({ skill_id: 'skill-bb', spread: 0 })
+  })
+
+  test('getResults filters by model; single-model summaries carry the model and no dependence block', async () => {
+    const { projectId } = createMatrixProject('matrix-c')
+    setupMatrixMocks()
+    await runAndWait(projectId)
+
+    const res = testService.getResults(projectId, { model: MODELS[1], pageSize: 50 })
+    expect(res.total).toBe(4)
+    expect(res.items.every(r => r.model_version === MODELS[1])).toBe(true)
+    expect(testService.getResults(projectId, { pageSize: 50 }).total).toBe(8)
+
+    const single = createTestProject('matrix-single', 1)
+    setupMocks(['success'])
+    await runAndWait(single.projectId)
+    const summary = JSON.parse(fs.readFileSync(path.join(single.projectPath, 'results', 'summary.json'), 'utf-8'))
+    expect(summary.models).toEqual(['claude-opus-4-6'])
+    expect(summary.ranking[0].model).toBe('claude-opus-4-6')
+    expect(summary.model_dependence).toBeUndefined()
+  })
+})
+
+// ─── Execution modes ──────────────────────────────────────────────────────
+
+describe('execution mode: native installs the skill into the working dir', () => {
+  function setExecutionMode(projectPath, mode, meta) {
+    const cfgPath = path.join(projectPath, 'config.json')
+    const cfg = JSON.parse(fs.readFileSync(cfgPath, 'utf-8'))
+    cfg.cli_config.execution_mode = mode
+    fs.writeFileSync(cfgPath, JSON.stringify(cfg), 'utf-8')
+    if (meta) fileService.writeJson(path.join(projectPath, 'skills', 'skill_test_v1', 'meta.json'), meta)
+  }
+
+  test('native mode writes SKILL.md and invokes the CLI without a system prompt', async () => {
+    const { projectId, projectPath } = createTestProject('native-a', 1)
+    setExecutionMode(projectPath, 'native', { name: 'Skill A', description: 'Writes code', type: 'skill' })
+    setupMocks(['success'])
+
+    await runAndWait(projectId)
+
+    const [, execOpts] = cliService.invokeCli.mock.calls[0]
+    expect(execOpts.systemPrompt).toBeUndefined()
+    expect(execOpts.contextDigest).toMatch(/^[0-9a-f]{64}$/)
+    const skillMd = fs.readFileSync(path.join(execOpts.workingDir, '.claude', 'skills', 'skill-a', 'SKILL.md'), 'utf-8')
+    expect(skillMd).toBe('---\nname: skill-a\ndescription: "Writes code"\n---\n\nYou are a helpful coding assistant.')
+
+    const record = JSON.parse(fs.readFileSync(path.join(projectPath, 'results', 'skill_test_v1', 'case_001.json'), 'utf-8'))
+    expect(record.execution_mode).toBe('native')
+  })
+
+  test('per-type modes: agents go to .claude/agents/ and skills keep the default', async () => {
+    const { projectId, projectPath } = createTestProject('native-b', 1)
+    setExecutionMode(projectPath, { agent: 'native' }, { type: 'agent' })
+    setupMocks(['success'])
+
+    await runAndWait(projectId)
+
+    const [, execOpts] = cliService.invokeCli.mock.calls[0]
+    expect(fs.existsSync(path.join(execOpts.workingDir, '.claude', 'agents', 'skill-a.md'))).toBe(true)
+    expect(testService.executionMode({ cli_config: { execution_mode: { agent: 'native' } } }, 'skill')).toBe('system_prompt')
+  })
+
+  test('default mode passes content.txt as system prompt; non-claude-cli backends cannot run natively', async () => {
+    const { projectId, projectPath } = createTestProject('native-c', 1)
+    setupMocks(['success'])
+
+    await runAndWait(projectId)
+
+    expect(cliService.invokeCli.mock.calls[0][1].systemPrompt).toBe('You are a helpful coding assistant.')
+    const record = JSON.parse(fs.readFileSync(path.join(projectPath, 'results', 'skill_test_v1', 'case_001.json'), 'utf-8'))
+    expect(record.execution_mode).toBe('system_prompt')
+    expect(testService.executionMode({ cli_config: { execution_mode: 'native', backend: 'mock' } })).toBe('system_prompt')
+  })
+})
+
+// ─── Case assertions ──────────────────────────────────────────────────────
+
+describe('assertions: deterministic case checks gate or cap the judge score', () => {
+  function setAssertions(projectPath, assertions) {
+    const casesPath = path.join(projectPath, 'baselines', 'baseline_test_v1', 'cases.json')
+    const data = JSON.parse(fs.readFileSync(casesPath, 'utf-8'))
+    data.cases[0].assertions = assertions
+    fs.writeFileSync(casesPath, JSON.stringify(data), 'utf-8')
+  }
+
+  const readRecord = (projectPath) => JSON.parse(fs.readFileSync(
+    path.join(projectPath, 'results', 'skill_test_v1', 'case_001.json'), 'utf-8'))
+
+  test('results are stored per assertion and a failed capped check limits the total', async () => {
+    const { projectId, projectPath } = createTestProject('assert-a', 1)
+    setAssertions(projectPath, [
+      { type: 'contains', value: 'mock' },
+      { type: 'regex', pattern: '^def ', cap: 50 },
+    ])
+    setupMocks(['success'])
+
+    await runAndWait(projectId)
+
+    const record = readRecord(projectPath)
+    expect(record.assertions).toMatchObject({ passed: 1, failed: 1, total: 2, gated: false, cap: 50 })
+    expect(record.assertions.results[1]).toMatchObject({ type: 'regex', passed: false, message: 'no match' })
+    expect(record.scores).toMatchObject({ total: 50, uncapped_total: 80, robustness: 15 })
+
+    const summary = JSON.parse(fs.readFileSync(path.join(projectPath, 'results', 'summary.json'), 'utf-8'))
+    expect(summary.ranking[0].assertion_pass_rate).toBe(0.5)
+  })
+
+  test('a failed gate zeroes the score without calling the judge', async () => {
+    const { projectId, projectPath } = createTestProject('assert-b', 1)
+    setAssertions(projectPath, [{ type: 'json', gate: true }])
+    setupMocks(['success'])
+
+    await runAndWait(projectId)
+
+    expect(cliService.invokeCli).toHaveBeenCalledTimes(1)
+    const record = readRecord(projectPath)
+    expect(record.scores.total).toBe(0)
+    expect(record.score_reasoning).toContain('Gate assertion failed: is valid JSON')
+  })
+
+  test('cases without assertions keep the old record shape', async () => {
+    const { projectId, projectPath } = createTestProject('assert-c', 1)
+    setupMocks(['success'])
+    await runAndWait(projectId)
+
+    expect(readRecord(projectPath)).not.toHaveProperty('assertions')
+  })
+})
+
+// ─── Case unit tests (sandbox) ────────────────────────────────────────────
+
+describe('case tests: sandbox results feed functional_correctness', () => {
+  const EXECUTION = {
+    language: 'python', passed: 1, failed: 1, errors: 0, total: 2, failures: [],
+    timed_out: false, exit_code: 0, duration_ms: 40, error: null, logs: { stdout: '', stderr: '' },
+  }
+
+  function setTests(projectPath, tests) {
+    const casesPath = path.join(projectPath, 'baselines', 'baseline_test_v1', 'cases.json')
+    const data = JSON.parse(fs.readFileSync(casesPath, 'utf-8'))
+    data.cases[0].tests = tests
+    fs.writeFileSync(casesPath, JSON.stringify(data), 'utf-8')
+  }
+
+  const readRecord = (projectPath) => JSON.parse(fs.readFileSync(
+    path.join(projectPath, 'results', 'skill_test_v1', 'case_001.json'), 'utf-8'))
+
+  test('the pass rate replaces the judge value and the total follows', async () => {
+    const sandboxService = require('../../main/services/sandbox-service')
+    const { projectId, projectPath } = createTestProject('sandbox-a', 1)
+    setTests(projectPath, { language: 'python', code: 'assert add(1, 2) == 3' })
+    setupMocks(['success'])
+    const run = jest.spyOn(sandboxService, 'runTests').mockResolvedValue(EXECUTION)
+
+    await runAndWait(projectId)
+
+    expect(run).toHaveBeenCalledWith(expect.objectContaining({ language: 'python', solution: 'mock output', tests: 'assert add(1, 2) == 3' }))
+    const record = readRecord(projectPath)
+    expect(record.execution).toMatchObject({ passed: 1, failed: 1, errors: 0 })
+    expect(record.scores).toMatchObject({ functional_correctness: 15, judge_functional_correctness: 25, total: 70 })
+
+    const summary = JSON.parse(fs.readFileSync(path.join(projectPath, 'results', 'summary.json'), 'utf-8'))
+    expect(summary.ranking[0].test_pass_rate).toBe(0.5)
+  })
+
+  test('feed_score: false and sandbox errors leave the judge scores alone', async () => {
+    const sandboxService = require('../../main/services/sandbox-service')
+    const { projectId, projectPath } = createTestProject('sandbox-b', 1)
+    setTests(projectPath, { language: 'node', code: 'assert.ok(true)', feed_score: false })
+    setupMocks(['success'])
+    jest.spyOn(sandboxService, 'runTests').mockResolvedValue(EXECUTION)
+
+    await runAndWait(projectId)
+    expect(readRecord(projectPath).scores).toEqual(MOCK_SCORES)
+
+    const other = createTestProject('sandbox-c', 1)
+    setTests(other.projectPath, { language: 'python', code: 'assert True' })
+    setupMocks(['success'])
+    jest.spyOn(sandboxService, 'runTests')
+      .mockResolvedValue({ ...EXECUTION, passed: 0, failed: 0, total: 0, error: 'python runtime not found: python3' })
+
+    await runAndWait(other.projectId)
+    expect(readRecord(other.projectPath).scores).toEqual(MOCK_SCORES)
+  })
+})
+
+// ─── Custom rubric ────────────────────────────────────────────────────────
+
+describe('rubric: the project rubric drives the judge prompt and the summary', () => {
+  const RUBRIC = {
+    id: 'summary_quality',
+    name: 'Summary Quality',
+    dimensions: [
+      { key: 'coverage', label: '要点覆盖', short: 'Cov', max: 60 },
+      { key: 'brevity', label: '简洁度', short: 'Brev', max: 40 },
+    ],
+  }
+
+  test('judge is asked for the rubric dimensions and summary.json follows them', async () => {
+    const { projectId, projectPath } = createTestProject('rubric-a', 1)
+    const configPath = path.join(projectPath, 'config.json')
+    fileService.writeJson(configPath, { ...fileService.readJson(configPath), rubric: RUBRIC })
+
+    const scores = { coverage: 50, brevity: 30 }
+    jest.spyOn(cliService, 'invokeCli')
+      .mockResolvedValueOnce({ result: 'mock output', duration_ms: 100 })
+      .mockResolvedValueOnce({ result: JSON.stringify({ scores, reasoning: 'ok' }) })
+    jest.spyOn(cliService, 'getCliVersion').mockResolvedValue('1.2.0')
+    jest.spyOn(cliService, 'parseStructuredOutput').mockReturnValue({ scores, reasoning: 'ok' })
+
+    await runAndWait(projectId)
+
+    const judgePrompt = cliService.invokeCli.mock.calls[1][0]
+    expect(judgePrompt).toContain('1. 要点覆盖（0-60分）')
+    expect(judgePrompt).toContain('"brevity"')
+    expect(judgePrompt).not.toContain('functional_correctness')
+
+    const record = JSON.parse(fs.readFileSync(
+      path.join(projectPath, 'results', 'skill_test_v1', 'case_001.json'), 'utf-8'))
+    expect(record.scores).toEqual({ coverage: 50, brevity: 30, total: 80 })
+
+    const summary = JSON.parse(fs.readFileSync(path.join(projectPath, 'results', 'summary.json'), 'utf-8'))
+    expect(summary.rubric).toMatchObject({ id: 'summary_quality', dimensions: [{ key: 'coverage', max: 60 }, { key: 'brevity', max: 40 }] })
+    expect(Object.keys(summary.ranking[0].score_breakdown)).toEqual(['coverage', 'brevity'])
+    expect(summary.ranking[0].avg_score).toBe(80)
+  })
+})
+
+// ─── Repeated sampling ────────────────────────────────────────────────────
+
+describe('samples_per_case: repeated sampling with variance and confidence intervals', () => {
+  function setSamples(projectPath, n) {
+    const configPath = path.join(projectPath, 'config.json')
+    const config = fileService.readJson(configPath)
+    config.cli_config.samples_per_case = n
+    fileService.writeJson(configPath, config)
+  }
+
+  function mockTotals(totals) {
+    const spy = jest.spyOn(cliService, 'parseStructuredOutput')
+    for (const total of totals) {
+      spy.mockReturnValueOnce({ scores: { ...MOCK_SCORES, functional_correctness: total - 55, total }, reasoning: `r${total}` })
+    }
+  }
+
+  test('each sample is stored; scores are the mean and score_stats the spread', async () => {
+    const { projectId, projectPath } = createTestProject('samples-a', 1)
+    setSamples(projectPath, 3)
+    setupGenericMocks()
+    mockTotals([70, 80, 90])
+
+    await runAndWait(projectId)
+
+    // exec + score per sample, each sample keyed separately for the response cache
+    expect(cliService.invokeCli).toHaveBeenCalledTimes(6)
+    expect(cliService.invokeCli.mock.calls.map(c => c[1].sampleIndex)).toEqual([0, 0, 1, 1, 2, 2])
+
+    const record = JSON.parse(fs.readFileSync(
+      path.join(projectPath, 'results', 'skill_test_v1', 'case_001.json'), 'utf-8'))
+    expect(record.status).toBe('completed')
+    expect(record.samples.map(s => [s.sample, s.scores.total])).toEqual([[1, 70], [2, 80], [3, 90]])
+    expect(record.scores).toMatchObject({ functional_correctness: 25, robustness: 15, total: 80 })
+    expect(record.score_stats.total).toEqual({ n: 3, mean: 80, std: 10, ci95: [55.16, 104.84] })
+    expect(record.score_reasoning).toBe('r70')
+    expect(record.usage).toEqual({ execution: null, scoring: null })
+
+    const summary = JSON.parse(fs.readFileSync(path.join(projectPath, 'results', 'summary.json'), 'utf-8'))
+    expect(summary.samples_per_case).toBe(3)
+    expect(summary.ranking[0].avg_score).toBe(80)
+    expect(summary.ranking[0].sampling_std).toBe(10)
+  })
+
+  test('a failed sample does not fail the case; all failed does', async () => {
+    const { projectId, projectPath } = createTestProject('samples-b', 1)
+    setSamples(projectPath, 2)
+    setupMocks(['fail', 'success'])
+
+    await runAndWait(projectId)
+
+    const record = JSON.parse(fs.readFileSync(
+      path.join(projectPath, 'results', 'skill_test_v1', 'case_001.json'), 'utf-8'))
+    expect(record.status).toBe('completed')
+    expect(record.error).toBeNull()
+    expect(record.samples.map(s => s.status)).toEqual(['failed', 'completed'])
+    expect(record.actual_output).toBe('mock output')
+    expect(record.score_stats.total).toMatchObject({ n: 1, ci95: null })
+  })
+
+  test('summary reports per-skill intervals and flags overlapping ones as tied', async () => {
+    const { projectId, projectPath } = createTwoSkillProject('samples-c', 3)
+    setupGenericMocks()
+    // Skill AA scores 80-90 per case, skill BB 60-90: intervals overlap
+    const totals = { 'skill-aa': [80, 85, 90], 'skill-bb': [60, 75, 90] }
+    const seen = { 'skill-aa': 0, 'skill-bb': 0 }
+    cliService.invokeCli.mockImplementation(async (prompt, opts) => ({ result: opts.jobLabel, duration_ms: 1 }))
+    cliService.parseStructuredOutput.mockImplementation((text) => {
+      const sid = text.includes('Skill AA') ? 'skill-aa' : 'skill-bb'
+      const total = totals[sid][seen[sid]++ % 3]
+      return { scores: { ...MOCK_SCORES, total }, reasoning: '' }
+    })
+
+    await runAndWait(projectId)
+
+    const summary = JSON.parse(fs.readFileSync(path.join(projectPath, 'results', 'summary.json'), 'utf-8'))
+    const [first, second] = summary.ranking
+    expect(first.skill_id).toBe('skill-aa')
+    expect(first.score_stats.total).toMatchObject({ n: 3, mean: 85, std: 5 })
+    expect(second.score_stats.total).toMatchObject({ n: 3, mean: 75, std: 15 })
+    expect(first.score_stats.robustness.mean).toBe(15)
+    expect(first.tied_with).toEqual([2])
+    expect(second.tied_with).toEqual([1])
+    expect(summary.samples_per_case).toBe(1)
+    expect(first).not.toHaveProperty('sampling_std')
+  })
+})
+
+// ─── Judge panel ──────────────────────────────────────────────────────────
+
+describe('judge_panel: several judges per result with agreement metrics', () => {
+  function setPanel(projectPath, panel) {
+    const configPath = path.join(projectPath, 'config.json')
+    const config = fileService.readJson(configPath)
+    config.cli_config.judge_panel = panel
+    fileService.writeJson(configPath, config)
+  }
+
+  function mockJudgeTotals(totals) {
+    const spy = jest.spyOn(cliService, 'parseStructuredOutput')
+    for (const total of totals) {
+      spy.mockReturnValueOnce({ scores: { ...MOCK_SCORES, functional_correctness: total - 55, total }, reasoning: `r${total}` })
+    }
+  }
+
+  test('judges are stored, scores aggregated and strong disagreement flagged', async () => {
+    const { projectId, projectPath } = createTestProject('panel-a', 2)
+    setPanel(projectPath, {
+      judges: ['judge-x', 'judge-y', 'judge-x'], aggregate: 'median', shuffle_dimensions: true, disagreement_threshold: 15,
+    })
+    setupGenericMocks()
+    mockJudgeTotals([70, 90, 75, 80, 82, 81])
+
+    await runAndWait(projectId)
+
+    // exec + 3 judges per case; repeated models get their own cache entries
+    expect(cliService.invokeCli).toHaveBeenCalledTimes(8)
+    const judgeCalls = cliService.invokeCli.mock.calls.slice(1, 4)
+    expect(judgeCalls.map(c => c[1].model)).toEqual(['judge-x', 'judge-y', 'judge-x'])
+    expect(judgeCalls.map(c => c[1].judgeIndex)).toEqual([undefined, 1, 2])
+    // Judge 1 keeps the built-in template; shuffled judges use the generic one
+    expect(judgeCalls[0][0]).toContain('你是一位专业的代码质量评审专家')
+    expect(judgeCalls[1][0]).not.toContain('你是一位专业的代码质量评审专家')
+
+    const record = JSON.parse(fs.readFileSync(
+      path.join(projectPath, 'results', 'skill_test_v1', 'case_001.json'), 'utf-8'))
+    expect(record.judges.map(j => [j.judge, j.model, j.scores.total])).toEqual([[1, 'judge-x', 70], [2, 'judge-y', 90], [3, 'judge-x', 75]])
+    expect(record.judges[0]).not.toHaveProperty('dimension_order')
+    expect([...record.judges[1].dimension_order].sort()).toEqual(Object.keys(MOCK_SCORES).filter(k => k !== 'total').sort())
+    expect(record.scores).toMatchObject({ functional_correctness: 20, total: 75 })
+    expect(record.judge_spread).toBe(20)
+    expect(record).toMatchObject({ needs_review: true, review_reason: 'judge_disagreement' })
+
+    const second = JSON.parse(fs.readFileSync(
+      path.join(projectPath, 'results', 'skill_test_v1', 'case_002.json'), 'utf-8'))
+    expect(second.scores.total).toBe(81)
+    expect(second).not.toHaveProperty('needs_review')
+
+    const summary = JSON.parse(fs.readFileSync(path.join(projectPath, 'results', 'summary.json'), 'utf-8'))
+    expect(summary.judge_agreement).toMatchObject({ judges: 3, aggregate: 'median', mean_spread: 11, flagged_cases: 1 })
+    expect(typeof summary.judge_agreement.krippendorff_alpha).toBe('number')
+  })
+
+  test('a failing judge is skipped; the others still score', async () => {
+    const { projectId, projectPath } = createTestProject('panel-b', 1)
+    setPanel(projectPath, { judges: ['judge-x', 'judge-y'] })
+    setupGenericMocks()
+    cliService.invokeCli
+      .mockResolvedValueOnce({ result: 'mock output', duration_ms: 100 })
+      .mockRejectedValueOnce({ code: 'CLI_TIMEOUT', message: 'judge timed out' })
+    mockJudgeTotals([84])
+
+    await runAndWait(projectId)
+
+    const record = JSON.parse(fs.readFileSync(
+      path.join(projectPath, 'results', 'skill_test_v1', 'case_001.json'), 'utf-8'))
+    expect(record.status).toBe('completed')
+    expect(record.judges[0]).toMatchObject({ judge: 1, model: 'judge-x', error: 'CLI_TIMEOUT: judge timed out' })
+    expect(record.scores.total).toBe(84)
+    expect(record.judge_spread).toBeNull()
+  })
+
+  test('failed judges still count towards the scoring usage', async () => {
+    const { projectId, projectPath } = createTestProject('panel-c', 1)
+    setPanel(projectPath, { judges: ['judge-x', 'judge-y'] })
+    setupGenericMocks()
+    const u = (calls, tokens) => ({ calls, input_tokens: tokens, output_tokens: 0, cache_creation_input_tokens: 0, cache_read_input_tokens: 0, cost_usd: 0 })
+    cliService.invokeCli
+      .mockResolvedValueOnce({ result: 'mock output', duration_ms: 100 })
+      .mockRejectedValueOnce({ code: 'CLI_TIMEOUT', message: 'judge timed out', usage: u(2, 0) })
+      .mockResolvedValueOnce({ result: 'not json', usage: u(1, 40) })
+    cliService.parseStructuredOutput.mockImplementationOnce(() => { throw { code: 'OUTPUT_PARSE_FAILED', raw: 'not json' } })
+
+    await runAndWait(projectId)
+
+    const record = JSON.parse(fs.readFileSync(
+      path.join(projectPath, 'results', 'skill_test_v1', 'case_001.json'), 'utf-8'))
+    expect(record.scores).toBeNull()
+    expect(record.usage.scoring).toMatchObject({ calls: 3, input_tokens: 40 })
+  })
+})
+
+// ─── Pairwise judging ─────────────────────────────────────────────────────
+
+describe('pairwise: side-by-side verdicts and Bradley-Terry ratings', () => {
+  function setPairwise(projectPath, pairwise) {
+    const configPath = path.join(projectPath, 'config.json')
+    const config = fileService.readJson(configPath)
+    config.cli_config.pairwise = pairwise
+    fileService.writeJson(configPath, config)
+  }
+
+  // Outputs name their skill; the pairwise judge always prefers Skill AA's
+  function mockPairwiseRun({ failBB = [] } = {}) {
+    setupGenericMocks()
+    cliService.invokeCli.mockImplementation(async (prompt, opts) => {
+      if (prompt.includes('【输出 1】')) {
+        const first = prompt.indexOf('output of AA') < prompt.indexOf('output of BB') ? '1' : '2'
+        return { result: JSON.stringify({ winner: first, reasoning: 'AA is better' }) }
+      }
+      const label = opts.jobLabel || ''
+      if (label.startsWith('test Skill BB') && failBB.some(c => label.includes(c))) {
+        throw { code: 'CLI_EXECUTION_ERROR', message: 'mock failure' }
+      }
+      return { result: `output of ${label.includes('Skill AA') ? 'AA' : 'BB'}`, duration_ms: 1 }
+    })
+    cliService.parseStructuredOutput.mockImplementation(text =>
+      (text.startsWith('{"winner"') ? JSON.parse(text) : { scores: MOCK_SCORES, reasoning: '' }))
+  }
+
+  test('every case of every pair is judged with anonymized outputs', async () => {
+    const { projectId, projectPath } = createTwoSkillProject('pairwise-a', 2)
+    setPairwise(projectPath, { schedule: 'round_robin' })
+    mockPairwiseRun()
+
+    await runAndWait(projectId)
+
+    const judgeCalls = cliService.invokeCli.mock.calls.filter(c => c[0].includes('【输出 1】'))
+    expect(judgeCalls).toHaveLength(2)
+    expect(judgeCalls[0][0]).not.toMatch(/Skill AA|Skill BB|skill-aa|skill-bb/)
+
+    const store = JSON.parse(fs.readFileSync(path.join(projectPath, 'results', 'pairwise.json'), 'utf-8'))
+    expect(store.comparisons.map(c => [c.case_id, c.a, c.b, c.verdict, c.winner])).toEqual([
+      ['case_001', 'skill-aa', 'skill-bb', 'a', 'skill-aa'],
+      ['case_002', 'skill-aa', 'skill-bb', 'a', 'skill-aa'],
+    ])
+
+    const summary = JSON.parse(fs.readFileSync(path.join(projectPath, 'results', 'summary.json'), 'utf-8'))
+    const aa = summary.ranking.find(r => r.skill_id === 'skill-aa')
+    const bb = summary.ranking.find(r => r.skill_id === 'skill-bb')
+    expect(aa.pairwise).toMatchObject({ wins: 2, losses: 0, ties: 0, comparisons: 2, rank: 1 })
+    expect(bb.pairwise).toMatchObject({ wins: 0, losses: 2, rank: 2 })
+    expect(aa.pairwise.rating).toBeGreaterThan(1500)
+    expect(aa.pairwise.rating + bb.pairwise.rating).toBe(3000)
+    expect(summary.pairwise).toMatchObject({ schedule: 'round_robin', rounds: 1, comparisons: 2, forfeits: 0 })
+  })
+
+  test('a failed output forfeits without a judge call', async () => {
+    const { projectId, projectPath } = createTwoSkillProject('pairwise-b', 2)
+    setPairwise(projectPath, { schedule: 'auto' })
+    mockPairwiseRun({ failBB: ['case_002'] })
+
+    await runAndWait(projectId)
+
+    expect(cliService.invokeCli.mock.calls.filter(c => c[0].includes('【输出 1】'))).toHaveLength(1)
+    const store = JSON.parse(fs.readFileSync(path.join(projectPath, 'results', 'pairwise.json'), 'utf-8'))
+    expect(store.comparisons.find(c => c.case_id === 'case_002')).toMatchObject({ forfeit: true, winner: 'skill-aa' })
+
+    const summary = JSON.parse(fs.readFileSync(path.join(projectPath, 'results', 'summary.json'), 'utf-8'))
+    expect(summary.pairwise).toMatchObject({ schedule: 'round_robin', comparisons: 2, forfeits: 1 })
+  })
+
+  test('projects without pairwise keep the old summary shape', async () => {
+    const { projectId, projectPath } = createTwoSkillProject('pairwise-c', 1)
+    setupGenericMocks()
+
+    await runAndWait(projectId)
+
+    const summary = JSON.parse(fs.readFileSync(path.join(projectPath, 'results', 'summary.json'), 'utf-8'))
+    expect(summary).not.toHaveProperty('pairwise')
+    expect(summary.ranking[0]).not.toHaveProperty('pairwise')
+    expect(fs.existsSync(path.join(projectPath, 'results', 'pairwise.json'))).toBe(false)
+  })
+})
+
+// ─── Multi-turn cases ─────────────────────────────────────────────────────
+
+describe('turns: multi-turn cases resume the first call\'s session', () => {
+  function setTurns(projectPath, fields) {
+    const casesPath = path.join(projectPath, 'baselines', 'baseline_test_v1', 'cases.json')
+    const data = JSON.parse(fs.readFileSync(casesPath, 'utf-8'))
+    Object.assign(data.cases[0], fields)
+    fs.writeFileSync(casesPath, JSON.stringify(data), 'utf-8')
+  }
+
+  const readRecord = (projectPath) => JSON.parse(fs.readFileSync(
+    path.join(projectPath, 'results', 'skill_test_v1', 'case_001.json'), 'utf-8'))
+
+  function mockConversation() {
+    const invoke = jest.spyOn(cliService, 'invokeCli')
+      .mockResolvedValueOnce({ result: 'first reply', duration_ms: 100, session_id: 'sess-1' })
+      .mockResolvedValueOnce({ result: JSON.stringify({ scores: MOCK_SCORES, reasoning: 'good job' }) })
+    const resume = jest.spyOn(cliService, 'invokeCliResume')
+      .mockResolvedValueOnce({ result: 'second reply', duration_ms: 50, session_id: 'sess-1' })
+      .mockResolvedValueOnce({ result: 'final reply', duration_ms: 25, session_id: 'sess-1' })
+    jest.spyOn(cliService, 'getCliVersion').mockResolvedValue('1.2.0')
+    jest.spyOn(cliService, 'parseStructuredOutput').mockReturnValue({ scores: MOCK_SCORES, reasoning: 'good job' })
+    return { invoke, resume }
+  }
+
+  test('later turns go through --resume and the transcript is stored', async () => {
+    const { projectId, projectPath } = createTestProject('turns-a', 1)
+    setTurns(projectPath, { input: 'Write a parser', turns: ['Write a parser', 'Add error handling', 'Now add tests'] })
+    const { invoke, resume } = mockConversation()
+
+    await runAndWait(projectId)
+
+    expect(invoke.mock.calls[0][0]).toBe('Write a parser')
+    expect(invoke.mock.calls[0][1]).toMatchObject({ cachePolicy: 'off', systemPrompt: 'You are a helpful coding assistant.' })
+    expect(resume).toHaveBeenCalledTimes(2)
+    expect(resume.mock.calls[0].slice(0, 2)).toEqual(['Add error handling', 'sess-1'])
+    expect(resume.mock.calls[1].slice(0, 2)).toEqual(['Now add tests', 'sess-1'])
+    expect(resume.mock.calls[1][2].jobLabel).toContain('[turn 3]')
+    // The session keeps neither the model nor the system prompt
+    expect(resume.mock.calls[1][2]).toMatchObject({
+      model: invoke.mock.calls[0][1].model, systemPrompt: 'You are a helpful coding assistant.',
+    })
+    expect(resume.mock.calls[1][2].model).toBeTruthy()
+
+    const record = readRecord(projectPath)
+    expect(record.status).toBe('completed')
+    expect(record.actual_output).toBe('final reply')
+    expect(record.duration_ms).toBe(175)
+    expect(record.transcript).toEqual([
+      { turn: 1, input: 'Write a parser',     output: 'first reply',  duration_ms: 100 },
+      { turn: 2, input: 'Add error handling', output: 'second reply', duration_ms: 50 },
+      { turn: 3, input: 'Now add tests',      output: 'final reply',  duration_ms: 25 },
+    ])
+    expect(record.scores.total).toBe(80)
+
+    // Default judge_scope 'final': earlier turns as context, the final reply judged
+    const judgePrompt = invoke.mock.calls[1][0]
+    expect(judgePrompt).toContain('Add error handling')
+    expect(judgePrompt).toContain('final reply')
+    expect(judgePrompt).toContain('second reply')
+    expect(judgePrompt).not.toMatch(/第 3 轮 · 助手/)
+  })
+
+  test('judge_scope conversation hands the judge every reply', async () => {
+    const { projectId, projectPath } = createTestProject('turns-b', 1)
+    setTurns(projectPath, { turns: ['One', 'Two', 'Three'], judge_scope: 'conversation' })
+    const { invoke } = mockConversation()
+
+    await runAndWait(projectId)
+
+    const judgePrompt = invoke.mock.calls[1][0]
+    expect(judgePrompt).toContain('1. One\n2. Two\n3. Three')
+    expect(judgePrompt).toMatch(/第 3 轮 · 助手\]\nfinal reply/)
+    expect(judgePrompt).toMatch(/第 1 轮 · 助手\]\nfirst reply/)
+  })
+
+  test('a failed turn fails the case and keeps the turns that ran', async () => {
+    const { projectId, projectPath } = createTestProject('turns-c', 1)
+    setTurns(projectPath, { turns: ['One', 'Two', 'Three'] })
+    jest.spyOn(cliService, 'invokeCli').mockResolvedValueOnce({ result: 'first reply', duration_ms: 100, session_id: 'sess-1' })
+    jest.spyOn(cliService, 'invokeCliResume').mockRejectedValueOnce({ code: 'CLI_TIMEOUT' })
+    jest.spyOn(cliService, 'getCliVersion').mockResolvedValue('1.2.0')
+
+    await runAndWait(projectId)
+
+    const record = readRecord(projectPath)
+    expect(record.status).toBe('failed')
+    expect(record.error).toBe('CLI_TIMEOUT')
+    expect(record.transcript).toEqual([{ turn: 1, input: 'One', output: 'first reply', duration_ms: 100 }])
+    expect(cliService.invokeCli).toHaveBeenCalledTimes(1)
+  })
+
+  test('multi-turn cases need the claude-cli backend and a session id', async () => {
+    const { projectId, projectPath } = createTestProject('turns-d', 2)
+    const casesPath = path.join(projectPath, 'baselines', 'baseline_test_v1', 'cases.json')
+    const data = JSON.parse(fs.readFileSync(casesPath, 'utf-8'))
+    data.cases.forEach(c => { c.turns = ['One', 'Two'] })
+    fs.writeFileSync(casesPath, JSON.stringify(data), 'utf-8')
+    jest.spyOn(cliService, 'invokeCli').mockResolvedValue({ result: 'reply', duration_ms: 10 })
+    jest.spyOn(cliService, 'invokeCliResume')
+    jest.spyOn(cliService, 'getCliVersion').mockResolvedValue('1.2.0')
+
+    await runAndWait(projectId)
+
+    const record = readRecord(projectPath)
+    expect(record.status).toBe('failed')
+    expect(record.error).toContain('No session id to resume after turn 1')
+    expect(cliService.invokeCliResume).not.toHaveBeenCalled()
+
+    const configPath = path.join(projectPath, 'config.json')
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'))
+    config.cli_config.backend = 'openai-http'
+    config.status = 'pending'
+    fs.writeFileSync(configPath, JSON.stringify(config), 'utf-8')
+    fs.rmSync(path.join(projectPath, 'results', 'skill_test_v1'), { recursive: true, force: true })
+    cliService.invokeCli.mockClear()
+
+    await runAndWait(projectId)
+
+    expect(readRecord(projectPath).error).toContain('Multi-turn cases need the claude-cli backend')
+    expect(cliService.invokeCli).not.toHaveBeenCalled()
+  })
+
+  test('single-prompt cases have no transcript', async () => {
+    const { projectId, projectPath } = createTestProject('turns-e', 1)
+    setupMocks(['success'])
+    await runAndWait(projectId)
+
+    expect(readRecord(projectPath)).not.toHaveProperty('transcript')
+    expect(cliService.invokeCli.mock.calls[0][1].cachePolicy).toBeUndefined()
+  })
+})
+
+// ─── Case weights and timeouts ────────────────────────────────────────────
+
+describe('weights: case and category weights drive a weighted average', () => {
+  function addSkill(projectPath) {
+    const configPath = path.join(projectPath, 'config.json')
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'))
+    fileService.ensureDir(path.join(projectPath, 'skills', 'skill_b_v1'))
+    fileService.writeText(path.join(projectPath, 'skills', 'skill_b_v1', 'content.txt'), 'Skill B')
+    config.skills.push({ ref_id: 'skill-b', name: 'Skill B', version: 'v1', local_path: 'skills/skill_b_v1' })
+    fs.writeFileSync(configPath, JSON.stringify(config), 'utf-8')
+  }
+
+  function setCases(projectPath, fn, meta) {
+    const dir = path.join(projectPath, 'baselines', 'baseline_test_v1')
+    const data = JSON.parse(fs.readFileSync(path.join(dir, 'cases.json'), 'utf-8'))
+    data.cases.forEach(fn)
+    fs.writeFileSync(path.join(dir, 'cases.json'), JSON.stringify(data), 'utf-8')
+    if (meta) fs.writeFileSync(path.join(dir, 'meta.json'), JSON.stringify(meta), 'utf-8')
+  }
+
+  // Skill A: 90 on the two easy cases, 30 on the boundary one; Skill B: 70 everywhere
+  function mockScores() {
+    const totals = { 'skill-a': [90, 90, 30], 'skill-b': [70, 70, 70] }
+    jest.spyOn(cliService, 'invokeCli').mockImplementation(async (prompt, opts) => {
+      if (opts.systemPrompt !== undefined) return { result: `${opts.systemPrompt}|${prompt}`, duration_ms: 10 }
+      return { result: prompt }
+    })
+    jest.spyOn(cliService, 'getCliVersion').mockResolvedValue('1.2.0')
+    jest.spyOn(cliService, 'parseStructuredOutput').mockImplementation((raw) => {
+      const skill = raw.includes('Skill B') ? 'skill-b' : 'skill-a'
+      const n = Number(/Write task (\d)/.exec(raw)[1])
+      return { scores: { ...MOCK_SCORES, total: totals[skill][n - 1] }, reasoning: '' }
+    })
+  }
+
+  const readSummary = (projectPath) =>
+    JSON.parse(fs.readFileSync(path.join(projectPath, 'results', 'summary.json'), 'utf-8'))
+
+  test('category weights rank the skill that handles the boundary case first', async () => {
+    const { projectId, projectPath } = createTestProject('weights-a', 3)
+    addSkill(projectPath)
+    setCases(projectPath, (c, i) => { c.category = i === 2 ? 'boundary' : 'standard' }, { category_weights: { boundary: 4 } })
+    mockScores()
+
+    await runAndWait(projectId)
+
+    const summary = readSummary(projectPath)
+    expect(summary.weighted).toBe(true)
+    const [first, second] = summary.ranking
+    // A: plain 70, weighted (90 + 90 + 4·30) / 6 = 50; B: 70 either way
+    expect(first).toMatchObject({ skill_id: 'skill-b', rank: 1, avg_score: 70, weighted_avg_score: 70 })
+    expect(second).toMatchObject({ skill_id: 'skill-a', rank: 2, avg_score: 70, weighted_avg_score: 50 })
+  })
+
+  test('a case weight overrides its category weight', async () => {
+    const { projectId, projectPath } = createTestProject('weights-b', 3)
+    setCases(projectPath, (c, i) => {
+      c.category = 'boundary'
+      if (i === 2) c.weight = 0.5
+    }, { category_weights: { boundary: 4 } })
+    mockScores()
+
+    await runAndWait(projectId)
+
+    // (4·90 + 4·90 + 0.5·30) / 8.5
+    expect(readSummary(projectPath).ranking[0].weighted_avg_score).toBe(86.5)
+  })
+
+  test('unweighted projects report the plain average and weighted: false', async () => {
+    const { projectId, projectPath } = createTestProject('weights-c', 3)
+    mockScores()
+
+    await runAndWait(projectId)
+
+    const summary = readSummary(projectPath)
+    expect(summary.weighted).toBe(false)
+    expect(summary.ranking[0]).toMatchObject({ avg_score: 70, weighted_avg_score: 70 })
+  })
+
+  test('a case timeout_seconds overrides the project timeout', async () => {
+    const { projectId, projectPath } = createTestProject('weights-d', 2)
+    setCases(projectPath, (c, i) => { if (i === 1) c.timeout_seconds = 300 })
+    setupMocks(['success', 'success'])
+
+    await runAndWait(projectId)
+
+    const execCalls = cliService.invokeCli.mock.calls.filter(([, opts]) => opts.systemPrompt !== undefined)
+    expect(execCalls.map(([, opts]) => opts.timeoutMs)).toEqual([30000, 300000])
+  })
+})
+
+// ─── Per-baseline / per-category breakdowns ───────────────────────────────
+
+describe('breakdowns: summary splits results per baseline and category', () => {
+  function addBaseline(projectPath, cases) {
+    const configPath = path.join(projectPath, 'config.json')
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf-8'))
+    fileService.ensureDir(path.join(projectPath, 'baselines', 'baseline_b_v2'))
+    fileService.writeJson(path.join(projectPath, 'baselines', 'baseline_b_v2', 'cases.json'), { cases })
+    config.baselines.push({ ref_id: 'baseline-b', name: 'Baseline B', version: 'v2', local_path: 'baselines/baseline_b_v2' })
+    fs.writeFileSync(configPath, JSON.stringify(config), 'utf-8')
+  }
+
+  test('levels carry avg score, pass rate and dimension averages; total_cases spans every baseline', async () => {
+    const { projectId, projectPath } = createTestProject('breakdown-a', 2)
+    const casesPath = path.join(projectPath, 'baselines', 'baseline_test_v1', 'cases.json')
+    const data = JSON.parse(fs.readFileSync(casesPath, 'utf-8'))
+    data.cases[1].category = 'boundary'
+    fs.writeFileSync(casesPath, JSON.stringify(data), 'utf-8')
+    addBaseline(projectPath, [{ case_id: 'case_b01', category: 'boundary', input: 'Write task 3', expected_output: '' }])
+
+    // Totals by task number: 80, 40 (below the 60-point pass mark), 70
+    const totals = [80, 40, 70]
+    jest.spyOn(cliService, 'invokeCli').mockImplementation(async (prompt) => ({ result: prompt, duration_ms: 10 }))
+    jest.spyOn(cliService, 'getCliVersion').mockResolvedValue('1.2.0')
+    jest.spyOn(cliService, 'parseStructuredOutput').mockImplementation((raw) => {
+      const total = totals[Number(/Write task (\d)/.exec(raw)[1]) - 1]
+      return { scores: { ...MOCK_SCORES, robustness: total / 10, total }, reasoning: '' }
+    })
+
+    await runAndWait(projectId)
+
+    const summary = JSON.parse(fs.readFileSync(path.join(projectPath, 'results', 'summary.json'), 'utf-8'))
+    expect(summary.total_cases).toBe(3)
+    expect(summary.pass_threshold).toBe(60)
+    expect(summary.baselines).toEqual([
+      { baseline_id: 'baseline-a', baseline_name: 'Baseline A', baseline_version: 'v1', total_cases: 2, categories: { standard: 1, boundary: 1 } },
+      { baseline_id: 'baseline-b', baseline_name: 'Baseline B', baseline_version: 'v2', total_cases: 1, categories: { boundary: 1 } },
+    ])
+
+    const [a, b] = summary.ranking[0].baselines
+    expect(a).toMatchObject({
+      baseline_id: 'baseline-a', total_cases: 2, completed_cases: 2, failed_cases: 0, overridden_cases: 0,
+      avg_score: 60, weighted_avg_score: 60, pass_rate: 0.5,
+    })
+    expect(a.score_breakdown.robustness).toBe(6)
+    expect(a.categories).toEqual([
+      expect.objectContaining({ category: 'standard', total_cases: 1, avg_score: 80, pass_rate: 1 }),
+      expect.objectContaining({ category: 'boundary', total_cases: 1, avg_score: 40, pass_rate: 0 }),
+    ])
+    expect(a.categories[1].score_breakdown).toMatchObject({ robustness: 4, readability: 12 })
+    expect(b).toMatchObject({ baseline_name: 'Baseline B', avg_score: 70, pass_rate: 1 })
+    expect(b.categories).toEqual([expect.objectContaining({ category: 'boundary', avg_score: 70 })])
+  })
+
+  test('failed executions count against the pass rate', async () => {
+    const { projectId, projectPath } = createTestProject('breakdown-b', 2)
+    setupMocks(['success', 'fail'])
+
+    await runAndWait(projectId)
+
+    const summary = JSON.parse(fs.readFileSync(path.join(projectPath, 'results', 'summary.json'), 'utf-8'))
+    expect(summary.ranking[0].baselines[0]).toMatchObject({
+      total_cases: 2, completed_cases: 1, failed_cases: 1, avg_score: 80, pass_rate: 0.5,
+      categories: [expect.objectContaining({ category: 'standard', total_cases: 2, pass_rate: 0.5 })],
+    })
+  })
+})
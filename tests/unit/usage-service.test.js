@@ -0,0 +1,83 @@
+'use strict'
+
+/**
+ * usage-service.test.js
+ * Token usage normalization and per-project usage.json aggregation.
+ */
+
+const path = require('path')
+const fs   = require('fs')
+const { createTmpDir } = require('../helpers/fs-helper')
+const usageService = require('../../main/services/usage-service')
+
+let tmpDir, cleanup
+
+beforeEach(() => {
+  ({ tmpDir, cleanup } = createTmpDir('usage-svc-'))
+})
+
+afterEach(() => cleanup())
+
+describe('normalizeUsage', () => {
+  test('reads Claude CLI usage and prefers total_cost_usd over cost_usd', () => {
+    const u = usageService.normalizeUsage({
+      total_cost_usd: 0.02, cost_usd: 0.01,
+      usage: { input_tokens: 10, output_tokens: 5, cache_read_input_tokens: 7 },
+    })
+    expect(u).toEqual({
+      calls: 1, input_tokens: 10, output_tokens: 5,
+      cache_creation_input_tokens: 0, cache_read_input_tokens: 7, cost_usd: 0.02,
+    })
+  })
+
+  test('maps OpenAI-style prompt/completion tokens', () => {
+    const u = usageService.normalizeUsage({ usage: { prompt_tokens: 12, completion_tokens: 3 } })
+    expect(u).toMatchObject({ input_tokens: 12, output_tokens: 3, cost_usd: 0 })
+  })
+
+  test('missing usage yields zero counts for one call', () => {
+    expect(usageService.normalizeUsage({ result: 'x' })).toMatchObject({ calls: 1, input_tokens: 0, cost_usd: 0 })
+  })
+})
+
+describe('addUsage / diffUsage', () => {
+  test('add and diff are inverse field by field', () => {
+    const a = { calls: 1, input_tokens: 10, output_tokens: 2, cache_creation_input_tokens: 0, cache_read_input_tokens: 1, cost_usd: 0.1 }
+    const b = { calls: 2, input_tokens: 5,  output_tokens: 3, cache_creation_input_tokens: 4, cache_read_input_tokens: 0, cost_usd: 0.2 }
+    const sum = usageService.addUsage(usageService.addUsage(usageService.emptyUsage(), a), b)
+    expect(sum).toEqual({ calls: 3, input_tokens: 15, output_tokens: 5, cache_creation_input_tokens: 4, cache_read_input_tokens: 1, cost_usd: 0.3 })
+    expect(usageService.diffUsage(sum, a)).toEqual(b)
+  })
+})
+
+describe('project usage.json', () => {
+  const call = (cost) => ({ calls: 1, input_tokens: 100, output_tokens: 10, cache_creation_input_tokens: 0, cache_read_input_tokens: 0, cost_usd: cost })
+
+  test('readUsage returns an empty aggregate when no file exists', () => {
+    const data = usageService.readUsage(tmpDir)
+    expect(data.totals.calls).toBe(0)
+    expect(data.iterations).toEqual([])
+  })
+
+  test('recordUsage accumulates totals and per-source breakdown', () => {
+    usageService.recordUsage(tmpDir, 'test_execution', call(0.01))
+    usageService.recordUsage(tmpDir, 'test_execution', call(0.02))
+    usageService.recordUsage(tmpDir, 'analysis', call(0.5))
+    usageService.recordUsage(tmpDir, 'scoring', null)   // ignored
+
+    const data = JSON.parse(fs.readFileSync(path.join(tmpDir, 'usage.json'), 'utf-8'))
+    expect(data.totals).toMatchObject({ calls: 3, input_tokens: 300, cost_usd: 0.53 })
+    expect(data.by_source.test_execution).toMatchObject({ calls: 2, cost_usd: 0.03 })
+    expect(data.by_source.analysis.calls).toBe(1)
+    expect(data.by_source.scoring).toBeUndefined()
+  })
+
+  test('recordIteration stores rounds and computes run totals', () => {
+    const entry = usageService.recordIteration(tmpDir, {
+      iteration_id: 'it-1',
+      rounds: [{ round: 1, usage: call(1) }, { round: 2, usage: call(2) }],
+    })
+    expect(entry.totals).toMatchObject({ calls: 2, cost_usd: 3 })
+    expect(usageService.readUsage(tmpDir).iterations).toHaveLength(1)
+  })
+})